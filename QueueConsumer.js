@@ -0,0 +1,440 @@
+/* jshint node: true */
+/* jshint esnext: true */
+'use strict';
+
+const os = require('os');
+const async = require('async');
+const queueKeys = require('./queue_keys');
+const orderedQueue = require('./ordered_queue');
+const recordExpiry = require('./record_expiry');
+const deadLetter = require('./dead_letter');
+const serviceRegistry = require('./service_registry');
+const queueStats = require('./queue_stats');
+const recordPriority = require('./record_priority');
+const valueCodec = require('./value_codec');
+const readResults = require('./read_results');
+
+/**
+* Number of seconds a blocking claim waits for a new key before checking if the consumer is stopped.
+**/
+const blockTimeout = 1;
+
+/**
+* Number of consumers created within the process, so that the default names of the consumers of a process are unique.
+**/
+let consumerCount = 0;
+
+/**
+* Returns the milliseconds between two heartbeats of a consumer, the expired claims being recovered at the same pace.
+* @param {Number} visibilityTimeout The visibility timeout of the consumer.
+**/
+function heartbeatInterval(visibilityTimeout) {
+    return Math.max(Math.floor(visibilityTimeout / 2), 1000);
+}
+
+/**
+* Parses the stored heartbeat of a consumer, the heartbeats of the previous versions only hold the time and are judged against the timeout of the reading consumer.
+* @param {String} heartbeat The stored heartbeat holding its time and the visibility timeout of the consumer.
+* @param {Number} visibilityTimeout The visibility timeout of the reading consumer.
+* @returns {Object} The time of the heartbeat along with the visibility timeout of the consumer.
+**/
+function parseHeartbeat(heartbeat, visibilityTimeout) {
+    let parsed = JSON.parse(heartbeat);
+    if(typeof parsed === "number") {
+        return {heartbeatAt : parsed, visibilityTimeout : visibilityTimeout};
+    }
+    return parsed;
+}
+
+/**
+* Claims the records of the queues one at a time, hands them over to the handler and removes them only once acknowledged, default constructor is used for initialization of the instance variable during instantiation of a class.
+* Every claimed key is moved to the in-flight list of the consumer, the keys of the higher priorities first, keys left unacknowledged beyond the visibility timeout or held by a consumer which stopped sending heartbeats are put back to the pending list.
+* Every heartbeat holds the visibility timeout of its consumer, so that a consumer is taken as stopped once it missed two heartbeats at its own pace, whatever the timeout of the consumer checking it.
+* @class QueueConsumer
+**/
+class QueueConsumer {
+
+    /**
+    * @callback cb Method to be called on complete.
+    **/
+
+    /**
+    * @callback messageHandler Method to be called for every claimed record.
+    * @param {Object} record The claimed record holding the identifier, key, deserialized value, store, push time, producer, version and the target type, along with the failed attempts and the last error if the record failed before.
+    * @param {cb} ack The callback to be called once processed, the record is put back to the queue if called with an error.
+    * @returns {Promise} [result] The record is acknowledged once the promise is resolved, or put back to the queue if rejected, when returned instead of calling ack.
+    **/
+
+    /**
+    * @param {Object} storeHandler The connection handler of the store to consume from.
+    * @param {Object} options Holds the consumer settings.
+    * @param {String} options.identifier Group category name.
+    * @param {String} options.store The name of the connector.
+    * @param {Array} options.queues The queues to consume, each one holding the hash name and its target type.
+    * @param {String} [options.consumerName] Unique name of the consumer, defaults to the service name, host and process id followed by the number of the consumer within the process.
+    * @param {Number} options.visibilityTimeout The milliseconds after which an unacknowledged record is put back to the queue.
+    * @param {Boolean} options.ordered True if the records of the identifier are stored in order.
+    * @param {Number} options.maxAttempts The number of failed attempts after which a record is moved to the dead letter hash.
+    * @param {Number} [options.maxWait] The milliseconds after which a pending record is claimed ahead of the records of higher priorities.
+    * @param {Object} [options.codec] The codec decoding the values of the identifier.
+    * @param {Function} [options.onTargetDeleted] The method called with the key and a callback once the copy of the key addressed to a target is acknowledged.
+    * @param {Function} [options.onError] The method called with the error of a failed claim, like a claim not replicated to the nodes required by the consistency.
+    * @param {messageHandler} handler The method processing the records.
+    **/
+    constructor(storeHandler, options, handler) {
+        this.storeHandler = storeHandler;
+        this.identifier = options.identifier;
+        this.store = options.store;
+        this.queues = options.queues;
+        this.consumerName = options.consumerName || `${storeHandler.serviceName}:${os.hostname()}:${process.pid}:${++consumerCount}`;
+        this.visibilityTimeout = options.visibilityTimeout;
+        this.ordered = options.ordered;
+        this.maxAttempts = options.maxAttempts;
+        this.maxWait = options.maxWait;
+        this.codec = options.codec;
+        this.onTargetDeleted = options.onTargetDeleted;
+        this.onError = options.onError;
+        this.handler = handler;
+        this.running = false;
+        this.reaper = null;
+        this.pendingLoops = 0;
+        this.onStopped = [];
+    }
+
+    /**
+    * Starts claiming the records of every queue along with the periodic recovery of the expired claims.
+    **/
+    start () {
+        this.running = true;
+        this.recoverClaims();
+        this.reaper = setInterval(() => this.recoverClaims(), heartbeatInterval(this.visibilityTimeout));
+        this.queues.forEach((queue) => {
+            let blockingClient = this.storeHandler.connection.createBlockingClient();
+            this.pendingLoops++;
+            this.claimLoop(queue, blockingClient);
+        });
+    }
+
+    /**
+    * Stops claiming new records, waits for the record under process to be acknowledged and closes the blocking connections.
+    * @param {cb} [callback] The callback that handles the response, a promise is returned if not passed.
+    **/
+    stop (callback) {
+        if(callback === undefined) {
+            return new Promise((resolve) => this.stop(resolve));
+        }
+        if(!this.running) {
+            if(this.pendingLoops === 0) {
+                return callback(null);
+            }
+            return this.onStopped.push(callback);
+        }
+        this.running = false;
+        clearInterval(this.reaper);
+        this.onStopped.push(callback);
+    }
+
+    /**
+    * Claims the keys of the queue one after the other until the consumer is stopped.
+    * @param {Object} queue Holds the hash name and the target type of the queue.
+    * @param {Object} blockingClient The dedicated connection used for the blocking claim.
+    **/
+    claimLoop (queue, blockingClient) {
+        async.whilst(() => this.running, (whilstCallback) => {
+            this.claimKey(queue, blockingClient, (err, key) => {
+                if(err && this.onError) {
+                    this.onError(err);
+                }
+                if(err || !key) {
+                    return setTimeout(whilstCallback, err ? blockTimeout * 1000 : 0);
+                }
+                this.processKey(queue, key, () => whilstCallback(null));
+            });
+        }, () => {
+            blockingClient.quit(() => {
+                this.pendingLoops--;
+                if(this.pendingLoops !== 0) {
+                    return;
+                }
+                async.each(this.queues, (stoppedQueue, asyncEachCallback) => {
+                    this.storeHandler.connection.deleteHashKey(queueKeys.consumersQueueName(stoppedQueue.name), this.consumerName, () => asyncEachCallback(null));
+                }, () => {
+                    this.onStopped.splice(0).forEach((stopCallback) => stopCallback(null));
+                });
+            });
+        });
+    }
+
+    /**
+    * Claims the next key of the queue from the pending lists of the priorities in the order they are claimed from, or waits for a new key of the default priority if none is pending.
+    * @param {Object} queue Holds the hash name and the target type of the queue.
+    * @param {Object} blockingClient The dedicated connection used for the blocking claim.
+    * @param {cb} callback The callback that handles the response with the claimed key, null if none was pushed in the meantime.
+    **/
+    claimKey (queue, blockingClient, callback) {
+        let inFlightName = queueKeys.inFlightQueueName(queue.name, this.consumerName);
+        let waitForKey = () => blockingClient.moveListObject(queueKeys.pendingQueueName(queue.name), inFlightName, blockTimeout, callback);
+        if(this.ordered) {
+            return waitForKey();
+        }
+        recordPriority.claimOrder(this.storeHandler.connection, queue.name, this.maxWait, (err, pendingNames) => {
+            if(err) {
+                return callback(err, null);
+            }
+            let claimed = null;
+            async.detectSeries(pendingNames, (pendingName, detectCallback) => {
+                blockingClient.takeListObject(pendingName, inFlightName, (err, key) => {
+                    claimed = key;
+                    detectCallback(err, !!key);
+                });
+            }, (err) => {
+                if(err || claimed) {
+                    return callback(err, claimed);
+                }
+                waitForKey();
+            });
+        });
+    }
+
+    /**
+    * Records the visibility deadline of the claimed key along with the read time of the service and hands over its record to the handler.
+    * @param {Object} queue Holds the hash name and the target type of the queue.
+    * @param {String} key The claimed key.
+    * @param {cb} callback The callback called once the record is acknowledged.
+    **/
+    processKey (queue, key, callback) {
+        let connection = this.storeHandler.connection;
+        let claimField = JSON.stringify([this.consumerName, key]);
+        async.waterfall([
+            (waterfallCallback) => {
+                connection.setHashObject(queueKeys.claimsQueueName(queue.name), claimField, Date.now() + this.visibilityTimeout, (err) => {
+                    waterfallCallback(err);
+                });
+            },
+            (waterfallCallback) => {
+                /**
+                * A failure to record the read time does not fail the claim.
+                **/
+                serviceRegistry.recordActivity(connection, this.storeHandler.serviceName, this.identifier, 'read', () => waterfallCallback(null));
+            },
+            (waterfallCallback) => {
+                recordExpiry.purgeQueue(connection, queue.name, this.ordered, (err) => waterfallCallback(err));
+            },
+            (waterfallCallback) => {
+                if(this.ordered) {
+                    return orderedQueue.readRecord(connection, [queue.name], key, waterfallCallback);
+                }
+                connection.getHashObject(queue.name, key, (err, value) => {
+                    if(err || !value) {
+                        return waterfallCallback(err, null);
+                    }
+                    queueStats.readPushInfo(connection, queue.name, key, (err, pushInfo) => {
+                        waterfallCallback(err, {key : key, value : value, pushedAt : pushInfo && pushInfo.pushedAt, producer : pushInfo && pushInfo.producer, version : pushInfo && pushInfo.version});
+                    });
+                });
+            },
+            (storedRecord, waterfallCallback) => {
+                if(!storedRecord) {
+                    return waterfallCallback(null, storedRecord, null);
+                }
+                deadLetter.readAttempts(connection, queue.name, key, (err, attempts) => {
+                    waterfallCallback(err, storedRecord, attempts);
+                });
+            }
+        ], (err, storedRecord, attempts) => {
+            if(err) {
+                return this.release(queue, key, callback);
+            } else if(!storedRecord) {
+                /**
+                * The record has been deleted or expired after the key was queued, nothing left to deliver.
+                **/
+                return this.acknowledge(queue, key, null, callback);
+            }
+            let value;
+            try {
+                value = valueCodec.decode(this.codec, storedRecord.value);
+            } catch (decodeErr) {
+                /**
+                * A value which cannot be decoded counts as a failed attempt, so that it is dead lettered instead of being claimed again and again.
+                **/
+                return this.reject(queue.name, this.consumerName, key, decodeErr, callback);
+            }
+            let acknowledged = false;
+            let proceeded = false;
+            let proceed = () => {
+                if(!proceeded) {
+                    proceeded = true;
+                    callback(null);
+                }
+            };
+            /**
+            * Stops waiting for the acknowledgement once the visibility timeout expires, the record is then put back to the queue by the recovery of the expired claims.
+            **/
+            let expiry = setTimeout(proceed, this.visibilityTimeout);
+            let ack = (handlerErr) => {
+                if(acknowledged) {
+                    return;
+                }
+                acknowledged = true;
+                clearTimeout(expiry);
+                if(handlerErr) {
+                    return this.reject(queue.name, this.consumerName, key, handlerErr, proceed);
+                }
+                this.acknowledge(queue, key, storedRecord, proceed);
+            };
+            let record = readResults.createRecord(this.identifier, this.store, Object.assign({}, storedRecord, {value : value}), queue.targetType);
+            if(attempts) {
+                record.attempts = attempts.attempts;
+                record.lastError = attempts.lastError;
+            }
+            try {
+                let handled = this.handler(record, ack);
+                if(handled && typeof handled.then === "function") {
+                    handled.then(() => ack(null), (handlerErr) => ack(handlerErr || new Error(`Handler rejected the record`)));
+                }
+            } catch (handlerErr) {
+                ack(handlerErr);
+            }
+        });
+    }
+
+    /**
+    * Removes the acknowledged key from the in-flight list and its record from the queue.
+    * @param {Object} queue Holds the hash name and the target type of the queue.
+    * @param {String} key The acknowledged key.
+    * @param {Object} storedRecord The record to be deleted from the queue, nothing is deleted if null.
+    * @param {cb} callback The callback that handles the response.
+    **/
+    acknowledge (queue, key, storedRecord, callback) {
+        let connection = this.storeHandler.connection;
+        async.parallel([
+            (parallelCallback) => connection.removeListObject(queueKeys.inFlightQueueName(queue.name, this.consumerName), key, parallelCallback),
+            (parallelCallback) => connection.deleteHashKey(queueKeys.claimsQueueName(queue.name), JSON.stringify([this.consumerName, key]), parallelCallback),
+            (parallelCallback) => deadLetter.clearAttempts(connection, queue.name, key, parallelCallback),
+            (parallelCallback) => {
+                if(!storedRecord) {
+                    return parallelCallback(null);
+                } else if(this.ordered) {
+                    return orderedQueue.deleteRecord(connection, queue.name, storedRecord, parallelCallback);
+                }
+                async.parallel([
+                    (innerParallelCallback) => connection.deleteHashKey(queue.name, key, innerParallelCallback),
+                    (innerParallelCallback) => queueStats.clearPushTime(connection, queue.name, key, innerParallelCallback)
+                ], parallelCallback);
+            }
+        ], () => {
+            if(!storedRecord || queue.targetType === undefined || !this.onTargetDeleted) {
+                return callback(null);
+            }
+            this.onTargetDeleted(key, () => callback(null));
+        });
+    }
+
+    /**
+    * Puts the key held by the consumer back to the queue to be claimed again.
+    * @param {Object} queue Holds the hash name and the target type of the queue.
+    * @param {String} key The key to be released.
+    * @param {cb} callback The callback that handles the response.
+    **/
+    release (queue, key, callback) {
+        this.requeue(queue.name, this.consumerName, key, callback);
+    }
+
+    /**
+    * Counts the failed attempt of the record held by the consumer and puts its key back to the pending list, or drops the key once the record is moved to the dead letter hash, unless the key was already moved by another consumer.
+    * @param {String} queueName The name of the hash holding the records.
+    * @param {String} consumerName The name of the consumer holding the key.
+    * @param {String} key The key of the failed record.
+    * @param {Error|String} error The reason of the failure.
+    * @param {cb} callback The callback that handles the response.
+    **/
+    reject (queueName, consumerName, key, error, callback) {
+        let connection = this.storeHandler.connection;
+        connection.removeListObject(queueKeys.inFlightQueueName(queueName, consumerName), key, (err, removed) => {
+            connection.deleteHashKey(queueKeys.claimsQueueName(queueName), JSON.stringify([consumerName, key]), () => {
+                if(err || !removed) {
+                    return callback(err);
+                }
+                deadLetter.recordFailure(connection, queueName, key, error, this.ordered, this.maxAttempts, (err, failure) => {
+                    if(!err && failure.dead) {
+                        return callback(null);
+                    }
+                    recordPriority.requeuePending(connection, queueName, key, callback);
+                });
+            });
+        });
+    }
+
+    /**
+    * Moves the key from the in-flight list of the consumer back to the pending list, unless it was already moved by another consumer.
+    * @param {String} queueName The name of the hash holding the records.
+    * @param {String} consumerName The name of the consumer holding the key.
+    * @param {String} key The key to be put back.
+    * @param {cb} callback The callback that handles the response.
+    **/
+    requeue (queueName, consumerName, key, callback) {
+        let connection = this.storeHandler.connection;
+        connection.removeListObject(queueKeys.inFlightQueueName(queueName, consumerName), key, (err, removed) => {
+            connection.deleteHashKey(queueKeys.claimsQueueName(queueName), JSON.stringify([consumerName, key]), () => {
+                if(err || !removed) {
+                    return callback(err);
+                }
+                recordPriority.requeuePending(connection, queueName, key, callback);
+            });
+        });
+    }
+
+    /**
+    * Sends the heartbeat of the consumer and puts back the keys whose visibility timeout expired along with the keys held by the consumers which stopped sending heartbeats, each counted as a failed attempt.
+    **/
+    recoverClaims () {
+        let connection = this.storeHandler.connection;
+        let now = Date.now();
+        async.eachSeries(this.queues, (queue, asyncEachCallback) => {
+            async.series([
+                (seriesCallback) => {
+                    connection.setHashObject(queueKeys.consumersQueueName(queue.name), this.consumerName, {heartbeatAt : now, visibilityTimeout : this.visibilityTimeout}, (err) => seriesCallback(err));
+                },
+                (seriesCallback) => {
+                    connection.getHashAll(queueKeys.claimsQueueName(queue.name), (err, claims) => {
+                        if(err || !claims) {
+                            return seriesCallback(err);
+                        }
+                        async.eachOfSeries(claims, (deadline, claimField, innerAsyncEachCallback) => {
+                            if(Number(deadline) > now) {
+                                return innerAsyncEachCallback(null);
+                            }
+                            let claim = JSON.parse(claimField);
+                            this.reject(queue.name, claim[0], claim[1], `The visibility timeout expired`, () => innerAsyncEachCallback(null));
+                        }, seriesCallback);
+                    });
+                },
+                (seriesCallback) => {
+                    connection.getHashAll(queueKeys.consumersQueueName(queue.name), (err, consumers) => {
+                        if(err || !consumers) {
+                            return seriesCallback(err);
+                        }
+                        async.eachOfSeries(consumers, (heartbeat, consumerName, innerAsyncEachCallback) => {
+                            if(consumerName === this.consumerName) {
+                                return innerAsyncEachCallback(null);
+                            }
+                            let parsed = parseHeartbeat(heartbeat, this.visibilityTimeout);
+                            if(now - parsed.heartbeatAt <= 2 * heartbeatInterval(parsed.visibilityTimeout)) {
+                                return innerAsyncEachCallback(null);
+                            }
+                            connection.getListObject(queueKeys.inFlightQueueName(queue.name, consumerName), (err, keys) => {
+                                async.eachSeries(keys || [], (key, requeueCallback) => {
+                                    this.reject(queue.name, consumerName, key, `The consumer '${consumerName}' stopped responding`, () => requeueCallback(null));
+                                }, () => {
+                                    connection.deleteHashKey(queueKeys.consumersQueueName(queue.name), consumerName, () => innerAsyncEachCallback(null));
+                                });
+                            });
+                        }, seriesCallback);
+                    });
+                }
+            ], () => asyncEachCallback(null));
+        });
+    }
+}
+
+module.exports = QueueConsumer;
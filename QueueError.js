@@ -0,0 +1,263 @@
+/* jshint node: true */
+/* jshint esnext: true */
+'use strict';
+
+/**
+* The fields of the queue data describing where an error occurred.
+**/
+const contextFields = ['identifier', 'key', 'store'];
+
+/**
+* Defines the error raised by the queue operations, the code identifies the kind of failure irrespective of the message.
+* Every error carries the identifier, key and store it was raised for when known, each kind of failure has its own subclass.
+* @class QueueError
+**/
+class QueueError extends Error {
+
+    /**
+    * @param {String} message The description of the error.
+    * @param {String} code The code of the error like 'VALIDATION', 'UNREGISTERED_IDENTIFIER', 'INVALID_STORE' etc.
+    * @param {Object} [context] Holds the identifier, key and store the error was raised for.
+    **/
+    constructor(message, code, context) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.addContext(context);
+    }
+
+    /**
+    * Sets the identifier, key and store of the context which are not already set on the error, only the non blank strings are taken.
+    * @param {Object} [context] Holds the identifier, key and store the error was raised for.
+    * @returns {QueueError} The error itself.
+    **/
+    addContext(context) {
+        if(!context || typeof context !== "object") {
+            return this;
+        }
+        contextFields.forEach((field) => {
+            if(this[field] === undefined && typeof context[field] === "string" && context[field].trim() !== "") {
+                this[field] = context[field];
+            }
+        });
+        return this;
+    }
+
+    /**
+    * Converts the error received from the store into a queue error, the errors which are not raised by the queue are wrapped into a StoreUnavailableError holding the original error as its cause.
+    * @param {Error|String} err The error to be converted.
+    * @param {Object} [context] Holds the identifier, key and store the error was raised for.
+    * @returns {QueueError} The queue error, which is returned as it is if the error is already one.
+    **/
+    static from(err, context) {
+        if(err instanceof QueueError) {
+            return err.addContext(context);
+        }
+        let storeErr = new StoreUnavailableError((err instanceof Error) ? err.message : String(err), context);
+        if(err instanceof Error) {
+            storeErr.cause = err;
+        }
+        return storeErr;
+    }
+}
+
+/**
+* Raised when the inputs of an operation or the config of the handler are missing or not in the specified format.
+* The errors of the value failing the schema of the identifier are carried along as the errors of its fields.
+* @class ValidationError
+**/
+class ValidationError extends QueueError {
+
+    /**
+    * @param {String} message The description of the error.
+    * @param {Object} [context] Holds the identifier, key and store the error was raised for.
+    **/
+    constructor(message, context) {
+        super(message, 'VALIDATION', context);
+    }
+}
+
+/**
+* Raised when the service is not registered with the store for the identifier.
+* @class UnregisteredIdentifierError
+**/
+class UnregisteredIdentifierError extends QueueError {
+
+    /**
+    * @param {String} serviceStore The name of the queue store.
+    * @param {String} identifier Group category name.
+    **/
+    constructor(serviceStore, identifier) {
+        super(`This service is not registered with ${serviceStore} store for the '${identifier}' identifier`, 'UNREGISTERED_IDENTIFIER', {identifier : identifier, store : serviceStore});
+    }
+}
+
+/**
+* Raised when the service is not registered with the store for one of the requested target types.
+* @class UnregisteredTargetTypeError
+**/
+class UnregisteredTargetTypeError extends QueueError {
+
+    /**
+    * @param {String} message The description of the error.
+    * @param {Object} [context] Holds the identifier, key and store the error was raised for.
+    **/
+    constructor(message, context) {
+        super(message, 'UNREGISTERED_TARGET_TYPE', context);
+    }
+}
+
+/**
+* Raised when the requested store is not configured for the operation.
+* @class InvalidStoreError
+**/
+class InvalidStoreError extends QueueError {
+
+    /**
+    * @param {String} message The description of the error.
+    * @param {Object} [context] Holds the identifier, key and store the error was raised for.
+    **/
+    constructor(message, context) {
+        super(message, 'INVALID_STORE', context);
+    }
+}
+
+/**
+* Raised when the key pushed to an ordered identifier rejecting the duplicate keys already exists.
+* @class DuplicateKeyError
+**/
+class DuplicateKeyError extends QueueError {
+
+    /**
+    * @param {String} message The description of the error.
+    * @param {Object} [context] Holds the identifier, key and store the error was raised for.
+    **/
+    constructor(message, context) {
+        super(message, 'DUPLICATE_KEY', context);
+    }
+}
+
+/**
+* Raised when the compare-and-set push of a key expects another version than the current one, or races with another compare-and-set push of the key, along with the current version.
+* @class VersionConflictError
+**/
+class VersionConflictError extends QueueError {
+
+    /**
+    * @param {String} message The description of the error.
+    * @param {Number} currentVersion The current version of the key in the store, 0 if the key was never pushed.
+    * @param {Object} [context] Holds the identifier, key and store the error was raised for.
+    **/
+    constructor(message, currentVersion, context) {
+        super(message, 'VERSION_CONFLICT', context);
+        this.currentVersion = currentVersion;
+    }
+}
+
+/**
+* Raised when the record read from the store does not conform to the schema of the identifier, along with the errors of its fields.
+* @class InvalidRecordError
+**/
+class InvalidRecordError extends QueueError {
+
+    /**
+    * @param {String} message The description of the error.
+    * @param {Object} [context] Holds the identifier, key and store the error was raised for.
+    **/
+    constructor(message, context) {
+        super(message, 'INVALID_RECORD', context);
+    }
+}
+
+/**
+* Raised when the value read from the store cannot be decoded by the codec of the identifier, like a value encrypted with a key which is no longer registered.
+* @class UndecodableRecordError
+**/
+class UndecodableRecordError extends QueueError {
+
+    /**
+    * @param {String} message The description of the error.
+    * @param {Object} [context] Holds the identifier, key and store the error was raised for.
+    **/
+    constructor(message, context) {
+        super(message, 'UNDECODABLE_RECORD', context);
+    }
+}
+
+/**
+* Raised when a write is acknowledged by fewer servers than required by the consistency of the store, along with the report of the servers.
+* @class ReplicationError
+**/
+class ReplicationError extends QueueError {
+
+    /**
+    * @param {String} message The description of the error.
+    * @param {Object} report Holds the servers which succeeded and failed to store the write.
+    * @param {Object} [context] Holds the identifier, key and store the error was raised for.
+    **/
+    constructor(message, report, context) {
+        super(message, 'REPLICATION_FAILED', context);
+        this.report = report;
+    }
+}
+
+/**
+* Raised when the keys a transaction was prepared from are written by another client before the transaction is applied, along with the report of the servers, none of which applied the transaction.
+* @class TransactionConflictError
+**/
+class TransactionConflictError extends QueueError {
+
+    /**
+    * @param {String} message The description of the error.
+    * @param {Object} [report] Holds the servers which succeeded and failed to apply the transaction.
+    * @param {Object} [context] Holds the identifier, key and store the error was raised for.
+    **/
+    constructor(message, report, context) {
+        super(message, 'TRANSACTION_CONFLICT', context);
+        this.report = report;
+    }
+}
+
+/**
+* Raised when the store could not process the operation, the error raised by the store is held as the cause.
+* @class StoreUnavailableError
+**/
+class StoreUnavailableError extends QueueError {
+
+    /**
+    * @param {String} message The description of the error.
+    * @param {Object} [context] Holds the identifier, key and store the error was raised for.
+    **/
+    constructor(message, context) {
+        super(message, 'STORE_UNAVAILABLE', context);
+    }
+}
+
+/**
+* Raised by the operations called once the handler is closed.
+* @class ClosedError
+**/
+class ClosedError extends QueueError {
+
+    /**
+    * @param {String} message The description of the error.
+    **/
+    constructor(message) {
+        super(message, 'CLOSED');
+    }
+}
+
+module.exports = QueueError;
+module.exports.QueueError = QueueError;
+module.exports.ValidationError = ValidationError;
+module.exports.UnregisteredIdentifierError = UnregisteredIdentifierError;
+module.exports.UnregisteredTargetTypeError = UnregisteredTargetTypeError;
+module.exports.InvalidStoreError = InvalidStoreError;
+module.exports.DuplicateKeyError = DuplicateKeyError;
+module.exports.VersionConflictError = VersionConflictError;
+module.exports.InvalidRecordError = InvalidRecordError;
+module.exports.UndecodableRecordError = UndecodableRecordError;
+module.exports.ReplicationError = ReplicationError;
+module.exports.TransactionConflictError = TransactionConflictError;
+module.exports.StoreUnavailableError = StoreUnavailableError;
+module.exports.ClosedError = ClosedError;
@@ -0,0 +1,72 @@
+/* jshint node: true */
+/* jshint esnext: true */
+'use strict';
+
+/**
+* Iterates through the records of a queue a page at a time, so that a whole identifier can be read without holding all of its records at once, default constructor is used for initialization of the instance variable during instantiation of a class.
+* The iterator is used through for await, each call to next waits for the previous one so that the pages are read in turn.
+* @class QueueIterator
+**/
+class QueueIterator {
+
+    /**
+    * @callback pageReader Method to be called for every page.
+    * @param {String} [cursor] The cursor of the page, the first page is read if not passed.
+    * @returns {Promise} The promise of the page holding the items along with the cursor of the next page, which is null once the queue is fully read.
+    **/
+
+    /**
+    * @param {pageReader} readPage The method reading the pages of the queue.
+    **/
+    constructor(readPage) {
+        this.readPage = readPage;
+        this.items = [];
+        this.cursor = undefined;
+        this.finished = false;
+        this.pending = Promise.resolve();
+    }
+
+    /**
+    * Returns the iterator itself, as required by for await.
+    **/
+    [Symbol.asyncIterator]() {
+        return this;
+    }
+
+    /**
+    * Returns the promise of the next record, the next page is read once the records of the previous one are all returned.
+    **/
+    next() {
+        let result = this.pending.catch(() => null).then(() => this.nextItem());
+        this.pending = result;
+        return result;
+    }
+
+    /**
+    * Stops the iteration, called by for await when the loop is left early.
+    **/
+    return() {
+        this.finished = true;
+        this.items = [];
+        return Promise.resolve({value : undefined, done : true});
+    }
+
+    /**
+    * Returns the promise of the next record once the previous call is complete.
+    **/
+    nextItem() {
+        if(this.items.length) {
+            return Promise.resolve({value : this.items.shift(), done : false});
+        } else if (this.finished) {
+            return Promise.resolve({value : undefined, done : true});
+        }
+        return this.readPage(this.cursor).then((page) => {
+            this.items = page.items;
+            this.cursor = page.nextCursor;
+            this.finished = page.nextCursor === null;
+            return this.nextItem();
+        });
+    }
+}
+
+module.exports = QueueIterator;
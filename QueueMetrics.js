@@ -0,0 +1,94 @@
+/* jshint node: true */
+/* jshint esnext: true */
+'use strict';
+
+/**
+* Number of seconds over which the rates of the operations are measured.
+**/
+const rateWindow = 60;
+
+/**
+* The operations counted by the metrics.
+**/
+const operations = ['push', 'read', 'delete'];
+
+/**
+* Counts the push, read and delete operations of every identifier along with the errors raised for every store, in the memory of the process.
+* The operations of the last minute are counted by the second, from which the rates are measured.
+* @class QueueMetrics
+**/
+class QueueMetrics {
+
+    constructor() {
+        this.identifiers = {};
+    }
+
+    /**
+    * Returns the counters of the identifier, created on the first use.
+    * @param {String} identifier Group category name.
+    **/
+    counters (identifier) {
+        if(!this.identifiers[identifier]) {
+            let counters = {totals : {}, seconds : {}, errors : {}};
+            operations.forEach((operation) => {
+                counters.totals[operation] = 0;
+                counters.seconds[operation] = [];
+            });
+            this.identifiers[identifier] = counters;
+        }
+        return this.identifiers[identifier];
+    }
+
+    /**
+    * Counts the operation run for the identifier.
+    * @param {String} identifier Group category name.
+    * @param {String} operation Either 'push', 'read' or 'delete'.
+    **/
+    recordOperation (identifier, operation) {
+        let counters = this.counters(identifier);
+        let second = Math.floor(Date.now() / 1000);
+        let seconds = counters.seconds[operation];
+        if(seconds.length && seconds[seconds.length - 1].second === second) {
+            seconds[seconds.length - 1].count++;
+        } else {
+            seconds.push({second : second, count : 1});
+        }
+        while(seconds.length && seconds[0].second <= second - rateWindow) {
+            seconds.shift();
+        }
+        counters.totals[operation]++;
+    }
+
+    /**
+    * Counts the error raised for the identifier against every store it was raised for.
+    * @param {String} identifier Group category name.
+    * @param {Array} stores The names of the stores.
+    **/
+    recordError (identifier, stores) {
+        let counters = this.counters(identifier);
+        stores.forEach((serviceStore) => {
+            counters.errors[serviceStore] = (counters.errors[serviceStore] || 0) + 1;
+        });
+    }
+
+    /**
+    * Returns the operations of the identifier counted since the start of the process, along with their rates per second over the last minute and the errors of every store.
+    * @param {String} identifier Group category name.
+    **/
+    snapshot (identifier) {
+        let counters = this.counters(identifier);
+        let since = Math.floor(Date.now() / 1000) - rateWindow;
+        let rates = {};
+        operations.forEach((operation) => {
+            let count = counters.seconds[operation].filter((entry) => entry.second > since).reduce((sum, entry) => sum + entry.count, 0);
+            rates[operation] = count / rateWindow;
+        });
+        return {
+            totals : Object.assign({}, counters.totals),
+            rates : rates,
+            errors : Object.assign({}, counters.errors)
+        };
+    }
+}
+
+module.exports = QueueMetrics;
@@ -0,0 +1,58 @@
+/* jshint node: true */
+/* jshint esnext: true */
+'use strict';
+
+/**
+* Collects the pushes and deletes of a transaction across identifiers, which are all validated before any of them is written and then written together by commit, default constructor is used for initialization of the instance variable during instantiation of a class.
+* The operations are collected as they are passed, so the inputs are not to be changed until the transaction is committed.
+* @class QueueTransaction
+**/
+class QueueTransaction {
+
+    /**
+    * @callback operationsCommitter Method to be called with the collected operations once the transaction is committed.
+    * @param {Array} operations The operations, each one holding its type, either 'push' or 'delete', along with its inputs.
+    * @param {cb} [callback] The callback that handles the response, a promise of the response is returned if not passed.
+    **/
+
+    /**
+    * @param {operationsCommitter} commitOperations The method writing the operations of the transaction.
+    **/
+    constructor(commitOperations) {
+        this.commitOperations = commitOperations;
+        this.operations = [];
+        this.committed = false;
+    }
+
+    /**
+    * Adds the push of the record to the transaction.
+    * @param {Object} queueData Holds the record to be queued, as documented by pushToQueue apart from the delivery time and the idempotency options.
+    * @returns {QueueTransaction} The transaction itself, so that the operations can be chained.
+    **/
+    pushToQueue(queueData) {
+        this.operations.push({type : 'push', data : queueData});
+        return this;
+    }
+
+    /**
+    * Adds the delete of the key to the transaction.
+    * @param {Object} deleteQueueData Holds the key to be deleted, as documented by deleteKeyFromQueue.
+    * @returns {QueueTransaction} The transaction itself, so that the operations can be chained.
+    **/
+    deleteKeyFromQueue(deleteQueueData) {
+        this.operations.push({type : 'delete', data : deleteQueueData});
+        return this;
+    }
+
+    /**
+    * Writes all the operations of the transaction together, a transaction can only be committed once.
+    * @param {cb} [callback] The callback that handles the response holding the nodes of every store which succeeded and failed to write the transaction, a promise of the response is returned if not passed.
+    **/
+    commit(callback) {
+        let operations = this.committed ? null : this.operations.splice(0);
+        this.committed = true;
+        return this.commitOperations(operations, callback);
+    }
+}
+
+module.exports = QueueTransaction;
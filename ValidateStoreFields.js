@@ -2,6 +2,10 @@
 /* jshint esnext: true */
 'use strict';
 
+const valueSchema = require('./value_schema');
+const valueCodec = require('./value_codec');
+const queueKeys = require('./queue_keys');
+
 /**
 * Defines the handlers for validating the queue fields along with the format of incoming data, default constructor is used for initialization of the instance variable during instantiation of a class.
 * @class ValidateStoreFields
@@ -22,13 +26,11 @@ class ValidateStoreFields {
     * @param {String} fields.identifier Group category name.
     * @param {String} fields.key Unique identifier under the specific group.
     * @param {Array} [fields.store] The name of different connectors.
+    * @param {Array} [fields.targetType] The target names for which the records are to be processed.
     * @param {Object} [skipFields] The keys to be skipped for mandatory checks.
-    * @param {cb} callback The callback that handles the response.
     **/
-    validateQueueFields (fields, callback, skipFields) {
-        if(callback === undefined || typeof callback !== "function") {
-            throw new Error(`Callback is expected and must be a function`);
-        } else if (!fields || typeof fields !== "object" || Object.keys(fields).length === 0) {
+    validateQueueFields (fields, skipFields) {
+        if (!fields || typeof fields !== "object" || Object.keys(fields).length === 0) {
             return `'Queue data' is either missing or not in the specified format`;
         } else if (!fields.identifier || typeof fields.identifier !== "string" || fields.identifier.trim() === "") {
             return `'Identifier' is either missing or not in the specified format`;
@@ -36,10 +38,135 @@ class ValidateStoreFields {
             return `'Key' is either missing or not in the specified format`;
         } else if (fields.store !== undefined && (!(fields.store instanceof Array) || fields.store.length === 0)) {
             return `'Store' value is either blank or not in the specified format`;
+        } else if (fields.targetType !== undefined && !this.isValidTargetType(fields.targetType)) {
+            return `'Target type' is either missing or not in the specified format`;
         } else {
             return false;
         }
     }
+
+    /**
+    * Separates the options from the identifier set of every store, as each identifier can either be its name or an object holding the name along with its options.
+    * @param {Object} connectionConfig The connection config of the stores.
+    * @returns {Object} The copy of the connection config holding only the identifier names along with the options of the identifiers by store, or the error message.
+    **/
+    normalizeIdentifierSet (connectionConfig) {
+        let normalized = {connectionConfig : {}, identifierOptions : {}};
+        for(let serviceStore in connectionConfig) {
+            let storeConfig = connectionConfig[serviceStore];
+            normalized.connectionConfig[serviceStore] = storeConfig;
+            if(!storeConfig || typeof storeConfig !== "object" || !(storeConfig.identifierSet instanceof Array)) {
+                continue;
+            }
+            let identifierOptions = {};
+            let identifierSet = [];
+            for(let identifier of storeConfig.identifierSet) {
+                if(!identifier || typeof identifier !== "object") {
+                    identifierSet.push(identifier);
+                    continue;
+                }
+                if(typeof identifier.name !== "string" || identifier.name.trim() === "") {
+                    return {errorMsg : `'Identifier' name is either missing or not in the specified format`};
+                } else if (identifier.ordered !== undefined && typeof identifier.ordered !== "boolean") {
+                    return {errorMsg : `'Ordered' option of the '${identifier.name}' identifier must be a boolean`};
+                } else if (identifier.duplicateKey !== undefined && ['reject', 'append'].indexOf(identifier.duplicateKey) === -1) {
+                    return {errorMsg : `'Duplicate key' option of the '${identifier.name}' identifier must be either 'reject' or 'append'`};
+                } else if (identifier.ttl !== undefined && !this.isValidTtl(identifier.ttl)) {
+                    return {errorMsg : `'Ttl' option of the '${identifier.name}' identifier must have a positive number`};
+                } else if (identifier.maxAttempts !== undefined && (typeof identifier.maxAttempts !== "number" || identifier.maxAttempts % 1 !== 0 || identifier.maxAttempts <= 0)) {
+                    return {errorMsg : `'Max attempts' option of the '${identifier.name}' identifier must have a positive integer`};
+                } else if (identifier.maxWait !== undefined && !this.isValidTtl(identifier.maxWait)) {
+                    return {errorMsg : `'Max wait' option of the '${identifier.name}' identifier must have a positive number`};
+                } else if (identifier.maxWait !== undefined && identifier.ordered === true) {
+                    return {errorMsg : `'Max wait' option of the '${identifier.name}' identifier is not supported by the ordered identifiers`};
+                } else if (identifier.dedupWindow !== undefined && !this.isValidTtl(identifier.dedupWindow)) {
+                    return {errorMsg : `'Dedup window' option of the '${identifier.name}' identifier must have a positive number`};
+                } else if (identifier.validateReads !== undefined && typeof identifier.validateReads !== "boolean") {
+                    return {errorMsg : `'Validate reads' option of the '${identifier.name}' identifier must be a boolean`};
+                } else if (identifier.validateReads && identifier.schema === undefined) {
+                    return {errorMsg : `'Validate reads' option of the '${identifier.name}' identifier requires a schema`};
+                }
+                let invalidSchema = identifier.schema !== undefined && valueSchema.checkSchema(identifier.schema);
+                if(invalidSchema) {
+                    return {errorMsg : `'Schema' option of the '${identifier.name}' identifier is not in the specified format, ${invalidSchema}`};
+                }
+                let invalidCodec = identifier.codec !== undefined && valueCodec.checkCodec(identifier.codec);
+                if(invalidCodec) {
+                    return {errorMsg : `'Codec' option of the '${identifier.name}' identifier is not in the specified format, ${invalidCodec}`};
+                }
+                identifierOptions[identifier.name.trim()] = identifier;
+                identifierSet.push(identifier.name);
+            }
+            normalized.connectionConfig[serviceStore] = Object.assign({}, storeConfig, {identifierSet : identifierSet});
+            normalized.identifierOptions[serviceStore] = identifierOptions;
+        }
+        return normalized;
+    }
+
+    /**
+    * Validates the target type list which must be a non empty array of non blank strings.
+    * @param {Array} targetType The target names.
+    * @returns {Boolean} True when the list is in the specified format.
+    **/
+    isValidTargetType (targetType) {
+        return targetType instanceof Array && targetType.length !== 0 && targetType.every((target) => typeof target === "string" && target.trim() !== "");
+    }
+
+    /**
+    * Validates the time to live of the records which must be a positive number of milliseconds.
+    * @param {Number} ttl The time to live.
+    * @returns {Boolean} True when the time to live is in the specified format.
+    **/
+    isValidTtl (ttl) {
+        return typeof ttl === "number" && isFinite(ttl) && ttl > 0;
+    }
+
+    /**
+    * Validates the priority of the records which must be an integer from zero to the highest priority.
+    * @param {Number} priority The priority.
+    * @returns {Boolean} True when the priority is in the specified format.
+    **/
+    isValidPriority (priority) {
+        return Number.isInteger(priority) && priority >= 0 && priority <= queueKeys.maxPriority;
+    }
+
+    /**
+    * Validates the delivery time of the records which must be either a valid date or a number of milliseconds since the epoch.
+    * @param {Date|Number} deliverAt The delivery time.
+    * @returns {Boolean} True when the delivery time is in the specified format.
+    **/
+    isValidDeliveryTime (deliverAt) {
+        if(deliverAt instanceof Date) {
+            return !isNaN(deliverAt.getTime());
+        }
+        return typeof deliverAt === "number" && isFinite(deliverAt) && deliverAt >= 0;
+    }
+
+    /**
+    * Validates the version expected by the compare-and-set pushes which must be an integer from zero, zero standing for a key which is not queued.
+    * @param {Number} version The expected version.
+    * @returns {Boolean} True when the version is in the specified format.
+    **/
+    isValidVersion (version) {
+        return Number.isInteger(version) && version >= 0;
+    }
+
+    /**
+    * Validates the requested target types against the ones registered by the listener for the store.
+    * @param {Array} [targetType] The target names requested for the operation.
+    * @param {Array} registeredTargets The target names registered by the listener.
+    * @param {String} serviceStore The name of the queue store.
+    **/
+    validateTargetTypes (targetType, registeredTargets, serviceStore) {
+        if(targetType === undefined) {
+            return false;
+        }
+        let unregistered = targetType.filter((target) => registeredTargets.indexOf(target.trim()) === -1);
+        if(unregistered.length !== 0) {
+            return `This service is not registered with ${serviceStore} store for the '${unregistered.join(",")}' target type`;
+        }
+        return false;
+    }
 }
 
 module.exports = ValidateStoreFields;
\ No newline at end of file
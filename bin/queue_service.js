@@ -0,0 +1,21 @@
+#!/usr/bin/env node
+/* jshint node: true */
+/* jshint esnext: true */
+'use strict';
+
+const cli = require('../cli');
+
+/**
+* Runs the command line, the failures are written to the standard error along with their code and end the process with the exit code 1.
+**/
+let session = cli.run(process.argv.slice(2), {stdout : process.stdout, stderr : process.stderr}, (err) => {
+    if(err) {
+        process.stderr.write(`${err.code ? `${err.code}: ` : ''}${err.message}\n`);
+        process.exitCode = 1;
+    }
+});
+
+/**
+* The commands running until interrupted, like tail, are ended so that the handler is closed, whereas the others are interrupted right away.
+**/
+process.once('SIGINT', () => session.onStop ? session.stop() : process.exit(130));
@@ -0,0 +1,527 @@
+/* jshint node: true */
+/* jshint esnext: true */
+'use strict';
+
+const fs = require('fs');
+const async = require('async');
+const QueueHandler = require('./index');
+const QueueError = require('./QueueError');
+const ValidationError = QueueError.ValidationError;
+
+/**
+* The queue_service command inspects and administers the queues through a handler created from the connection config file, which is validated as done by the constructor.
+* Every command writes its output to the standard output as json lines, one line per record or service, so that it can be filtered and loaded back.
+**/
+
+/**
+* Number of records pushed at once by the import, as well as the number of records of a page read by the export.
+**/
+const importBatchSize = 100;
+
+/**
+* The options of the commands along with the name of the option they are parsed into, the lists are separated by commas.
+**/
+const commandOptions = {
+    '--config' : {name : 'config'},
+    '--store' : {name : 'store', list : true},
+    '--target-type' : {name : 'targetType', list : true},
+    '--limit' : {name : 'limit', number : true}
+};
+
+/**
+* Writes the value to the stream as a json line.
+* @param {Stream} stream The stream the output is written to.
+* @param {Object} value The value to be written.
+**/
+function writeLine(stream, value) {
+    stream.write(`${JSON.stringify(value)}\n`);
+}
+
+/**
+* Returns the inputs of the operations addressing the identifier, narrowed down to the stores and target types of the options.
+* @param {String} identifier Group category name.
+* @param {Object} options The parsed options of the command.
+**/
+function queueData(identifier, options) {
+    let data = {identifier : identifier};
+    if(options.store) {
+        data.store = options.store;
+    }
+    if(options.targetType) {
+        data.targetType = options.targetType;
+    }
+    return data;
+}
+
+/**
+* Reads every record of the identifier and calls the method with each page of records, the records are read by pages only if a single store is read as the pages cannot span the stores.
+* @param {QueueHandler} handler The handler of the queues.
+* @param {Object} readData Holds the identifier along with the stores and target types to read.
+* @param {Number} [limit] The maximum number of records to read.
+* @param {Function} onRecords The method to be called with the records of every page.
+* @param {cb} callback The callback that handles the response.
+**/
+function readAllRecords(handler, readData, limit, onRecords, callback) {
+    let remaining = limit || Infinity;
+    let take = (records) => {
+        records = records.slice(0, remaining);
+        remaining -= records.length;
+        onRecords(records);
+    };
+    if((readData.store || Object.keys(handler.connectionStatus())).length !== 1) {
+        return handler.readKeysAndValuesFromQueue(readData, (err, result) => {
+            if(!err) {
+                take(result.records);
+            }
+            callback(err);
+        });
+    }
+    let cursor;
+    async.doWhilst((whilstCallback) => {
+        handler.readKeysAndValuesFromQueue(Object.assign({}, readData, {cursor : cursor, count : importBatchSize}), (err, result) => {
+            if(err) {
+                return whilstCallback(err);
+            }
+            take(result.records);
+            cursor = result.nextCursor;
+            whilstCallback(null);
+        });
+    }, () => cursor !== null && remaining > 0, (err) => callback(err));
+}
+
+/**
+* Reads the json file.
+* @param {String} path The path of the file.
+* @param {cb} callback The callback that handles the response with the parsed content of the file.
+**/
+function readJsonFile(path, callback) {
+    fs.readFile(path, 'utf8', (err, content) => {
+        if(err) {
+            return callback(new ValidationError(`The file '${path}' could not be read, ${err.message}`));
+        }
+        try {
+            callback(null, JSON.parse(content));
+        } catch (parseErr) {
+            callback(new ValidationError(`The file '${path}' is not in the json format`));
+        }
+    });
+}
+
+/**
+* Reads the json lines file, the blank lines being skipped.
+* @param {String} path The path of the file.
+* @param {cb} callback The callback that handles the response with the parsed lines along with their line number.
+**/
+function readJsonLines(path, callback) {
+    fs.readFile(path, 'utf8', (err, content) => {
+        if(err) {
+            return callback(new ValidationError(`The file '${path}' could not be read, ${err.message}`));
+        }
+        let lines = [];
+        let invalidLine = null;
+        content.split('\n').forEach((line, index) => {
+            if(invalidLine !== null || line.trim() === "") {
+                return;
+            }
+            try {
+                lines.push({line : index + 1, data : JSON.parse(line)});
+            } catch (parseErr) {
+                invalidLine = index + 1;
+            }
+        });
+        if(invalidLine !== null) {
+            return callback(new ValidationError(`The line ${invalidLine} of the file '${path}' is not in the json format`));
+        }
+        callback(null, lines);
+    });
+}
+
+/**
+* The commands along with the arguments they take and the method running them with the handler, the parsed arguments and options, the output streams, the session and the callback.
+**/
+const commands = {
+    identifiers : {
+        usage : 'identifiers',
+        description : 'Lists the identifiers registered with the stores along with the services attached to them.',
+        minArguments : 0,
+        run : (handler, args, options, io, session, callback) => {
+            handler.listServices((err, result) => {
+                if(err) {
+                    return callback(err);
+                }
+                let identifiers = {};
+                Object.keys(result).forEach((serviceStore) => {
+                    result[serviceStore].forEach((service) => {
+                        service.identifiers.forEach((registration) => {
+                            identifiers[registration.identifier] = identifiers[registration.identifier] || {identifier : registration.identifier, services : [], stores : []};
+                            let listed = identifiers[registration.identifier];
+                            if(listed.services.indexOf(service.serviceName) === -1) {
+                                listed.services.push(service.serviceName);
+                            }
+                            if(listed.stores.indexOf(serviceStore) === -1) {
+                                listed.stores.push(serviceStore);
+                            }
+                        });
+                    });
+                });
+                Object.keys(identifiers).sort().forEach((identifier) => {
+                    identifiers[identifier].services.sort();
+                    writeLine(io.stdout, identifiers[identifier]);
+                });
+                callback(null);
+            });
+        }
+    },
+    services : {
+        usage : 'services [serviceName]',
+        description : 'Lists the registered services of every store, or a single one, along with their identifiers.',
+        minArguments : 0,
+        maxArguments : 1,
+        run : (handler, args, options, io, session, callback) => {
+            let done = (err, result) => {
+                if(err) {
+                    return callback(err);
+                }
+                Object.keys(result).forEach((serviceStore) => {
+                    [].concat(result[serviceStore]).forEach((service) => writeLine(io.stdout, Object.assign({store : serviceStore}, service)));
+                });
+                callback(null);
+            };
+            return args.length ? handler.getServiceInfo(args[0], done) : handler.listServices(done);
+        }
+    },
+    count : {
+        usage : 'count <identifier>',
+        description : 'Shows the number of pending records of the identifier in every store along with the age of the oldest one.',
+        minArguments : 1,
+        run : (handler, args, options, io, session, callback) => {
+            handler.getStats(args[0], (err, stats) => {
+                if(err) {
+                    return callback(err);
+                }
+                let stores = {};
+                Object.keys(stats.stores).forEach((serviceStore) => {
+                    stores[serviceStore] = {pending : stats.stores[serviceStore].pending, oldestAge : stats.stores[serviceStore].oldestAge};
+                });
+                writeLine(io.stdout, {identifier : stats.identifier, stores : stores});
+                callback(null);
+            });
+        }
+    },
+    read : {
+        usage : 'read <identifier> [key]',
+        description : 'Reads the record of the key, or every record of the identifier up to the limit.',
+        minArguments : 1,
+        maxArguments : 2,
+        run : (handler, args, options, io, session, callback) => {
+            if(args.length === 1) {
+                return readAllRecords(handler, queueData(args[0], options), options.limit, (records) => {
+                    records.forEach((record) => writeLine(io.stdout, record));
+                }, callback);
+            }
+            handler.readFromQueue(Object.assign(queueData(args[0], options), {key : args[1]}), (err, result) => {
+                if(err) {
+                    return callback(err);
+                } else if (!result.record) {
+                    return callback(new ValidationError(`The key '${args[1]}' of the '${args[0]}' identifier is not queued`));
+                }
+                writeLine(io.stdout, result.record);
+                callback(null);
+            });
+        }
+    },
+    tail : {
+        usage : 'tail <identifier>',
+        description : 'Reads the records as they are pushed to the identifier, until interrupted or until the limit is reached.',
+        minArguments : 1,
+        run : (handler, args, options, io, session, callback) => {
+            let printed = 0;
+            let waiting = [];
+            let finished = false;
+            /**
+            * The file stores do not hold any connection open while waiting for the notifications, so the process is kept running until the tail ends.
+            **/
+            let keepAlive = setInterval(() => null, 60000);
+            let finish = (err) => {
+                if(finished) {
+                    return;
+                }
+                finished = true;
+                clearInterval(keepAlive);
+                handler.unsubscribe(args[0], onRecord, () => callback(err || null));
+            };
+            /**
+            * The stores all notify the same push, so a key is read once however many notifications wait for it.
+            **/
+            let reads = async.queue((key, queueCallback) => {
+                handler.readFromQueue(Object.assign(queueData(args[0], options), {key : key}), (err, result) => {
+                    waiting.splice(waiting.indexOf(key), 1);
+                    if(err) {
+                        finish(err);
+                    } else if (result.record && !finished) {
+                        writeLine(io.stdout, result.record);
+                        printed++;
+                        if(options.limit && printed >= options.limit) {
+                            finish(null);
+                        }
+                    }
+                    queueCallback();
+                });
+            }, 1);
+            let onRecord = (notification) => {
+                if(finished || waiting.indexOf(notification.key) !== -1) {
+                    return;
+                }
+                waiting.push(notification.key);
+                reads.push(notification.key);
+            };
+            handler.subscribe(args[0], onRecord, (err) => {
+                if(err) {
+                    clearInterval(keepAlive);
+                    return callback(err);
+                }
+                session.onStop = () => finish(null);
+                if(session.stopped) {
+                    finish(null);
+                }
+            });
+        }
+    },
+    delete : {
+        usage : 'delete <identifier> <key> [key...]',
+        description : 'Deletes the keys from the identifier.',
+        minArguments : 2,
+        maxArguments : Infinity,
+        run : (handler, args, options, io, session, callback) => {
+            handler.deleteManyFromQueue(args.slice(1).map((key) => Object.assign(queueData(args[0], options), {key : key})), (err, results) => {
+                if(!err) {
+                    results.forEach((result) => writeLine(io.stdout, result));
+                }
+                callback(err);
+            });
+        }
+    },
+    purge : {
+        usage : 'purge <identifier>',
+        description : 'Deletes every key of the identifier.',
+        minArguments : 1,
+        run : (handler, args, options, io, session, callback) => {
+            handler.readKeysFromQueue(queueData(args[0], options), (err, result) => {
+                if(err) {
+                    return callback(err);
+                } else if (result.keys.length === 0) {
+                    writeLine(io.stdout, {identifier : args[0], deleted : 0, failed : 0});
+                    return callback(null);
+                }
+                handler.deleteManyFromQueue(result.keys.map((key) => Object.assign(queueData(args[0], options), {key : key})), (err, results) => {
+                    if(err) {
+                        return callback(err);
+                    }
+                    let failed = results.filter((outcome) => outcome.error);
+                    failed.forEach((outcome) => writeLine(io.stderr, outcome));
+                    writeLine(io.stdout, {
+                        identifier : args[0],
+                        deleted : results.reduce((deleted, outcome) => deleted + (outcome.result ? outcome.result.deleted : 0), 0),
+                        failed : failed.length
+                    });
+                    callback(null);
+                });
+            });
+        }
+    },
+    push : {
+        usage : 'push <file>',
+        description : 'Pushes the records of the json file, holding either a record or an array of records with the inputs of pushToQueue.',
+        minArguments : 1,
+        run : (handler, args, options, io, session, callback) => {
+            readJsonFile(args[0], (err, records) => {
+                if(err) {
+                    return callback(err);
+                }
+                handler.pushManyToQueue([].concat(records), (err, results) => {
+                    if(!err) {
+                        results.forEach((result) => writeLine(io.stdout, result));
+                    }
+                    callback(err);
+                });
+            });
+        }
+    },
+    export : {
+        usage : 'export <identifier> [file]',
+        description : 'Writes the key and value of every record of the identifier as json lines to the file, or to the standard output.',
+        minArguments : 1,
+        maxArguments : 2,
+        run : (handler, args, options, io, session, callback) => {
+            let output = args.length === 2 ? fs.createWriteStream(args[1]) : io.stdout;
+            let failed = null;
+            if(output !== io.stdout) {
+                output.on('error', (err) => {
+                    failed = failed || err;
+                });
+            }
+            readAllRecords(handler, queueData(args[0], options), options.limit, (records) => {
+                records.forEach((record) => writeLine(output, {key : record.key, value : record.value}));
+            }, (err) => {
+                if(output === io.stdout) {
+                    return callback(err);
+                }
+                output.end(() => callback(err || failed));
+            });
+        }
+    },
+    import : {
+        usage : 'import <identifier> <file>',
+        description : 'Pushes the records of the json lines file written by export to the identifier.',
+        minArguments : 2,
+        run : (handler, args, options, io, session, callback) => {
+            readJsonLines(args[1], (err, lines) => {
+                if(err) {
+                    return callback(err);
+                }
+                let summary = {identifier : args[0], imported : 0, failed : 0};
+                let batches = [];
+                for(let i = 0; i < lines.length; i += importBatchSize) {
+                    batches.push(lines.slice(i, i + importBatchSize));
+                }
+                async.eachSeries(batches, (batch, asyncEachCallback) => {
+                    let records = batch.map((line) => Object.assign(queueData(args[0], options), {key : line.data && line.data.key, value : line.data && line.data.value}));
+                    handler.pushManyToQueue(records, (err, results) => {
+                        if(err) {
+                            return asyncEachCallback(err);
+                        }
+                        results.forEach((result, index) => {
+                            if(result.error) {
+                                summary.failed++;
+                                return writeLine(io.stderr, Object.assign({line : batch[index].line}, result));
+                            }
+                            summary.imported++;
+                        });
+                        asyncEachCallback(null);
+                    });
+                }, (err) => {
+                    if(!err) {
+                        writeLine(io.stdout, summary);
+                    }
+                    callback(err);
+                });
+            });
+        }
+    }
+};
+
+/**
+* Returns the usage of the command line.
+**/
+function usage() {
+    let lines = ['Usage: queue_service <command> [arguments] --config <file> [--store <stores>] [--target-type <targetTypes>] [--limit <count>]', '', 'Commands:'];
+    Object.keys(commands).forEach((name) => {
+        lines.push(`  ${commands[name].usage}`);
+        lines.push(`      ${commands[name].description}`);
+    });
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+* Returns the items of the list separated by commas, the blank items being left out.
+* @param {String} value The value of the option.
+* @param {Boolean} lowerCase True if the items are lower cased, as done for the store names.
+**/
+function parseList(value, lowerCase) {
+    return value.split(',').map((item) => lowerCase ? item.trim().toLowerCase() : item.trim()).filter((item) => item !== "");
+}
+
+/**
+* Parses the command line into the command along with its arguments and options.
+* @param {Array} argv The arguments of the command line, without the node executable and the script.
+* @returns {Object} The command, arguments and options, or the error message if the command line is not in the specified format.
+**/
+function parseArguments(argv) {
+    let parsed = {command : null, args : [], options : {}};
+    for(let i = 0; i < argv.length; i++) {
+        let option = commandOptions[argv[i]];
+        if(!option) {
+            if(argv[i].indexOf('--') === 0) {
+                return {errorMsg : `Unknown option '${argv[i]}'`};
+            } else if (parsed.command === null) {
+                parsed.command = argv[i];
+            } else {
+                parsed.args.push(argv[i]);
+            }
+            continue;
+        }
+        let value = argv[++i];
+        if(value === undefined || value.trim() === "") {
+            return {errorMsg : `'${argv[i - 1]}' option is either missing its value or blank`};
+        }
+        if(option.list) {
+            value = parseList(value, option.name === 'store');
+        } else if (option.number) {
+            value = Number(value);
+            if(!Number.isInteger(value) || value <= 0) {
+                return {errorMsg : `'${argv[i - 1]}' option must have a positive integer`};
+            }
+        }
+        parsed.options[option.name] = value;
+    }
+    return parsed;
+}
+
+/**
+* Runs the command line, the handler created from the config file being closed once the command is complete.
+* @param {Array} argv The arguments of the command line, without the node executable and the script.
+* @param {Object} io Holds the stdout and stderr streams the output and the failures of the records are written to.
+* @param {cb} callback The callback that handles the response once the command is complete.
+* @returns {Object} The session of the command, whose stop method ends the commands running until interrupted, like tail.
+**/
+function run(argv, io, callback) {
+    let session = {
+        stopped : false,
+        onStop : null,
+        stop : () => {
+            session.stopped = true;
+            if(session.onStop) {
+                session.onStop();
+            }
+        }
+    };
+    let parsed = parseArguments(argv);
+    if(parsed.errorMsg) {
+        setImmediate(callback, new ValidationError(parsed.errorMsg));
+        return session;
+    } else if (parsed.command === null || parsed.command === 'help') {
+        io.stdout.write(usage());
+        setImmediate(callback, null);
+        return session;
+    }
+    let command = commands.hasOwnProperty(parsed.command) ? commands[parsed.command] : null;
+    if(!command) {
+        setImmediate(callback, new ValidationError(`Unknown command '${parsed.command}', run 'queue_service help' for the list of commands`));
+        return session;
+    } else if (parsed.args.length < command.minArguments || parsed.args.length > (command.maxArguments || command.minArguments)) {
+        setImmediate(callback, new ValidationError(`Usage: queue_service ${command.usage}`));
+        return session;
+    } else if (!parsed.options.config) {
+        setImmediate(callback, new ValidationError(`'--config' option is either missing its value or blank`));
+        return session;
+    }
+    readJsonFile(parsed.options.config, (err, connectionConfig) => {
+        if(err) {
+            return callback(err);
+        }
+        let handler;
+        try {
+            handler = new QueueHandler(connectionConfig);
+        } catch (configErr) {
+            return callback(configErr);
+        }
+        command.run(handler, parsed.args, parsed.options, io, session, (err) => {
+            handler.close(() => callback(err ? QueueError.from(err) : null));
+        });
+    });
+    return session;
+}
+
+module.exports.run = run;
+module.exports.parseArguments = parseArguments;
+module.exports.usage = usage;
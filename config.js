@@ -8,14 +8,24 @@ var config = {
                         {
                             "host" : "",
                             "port" : 0,
-                            "password" : ""
+                            "password" : "",
+                            "inMemory" : false
                         }
                     ],
                     "serviceName" : "",
-                    "identifierSet" : []
+                    "identifierSet" : [],
+                    "targetTypes" : [],
+                    "consistency" : ""
+                },
+                "file" : {
+                    "path" : "",
+                    "serviceName" : "",
+                    "identifierSet" : [],
+                    "targetTypes" : [],
+                    "compactThreshold" : 0
                 }
             },
-            "mandatory_elements" : ["queueConnector", "host", "port", "serviceName", "identifierSet"]
+            "mandatory_elements" : ["queueConnector", "host", "port", "path", "serviceName", "identifierSet"]
         }
     }
 };
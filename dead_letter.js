@@ -0,0 +1,292 @@
+/* jshint node: true */
+/* jshint esnext: true */
+'use strict';
+
+const async = require('async');
+const queueKeys = require('./queue_keys');
+const orderedQueue = require('./ordered_queue');
+const recordExpiry = require('./record_expiry');
+const queueStats = require('./queue_stats');
+const recordPriority = require('./record_priority');
+const readResults = require('./read_results');
+
+/**
+* The failed attempts of the records are kept by key in a separate hash per queue along with the last error.
+* A record failing as many times as allowed is moved out of the queue to its dead letter hash, from where it can be inspected, replayed back to the queue or purged.
+* The dead lettered record keeps the push time, the producer and the version of the record, so that it is read in the shape of the other reads, the times being in milliseconds since the epoch.
+**/
+
+/**
+* Returns the message of the error reported for a failed attempt.
+* @param {Error|String} [error] The error reported by the listener.
+**/
+function errorMessage(error) {
+    if(error instanceof Error) {
+        return error.message;
+    }
+    return (error === undefined || error === null) ? 'Unknown error' : String(error);
+}
+
+/**
+* Retrieves the failed attempts of the key, null if the key never failed.
+* @param {Object} connection The store connection.
+* @param {String} queueName The queue holding the record.
+* @param {String} key Unique identifier under the specific group.
+* @param {cb} callback The callback that handles the response.
+**/
+function readAttempts(connection, queueName, key, callback) {
+    connection.getHashObject(queueKeys.attemptsQueueName(queueName), key, (err, attempts) => {
+        if(err || !attempts) {
+            return callback(err, null);
+        }
+        callback(null, JSON.parse(attempts));
+    });
+}
+
+/**
+* Retrieves the record of the key held by the queue, the oldest one for the ordered queues.
+* @param {Object} connection The store connection.
+* @param {String} queueName The queue holding the record.
+* @param {String} key Unique identifier under the specific group.
+* @param {Boolean} ordered True if the records of the queue are stored in order.
+* @param {cb} callback The callback that handles the response.
+**/
+function readQueuedRecord(connection, queueName, key, ordered, callback) {
+    if(ordered) {
+        return orderedQueue.readRecord(connection, [queueName], key, callback);
+    }
+    connection.getHashObject(queueName, key, (err, value) => {
+        callback(err, value && {key : key, value : value});
+    });
+}
+
+/**
+* Moves the record out of the queue to its dead letter hash.
+* @param {Object} connection The store connection.
+* @param {String} queueName The queue holding the record.
+* @param {Object} record The record to be moved.
+* @param {Object} attempts The failed attempts of the record along with the last error.
+* @param {Boolean} ordered True if the records of the queue are stored in order.
+* @param {cb} callback The callback that handles the response.
+**/
+function deadLetter(connection, queueName, record, attempts, ordered, callback) {
+    let deadRecord = {
+        key : record.key,
+        value : record.value,
+        attempts : attempts.attempts,
+        lastError : attempts.lastError,
+        failedAt : Date.now()
+    };
+    async.series([
+        (seriesCallback) => {
+            queueStats.readPushInfo(connection, queueName, record.key, (err, pushInfo) => {
+                if(pushInfo && pushInfo.priority) {
+                    deadRecord.priority = pushInfo.priority;
+                }
+                let pushedAt = ordered ? record.pushedAt : pushInfo && pushInfo.pushedAt;
+                if(pushedAt) {
+                    deadRecord.pushedAt = pushedAt;
+                }
+                let producer = ordered ? record.producer : pushInfo && pushInfo.producer;
+                if(producer) {
+                    deadRecord.producer = producer;
+                }
+                if(pushInfo && pushInfo.version) {
+                    deadRecord.version = pushInfo.version;
+                }
+                seriesCallback(err);
+            });
+        },
+        (seriesCallback) => connection.setHashObject(queueKeys.deadQueueName(queueName), record.key, deadRecord, (err) => seriesCallback(err)),
+        (seriesCallback) => {
+            if(ordered) {
+                return orderedQueue.deleteRecord(connection, queueName, record, (err) => seriesCallback(err));
+            }
+            async.series([
+                (innerSeriesCallback) => connection.deleteHashKey(queueName, record.key, (err) => innerSeriesCallback(err)),
+                (innerSeriesCallback) => recordPriority.removePending(connection, queueName, record.key, innerSeriesCallback),
+                (innerSeriesCallback) => queueStats.clearPushTime(connection, queueName, record.key, innerSeriesCallback)
+            ], (err) => seriesCallback(err));
+        },
+        (seriesCallback) => {
+            /**
+            * The pending key of an ordered queue is kept for the other records pushed with the same key.
+            **/
+            if(!ordered) {
+                return seriesCallback(null);
+            }
+            readQueuedRecord(connection, queueName, record.key, ordered, (err, remaining) => {
+                if(err || remaining) {
+                    return seriesCallback(err);
+                }
+                connection.removeListObject(queueKeys.pendingQueueName(queueName), record.key, (err) => seriesCallback(err));
+            });
+        },
+        (seriesCallback) => connection.deleteHashKey(queueKeys.attemptsQueueName(queueName), record.key, (err) => seriesCallback(err)),
+        (seriesCallback) => ordered ? seriesCallback(null) : recordExpiry.setExpiry(connection, queueName, record.key, null, seriesCallback)
+    ], (err) => {
+        callback(err);
+    });
+}
+
+/**
+* Counts a failed attempt of the record, the record is moved to the dead letter hash once it failed as many times as allowed.
+* @param {Object} connection The store connection.
+* @param {String} queueName The queue holding the record.
+* @param {String} key Unique identifier under the specific group.
+* @param {Error|String} [error] The error reported by the listener.
+* @param {Boolean} ordered True if the records of the queue are stored in order.
+* @param {Number} maxAttempts The number of failed attempts after which the record is dead lettered.
+* @param {cb} callback The callback that handles the response with the attempts, the last error and if the record is dead lettered.
+**/
+function recordFailure(connection, queueName, key, error, ordered, maxAttempts, callback) {
+    async.waterfall([
+        (waterfallCallback) => readAttempts(connection, queueName, key, waterfallCallback),
+        (previous, waterfallCallback) => {
+            let attempts = {
+                attempts : (previous ? previous.attempts : 0) + 1,
+                lastError : errorMessage(error),
+                lastAttemptAt : Date.now()
+            };
+            if(attempts.attempts < maxAttempts) {
+                return connection.setHashObject(queueKeys.attemptsQueueName(queueName), key, attempts, (err) => {
+                    waterfallCallback(err, attempts, false);
+                });
+            }
+            readQueuedRecord(connection, queueName, key, ordered, (err, record) => {
+                if(err) {
+                    return waterfallCallback(err);
+                } else if(!record) {
+                    /**
+                    * The record has been deleted in the meantime, nothing left to dead letter.
+                    **/
+                    return connection.deleteHashKey(queueKeys.attemptsQueueName(queueName), key, (err) => waterfallCallback(err, attempts, false));
+                }
+                deadLetter(connection, queueName, record, attempts, ordered, (err) => waterfallCallback(err, attempts, true));
+            });
+        }
+    ], (err, attempts, dead) => {
+        if(err) {
+            return callback(err, null);
+        }
+        callback(null, {attempts : attempts.attempts, lastError : attempts.lastError, dead : dead});
+    });
+}
+
+/**
+* Clears the failed attempts of the key once the record is processed or deleted.
+* @param {Object} connection The store connection.
+* @param {String} queueName The queue holding the record.
+* @param {String} key Unique identifier under the specific group.
+* @param {cb} callback The callback that handles the response.
+**/
+function clearAttempts(connection, queueName, key, callback) {
+    connection.deleteHashKey(queueKeys.attemptsQueueName(queueName), key, (err) => callback(err));
+}
+
+/**
+* Retrieves the dead lettered records of the queue.
+* @param {Object} connection The store connection.
+* @param {String} queueName The queue to read.
+* @param {cb} callback The callback that handles the response.
+**/
+function readDeadRecords(connection, queueName, callback) {
+    connection.getHashAll(queueKeys.deadQueueName(queueName), (err, deadRecords) => {
+        if(err || !deadRecords) {
+            return callback(err, []);
+        }
+        callback(null, Object.keys(deadRecords).map((key) => JSON.parse(deadRecords[key])));
+    });
+}
+
+/**
+* Retrieves the dead lettered record of the key, null if the key is not dead lettered.
+* @param {Object} connection The store connection.
+* @param {String} queueName The queue to read.
+* @param {String} key Unique identifier under the specific group.
+* @param {cb} callback The callback that handles the response.
+**/
+function readDeadRecord(connection, queueName, key, callback) {
+    connection.getHashObject(queueKeys.deadQueueName(queueName), key, (err, deadRecord) => {
+        if(err || !deadRecord) {
+            return callback(err, null);
+        }
+        callback(null, JSON.parse(deadRecord));
+    });
+}
+
+/**
+* Returns the dead lettered record in the shape of the read results along with its failed attempts, last error and failure time.
+* @param {String} identifier Group category name.
+* @param {String} store The name of the store the record was read from.
+* @param {Object} deadRecord The decoded dead lettered record.
+* @param {String} [targetType] The target name of the queue the record was read from.
+**/
+function createDeadRecord(identifier, store, deadRecord, targetType) {
+    return Object.assign(readResults.createRecord(identifier, store, deadRecord, targetType), {
+        attempts : deadRecord.attempts,
+        lastError : deadRecord.lastError,
+        failedAt : deadRecord.failedAt
+    });
+}
+
+/**
+* Puts the dead lettered record of the key back to the queue with no failed attempts along with the priority, the producer and the version it was pushed with, at the end of the queue for the ordered queues.
+* @param {Object} connection The store connection.
+* @param {String} identifier Group category name.
+* @param {String} queueName The queue holding the dead lettered record.
+* @param {String} key Unique identifier under the specific group.
+* @param {Boolean} ordered True if the records of the queue are stored in order.
+* @param {cb} callback The callback that handles the response with the number of replayed records.
+**/
+function replayRecord(connection, identifier, queueName, key, ordered, callback) {
+    readDeadRecord(connection, queueName, key, (err, deadRecord) => {
+        if(err || !deadRecord) {
+            return callback(err, 0);
+        }
+        async.series([
+            (seriesCallback) => {
+                if(ordered) {
+                    return orderedQueue.appendRecord(connection, identifier, [queueName], key, deadRecord.value, 'append', null, {producer : deadRecord.producer}, (err) => seriesCallback(err));
+                }
+                async.series([
+                    (innerSeriesCallback) => connection.setHashObject(queueName, key, deadRecord.value, (err) => innerSeriesCallback(err)),
+                    (innerSeriesCallback) => recordPriority.removePending(connection, queueName, key, innerSeriesCallback),
+                    (innerSeriesCallback) => queueStats.setPushTime(connection, queueName, key, {priority : deadRecord.priority, producer : deadRecord.producer, version : deadRecord.version}, innerSeriesCallback),
+                    (innerSeriesCallback) => connection.pushListObject(queueKeys.pendingQueueName(queueName, deadRecord.priority), key, (err) => innerSeriesCallback(err))
+                ], seriesCallback);
+            },
+            (seriesCallback) => connection.deleteHashKey(queueKeys.deadQueueName(queueName), key, (err) => seriesCallback(err))
+        ], (err) => {
+            callback(err, err ? 0 : 1);
+        });
+    });
+}
+
+/**
+* Deletes the dead lettered record of the key, or all the dead lettered records of the queue if no key is passed.
+* @param {Object} connection The store connection.
+* @param {String} queueName The queue holding the dead lettered records.
+* @param {String} [key] Unique identifier under the specific group.
+* @param {cb} callback The callback that handles the response with the number of purged records.
+**/
+function purgeDeadRecords(connection, queueName, key, callback) {
+    if(key !== undefined) {
+        return connection.deleteHashKey(queueKeys.deadQueueName(queueName), key, (err, count) => callback(err, count || 0));
+    }
+    connection.getHashKey(queueKeys.deadQueueName(queueName), (err, keys) => {
+        if(err || !keys || keys.length === 0) {
+            return callback(err, 0);
+        }
+        connection.delObject(queueKeys.deadQueueName(queueName), (err) => callback(err, err ? 0 : keys.length));
+    });
+}
+
+module.exports.readAttempts = readAttempts;
+module.exports.recordFailure = recordFailure;
+module.exports.clearAttempts = clearAttempts;
+module.exports.readDeadRecords = readDeadRecords;
+module.exports.readDeadRecord = readDeadRecord;
+module.exports.createDeadRecord = createDeadRecord;
+module.exports.replayRecord = replayRecord;
+module.exports.purgeDeadRecords = purgeDeadRecords;
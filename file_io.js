@@ -0,0 +1,760 @@
+/* jshint node: true */
+/* jshint esnext: true */
+'use strict';
+
+var fs = require("fs");
+var pathModule = require("path");
+var EventEmitter = require("events");
+var QueueError = require("./QueueError");
+
+
+/* The file store keeps all the keys in memory and appends every
+ * write as a json line to the file, flushed to the disk before the
+ * write is acknowledged, the keys are restored by
+ * replaying the lines when the file is opened. Once the file
+ * holds more lines than the compact threshold and twice the lines
+ * needed for the current keys, it is rewritten with only the
+ * current keys.
+ * The stores opened with the same path within the process share
+ * the keys, the writes, the blocked consumers and the notifications.
+ * */
+var openStores = {};
+
+
+/* The keys & the fields of the hashsets are held in objects
+ * without prototype, so that any name, '__proto__' included,
+ * is an own property.
+ * */
+function hasName(names, name){
+	return Object.prototype.hasOwnProperty.call(names, name);
+}
+
+
+/* applyCommand runs the write command on the keys held in memory
+ * and returns the reply of the command, a multi command holds the
+ * commands of a transaction which are written as a single line so
+ * that a transaction partially written before a crash is skipped.
+ * */
+function applyCommand(data, command){
+	var key = command[1];
+	var entry = data[key];
+	var reply = null;
+	switch(command[0]) {
+		case 'set' :
+			data[key] = {type : 'string', value : command[2]};
+			return 'OK';
+		case 'del' :
+			delete data[key];
+			return entry ? 1 : 0;
+		case 'incr' :
+			reply = (entry && entry.type === 'string' ? Number(entry.value) : 0) + 1;
+			data[key] = {type : 'string', value : String(reply)};
+			return reply;
+		case 'hset' :
+			if(!entry || entry.type !== 'hash') {
+				entry = data[key] = {type : 'hash', value : Object.create(null)};
+			}
+			reply = hasName(entry.value, command[2]) ? 0 : 1;
+			entry.value[command[2]] = command[3];
+			return reply;
+		case 'hsetnx' :
+			if(entry && entry.type === 'hash' && hasName(entry.value, command[2])) {
+				return 0;
+			}
+			return applyCommand(data, ['hset', key, command[2], command[3]]);
+		case 'hdel' :
+			if(!entry || entry.type !== 'hash' || !hasName(entry.value, command[2])) {
+				return 0;
+			}
+			delete entry.value[command[2]];
+			if(Object.keys(entry.value).length === 0) {
+				delete data[key];
+			}
+			return 1;
+		case 'lpush' :
+		case 'rpush' :
+			if(!entry || entry.type !== 'list') {
+				entry = data[key] = {type : 'list', value : []};
+			}
+			if(command[0] === 'lpush') {
+				entry.value.unshift(command[2]);
+			} else {
+				entry.value.push(command[2]);
+			}
+			return entry.value.length;
+		case 'lrem' :
+			if(!entry || entry.type !== 'list') {
+				return 0;
+			}
+			reply = entry.value.length;
+			if(command[3] === -1) {
+				/* only the occurrence the nearest to the tail */
+				var last = entry.value.lastIndexOf(command[2]);
+				if(last !== -1) {
+					entry.value.splice(last, 1);
+				}
+			} else {
+				entry.value = entry.value.filter(function (value) {
+					return value !== command[2];
+				});
+			}
+			reply -= entry.value.length;
+			if(entry.value.length === 0) {
+				delete data[key];
+			}
+			return reply;
+		case 'multi' :
+			return command[1].map(function (subcommand) {
+				return applyCommand(data, subcommand);
+			});
+		case 'rpoplpush' :
+			if(!entry || entry.type !== 'list') {
+				return null;
+			}
+			reply = entry.value.pop();
+			if(entry.value.length === 0) {
+				delete data[key];
+			}
+			applyCommand(data, ['lpush', command[2], reply]);
+			return reply;
+	}
+	throw new Error('Unknown command ' + command[0]);
+}
+
+
+/* snapshotCommands returns the write commands restoring
+ * the current keys.
+ * */
+function snapshotCommands(data){
+	var commands = [];
+	Object.keys(data).forEach(function (key) {
+		var entry = data[key];
+		if(entry.type === 'string') {
+			commands.push(['set', key, entry.value]);
+		} else if(entry.type === 'hash') {
+			Object.keys(entry.value).forEach(function (field) {
+				commands.push(['hset', key, field, entry.value[field]]);
+			});
+		} else {
+			entry.value.forEach(function (value) {
+				commands.push(['rpush', key, value]);
+			});
+		}
+	});
+	return commands;
+}
+
+
+/* readStoreFile restores the keys of the store by replaying
+ * the lines of its file.
+ * */
+function readStoreFile(store){
+	store.data = Object.create(null);
+	store.lines = 0;
+	var content = fs.existsSync(store.path) ? fs.readFileSync(store.path, 'utf8') : '';
+	content.split('\n').forEach(function (line) {
+		if(line.trim() === '') {
+			return;
+		}
+		try {
+			applyCommand(store.data, JSON.parse(line));
+			store.lines++;
+		} catch (err) {
+			// A line partially written before a crash is skipped.
+		}
+	});
+}
+
+
+/* openStore returns the store of the path, the keys are
+ * restored from the file when the store is opened for the
+ * first time within the process.
+ * */
+function openStore(path, compactThreshold){
+	var filePath = pathModule.resolve(path);
+	if(openStores[filePath]) {
+		openStores[filePath].refs++;
+		return openStores[filePath];
+	}
+	var store = {
+		path : filePath,
+		data : Object.create(null),
+		lines : 0,
+		compactThreshold : compactThreshold || 1000,
+		pendingWrites : [],
+		writing : false,
+		events : new EventEmitter(),
+		refs : 1
+	};
+	store.events.setMaxListeners(0);
+	readStoreFile(store);
+	openStores[filePath] = store;
+	return store;
+}
+
+
+/* rollbackWrites restores the keys held in memory once the append
+ * of the writes failed, the keys are restored from the file and
+ * the writes still pending are applied again, so that the keys
+ * hold none of the failed writes.
+ * */
+function rollbackWrites(store){
+	readStoreFile(store);
+	store.pendingWrites.forEach(function (write) {
+		try {
+			applyCommand(store.data, write.command);
+		} catch (err) {
+			// The write keeps the reply it was given when queued.
+		}
+	});
+}
+
+
+/* writeSynced writes the content to the file opened with the
+ * flag & flushes it to the disk before calling back, so that a
+ * write acknowledged to the writers survives a crash. The file is
+ * truncated back to its previous size if the write or the flush
+ * fails, so that the file holds none of the failed write.
+ * callback function will be called with one parameter
+ * which is a error message
+ * */
+function writeSynced(path, flag, content, callback){
+	fs.open(path, flag, function (err, fd) {
+		if(err) {
+			return callback(err);
+		}
+		function close(writeErr) {
+			fs.close(fd, function (closeErr) {
+				callback(writeErr || closeErr || null);
+			});
+		}
+		fs.fstat(fd, function (err, stats) {
+			if(err) {
+				return close(err);
+			}
+			function undo(writeErr) {
+				fs.ftruncate(fd, stats.size, function () {
+					close(writeErr);
+				});
+			}
+			fs.writeFile(fd, content, function (err) {
+				if(err) {
+					return undo(err);
+				}
+				fs.fsync(fd, function (err) {
+					if(err) {
+						return undo(err);
+					}
+					close(null);
+				});
+			});
+		});
+	});
+}
+
+
+/* flushWrites appends the lines of the pending writes to the
+ * file in a single write flushed to the disk and calls back the
+ * writers, the file is compacted once all the pending writes are
+ * flushed.
+ * */
+function flushWrites(store){
+	if(store.writing) {
+		return;
+	}
+	if(store.pendingWrites.length === 0) {
+		return compactStore(store);
+	}
+	var writes = store.pendingWrites.splice(0);
+	store.writing = true;
+	writeSynced(store.path, 'a', writes.map(function (write) {
+		return JSON.stringify(write.command) + '\n';
+	}).join(''), function (err) {
+		store.writing = false;
+		if(err) {
+			rollbackWrites(store);
+		} else {
+			store.lines += writes.length;
+		}
+		writes.forEach(function (write) {
+			write.callback(err || null, write.reply);
+		});
+		flushWrites(store);
+	});
+}
+
+
+/* compactStore rewrites the file with the current keys once it
+ * holds more lines than the compact threshold and twice the lines
+ * needed for the current keys.
+ * */
+function compactStore(store){
+	if(store.lines <= store.compactThreshold) {
+		return;
+	}
+	var commands = snapshotCommands(store.data);
+	if(store.lines <= commands.length * 2) {
+		return;
+	}
+	var compactPath = store.path + '.compact';
+	store.writing = true;
+	writeSynced(compactPath, 'w', commands.map(function (command) {
+		return JSON.stringify(command) + '\n';
+	}).join(''), function (err) {
+		if(err) {
+			store.writing = false;
+			return flushWrites(store);
+		}
+		fs.rename(compactPath, store.path, function (err) {
+			store.writing = false;
+			if(!err) {
+				store.lines = commands.length;
+			}
+			if(store.pendingWrites.length !== 0) {
+				flushWrites(store);
+			}
+		});
+	});
+}
+
+
+/* writeToStore runs the write command on the keys held in memory
+ * and appends it to the file, the write is rolled back from the
+ * keys held in memory if the append fails.
+ * callback function will be called with three parameters
+ * which are error message, the reply of the command & the report
+ * of the write holding the succeeded & failed nodes, the path
+ * of the file being the only node.
+ * */
+function writeToStore(store, status, command, callback){
+	var reply;
+	try {
+		reply = applyCommand(store.data, command);
+	} catch (err) {
+		return setImmediate(callback, err, null, {succeeded : [], failed : [{node : store.path, error : err.message}]});
+	}
+	var commands = command[0] === 'multi' ? command[1] : [command];
+	if(commands.some(function (written) { return written[0] === 'lpush' || written[0] === 'rpush' || written[0] === 'rpoplpush'; })) {
+		store.events.emit('push');
+	}
+	store.pendingWrites.push({command : command, reply : reply, callback : function (err) {
+		if(err) {
+			status.notify('error', err);
+			return callback(err, null, {succeeded : [], failed : [{node : store.path, error : err.message}]});
+		}
+		callback(null, reply, {succeeded : [store.path], failed : []});
+	}});
+	flushWrites(store);
+}
+
+
+/* readFromStore returns the value of the key if it is of the
+ * type, null otherwise.
+ * */
+function readFromStore(store, key, type){
+	var entry = store.data[key];
+	return (entry && entry.type === type) ? entry.value : null;
+}
+
+
+function setObject(store, status, key, value, callback){
+	writeToStore(store, status, ['set', key, String(value)], function (err, reply, report) {
+		callback(err, key, report);
+	});
+}
+
+
+function getObject(store, key, callback){
+	setImmediate(callback, null, readFromStore(store, key, 'string'));
+}
+
+
+function delObject(store, status, key, callback){
+	writeToStore(store, status, ['del', key], function (err, reply, report) {
+		callback(err, !err, report);
+	});
+}
+
+
+function incrObject(store, status, key, callback){
+	writeToStore(store, status, ['incr', key], callback);
+}
+
+
+function setHashObject(store, status, hashsetkey, fieldname, value, callback){
+	var val = (typeof value == 'object') ? JSON.stringify(value) : String(value);
+	writeToStore(store, status, ['hset', hashsetkey, String(fieldname), val], function (err, reply, report) {
+		callback(err, fieldname, report);
+	});
+}
+
+
+function setHashObjectIfNotExists(store, status, hashsetkey, fieldname, value, callback){
+	var val = (typeof value == 'object') ? JSON.stringify(value) : String(value);
+	writeToStore(store, status, ['hsetnx', hashsetkey, String(fieldname), val], callback);
+}
+
+
+function getHashObject(store, hashsetkey, fieldname, callback){
+	var hash = readFromStore(store, hashsetkey, 'hash');
+	setImmediate(callback, null, (hash && hasName(hash, fieldname)) ? hash[fieldname] : null);
+}
+
+
+function getHashKey(store, hashsetkey, callback){
+	var hash = readFromStore(store, hashsetkey, 'hash');
+	setImmediate(callback, null, hash ? Object.keys(hash) : []);
+}
+
+
+function getHashAll(store, hashsetkey, callback){
+	var hash = readFromStore(store, hashsetkey, 'hash');
+	setImmediate(callback, null, hash ? Object.assign(Object.create(null), hash) : null);
+}
+
+
+/* scanHash returns the fields of the hashset following the cursor
+ * in the order of their names, starting with the cursor 0. The
+ * cursor holds the name of the last returned field, so the fields
+ * present during the whole scan are returned exactly once.
+ * */
+function scanHash(store, hashsetkey, cursor, count, callback){
+	var after = null;
+	if(cursor !== '0') {
+		try {
+			after = JSON.parse(cursor);
+		} catch (err) {
+			return setImmediate(callback, new QueueError.ValidationError(`'Cursor' is either missing or not in the specified format`), null, null);
+		}
+	}
+	var hash = readFromStore(store, hashsetkey, 'hash') || Object.create(null);
+	var names = Object.keys(hash).filter(function (name) {
+		return after === null || name > after;
+	}).sort();
+	var fields = Object.create(null);
+	names.slice(0, count).forEach(function (name) {
+		fields[name] = hash[name];
+	});
+	setImmediate(callback, null, names.length > count ? JSON.stringify(names[count - 1]) : '0', fields);
+}
+
+
+function deleteHashKey(store, status, hashsetkey, fieldname, callback){
+	writeToStore(store, status, ['hdel', hashsetkey, String(fieldname)], callback);
+}
+
+
+function pushListObject(store, status, listkey, value, callback){
+	writeToStore(store, status, ['lpush', listkey, String(value)], callback);
+}
+
+
+function appendListObject(store, status, listkey, value, callback){
+	writeToStore(store, status, ['rpush', listkey, String(value)], callback);
+}
+
+
+function removeListObject(store, status, listkey, value, callback){
+	writeToStore(store, status, ['lrem', listkey, String(value)], callback);
+}
+
+
+function removeLastListObject(store, status, listkey, value, callback){
+	writeToStore(store, status, ['lrem', listkey, String(value), -1], callback);
+}
+
+
+/* transactionCommand returns the command written by the write
+ * function for the operation, which holds the name of the write
+ * function followed by its arguments.
+ * */
+function transactionCommand(operation){
+	var args = operation.slice(1);
+	switch(operation[0]) {
+		case 'setObject' :
+			return ['set', args[0], String(args[1])];
+		case 'delObject' :
+			return ['del', args[0]];
+		case 'incrObject' :
+			return ['incr', args[0]];
+		case 'setHashObject' :
+			return ['hset', args[0], String(args[1]), (typeof args[2] == 'object') ? JSON.stringify(args[2]) : String(args[2])];
+		case 'deleteHashKey' :
+			return ['hdel', args[0], String(args[1])];
+		case 'pushListObject' :
+			return ['lpush', args[0], String(args[1])];
+		case 'appendListObject' :
+			return ['rpush', args[0], String(args[1])];
+		case 'removeListObject' :
+			return ['lrem', args[0], String(args[1])];
+	}
+	throw new Error('The ' + operation[0] + ' operation cannot be run within a transaction');
+}
+
+
+/* watchKeys takes a snapshot of the keys, so that the transaction
+ * run with the returned watch is not applied if any of the keys
+ * was written in between, like the WATCH of redis.
+ * callback function will be called with two parameters
+ * which are error message & the watch
+ * */
+function watchKeys(store, keys, callback){
+	var snapshot = Object.create(null);
+	keys.forEach(function (key) {
+		snapshot[key] = JSON.stringify(store.data[key] || null);
+	});
+	setImmediate(callback, null, {
+		keys : keys,
+		snapshot : snapshot,
+		release : function (releaseCallback) {
+			if(releaseCallback) {
+				setImmediate(releaseCallback, null);
+			}
+		}
+	});
+}
+
+
+/* runTransaction applies the write operations together & appends
+ * them to the file as a single line. Each operation holds the name
+ * of the write function followed by its arguments. The transaction
+ * fails with a TransactionConflictError without being applied if
+ * any key of the watch, if any, was written since it was watched.
+ * callback function will be called with three parameters
+ * which are error message, the replies of the operations & the
+ * report of the write.
+ * */
+function runTransaction(store, status, operations, watch, callback){
+	var commands;
+	try {
+		commands = operations.map(transactionCommand);
+	} catch (err) {
+		return setImmediate(callback, err, null, {succeeded : [], failed : [{node : store.path, error : err.message}]});
+	}
+	var written = watch && watch.keys.some(function (key) {
+		return JSON.stringify(store.data[key] || null) !== watch.snapshot[key];
+	});
+	if(written) {
+		var report = {succeeded : [], failed : [{node : store.path, error : 'The keys read by the transaction were written in the meantime'}]};
+		return setImmediate(callback, new QueueError.TransactionConflictError(report.failed[0].error, report), null, report);
+	}
+	writeToStore(store, status, ['multi', commands], callback);
+}
+
+
+function getListObject(store, listkey, callback){
+	var list = readFromStore(store, listkey, 'list');
+	setImmediate(callback, null, list ? list.slice() : []);
+}
+
+
+function getListLength(store, listkey, callback){
+	var list = readFromStore(store, listkey, 'list');
+	setImmediate(callback, null, list ? list.length : 0);
+}
+
+
+function getListRange(store, listkey, start, stop, callback){
+	var list = readFromStore(store, listkey, 'list') || [];
+	start = start < 0 ? Math.max(list.length + start, 0) : start;
+	stop = stop < 0 ? list.length + stop : stop;
+	setImmediate(callback, null, list.slice(start, stop + 1));
+}
+
+
+/* findKeys returns the names of the keys matching the glob
+ * pattern which hold the type, either hash or list.
+ * */
+function findKeys(store, pattern, type, callback){
+	var matcher = new RegExp('^' + pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.') + '$');
+	setImmediate(callback, null, Object.keys(store.data).filter(function (key) {
+		return store.data[key].type === type && matcher.test(key);
+	}));
+}
+
+
+/* The file store being a single node, there is nothing to repair.
+ * */
+function repairNothing(){
+	var callback = arguments[arguments.length - 1];
+	setImmediate(callback, null, 0);
+}
+
+
+/* createBlockingClient returns the client used by the consumers,
+ * moveListObject waits up to timeout seconds for a value at the
+ * tail of the source list, with no limit for the timeout 0, and
+ * moves it to the head of the destination list, takeListObject
+ * moves it without waiting.
+ * */
+function createBlockingClient(store, status){
+	var waiting = null;
+	return {
+		moveListObject : function (sourcekey, destinationkey, timeout, callback) {
+			/* like BRPOPLPUSH, the timeout 0 waits with no limit */
+			var deadline = timeout > 0 ? Date.now() + timeout * 1000 : Infinity;
+			function attempt() {
+				if(!readFromStore(store, sourcekey, 'list')) {
+					if(Date.now() >= deadline) {
+						return callback(null, null);
+					}
+					var timer = deadline === Infinity ? null : setTimeout(resume, deadline - Date.now());
+					waiting = function () {
+						clearTimeout(timer);
+						store.events.removeListener('push', resume);
+						waiting = null;
+					};
+					return store.events.once('push', resume);
+				}
+				writeToStore(store, status, ['rpoplpush', sourcekey, destinationkey], callback);
+			}
+			function resume() {
+				if(waiting) {
+					waiting();
+				}
+				setImmediate(attempt);
+			}
+			attempt();
+		},
+		takeListObject : function (sourcekey, destinationkey, callback) {
+			if(!readFromStore(store, sourcekey, 'list')) {
+				return setImmediate(callback, null, null);
+			}
+			writeToStore(store, status, ['rpoplpush', sourcekey, destinationkey], callback);
+		},
+		quit : function (callback) {
+			if(waiting) {
+				waiting();
+			}
+			setImmediate(callback, null);
+		}
+	};
+}
+
+
+/* publishObject notifies the subscribers of the channel
+ * within the process.
+ * callback function will be called with two parameters
+ * which are error message & the number of receivers
+ * */
+function publishObject(store, channel, message, callback){
+	var receivers = store.events.listenerCount('message:' + channel);
+	setImmediate(function () {
+		store.events.emit('message:' + channel, message);
+		callback(null, receivers);
+	});
+}
+
+
+function subscribeChannel(store, subscriber, channel, listener, callback){
+	subscriber.push({channel : channel, listener : listener});
+	store.events.on('message:' + channel, listener);
+	setImmediate(callback, null);
+}
+
+
+function unsubscribeChannel(store, subscriber, channel, listener, callback){
+	var i = subscriber.length;
+	while (i--) {
+		if(subscriber[i].channel === channel && subscriber[i].listener === listener) {
+			subscriber.splice(i, 1);
+			store.events.removeListener('message:' + channel, listener);
+		}
+	}
+	setImmediate(callback, null);
+}
+
+
+/* quit waits for the pending writes to be appended to the file,
+ * the keys are released once the last store of the path is closed.
+ * */
+function quit(store, status, subscriber, callback){
+	subscriber.splice(0).forEach(function (subscription) {
+		store.events.removeListener('message:' + subscription.channel, subscription.listener);
+	});
+	function closed() {
+		if(store.writing || store.pendingWrites.length !== 0) {
+			return setTimeout(closed, 10);
+		}
+		if(--store.refs === 0) {
+			delete openStores[store.path];
+		}
+		status.set('disconnected', 'disconnect');
+		callback(null);
+	}
+	closed();
+}
+
+
+/* watchStore keeps track of the status of the store, which is
+ * connected once opened and disconnected once closed, and
+ * notifies the status listeners.
+ * */
+function watchStore(store, statusListeners){
+	var current = {path : store.path, status : 'connecting'};
+	var status = {
+		current : current,
+		notify : function (event, err) {
+			statusListeners.forEach(function (listener) {
+				listener(event, Object.assign({}, current), err);
+			});
+		},
+		set : function (value, event) {
+			current.status = value;
+			status.notify(event);
+		}
+	};
+	process.nextTick(function () {
+		if(current.status === 'connecting') {
+			status.set('connected', 'connect');
+		}
+	});
+	return status;
+}
+
+
+module.exports = function (path, compactThreshold) {
+	var store = openStore(path, compactThreshold);
+	var statusListeners = [];
+	var status = watchStore(store, statusListeners);
+	var subscriber = [];
+	var methods = {};
+
+	methods.setObject = setObject.bind(null, store, status);
+	methods.getObject = getObject.bind(null, store);
+	methods.delObject = delObject.bind(null, store, status);
+	methods.incrObject = incrObject.bind(null, store, status);
+	methods.setHashObject = setHashObject.bind(null, store, status);
+	methods.setHashObjectIfNotExists = setHashObjectIfNotExists.bind(null, store, status);
+	methods.getHashObject = getHashObject.bind(null, store);
+	methods.getHashKey = getHashKey.bind(null, store);
+	methods.getHashAll = getHashAll.bind(null, store);
+	methods.deleteHashKey = deleteHashKey.bind(null, store, status);
+	methods.pushListObject = pushListObject.bind(null, store, status);
+	methods.appendListObject = appendListObject.bind(null, store, status);
+	methods.removeListObject = removeListObject.bind(null, store, status);
+	methods.removeLastListObject = removeLastListObject.bind(null, store, status);
+	methods.watchKeys = watchKeys.bind(null, store);
+	methods.runTransaction = runTransaction.bind(null, store, status);
+	methods.getListObject = getListObject.bind(null, store);
+	methods.getListLength = getListLength.bind(null, store);
+	methods.getListRange = getListRange.bind(null, store);
+	methods.scanHash = scanHash.bind(null, store);
+	methods.findKeys = findKeys.bind(null, store);
+	methods.repairHash = repairNothing;
+	methods.repairList = repairNothing;
+	methods.repairCounter = repairNothing;
+	methods.createBlockingClient = createBlockingClient.bind(null, store, status);
+	methods.publishObject = publishObject.bind(null, store);
+	methods.subscribeChannel = subscribeChannel.bind(null, store, subscriber);
+	methods.unsubscribeChannel = unsubscribeChannel.bind(null, store, subscriber);
+	methods.getConnectionStatus = function () {
+		return [Object.assign({}, status.current)];
+	};
+	methods.onStatusChange = function (listener) {
+		statusListeners.push(listener);
+	};
+	methods.quit = quit.bind(null, store, status, subscriber);
+
+	return methods;
+};
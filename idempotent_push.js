@@ -0,0 +1,187 @@
+/* jshint node: true */
+/* jshint esnext: true */
+'use strict';
+
+const async = require('async');
+const queueKeys = require('./queue_keys');
+const queueStats = require('./queue_stats');
+const recordExpiry = require('./record_expiry');
+const VersionConflictError = require('./QueueError').VersionConflictError;
+
+/**
+* A push carrying an idempotency key is written once within the deduplication window of its identifier, the pushes of the same idempotency key within the window being reported as duplicates instead of being written again.
+* Every idempotency key is claimed in the idempotency hash of the identifier along with the time its window ends, the claim being released if the push is not written so that it can be retried, and the ended windows being swept along with the expired records.
+* The records stored by key hold a version, which every push of the key increments, kept along with their push time. A compare-and-set push is written only if the key is still at the version it expects, the pushes racing from the same version being told apart by claiming the version before checking it.
+**/
+
+/**
+* Number of milliseconds after which the version claimed by a compare-and-set push which did not release it, like a push interrupted by a crash, is taken back.
+**/
+const updateTimeout = 30000;
+
+/**
+* Checks if the stored claim has ended, the claims which are not in the specified format being taken as ended.
+* @param {String} claim The stored claim holding the time it ends.
+**/
+function claimEnded(claim) {
+    try {
+        let parsed = JSON.parse(claim);
+        return !(parsed && typeof parsed.endsAt === "number" && parsed.endsAt > Date.now());
+    } catch (err) {
+        return true;
+    }
+}
+
+/**
+* Claims the idempotency key of the push for the deduplication window, unless a push of the same idempotency key was written within the window.
+* @param {Object} connection The store connection.
+* @param {String} identifier Group category name.
+* @param {String} idempotencyKey The idempotency key of the push.
+* @param {String} key The key of the pushed record.
+* @param {Number} window The deduplication window of the identifier in milliseconds.
+* @param {cb} callback The callback that handles the response with true if the push is a duplicate.
+* @param {Boolean} [retried] True once the ended claim of the idempotency key has been deleted.
+**/
+function claimIdempotencyKey(connection, identifier, idempotencyKey, key, window, callback, retried) {
+    let hashName = queueKeys.idempotencyQueueName(identifier);
+    connection.setHashObjectIfNotExists(hashName, idempotencyKey, JSON.stringify({key : key, endsAt : Date.now() + window}), (err, created) => {
+        if(err || created) {
+            return callback(err, false);
+        }
+        connection.getHashObject(hashName, idempotencyKey, (err, claim) => {
+            if(err) {
+                return callback(err, false);
+            } else if(retried || (claim && !claimEnded(claim))) {
+                return callback(null, true);
+            }
+            connection.deleteHashKey(hashName, idempotencyKey, (err) => {
+                if(err) {
+                    return callback(err, false);
+                }
+                claimIdempotencyKey(connection, identifier, idempotencyKey, key, window, callback, true);
+            });
+        });
+    });
+}
+
+/**
+* Releases the idempotency key of the push which was not written, a failure to release it is not reported as the claim ends with its window.
+* @param {Object} connection The store connection.
+* @param {String} identifier Group category name.
+* @param {String} idempotencyKey The idempotency key of the push.
+* @param {cb} callback The callback that handles the response.
+**/
+function releaseIdempotencyKey(connection, identifier, idempotencyKey, callback) {
+    connection.deleteHashKey(queueKeys.idempotencyQueueName(identifier), idempotencyKey, () => callback(null));
+}
+
+/**
+* Deletes the idempotency keys of the identifier whose deduplication window has ended.
+* @param {Object} connection The store connection.
+* @param {String} identifier Group category name.
+* @param {cb} callback The callback that handles the response with the number of deleted idempotency keys.
+**/
+function purgeIdempotencyKeys(connection, identifier, callback) {
+    let hashName = queueKeys.idempotencyQueueName(identifier);
+    connection.getHashAll(hashName, (err, claims) => {
+        if(err || !claims) {
+            return callback(err, 0);
+        }
+        let ended = Object.keys(claims).filter((idempotencyKey) => claimEnded(claims[idempotencyKey]));
+        async.eachSeries(ended, (idempotencyKey, asyncEachCallback) => {
+            connection.deleteHashKey(hashName, idempotencyKey, (err) => asyncEachCallback(err));
+        }, (err) => {
+            callback(err, err ? 0 : ended.length);
+        });
+    });
+}
+
+/**
+* Retrieves the current version of the key, 0 if the key is not queued.
+* @param {Object} connection The store connection.
+* @param {String} identifier Group category name.
+* @param {String} key Unique identifier under the specific group.
+* @param {cb} callback The callback that handles the response.
+**/
+function readVersion(connection, identifier, key, callback) {
+    queueStats.readPushInfo(connection, identifier, key, (err, pushInfo) => {
+        callback(err, err ? null : (pushInfo.version || 0));
+    });
+}
+
+/**
+* Claims the version the compare-and-set push expects and checks that the key is still at this version.
+* @param {Object} connection The store connection.
+* @param {String} identifier Group category name.
+* @param {String} key Unique identifier under the specific group.
+* @param {Number} version The version expected by the push, 0 if the key is expected not to be queued.
+* @param {cb} callback The callback that handles the response, failing with a VersionConflictError if the key is at another version or if the version is claimed by another push.
+* @param {Boolean} [retried] True once the claim left by an interrupted push has been taken back.
+**/
+function claimVersion(connection, identifier, key, version, callback, retried) {
+    let hashName = queueKeys.updatesQueueName(identifier);
+    let field = JSON.stringify([key, version]);
+    connection.setHashObjectIfNotExists(hashName, field, JSON.stringify({endsAt : Date.now() + updateTimeout}), (err, created) => {
+        if(err) {
+            return callback(err);
+        } else if(created) {
+            return readVersion(connection, identifier, key, (err, currentVersion) => {
+                if(err || currentVersion === version) {
+                    return err ? releaseVersion(connection, identifier, key, version, () => callback(err)) : callback(null);
+                }
+                releaseVersion(connection, identifier, key, version, () => {
+                    callback(new VersionConflictError(`The key '${key}' is at the version ${currentVersion} instead of ${version}`, currentVersion, {identifier : identifier, key : key}));
+                });
+            });
+        }
+        connection.getHashObject(hashName, field, (err, claim) => {
+            if(err) {
+                return callback(err);
+            } else if(!retried && (!claim || claimEnded(claim))) {
+                return connection.deleteHashKey(hashName, field, (err) => {
+                    return err ? callback(err) : claimVersion(connection, identifier, key, version, callback, true);
+                });
+            }
+            readVersion(connection, identifier, key, (err, currentVersion) => {
+                callback(err || new VersionConflictError(`The key '${key}' is being updated from the version ${version} by another push`, currentVersion, {identifier : identifier, key : key}));
+            });
+        });
+    });
+}
+
+/**
+* Releases the version claimed by the compare-and-set push once written or failed, a failure to release it is not reported as the claim is taken back once timed out.
+* @param {Object} connection The store connection.
+* @param {String} identifier Group category name.
+* @param {String} key Unique identifier under the specific group.
+* @param {Number} version The version claimed by the push.
+* @param {cb} callback The callback that handles the response.
+**/
+function releaseVersion(connection, identifier, key, version, callback) {
+    connection.deleteHashKey(queueKeys.updatesQueueName(identifier), JSON.stringify([key, version]), () => callback(null));
+}
+
+/**
+* Stores the value of the key in the hash of the identifier unless the key is already queued, the expired record of the key being purged first.
+* @param {Object} connection The store connection.
+* @param {String} identifier Group category name.
+* @param {String} key Unique identifier under the specific group.
+* @param {String} value The encoded value of the record.
+* @param {cb} callback The callback that handles the response with true if the value was stored.
+**/
+function storeIfNotExists(connection, identifier, key, value, callback) {
+    recordExpiry.purgeQueue(connection, identifier, false, (err) => {
+        if(err) {
+            return callback(err, false);
+        }
+        connection.setHashObjectIfNotExists(identifier, key, value, (err, created) => callback(err, !!created));
+    });
+}
+
+module.exports.claimIdempotencyKey = claimIdempotencyKey;
+module.exports.releaseIdempotencyKey = releaseIdempotencyKey;
+module.exports.purgeIdempotencyKeys = purgeIdempotencyKeys;
+module.exports.readVersion = readVersion;
+module.exports.claimVersion = claimVersion;
+module.exports.releaseVersion = releaseVersion;
+module.exports.storeIfNotExists = storeIfNotExists;
@@ -3,11 +3,62 @@
 'use strict';
 
 const async = require('async');
-const moment = require('moment');
+const EventEmitter = require('events');
 const config = require('./config');
 const validator = require('sanitation');
-const redisOperation = require('./redis_io');
+const storeAdapters = require('./store_adapters');
 const ValidQueueFields = require('./ValidateStoreFields');
+const queueKeys = require('./queue_keys');
+const QueueConsumer = require('./QueueConsumer');
+const QueueIterator = require('./QueueIterator');
+const QueueTransaction = require('./QueueTransaction');
+const QueueMetrics = require('./QueueMetrics');
+const orderedQueue = require('./ordered_queue');
+const QueueError = require('./QueueError');
+const ValidationError = QueueError.ValidationError;
+const UnregisteredIdentifierError = QueueError.UnregisteredIdentifierError;
+const UnregisteredTargetTypeError = QueueError.UnregisteredTargetTypeError;
+const InvalidStoreError = QueueError.InvalidStoreError;
+const InvalidRecordError = QueueError.InvalidRecordError;
+const ClosedError = QueueError.ClosedError;
+const recordExpiry = require('./record_expiry');
+const deadLetter = require('./dead_letter');
+const queuePages = require('./queue_pages');
+const valueSchema = require('./value_schema');
+const valueCodec = require('./value_codec');
+const readResults = require('./read_results');
+const serviceRegistry = require('./service_registry');
+const queueStats = require('./queue_stats');
+const scheduledDelivery = require('./scheduled_delivery');
+const recordPriority = require('./record_priority');
+const idempotentPush = require('./idempotent_push');
+const stagedWrites = require('./staged_writes');
+const metricsEndpoint = require('./metrics_endpoint');
+
+/**
+* Number of milliseconds between the sweeps deleting the expired records of the registered identifiers.
+**/
+const expirySweepInterval = 60000;
+
+/**
+* Number of milliseconds between the promotions of the due scheduled records of the registered identifiers.
+**/
+const promotionInterval = 1000;
+
+/**
+* Number of records of a batch processed at once, the commands of the records processed together are pipelined to the store.
+**/
+const batchConcurrency = 100;
+
+/**
+* Number of records of a page read from the queue when the count is not passed.
+**/
+const pageCount = 100;
+
+/**
+* Number of times the transaction of a store is prepared and run again once the keys it read are written by another client in the meantime.
+**/
+const transactionRetries = 3;
 
 /**
 * Defines the handlers for pushing and retrieving the data from the queue, default constructor is used for initialization of the instance variable during instantiation of a class.
@@ -16,330 +67,2470 @@ const ValidQueueFields = require('./ValidateStoreFields');
 class QueueHandler extends ValidQueueFields {
     
     /**
-    * @callback cb Method to be called on complete.
+    * @callback cb Method to be called on complete.
+    **/
+    
+    /**
+    * @callback messageHandler Method to be called for every claimed record.
+    * @param {Object} record The claimed record holding the identifier, key, value, store and the target type.
+    * @param {cb} ack The callback to be called once processed, the record is put back to the queue if called with an error.
+    * @returns {Promise} [result] The record is acknowledged once the promise is resolved, or put back to the queue if rejected, when returned instead of calling ack.
+    **/
+    
+    constructor(connectionConfig) {
+        super();
+        if (!connectionConfig || typeof connectionConfig !== "object" || connectionConfig instanceof Array || Object.keys(connectionConfig).length === 0) {
+            throw new ValidationError(`'Connection config' is either missing or not in the specified format`);
+        }
+        let normalized = this.normalizeIdentifierSet(connectionConfig);
+        if(normalized.errorMsg) {
+            throw new ValidationError(normalized.errorMsg);
+        }
+        let validation = validator.paramsValidator(normalized.connectionConfig, config.constructor.schema.elements, config.constructor.schema.mandatory_elements, config.constructor.schema.blank_value);
+        if(!validation.success) {
+            throw new ValidationError(validation.response.errorMsg);
+        } else if (Object.keys(validation.elements).length === 0) {
+            throw new ValidationError(`Minimum one valid queue store is required`);
+        }
+        for(let serviceStore in validation.elements) {
+            let invalidStoreConfig = storeAdapters.validateConfig(serviceStore, validation.elements[serviceStore]);
+            if(invalidStoreConfig) {
+                throw new ValidationError(invalidStoreConfig);
+            }
+        }
+        this.connectionHandler = {};
+        this.events = new EventEmitter();
+        this.readyState = 'registering';
+        this.registrationError = null;
+        this.waitingOperations = [];
+        this.consumers = [];
+        this.subscriptions = [];
+        this.expirySweeper = null;
+        this.promoter = null;
+        this.metrics = new QueueMetrics();
+        async.eachOf(validation.elements, (value, serviceStore, asyncEachCallback) => {
+            let storeHandler = {
+                store : serviceStore,
+                connection : storeAdapters.createConnection(serviceStore, value),
+                serviceName : value.serviceName,
+                identifierSet : [],
+                targetTypes : (value.targetTypes || []).map((targetType) => targetType.trim()).filter((targetType) => targetType !== ""),
+                identifierOptions : normalized.identifierOptions[serviceStore] || {}
+            };
+            this.connectionHandler[serviceStore] = storeHandler;
+            storeHandler.connection.onStatusChange((event, status, err) => {
+                this.emitStatus(serviceStore, event, status, err);
+            });
+            async.each(value.identifierSet, (identifierName, innerAsyncEachCallback) => {
+                if(identifierName.trim() === "") {
+                    return innerAsyncEachCallback(null);
+                }
+                storeHandler.identifierSet.push(identifierName.trim());
+                serviceRegistry.register(storeHandler.connection, value.serviceName, identifierName.trim(), storeHandler.targetTypes, innerAsyncEachCallback);
+            }, (err) => {
+                asyncEachCallback(err);
+            });
+        }, (err) => {
+            /**
+            * Deferred so that the listeners attached right after the instantiation receive the outcome of the registration.
+            **/
+            process.nextTick(() => this.registered(err));
+        });
+    }
+    
+    /**
+    * Marks the handler as ready once the service is registered for all the identifiers, or as failed, and runs the operations waiting for the registration.
+    * @param {Error|String} [err] The error raised while registering the service.
+    **/
+    registered (err) {
+        if(this.readyState === 'closed') {
+            return;
+        } else if(err) {
+            this.readyState = 'failed';
+            this.registrationError = QueueError.from(err);
+            this.emitError(this.registrationError);
+        } else {
+            this.readyState = 'ready';
+            this.expirySweeper = setInterval(() => this.sweepExpired(), expirySweepInterval);
+            this.expirySweeper.unref();
+            this.promoter = setInterval(() => this.promoteAllScheduled(), promotionInterval);
+            this.promoter.unref();
+            this.events.emit('ready');
+        }
+        this.waitingOperations.splice(0).forEach((operation) => operation(this.registrationError));
+    }
+    
+    /**
+    * Calls back once the handler is ready, or with the registration error if the registration failed.
+    * @param {cb} callback The callback that handles the response.
+    **/
+    whenReady (callback) {
+        if(this.readyState === 'registering') {
+            return this.waitingOperations.push(callback);
+        }
+        callback(this.registrationError);
+    }
+    
+    /**
+    * Waits for the service to be registered with all the stores for all the identifiers.
+    * The operations called before are queued and run once the handler is ready, or fail with the registration error.
+    * @param {cb} [callback] The callback that handles the response, a promise of the response is returned if not passed.
+    **/
+    ready (callback) {
+        return this.respond((done) => done(null, this), callback);
+    }
+    
+    /**
+    * Stops all the consumers started by the handler and closes its connections to the stores, the operations called afterwards fail.
+    * @param {cb} [callback] The callback that handles the response, a promise of the response is returned if not passed.
+    **/
+    close (callback) {
+        if(callback === undefined) {
+            return new Promise((resolve, reject) => {
+                this.close((err) => {
+                    if(err) {
+                        return reject(QueueError.from(err));
+                    }
+                    resolve();
+                });
+            });
+        }
+        this.readyState = 'closed';
+        clearInterval(this.expirySweeper);
+        clearInterval(this.promoter);
+        this.subscriptions = [];
+        this.registrationError = new ClosedError(`The queue handler is closed`);
+        this.waitingOperations.splice(0).forEach((operation) => operation(this.registrationError));
+        async.series([
+            (seriesCallback) => {
+                async.each(this.consumers.splice(0), (consumer, asyncEachCallback) => {
+                    consumer.stop(() => asyncEachCallback(null));
+                }, seriesCallback);
+            },
+            (seriesCallback) => {
+                async.eachOf(this.connectionHandler, (value, serviceStore, asyncEachCallback) => {
+                    value.connection.quit(asyncEachCallback);
+                }, seriesCallback);
+            }
+        ], (err) => {
+            callback(err || null);
+        });
+    }
+    
+    /**
+    * Returns the current status of the connections of every store, each holding the host, port and status which can be 'connecting', 'connected', 'reconnecting' or 'disconnected'.
+    **/
+    connectionStatus () {
+        let status = {};
+        for(let serviceStore in this.connectionHandler) {
+            status[serviceStore] = this.connectionHandler[serviceStore].connection.getConnectionStatus();
+        }
+        return status;
+    }
+    
+    /**
+    * Returns the health of the handler, which is healthy only if every connection of every store is connected, along with the status of the connections.
+    **/
+    healthCheck () {
+        let status = this.connectionStatus();
+        let healthy = this.readyState === 'ready' && Object.keys(status).every((serviceStore) => status[serviceStore].every((connection) => connection.status === 'connected'));
+        return {healthy : healthy, stores : status};
+    }
+    
+    /**
+    * Returns the listener of the requests of an http server, serving the stats of all the registered identifiers in the Prometheus text format on '/metrics' and the health of the handler on '/health'.
+    * The health is served as json with the status 200 if healthy or 503 otherwise.
+    **/
+    metricsHandler () {
+        return metricsEndpoint.createRequestHandler(this);
+    }
+    
+    /**
+    * Registers the listener for the events of the handler, which are 'ready', 'error', 'connect', 'reconnecting' and 'disconnect'.
+    * The connection events are emitted with the store name, host and port of the connection.
+    * @param {String} event The name of the event.
+    * @param {Function} listener The method to be called on the event.
+    **/
+    on (event, listener) {
+        this.events.on(event, listener);
+        return this;
+    }
+    
+    /**
+    * Registers the listener to be called only for the next occurrence of the event.
+    * @param {String} event The name of the event.
+    * @param {Function} listener The method to be called on the event.
+    **/
+    once (event, listener) {
+        this.events.once(event, listener);
+        return this;
+    }
+    
+    /**
+    * Removes the listener of the event.
+    * @param {String} event The name of the event.
+    * @param {Function} listener The method registered for the event.
+    **/
+    removeListener (event, listener) {
+        this.events.removeListener(event, listener);
+        return this;
+    }
+    
+    /**
+    * Emits the change of the connection status of the store, along with the error raised by the connection if any.
+    * @param {String} serviceStore The name of the queue store.
+    * @param {String} event The name of the event, which is either 'connect', 'reconnecting', 'disconnect' or 'error'.
+    * @param {Object} status Holds the host, port and the status of the connection.
+    * @param {Error} [err] The error raised by the connection.
+    **/
+    emitStatus (serviceStore, event, status, err) {
+        if(event === 'error') {
+            return this.emitError(err);
+        }
+        this.events.emit(event, Object.assign({store : serviceStore}, status));
+    }
+    
+    /**
+    * Emits the error only if it is being listened, so that an unhandled error event does not crash the process.
+    * @param {Error} err The error to be emitted.
+    **/
+    emitError (err) {
+        if(this.events.listenerCount('error') !== 0) {
+            this.events.emit('error', err);
+        }
+    }
+    
+    /**
+    * Runs the operation once the handler is ready and hands over its response to the callback, or returns a promise of the response if the callback is not passed.
+    * Both the callback and the promise receive the errors as queue errors carrying the code along with the identifier and key of the queue data.
+    * @param {Function} operation The method to be called with the callback receiving the response.
+    * @param {cb} [callback] The callback that handles the response.
+    * @param {Object} [queueData] The inputs of the operation, giving the context of the errors.
+    **/
+    respond (operation, callback, queueData) {
+        let readyOperation = (done) => {
+            this.whenReady((err) => {
+                if(err) {
+                    return done(QueueError.from(err));
+                }
+                operation((err, result) => {
+                    done(err ? QueueError.from(err, queueData) : null, result);
+                });
+            });
+        };
+        if(callback === undefined) {
+            return new Promise((resolve, reject) => {
+                readyOperation((err, result) => {
+                    if(err) {
+                        return reject(err);
+                    }
+                    resolve(result);
+                });
+            });
+        } else if (typeof callback !== "function") {
+            throw new ValidationError(`Callback must be a function`);
+        }
+        readyOperation(callback);
+    }
+    
+    /**
+    * Returns the callback counting the operation of the identifier, or its error against the stores the error was raised for, before handing over the response to the callback.
+    * The operations of the identifiers which are not registered are not counted.
+    * @param {String} operation Either 'push', 'read' or 'delete'.
+    * @param {Object} queueData The inputs of the operation.
+    * @param {cb} callback The callback that handles the response.
+    **/
+    metered (operation, queueData, callback) {
+        return (err, result) => {
+            let identifier = queueData && queueData.identifier;
+            if(this.registeredIdentifiers().indexOf(identifier) !== -1) {
+                if(err) {
+                    this.metrics.recordError(identifier, this.errorStores(err, queueData));
+                } else {
+                    this.metrics.recordOperation(identifier, operation);
+                }
+            }
+            callback(err, result);
+        };
+    }
+    
+    /**
+    * Returns the names of the stores the error was raised for, which are the stores requested by the operation when the error does not carry its store.
+    * @param {Error} err The error raised by the operation.
+    * @param {Object} queueData The inputs of the operation.
+    **/
+    errorStores (err, queueData) {
+        if(err && typeof err.store === "string") {
+            return [err.store];
+        }
+        return Object.keys(this.connectionHandler).filter((serviceStore) => !(queueData.store instanceof Array) || queueData.store.indexOf(serviceStore.toLowerCase()) !== -1);
+    }
+    
+    /**
+    * Returns the identifiers registered with any of the stores.
+    **/
+    registeredIdentifiers () {
+        let identifiers = [];
+        for(let serviceStore in this.connectionHandler) {
+            this.connectionHandler[serviceStore].identifierSet.forEach((identifier) => {
+                if(identifiers.indexOf(identifier) === -1) {
+                    identifiers.push(identifier);
+                }
+            });
+        }
+        return identifiers.sort();
+    }
+    
+    /**
+    * Returns the names of the hashes holding the records addressed to the listener for the specific identifier.
+    * The listener without any target type reads the complete identifier, otherwise only its own target copies.
+    * @param {Object} queueData Holds the inputs based on which the records are to be processed.
+    * @param {String} queueData.identifier Group category name.
+    * @param {Array} [queueData.targetType] The target names, defaults to the ones registered by the listener.
+    * @param {Object} storeHandler The connection handler of the specific store.
+    **/
+    targetQueues (queueData, storeHandler) {
+        let targetType = queueData.targetType || storeHandler.targetTypes;
+        if(targetType.length === 0) {
+            return [queueData.identifier];
+        }
+        return targetType.map((target) => queueKeys.targetQueueName(queueData.identifier, target));
+    }
+    
+    /**
+    * Returns the options of the identifier registered with the store along with the defaults.
+    * @param {Object} storeHandler The connection handler of the specific store.
+    * @param {String} identifier Group category name.
+    **/
+    identifierOptions (storeHandler, identifier) {
+        let options = storeHandler.identifierOptions[identifier] || {};
+        return {
+            ordered : options.ordered === true,
+            duplicateKey : options.duplicateKey || 'append',
+            ttl : options.ttl || null,
+            maxAttempts : options.maxAttempts || 5,
+            maxWait : options.maxWait || null,
+            schema : options.schema || null,
+            codec : options.codec || null,
+            dedupWindow : options.dedupWindow || 300000,
+            validateReads : options.validateReads === true
+        };
+    }
+    
+    /**
+    * Validates the value of the record pushed to the identifier against the schema registered with every store the record is pushed to.
+    * @param {Object} queueData Holds the pushed record.
+    * @returns {Error} The validation error holding the errors of every field failing the schema, or null if the value conforms to the schemas.
+    **/
+    validatePushedValue (queueData) {
+        for(let serviceStore in this.connectionHandler) {
+            let storeHandler = this.connectionHandler[serviceStore];
+            if((queueData.store !== undefined && queueData.store.indexOf(serviceStore.toLowerCase()) === -1) || storeHandler.identifierSet.indexOf(queueData.identifier) === -1) {
+                continue;
+            }
+            let schema = this.identifierOptions(storeHandler, queueData.identifier).schema;
+            let errors = schema ? valueSchema.validate(schema, queueData.value) : [];
+            if(errors.length) {
+                let err = new ValidationError(`The value does not conform to the schema of the '${queueData.identifier}' identifier, ${errors.map((error) => error.message).join(', ')}`, {store : serviceStore});
+                err.errors = errors;
+                return err;
+            }
+        }
+        return null;
+    }
+    
+    /**
+    * Validates the values of the records read from the store against the schema of the identifier, if the identifier is registered to validate its reads.
+    * @param {Object} storeHandler The connection handler of the specific store.
+    * @param {String} identifier Group category name.
+    * @param {Array} records The records read, each one holding the key and the value as stored.
+    * @returns {Error} The error of the first record failing the schema, holding the errors of its fields, or null if all the records conform to the schema.
+    **/
+    validateReadValues (storeHandler, identifier, records) {
+        let options = this.identifierOptions(storeHandler, identifier);
+        if(!options.validateReads) {
+            return null;
+        }
+        for(let record of records) {
+            let value;
+            try {
+                value = JSON.parse(record.value);
+            } catch (err) {
+                value = record.value;
+            }
+            let errors = valueSchema.validate(options.schema, value);
+            if(errors.length) {
+                let err = new InvalidRecordError(`The record of the '${record.key}' key does not conform to the schema of the '${identifier}' identifier, ${errors.map((error) => error.message).join(', ')}`, {identifier : identifier, key : record.key, store : storeHandler.store});
+                err.errors = errors;
+                return err;
+            }
+        }
+        return null;
+    }
+    
+    /**
+    * Decodes the values of the records read from the store with the codec of the identifier, so that the reads return the values as they were pushed.
+    * @param {Object} storeHandler The connection handler of the specific store.
+    * @param {String} identifier Group category name.
+    * @param {Array} records The records read, each one holding the key and the value as stored.
+    * @param {cb} callback The callback that handles the response with the copies of the records holding the decoded values, or the error of the first record which cannot be decoded.
+    **/
+    decodeRecords (storeHandler, identifier, records, callback) {
+        let codec = this.identifierOptions(storeHandler, identifier).codec;
+        let decoded = [];
+        for(let record of records) {
+            try {
+                decoded.push(Object.assign({}, record, {value : valueCodec.decode(codec, record.value)}));
+            } catch (err) {
+                return callback(QueueError.from(err, {identifier : identifier, key : record.key, store : storeHandler.store}), null);
+            }
+        }
+        callback(null, decoded);
+    }
+    
+    /**
+    * Promotes the due scheduled records of the specific identifier to the queue, then deletes the expired records addressed to the listener.
+    * @param {Object} queueData Holds the inputs based on which the records are to be processed.
+    * @param {Object} storeHandler The connection handler of the specific store.
+    * @param {cb} callback The callback that handles the response with the number of purged records.
+    **/
+    refreshQueues (queueData, storeHandler, callback) {
+        this.promoteScheduled(storeHandler, queueData.identifier, (err) => {
+            if(err) {
+                return callback(err, 0);
+            }
+            recordExpiry.purgeQueues(storeHandler.connection, this.targetQueues(queueData, storeHandler), this.identifierOptions(storeHandler, queueData.identifier).ordered, callback);
+        });
+    }
+    
+    /**
+    * Promotes the due scheduled records and deletes the expired records addressed to the listener only once for all the reads of the batch, the reads of the same queues wait for the purge in progress.
+    * @param {Object} queueData Holds the inputs based on which the records are to be processed.
+    * @param {Object} storeHandler The connection handler of the specific store.
+    * @param {Object} batch Holds the purges of the batch by store and queues.
+    * @param {cb} callback The callback that handles the response.
+    **/
+    refreshQueuesOnce (queueData, storeHandler, batch, callback) {
+        let purgeKey = JSON.stringify([storeHandler.store].concat(this.targetQueues(queueData, storeHandler)));
+        let purge = batch.purges[purgeKey];
+        if(!purge) {
+            purge = batch.purges[purgeKey] = {done : false, err : null, waiting : []};
+            this.refreshQueues(queueData, storeHandler, (err) => {
+                purge.done = true;
+                purge.err = err || null;
+                purge.waiting.splice(0).forEach((waiting) => waiting(purge.err));
+            });
+        }
+        if(purge.done) {
+            return callback(purge.err);
+        }
+        purge.waiting.push(callback);
+    }
+    
+    /**
+    * Promotes the due scheduled records of the identifier to the queue of the store, as if they were pushed now by the service which scheduled them.
+    * A record failing to be promoted is scheduled again to be promoted later, apart from the duplicate key rejected by an ordered identifier which is dropped along with an error event.
+    * A record which cannot be decoded is scheduled again along with an error event, without failing the promotion of the other records.
+    * @param {Object} storeHandler The connection handler of the specific store.
+    * @param {String} identifier Group category name.
+    * @param {cb} callback The callback that handles the response.
+    **/
+    promoteScheduled (storeHandler, identifier, callback) {
+        scheduledDelivery.claimDue(storeHandler.connection, identifier, (err, records) => {
+            if(err) {
+                return callback(err);
+            }
+            async.eachSeries(records, (record, asyncEachCallback) => {
+                let reschedule = (err) => {
+                    scheduledDelivery.scheduleRecord(storeHandler.connection, identifier, record.key, {value : record.value, deliverAt : record.deliverAt, ttl : record.ttl, priority : record.priority, producer : record.producer}, () => asyncEachCallback(err));
+                };
+                let value = record.value;
+                if(typeof value === "string") {
+                    try {
+                        value = JSON.parse(valueCodec.decode(this.identifierOptions(storeHandler, identifier).codec, value));
+                    } catch (err) {
+                        this.emitError(QueueError.from(err, {identifier : identifier, key : record.key, store : storeHandler.store}));
+                        return reschedule(null);
+                    }
+                }
+                let queueData = {identifier : identifier, key : record.key, value : value, ttl : record.ttl, priority : record.priority};
+                this.storeRecord(queueData, storeHandler, (err) => {
+                    if(err instanceof QueueError.DuplicateKeyError) {
+                        this.emitError(err.addContext({store : storeHandler.store}));
+                        return asyncEachCallback(null);
+                    } else if(err) {
+                        return reschedule(err);
+                    }
+                    asyncEachCallback(null);
+                }, {producer : record.producer});
+            }, callback);
+        });
+    }
+    
+    /**
+    * Promotes the due scheduled records of all the registered identifiers, so that the consumers waiting for the records claim them once due.
+    **/
+    promoteAllScheduled () {
+        async.eachOf(this.connectionHandler, (value, serviceStore, asyncEachCallback) => {
+            async.eachSeries(value.identifierSet, (identifier, innerAsyncEachCallback) => {
+                this.promoteScheduled(value, identifier, innerAsyncEachCallback);
+            }, asyncEachCallback);
+        }, (err) => {
+            if(err) {
+                this.emitError(QueueError.from(err));
+            }
+        });
+    }
+    
+    /**
+    * Deletes the expired records of all the queues of the registered identifiers, including the target copies addressed to the other listeners, along with the idempotency keys whose deduplication window has ended.
+    **/
+    sweepExpired () {
+        async.eachOf(this.connectionHandler, (value, serviceStore, asyncEachCallback) => {
+            async.eachSeries(value.identifierSet, (identifier, innerAsyncEachCallback) => {
+                let ordered = this.identifierOptions(value, identifier).ordered;
+                value.connection.findKeys(queueKeys.targetQueuePattern(identifier), ordered ? 'list' : 'hash', (err, targetQueues) => {
+                    if(err) {
+                        return innerAsyncEachCallback(err);
+                    }
+                    let queueNames = targetQueues.filter((queueName) => ordered ? /:ordered$/.test(queueName) : !queueKeys.isBookkeepingName(queueName)).map((queueName) => ordered ? queueName.replace(/:ordered$/, '') : queueName);
+                    async.series([
+                        (seriesCallback) => recordExpiry.purgeQueues(value.connection, [identifier].concat(queueNames), ordered, seriesCallback),
+                        (seriesCallback) => idempotentPush.purgeIdempotencyKeys(value.connection, identifier, seriesCallback)
+                    ], (err) => innerAsyncEachCallback(err));
+                });
+            }, asyncEachCallback);
+        }, (err) => {
+            if(err) {
+                this.emitError(QueueError.from(err));
+            }
+        });
+    }
+    
+    /**
+    * Retrieves the distinct keys from all the hashes holding the records addressed to the listener.
+    * @param {Object} queueData Holds the inputs based on which the keys are to be fetched.
+    * @param {Object} storeHandler The connection handler of the specific store.
+    * @param {cb} callback The callback that handles the response.
+    **/
+    readTargetKeys (queueData, storeHandler, callback) {
+        if(this.identifierOptions(storeHandler, queueData.identifier).ordered) {
+            return orderedQueue.readKeys(storeHandler.connection, this.targetQueues(queueData, storeHandler), callback);
+        }
+        async.mapSeries(this.targetQueues(queueData, storeHandler), (queueName, mapCallback) => {
+            storeHandler.connection.getHashKey(queueName, mapCallback);
+        }, (err, keyLists) => {
+            if(err) {
+                return callback(err, null);
+            }
+            let keys = new Set();
+            keyLists.forEach((keyList) => {
+                (keyList || []).forEach((name) => keys.add(name));
+            });
+            callback(null, Array.from(keys));
+        });
+    }
+    
+    /**
+    * Retrieves the distinct records from all the hashes holding the records addressed to the listener, with a single read per hash along with the push times of the hash.
+    * The record of a key held by several hashes is read from the first one, as done by readFromQueue, the records being sorted from the highest priority to the lowest.
+    * @param {Object} queueData Holds the inputs based on which the records are to be fetched.
+    * @param {Object} storeHandler The connection handler of the specific store.
+    * @param {cb} callback The callback that handles the response holding the key, decoded value, push time, producer and version of every record.
+    **/
+    readTargetRecords (queueData, storeHandler, callback) {
+        async.mapSeries(this.targetQueues(queueData, storeHandler), (queueName, mapCallback) => {
+            async.parallel([
+                (parallelCallback) => storeHandler.connection.getHashAll(queueName, parallelCallback),
+                (parallelCallback) => queueStats.readPushInfos(storeHandler.connection, queueName, parallelCallback)
+            ], mapCallback);
+        }, (err, hashes) => {
+            if(err) {
+                return callback(err, null);
+            }
+            let records = [];
+            /**
+            * The push infos are held by an object without prototype, as the keys can be the names of the properties of any object.
+            **/
+            let pushInfos = Object.create(null);
+            hashes.forEach((hash) => {
+                Object.keys(hash[0] || {}).forEach((key) => {
+                    if(!pushInfos[key] && hash[0][key] && hash[0][key].length) {
+                        pushInfos[key] = hash[1][key] || {pushedAt : null, priority : 0, producer : null, version : null};
+                        records.push({key : key, value : hash[0][key], pushedAt : pushInfos[key].pushedAt, producer : pushInfos[key].producer, version : pushInfos[key].version});
+                    }
+                });
+            });
+            this.decodeRecords(storeHandler, queueData.identifier, recordPriority.sortRecords(records, pushInfos, this.identifierOptions(storeHandler, queueData.identifier).maxWait), callback);
+        });
+    }
+    
+    /**
+    * Retrieves the record of the key addressed to the listener from the store along with its push time and producer, the oldest one for the ordered identifiers, or null if the key does not exist.
+    * @param {Object} queueData Holds the identifier, key and target type of the record.
+    * @param {Object} storeHandler The connection handler of the specific store.
+    * @param {cb} callback The callback that handles the response with the key, decoded value, push time, producer and version of the record.
+    **/
+    readStoreRecord (queueData, storeHandler, callback) {
+        let decodedCallback = (err, record) => {
+            if(err || !record) {
+                return callback(err, null);
+            }
+            this.decodeRecords(storeHandler, queueData.identifier, [record], (err, records) => {
+                callback(err, records ? records[0] : null);
+            });
+        };
+        if(this.identifierOptions(storeHandler, queueData.identifier).ordered) {
+            return orderedQueue.readRecord(storeHandler.connection, this.targetQueues(queueData, storeHandler), queueData.key, (err, record) => {
+                decodedCallback(err, record && {key : record.key, value : record.value, pushedAt : record.pushedAt, producer : record.producer});
+            });
+        }
+        let value = null;
+        async.detectSeries(this.targetQueues(queueData, storeHandler), (queueName, detectCallback) => {
+            storeHandler.connection.getHashObject(queueName, queueData.key, (err, response) => {
+                if(response && response.length) {
+                    value = response;
+                }
+                detectCallback(err, !!value);
+            });
+        }, (err, queueName) => {
+            if(err || !value) {
+                return callback(err, null);
+            }
+            queueStats.readPushInfo(storeHandler.connection, queueName, queueData.key, (err, pushInfo) => {
+                decodedCallback(err, {key : queueData.key, value : value, pushedAt : pushInfo && pushInfo.pushedAt, producer : pushInfo && pushInfo.producer, version : pushInfo && pushInfo.version});
+            });
+        });
+    }
+    
+    /**
+    * Records the time the service last read the identifier from the store, a failure to record it does not fail the read.
+    * @param {Object} storeHandler The connection handler of the specific store.
+    * @param {String} identifier Group category name.
+    * @param {cb} callback The callback that handles the response.
+    **/
+    markRead (storeHandler, identifier, callback) {
+        serviceRegistry.recordActivity(storeHandler.connection, storeHandler.serviceName, identifier, 'read', () => {
+            /**
+            * Put any handler if required.
+            **/
+            callback(null);
+        });
+    }
+    
+    /**
+    * Records the time the service last wrote to the identifier in the stores which stored the record, a failure to record it does not fail the write.
+    * @param {Object} result Holds the report of the nodes of every store the record was written to.
+    * @param {String} identifier Group category name.
+    * @param {cb} callback The callback that handles the response.
+    * @param {Object} [batch] Holds the identifiers written by the batch the write belongs to, the write time is then recorded once for the whole batch.
+    **/
+    markWritten (result, identifier, callback, batch) {
+        let serviceStores = Object.keys(result).filter((serviceStore) => result[serviceStore] && result[serviceStore].succeeded.length);
+        if(batch) {
+            serviceStores.forEach((serviceStore) => {
+                batch.writes[JSON.stringify([serviceStore, identifier])] = this.connectionHandler[serviceStore];
+            });
+            return callback(null);
+        }
+        async.each(serviceStores, (serviceStore, asyncEachCallback) => {
+            let storeHandler = this.connectionHandler[serviceStore];
+            serviceRegistry.recordActivity(storeHandler.connection, storeHandler.serviceName, identifier, 'write', () => asyncEachCallback(null));
+        }, () => callback(null));
+    }
+    
+    /**
+    * Retrieves all the records of an ordered identifier addressed to the listener from the oldest to the latest, including the ones pushed with a duplicate key.
+    * @param {Object} queueData Holds the inputs based on which the records are to be fetched.
+    * @param {Object} storeHandler The connection handler of the specific store.
+    * @param {cb} callback The callback that handles the response holding the key, decoded value, push time and producer of every record.
+    **/
+    readOrderedRecords (queueData, storeHandler, callback) {
+        orderedQueue.readRecords(storeHandler.connection, this.targetQueues(queueData, storeHandler), (err, records) => {
+            if(err) {
+                return callback(err, null);
+            }
+            this.decodeRecords(storeHandler, queueData.identifier, records.map((record) => ({key : record.key, value : record.value, pushedAt : record.pushedAt, producer : record.producer})), callback);
+        });
+    }
+    
+    /**
+    * Checks if the queue is to be read by pages, which is the case when either the cursor or the count is passed.
+    * @param {Object} queueData Holds the inputs of the read.
+    **/
+    isPagedRead (queueData) {
+        return queueData.cursor !== undefined || queueData.count !== undefined;
+    }
+    
+    /**
+    * Reads the page of the records addressed to the listener following the cursor, from the single store selected for the read as the cursor belongs to one store.
+    * @param {Object} queueData Holds the inputs based on which the records are to be fetched.
+    * @param {String} [queueData.cursor] The cursor returned along with the previous page.
+    * @param {Number} [queueData.count] The number of records of the page.
+    * @param {cb} callback The callback that handles the response holding the store along with the key, decoded value, push time, producer and version of every record and the cursor of the next page, or null if no store is selected.
+    **/
+    readQueuePage (queueData, callback) {
+        if(queueData.cursor !== undefined && (typeof queueData.cursor !== "string" || queueData.cursor.trim() === "")) {
+            return callback(new ValidationError(`'Cursor' is either missing or not in the specified format`));
+        } else if (queueData.count !== undefined && !(Number.isInteger(queueData.count) && queueData.count > 0)) {
+            return callback(new ValidationError(`'Count' must have a positive integer`));
+        }
+        let serviceStores = Object.keys(this.connectionHandler).filter((serviceStore) => queueData.store === undefined || queueData.store.indexOf(serviceStore.toLowerCase()) !== -1);
+        if(serviceStores.length > 1) {
+            return callback(new ValidationError(`'Store' must hold a single store to read the queue by pages`));
+        } else if (serviceStores.length === 0) {
+            return callback(null, null);
+        }
+        let serviceStore = serviceStores[0];
+        let value = this.connectionHandler[serviceStore];
+        if(value.identifierSet.indexOf(queueData.identifier) === -1) {
+            return callback(new UnregisteredIdentifierError(serviceStore, queueData.identifier));
+        }
+        let invalidTargetType = this.validateTargetTypes(queueData.targetType, value.targetTypes, serviceStore);
+        if(invalidTargetType) {
+            return callback(new UnregisteredTargetTypeError(invalidTargetType, {store : serviceStore}));
+        }
+        let ordered = this.identifierOptions(value, queueData.identifier).ordered;
+        async.waterfall([
+            (waterfallCallback) => {
+                this.promoteScheduled(value, queueData.identifier, waterfallCallback);
+            },
+            (waterfallCallback) => {
+                queuePages.readPage(value.connection, this.targetQueues(queueData, value), ordered, queueData.cursor, queueData.count || pageCount, waterfallCallback);
+            },
+            (page, waterfallCallback) => {
+                async.mapSeries(page.records, (record, mapCallback) => {
+                    if(!record.queueName) {
+                        return mapCallback(null, record);
+                    }
+                    queueStats.readPushInfo(value.connection, record.queueName, record.key, (err, pushInfo) => {
+                        mapCallback(err, {key : record.key, value : record.value, pushedAt : pushInfo && pushInfo.pushedAt, producer : pushInfo && pushInfo.producer, version : pushInfo && pushInfo.version});
+                    });
+                }, (err, records) => waterfallCallback(err, page, records));
+            },
+            (page, records, waterfallCallback) => {
+                this.decodeRecords(value, queueData.identifier, records, (err, records) => {
+                    waterfallCallback(err, {store : serviceStore, records : records, nextCursor : page.nextCursor});
+                });
+            }
+        ], (err, page) => {
+            callback(err, err ? null : page);
+        });
+    }
+    
+    /**
+    * Publishes the notification of the pushed record on the channel of the identifier, the push is not failed if the notification could not be published.
+    * @param {Object} queueData Holds the pushed record.
+    * @param {Object} storeHandler The connection handler of the specific store.
+    * @param {Error} [err] The error raised while pushing the record, nothing is published if passed.
+    * @param {cb} callback The callback that handles the response with the error of the push.
+    **/
+    notifyRecord (queueData, storeHandler, err, callback) {
+        if(err) {
+            return callback(err);
+        }
+        let notification = {
+            identifier : queueData.identifier,
+            key : queueData.key,
+            targetType : queueData.value.targetType
+        };
+        storeHandler.connection.publishObject(queueKeys.channelName(queueData.identifier), JSON.stringify(notification), (publishErr) => {
+            if(publishErr) {
+                this.emitError(QueueError.from(publishErr));
+            }
+            callback(null);
+        });
+    }
+    
+    /**
+    * Writes the record encoded with the codec of the identifier to the queues of the store addressed by its target types and notifies it to the subscribers.
+    * The records stored by key are written with the next version of their key, unless the key is queued while the push is only to store it if not, or the key is at another version than the one the compare-and-set push expects.
+    * @param {Object} queueData Holds the record to be queued along with its time to live, as documented by pushToQueue.
+    * @param {Object} storeHandler The connection handler of the specific store.
+    * @param {cb} callback The callback that handles the response with the report of the nodes which stored the record along with the version written by the conditional pushes, marked as a duplicate if the key was already queued.
+    * @param {Object} [pushInfo] Holds the name of the service which pushed the record, defaults to the service of the store, along with the push time shared by the stores written by the push, defaults to the current time.
+    **/
+    storeRecord (queueData, storeHandler, callback, pushInfo) {
+        pushInfo = {producer : (pushInfo && pushInfo.producer) || storeHandler.serviceName, pushedAt : pushInfo && pushInfo.pushedAt};
+        let queueNames = [queueData.identifier].concat(queueData.value.targetType.map((target) => queueKeys.targetQueueName(queueData.identifier, target)));
+        let identifierOptions = this.identifierOptions(storeHandler, queueData.identifier);
+        let expiry = recordExpiry.expiresAt(queueData.ttl || identifierOptions.ttl);
+        let value = valueCodec.encode(identifierOptions.codec, queueData.value);
+        if(identifierOptions.ordered) {
+            return orderedQueue.appendRecord(storeHandler.connection, queueData.identifier, queueNames, queueData.key, value, identifierOptions.duplicateKey, expiry, pushInfo, (err, report) => {
+                this.notifyRecord(queueData, storeHandler, err, (err) => callback(err, report));
+            });
+        }
+        let versioned = queueData.version !== undefined;
+        let released = (err, report) => {
+            if(!versioned) {
+                return callback(err, report);
+            }
+            idempotentPush.releaseVersion(storeHandler.connection, queueData.identifier, queueData.key, queueData.version, () => callback(err, report));
+        };
+        async.waterfall([
+            (waterfallCallback) => {
+                if(versioned) {
+                    return idempotentPush.claimVersion(storeHandler.connection, queueData.identifier, queueData.key, queueData.version, (err) => {
+                        versioned = !err;
+                        waterfallCallback(err, queueData.version);
+                    });
+                }
+                /**
+                * A failure to read the version of an unconditional push leaves the write to report the store failure, the version of the key starting over if the write succeeds.
+                **/
+                idempotentPush.readVersion(storeHandler.connection, queueData.identifier, queueData.key, (err, currentVersion) => {
+                    waterfallCallback(err && queueData.ifNotExists ? err : null, err ? 0 : currentVersion);
+                });
+            },
+            (currentVersion, waterfallCallback) => {
+                if(!queueData.ifNotExists) {
+                    return waterfallCallback(null, currentVersion, true);
+                }
+                idempotentPush.storeIfNotExists(storeHandler.connection, queueData.identifier, queueData.key, value, (err, stored) => waterfallCallback(err, currentVersion, stored));
+            }
+        ], (err, currentVersion, stored) => {
+            if(err || !stored) {
+                return released(err, err ? null : {succeeded : [], failed : [], duplicate : true});
+            }
+            async.map(queueNames, (queueName, mapCallback) => {
+                async.series([
+                    (seriesCallback) => storeHandler.connection.setHashObject(queueName, queueData.key, value, (err, key, report) => seriesCallback(err, report)),
+                    (seriesCallback) => recordExpiry.setExpiry(storeHandler.connection, queueName, queueData.key, expiry, seriesCallback),
+                    (seriesCallback) => deadLetter.clearAttempts(storeHandler.connection, queueName, queueData.key, seriesCallback),
+                    (seriesCallback) => recordPriority.removePending(storeHandler.connection, queueName, queueData.key, seriesCallback),
+                    (seriesCallback) => queueStats.setPushTime(storeHandler.connection, queueName, queueData.key, {priority : queueData.priority, producer : pushInfo.producer, pushedAt : pushInfo.pushedAt, version : currentVersion + 1}, seriesCallback),
+                    (seriesCallback) => storeHandler.connection.pushListObject(queueKeys.pendingQueueName(queueName, queueData.priority), queueData.key, seriesCallback)
+                ], (err, results) => {
+                    mapCallback(err, results && results[0]);
+                });
+            }, (err, reports) => {
+                let report = reports ? storeAdapters.mergeReports(reports) : null;
+                if(report && (queueData.version !== undefined || queueData.ifNotExists)) {
+                    report.version = currentVersion + 1;
+                }
+                this.notifyRecord(queueData, storeHandler, err, (err) => released(err, report));
+            });
+        });
+    }
+    
+    /**
+    * Inserts the data into the queue based on group.
+    * @param {Object} queueData Holds the data to be queued. 
+    * @param {String} queueData.identifier Unique name to group all the data under specific set while storing the information for log/push/event etc. 
+    * @param {String} queueData.key Unique identifier under the specific group. 
+    * @param {Object} queueData.value The data for the unique identifier, which must conform to the schema of the identifier if any. 
+    * @param {Array} [queueData.store] The name of different connectors. 
+    * @param {Number} [queueData.ttl] The milliseconds after which the record expires, defaults to the ttl of the identifier, counted from the delivery of the scheduled records.
+    * @param {Number} [queueData.delay] The milliseconds after which the record is delivered, the record is held out of the queue until then.
+    * @param {Date|Number} [queueData.deliverAt] The time at which the record is delivered, either as a date or as milliseconds since the epoch, the record is delivered right away if the time is past.
+    * @param {String} [queueData.idempotencyKey] The key identifying the push across its retries, the pushes of the same idempotency key within the deduplication window of the identifier are reported as duplicates instead of being written again.
+    * @param {Boolean} [queueData.ifNotExists] True to only store the record if its key is not queued, the push is otherwise reported as a duplicate.
+    * @param {Number} [queueData.version] The version the key is expected to be at, 0 if the key is expected not to be queued, the push fails with a VersionConflictError if the key is at another version.
+    * @param {cb} [callback] The callback that handles the response holding the nodes of every store which succeeded and failed to store the record, a promise of the response is returned if not passed.
+    **/
+    pushToQueue (queueData, callback) {
+        return this.respond((done) => this.pushRecord(queueData, this.metered('push', queueData, done)), callback, queueData);
+    }
+    
+    /**
+    * Inserts the data into every store of the queue, as documented by pushToQueue.
+    * @param {Object} queueData Holds the inputs of the operation.
+    * @param {cb} callback The callback that handles the response.
+    * @param {Object} [batch] Holds the identifiers written by the batch the push belongs to, the write time is then recorded once for the whole batch.
+    **/
+    pushRecord (queueData, callback, batch) {
+        let validPushFields = this.validatePushFields(queueData);
+        if(validPushFields) {
+            return callback(new ValidationError(validPushFields), null);
+        }
+        let invalidValue = this.validatePushedValue(queueData);
+        if(invalidValue) {
+            return callback(invalidValue, null);
+        }
+        let result = {};
+        let deliverAt = scheduledDelivery.deliveryTime(queueData.delay, queueData.deliverAt);
+        let pushedAt = Date.now();
+        async.eachOf(this.connectionHandler, (value, serviceStore, asyncEachCallback) => {
+            if(queueData.store !== undefined && queueData.store.indexOf(serviceStore.toLowerCase()) === -1) {
+                return asyncEachCallback(null);
+            }
+            if(value.identifierSet.indexOf(queueData.identifier) === -1) {
+                return asyncEachCallback(new UnregisteredIdentifierError(serviceStore, queueData.identifier));
+            }
+            let storeCallback = (err, report) => {
+                if(report) {
+                    result[serviceStore] = report;
+                }
+                asyncEachCallback(err);
+            };
+            let write = (writeCallback) => {
+                if(deliverAt) {
+                    return scheduledDelivery.scheduleRecord(value.connection, queueData.identifier, queueData.key, {value : valueCodec.encode(this.identifierOptions(value, queueData.identifier).codec, queueData.value), deliverAt : deliverAt, ttl : queueData.ttl, priority : queueData.priority, producer : value.serviceName}, writeCallback);
+                }
+                this.storeRecord(queueData, value, writeCallback, {pushedAt : pushedAt});
+            };
+            if(queueData.idempotencyKey === undefined) {
+                return write(storeCallback);
+            }
+            idempotentPush.claimIdempotencyKey(value.connection, queueData.identifier, queueData.idempotencyKey, queueData.key, this.identifierOptions(value, queueData.identifier).dedupWindow, (err, duplicate) => {
+                if(err || duplicate) {
+                    return storeCallback(err, err ? null : {succeeded : [], failed : [], duplicate : true});
+                }
+                write((err, report) => {
+                    if(!err && !(report && report.duplicate)) {
+                        return storeCallback(null, report);
+                    }
+                    idempotentPush.releaseIdempotencyKey(value.connection, queueData.identifier, queueData.idempotencyKey, () => storeCallback(err, report));
+                });
+            });
+        }, (err) => {
+            this.markWritten(result, queueData.identifier, () => callback(err, result), batch);
+        });
+    }
+    
+    /**
+    * Validates the inputs of a push apart from the value against the schema of the identifier.
+    * @param {Object} queueData Holds the inputs of the push, as documented by pushToQueue.
+    * @returns {String|Boolean} The error message, or false if the inputs are valid.
+    **/
+    validatePushFields (queueData) {
+        let validInsertFields = this.validateQueueFields(queueData);
+        if(validInsertFields) {
+            return validInsertFields;
+        } else if (!queueData.value || typeof queueData.value !== "object" || Object.keys(queueData.value).length === 0) {
+            return `'Value' is either missing or not in the specified format`;
+        } else if (!this.isValidTargetType(queueData.value.targetType)) {
+            return `'Target type' is either missing or not in the specified format`;
+        } else if (queueData.ttl !== undefined && !this.isValidTtl(queueData.ttl)) {
+            return `'Ttl' must have a positive number`;
+        } else if (queueData.delay !== undefined && !this.isValidTtl(queueData.delay)) {
+            return `'Delay' must have a positive number`;
+        } else if (queueData.deliverAt !== undefined && !this.isValidDeliveryTime(queueData.deliverAt)) {
+            return `'Deliver at' must be either a date or the milliseconds since the epoch`;
+        } else if (queueData.delay !== undefined && queueData.deliverAt !== undefined) {
+            return `Either 'Delay' or 'Deliver at' can be passed, not both`;
+        } else if (queueData.priority !== undefined && !this.isValidPriority(queueData.priority)) {
+            return `'Priority' must be an integer from 0 to ${queueKeys.maxPriority}`;
+        } else if (queueData.priority && this.orderedIdentifier(queueData.identifier)) {
+            return `'Priority' is not supported by the ordered identifiers`;
+        } else if (queueData.idempotencyKey !== undefined && (typeof queueData.idempotencyKey !== "string" || queueData.idempotencyKey.trim() === "")) {
+            return `'Idempotency key' is not in the specified format`;
+        } else if (queueData.ifNotExists !== undefined && typeof queueData.ifNotExists !== "boolean") {
+            return `'If not exists' must be a boolean`;
+        } else if (queueData.version !== undefined && !this.isValidVersion(queueData.version)) {
+            return `'Version' must have a non-negative integer`;
+        } else if (queueData.ifNotExists && queueData.version !== undefined) {
+            return `Either 'If not exists' or 'Version' can be passed, not both`;
+        } else if ((queueData.ifNotExists || queueData.version !== undefined) && this.orderedIdentifier(queueData.identifier)) {
+            return `'If not exists' and 'Version' are not supported by the ordered identifiers`;
+        } else if ((queueData.ifNotExists || queueData.version !== undefined) && (queueData.delay !== undefined || queueData.deliverAt !== undefined)) {
+            return `'If not exists' and 'Version' are not supported by the scheduled records`;
+        }
+        return false;
+    }
+    
+    /**
+    * Retrieves the data from the queue based on group and key.
+    * The copies of the key held by several stores are merged into a single record, the copies of the other stores holding a different value being reported as conflicts.
+    * @param {Object} readQueueData Holds the inputs based on which the data from key is to be fetched from the queue.
+    * @param {String} readQueueData.identifier Group category name. 
+    * @param {String} readQueueData.key Unique identifier under the specific group.
+    * @param {Array} [readQueueData.store] The name of different connectors.
+    * @param {Array} [readQueueData.targetType] The target names to read, defaults to the ones registered by the listener.
+    * @param {cb} [callback] The callback that handles the response holding the record, null if the key does not exist, along with the conflicts, a promise of the response is returned if not passed.
+    **/
+    readFromQueue (readQueueData, callback) {
+        return this.respond((done) => this.readRecord(readQueueData, this.metered('read', readQueueData, done)), callback, readQueueData);
+    }
+    
+    /**
+    * Retrieves the data of the key from every store of the queue, as documented by readFromQueue.
+    * @param {Object} readQueueData Holds the inputs of the operation.
+    * @param {cb} callback The callback that handles the response.
+    * @param {Object} [batch] Holds the queues purged and the identifiers read by the batch the read belongs to, the read time is then recorded once for the whole batch.
+    **/
+    readRecord (readQueueData, callback, batch) {
+        let validReadFields = this.validateQueueFields(readQueueData);
+        if(validReadFields) {
+            return callback(new ValidationError(validReadFields));
+        }
+        let copies = {};
+        async.eachOf(this.connectionHandler, (value, serviceStore, asyncEachCallback) => {
+            if(readQueueData.store !== undefined && readQueueData.store.indexOf(serviceStore.toLowerCase()) === -1) {
+                return asyncEachCallback(null);
+            }
+            if(value.identifierSet.indexOf(readQueueData.identifier) === -1) {
+                return asyncEachCallback(new UnregisteredIdentifierError(serviceStore, readQueueData.identifier));
+            }
+            let invalidTargetType = this.validateTargetTypes(readQueueData.targetType, value.targetTypes, serviceStore);
+            if(invalidTargetType) {
+                return asyncEachCallback(new UnregisteredTargetTypeError(invalidTargetType, {store : serviceStore}));
+            }
+            async.waterfall([
+                (waterfallCallback) => {
+                    if(batch) {
+                        return this.refreshQueuesOnce(readQueueData, value, batch, (err) => waterfallCallback(err));
+                    }
+                    this.refreshQueues(readQueueData, value, (err) => waterfallCallback(err));
+                },
+                (waterfallCallback) => {
+                    this.readStoreRecord(readQueueData, value, waterfallCallback);
+                },
+                (storedRecord, waterfallCallback) => {
+                    if(!storedRecord) {
+                        return waterfallCallback(null);
+                    }
+                    let invalidRecord = this.validateReadValues(value, readQueueData.identifier, [storedRecord]);
+                    if(invalidRecord) {
+                        return waterfallCallback(invalidRecord);
+                    }
+                    copies[serviceStore] = readResults.createRecord(readQueueData.identifier, serviceStore, storedRecord);
+                    if(batch) {
+                        batch.reads[JSON.stringify([serviceStore, readQueueData.identifier])] = value;
+                        return waterfallCallback(null);
+                    }
+                    this.markRead(value, readQueueData.identifier, waterfallCallback);
+                }
+            ], (err) => {
+                asyncEachCallback(err);
+            });
+        }, (err) => {
+            if(err) {
+                return callback(err, null);
+            }
+            callback(null, readResults.mergeCopies(this.inStoreOrder(copies), this.orderedIdentifier(readQueueData.identifier)));
+        });
+    }
+    
+    /**
+    * Retrieves the keys from the queue based on group.
+    * @param {Object} readKeyQueueData Holds the inputs based on which the data is to be fetched from the queue.
+    * @param {String} readKeyQueueData.identifier Group category name. 
+    * @param {Array} [readKeyQueueData.store] The name of different connectors.
+    * @param {Array} [readKeyQueueData.targetType] The target names to read, defaults to the ones registered by the listener.
+    * @param {String} [readKeyQueueData.cursor] The cursor returned along with the previous page, the keys are read by pages if either the cursor or the count is passed.
+    * @param {Number} [readKeyQueueData.count=100] The number of keys of the page, taken as a hint for the identifiers which are not ordered.
+    * @param {cb} [callback] The callback that handles the response holding the keys of every store, each key once, along with the cursor of the next page which is null once the queue is fully read or if not read by pages, a promise of the response is returned if not passed.
+    **/
+    readKeysFromQueue (readKeyQueueData, callback) {
+        return this.respond((done) => this.readRecordKeys(readKeyQueueData, this.metered('read', readKeyQueueData, done)), callback, readKeyQueueData);
+    }
+    
+    /**
+    * Retrieves the keys from every store of the queue, as documented by readKeysFromQueue.
+    * @param {Object} readKeyQueueData Holds the inputs of the operation.
+    * @param {cb} callback The callback that handles the response.
+    **/
+    readRecordKeys (readKeyQueueData, callback) {
+        let validReadKeyFields = this.validateQueueFields(readKeyQueueData, {'key' : true});
+        if(validReadKeyFields) {
+            return callback(new ValidationError(validReadKeyFields));
+        } else if (this.isPagedRead(readKeyQueueData)) {
+            return this.readQueuePage(readKeyQueueData, (err, page) => {
+                if(err) {
+                    return callback(err, null);
+                }
+                callback(null, page ? {keys : page.records.map((record) => record.key), nextCursor : page.nextCursor} : {keys : [], nextCursor : null});
+            });
+        }
+        let keyLists = {};
+        async.eachOf(this.connectionHandler, (value, serviceStore, asyncEachCallback) => {
+            if(readKeyQueueData.store !== undefined && readKeyQueueData.store.indexOf(serviceStore.toLowerCase()) === -1) {
+                return asyncEachCallback(null);
+            }
+            if(value.identifierSet.indexOf(readKeyQueueData.identifier) === -1) {
+                return asyncEachCallback(new UnregisteredIdentifierError(serviceStore, readKeyQueueData.identifier));
+            }
+            let invalidTargetType = this.validateTargetTypes(readKeyQueueData.targetType, value.targetTypes, serviceStore);
+            if(invalidTargetType) {
+                return asyncEachCallback(new UnregisteredTargetTypeError(invalidTargetType, {store : serviceStore}));
+            }
+            async.waterfall([
+                (waterfallCallback) => {
+                    this.refreshQueues(readKeyQueueData, value, (err) => waterfallCallback(err));
+                },
+                (waterfallCallback) => {
+                    this.readTargetKeys(readKeyQueueData, value, waterfallCallback);
+                }
+            ], (err, response) => {
+                keyLists[serviceStore] = response || [];
+                asyncEachCallback(err);
+            });
+        }, (err) => {
+            if(err) {
+                return callback(err, null);
+            }
+            callback(null, {keys : readResults.mergeKeys(this.inStoreOrder(keyLists)), nextCursor : null});
+        });
+    }
+    
+    /**
+    * Retrieves the key and value from the queue based on group.
+    * @param {Object} readKeyValQueueData Holds the inputs based on which the key and value data is to be fetched from the queue.
+    * @param {String} readKeyValQueueData.identifier Group category name. 
+    * @param {Array} [readKeyValQueueData.store] The name of different connectors.
+    * @param {Array} [readKeyValQueueData.targetType] The target names to read, defaults to the ones registered by the listener.
+    * @param {String} [readKeyValQueueData.cursor] The cursor returned along with the previous page, the records are read by pages if either the cursor or the count is passed.
+    * @param {Number} [readKeyValQueueData.count=100] The number of records of the page, taken as a hint for the identifiers which are not ordered.
+    * @param {cb} [callback] The callback that handles the response holding the records merged from every store along with the conflicts and the cursor of the next page, which is null once the queue is fully read or if not read by pages, a promise of the response is returned if not passed.
+    **/
+    readKeysAndValuesFromQueue (readKeyValQueueData, callback) {
+        return this.respond((done) => this.readRecords(readKeyValQueueData, this.metered('read', readKeyValQueueData, done)), callback, readKeyValQueueData);
+    }
+    
+    /**
+    * Returns the iterator through all the records of the queue, read by pages as done by readKeysAndValuesFromQueue, to be used through for await.
+    * The invalid inputs reject the first call to next.
+    * @param {Object} iterateData Holds the inputs based on which the records are to be fetched from the queue, as documented by readKeysAndValuesFromQueue apart from the cursor.
+    **/
+    iterateQueue (iterateData) {
+        return new QueueIterator((cursor) => {
+            let pageData = Object.assign({}, iterateData, {cursor : cursor, count : (iterateData && iterateData.count) || pageCount});
+            return this.readKeysAndValuesFromQueue(pageData).then((result) => ({items : result.records, nextCursor : result.nextCursor}));
+        });
+    }
+    
+    /**
+    * Retrieves the keys along with their values from every store of the queue, as documented by readKeysAndValuesFromQueue.
+    * @param {Object} readKeyValQueueData Holds the inputs of the operation.
+    * @param {cb} callback The callback that handles the response.
+    **/
+    readRecords (readKeyValQueueData, callback) {
+        let validReadKeyAndValueFields = this.validateQueueFields(readKeyValQueueData, {'key' : true});
+        if(validReadKeyAndValueFields) {
+            return callback(new ValidationError(validReadKeyAndValueFields));
+        } else if (this.isPagedRead(readKeyValQueueData)) {
+            return this.readQueuePage(readKeyValQueueData, (err, page) => {
+                if(err) {
+                    return callback(err, null);
+                } else if (!page) {
+                    return callback(null, {records : [], conflicts : [], nextCursor : null});
+                }
+                let records = page.records.map((record) => readResults.createRecord(readKeyValQueueData.identifier, page.store, record));
+                let done = () => callback(null, {records : records, conflicts : [], nextCursor : page.nextCursor});
+                if(records.length === 0) {
+                    return done();
+                }
+                let invalidRecord = this.validateReadValues(this.connectionHandler[page.store], readKeyValQueueData.identifier, page.records);
+                if(invalidRecord) {
+                    return callback(invalidRecord, null);
+                }
+                this.markRead(this.connectionHandler[page.store], readKeyValQueueData.identifier, done);
+            });
+        }
+        let recordLists = {};
+        async.eachOf(this.connectionHandler, (value, serviceStore, asyncEachCallback) => {
+            if(readKeyValQueueData.store !== undefined && readKeyValQueueData.store.indexOf(serviceStore.toLowerCase()) === -1) {
+                return asyncEachCallback(null);
+            }
+            if(value.identifierSet.indexOf(readKeyValQueueData.identifier) === -1) {
+                return asyncEachCallback(new UnregisteredIdentifierError(serviceStore, readKeyValQueueData.identifier));
+            }
+            let invalidTargetType = this.validateTargetTypes(readKeyValQueueData.targetType, value.targetTypes, serviceStore);
+            if(invalidTargetType) {
+                return asyncEachCallback(new UnregisteredTargetTypeError(invalidTargetType, {store : serviceStore}));
+            }
+            async.waterfall([
+                (waterfallCallback) => {
+                    this.refreshQueues(readKeyValQueueData, value, (err) => waterfallCallback(err));
+                },
+                (waterfallCallback) => {
+                    if(this.identifierOptions(value, readKeyValQueueData.identifier).ordered) {
+                        return this.readOrderedRecords(readKeyValQueueData, value, waterfallCallback);
+                    }
+                    this.readTargetRecords(readKeyValQueueData, value, waterfallCallback);
+                },
+                (records, waterfallCallback) => {
+                    if(records.length === 0) {
+                        return waterfallCallback(null);
+                    }
+                    let invalidRecord = this.validateReadValues(value, readKeyValQueueData.identifier, records);
+                    if(invalidRecord) {
+                        return waterfallCallback(invalidRecord);
+                    }
+                    recordLists[serviceStore] = records.map((record) => readResults.createRecord(readKeyValQueueData.identifier, serviceStore, record));
+                    this.markRead(value, readKeyValQueueData.identifier, waterfallCallback);
+                }
+            ], (err) => {
+                asyncEachCallback(err);
+            });
+        }, (err) => {
+            if(err) {
+                return callback(err, null);
+            }
+            let merged = readResults.mergeRecords(this.inStoreOrder(recordLists), this.orderedIdentifier(readKeyValQueueData.identifier));
+            callback(null, {records : merged.records, conflicts : merged.conflicts, nextCursor : null});
+        });
+    }
+    
+    /**
+    * Deletes the data from the queue based on group and key.
+    * @param {Object} deleteQueueData Holds the inputs based on which the data is to be deleted from the queue.
+    * @param {String} deleteQueueData.identifier Group category name. 
+    * @param {String} deleteQueueData.key Unique identifier under the specific group.
+    * @param {Array} [deleteQueueData.store] The name of different connectors.
+    * @param {Array} [deleteQueueData.targetType] The target names to delete the copies for, defaults to the ones registered by the listener.
+    * @param {cb} [callback] The callback that handles the response holding the number of deleted records along with the number deleted from every store, a promise of the response is returned if not passed.
+    **/
+    deleteKeyFromQueue (deleteQueueData, callback) {
+        return this.respond((done) => this.deleteRecord(deleteQueueData, this.metered('delete', deleteQueueData, done)), callback, deleteQueueData);
+    }
+    
+    /**
+    * Deletes the data of the key from every store of the queue, as documented by deleteKeyFromQueue.
+    * @param {Object} deleteQueueData Holds the inputs of the operation.
+    * @param {cb} callback The callback that handles the response.
+    **/
+    deleteRecord (deleteQueueData, callback) {
+        let validDeleteKeyFields = this.validateQueueFields(deleteQueueData);
+        if(validDeleteKeyFields) {
+            return callback(new ValidationError(validDeleteKeyFields));
+        }
+        let stores = {};
+        async.eachOf(this.connectionHandler, (value, serviceStore, asyncEachCallback) => {
+            if(deleteQueueData.store !== undefined && deleteQueueData.store.indexOf(serviceStore.toLowerCase()) === -1) {
+                return asyncEachCallback(null);
+            }
+            if(value.identifierSet.indexOf(deleteQueueData.identifier) === -1) {
+                return asyncEachCallback(new UnregisteredIdentifierError(serviceStore, deleteQueueData.identifier));
+            }
+            let invalidTargetType = this.validateTargetTypes(deleteQueueData.targetType, value.targetTypes, serviceStore);
+            if(invalidTargetType) {
+                return asyncEachCallback(new UnregisteredTargetTypeError(invalidTargetType, {store : serviceStore}));
+            }
+            stores[serviceStore] = 0;
+            this.deleteStoreRecord(deleteQueueData, value, (err, deleted) => {
+                stores[serviceStore] += deleted || 0;
+                if(err || !deleted || (deleteQueueData.targetType || value.targetTypes).length === 0) {
+                    return asyncEachCallback(err);
+                }
+                this.releaseBaseCopy(value, deleteQueueData.identifier, deleteQueueData.key, asyncEachCallback);
+            });
+        }, (err) => {
+            if(err) {
+                return callback(err, null);
+            }
+            callback(null, {deleted : Object.keys(stores).reduce((deleted, serviceStore) => deleted + stores[serviceStore], 0), stores : stores});
+        });
+    }
+    
+    /**
+    * Deletes the records of the key addressed to the listener from the store along with their bookkeeping.
+    * @param {Object} deleteQueueData Holds the key to be deleted, as documented by deleteKeyFromQueue.
+    * @param {Object} storeHandler The connection handler of the specific store.
+    * @param {cb} callback The callback that handles the response with the number of deleted records.
+    **/
+    deleteStoreRecord (deleteQueueData, storeHandler, callback) {
+        let ordered = this.identifierOptions(storeHandler, deleteQueueData.identifier).ordered;
+        let deleteRecords = ordered ? orderedQueue.deleteRecords.bind(null, storeHandler.connection) : storeHandler.connection.deleteHashKey;
+        let deleted = 0;
+        async.each(this.targetQueues(deleteQueueData, storeHandler), (queueName, asyncEachCallback) => {
+            deleteRecords(queueName, deleteQueueData.key, (err, response) => {
+                deleted += response || 0;
+                if(err) {
+                    return asyncEachCallback(err);
+                }
+                async.series([
+                    (seriesCallback) => recordPriority.removePending(storeHandler.connection, queueName, deleteQueueData.key, seriesCallback),
+                    (seriesCallback) => ordered ? seriesCallback(null) : recordExpiry.setExpiry(storeHandler.connection, queueName, deleteQueueData.key, null, seriesCallback),
+                    (seriesCallback) => ordered ? seriesCallback(null) : queueStats.clearPushTime(storeHandler.connection, queueName, deleteQueueData.key, seriesCallback),
+                    (seriesCallback) => deadLetter.clearAttempts(storeHandler.connection, queueName, deleteQueueData.key, seriesCallback)
+                ], (err) => {
+                    asyncEachCallback(err);
+                });
+            });
+        }, (err) => {
+            callback(err, deleted);
+        });
+    }
+    
+    /**
+    * Deletes the copy of the record in the complete identifier, along with its bookkeeping, once none of its target copies is left, so that the records addressed to targets do not pile up in the complete identifier once consumed by all their targets.
+    * The records pushed without any target type are only held by the complete identifier and are kept, a failure to delete the copy is emitted as an error rather than failing the delete of the target copy.
+    * @param {Object} storeHandler The connection handler of the specific store.
+    * @param {String} identifier Group category name.
+    * @param {String} key Unique identifier under the specific group.
+    * @param {cb} callback The callback that handles the response.
+    **/
+    releaseBaseCopy (storeHandler, identifier, key, callback) {
+        let baseData = {identifier : identifier, key : key, targetType : []};
+        this.readStoreRecord(baseData, storeHandler, (err, record) => {
+            let targetType;
+            try {
+                targetType = record ? JSON.parse(record.value).targetType : null;
+            } catch (parseErr) {
+                targetType = null;
+            }
+            if(err || !(targetType instanceof Array) || targetType.length === 0) {
+                return callback(null);
+            }
+            this.readStoreRecord({identifier : identifier, key : key, targetType : targetType}, storeHandler, (err, copy) => {
+                if(err || copy) {
+                    return callback(null);
+                }
+                this.deleteStoreRecord(baseData, storeHandler, (err) => {
+                    if(err) {
+                        this.emitError(QueueError.from(err, {identifier : identifier, key : key, store : storeHandler.store}));
+                    }
+                    callback(null);
+                });
+            });
+        });
+    }
+    
+    /**
+    * Inserts many records into the queue at once, the records are pushed together so that their commands are pipelined to the stores.
+    * The records of an ordered identifier, and the records with the same key, are pushed one after the other in the order of the batch.
+    * @param {Array} pushBatchData The records to be queued, each one holding the inputs of pushToQueue.
+    * @param {cb} [callback] The callback that handles the response holding the identifier and key of every record in the order of the batch, along with either its result or its error message and code, a promise of the response is returned if not passed.
+    **/
+    pushManyToQueue (pushBatchData, callback) {
+        return this.respond((done) => this.pushRecords(pushBatchData, done), callback, pushBatchData);
+    }
+    
+    /**
+    * Inserts every record of the batch, as documented by pushManyToQueue.
+    * @param {Array} pushBatchData Holds the inputs of the operation.
+    * @param {cb} callback The callback that handles the response.
+    **/
+    pushRecords (pushBatchData, callback) {
+        let batch = {writes : {}};
+        this.runBatch(pushBatchData, (queueData) => {
+            return this.orderedIdentifier(queueData.identifier) ? JSON.stringify([queueData.identifier]) : JSON.stringify([queueData.identifier, queueData.key]);
+        }, (queueData, done) => this.pushRecord(queueData, this.metered('push', queueData, done), batch), (err, results) => {
+            if(err) {
+                return callback(err, null);
+            }
+            async.eachOf(batch.writes, (storeHandler, writeKey, asyncEachCallback) => {
+                serviceRegistry.recordActivity(storeHandler.connection, storeHandler.serviceName, JSON.parse(writeKey)[1], 'write', () => asyncEachCallback(null));
+            }, () => {
+                callback(null, results);
+            });
+        });
+    }
+    
+    /**
+    * Retrieves the data of many keys from the queue at once, the keys are read together so that their commands are pipelined to the stores.
+    * The expired records are purged and the read time of the service is recorded only once per identifier for the whole batch.
+    * @param {Array} readBatchData The keys to be read, each one holding the inputs of readFromQueue.
+    * @param {cb} [callback] The callback that handles the response holding the identifier and key of every read in the order of the batch, along with either its result or its error message and code, a promise of the response is returned if not passed.
+    **/
+    readManyFromQueue (readBatchData, callback) {
+        return this.respond((done) => this.readManyRecords(readBatchData, done), callback, readBatchData);
+    }
+    
+    /**
+    * Retrieves the data of every key of the batch, as documented by readManyFromQueue.
+    * @param {Array} readBatchData Holds the inputs of the operation.
+    * @param {cb} callback The callback that handles the response.
+    **/
+    readManyRecords (readBatchData, callback) {
+        let batch = {purges : {}, reads : {}};
+        this.runBatch(readBatchData, (readQueueData) => JSON.stringify([readQueueData.identifier, readQueueData.key]), (readQueueData, done) => {
+            this.readRecord(readQueueData, this.metered('read', readQueueData, done), batch);
+        }, (err, results) => {
+            if(err) {
+                return callback(err, null);
+            }
+            async.eachOf(batch.reads, (storeHandler, readKey, asyncEachCallback) => {
+                this.markRead(storeHandler, JSON.parse(readKey)[1], asyncEachCallback);
+            }, () => {
+                callback(null, results);
+            });
+        });
+    }
+    
+    /**
+    * Deletes many keys from the queue at once, the keys are deleted together so that their commands are pipelined to the stores.
+    * @param {Array} deleteBatchData The keys to be deleted, each one holding the inputs of deleteKeyFromQueue.
+    * @param {cb} [callback] The callback that handles the response holding the identifier and key of every delete in the order of the batch, along with either its result or its error message and code, a promise of the response is returned if not passed.
+    **/
+    deleteManyFromQueue (deleteBatchData, callback) {
+        return this.respond((done) => this.deleteManyRecords(deleteBatchData, done), callback, deleteBatchData);
+    }
+    
+    /**
+    * Deletes every key of the batch, as documented by deleteManyFromQueue.
+    * @param {Array} deleteBatchData Holds the inputs of the operation.
+    * @param {cb} callback The callback that handles the response.
+    **/
+    deleteManyRecords (deleteBatchData, callback) {
+        this.runBatch(deleteBatchData, (deleteQueueData) => JSON.stringify([deleteQueueData.identifier, deleteQueueData.key]), (deleteQueueData, done) => {
+            this.deleteRecord(deleteQueueData, this.metered('delete', deleteQueueData, done));
+        }, callback);
+    }
+    
+    /**
+    * Runs the operation for every item of the batch and collects the outcome of every item in the order of the batch, an item failing does not fail the others.
+    * The items of the same group are run one after the other, whereas up to "batchConcurrency" groups are run together.
+    * @param {Array} batchData The items of the batch.
+    * @param {Function} groupKey Returns the group of the item.
+    * @param {Function} operation The method to be called with the item and the callback receiving its response.
+    * @param {cb} callback The callback that handles the response.
+    **/
+    runBatch (batchData, groupKey, operation, callback) {
+        if(!(batchData instanceof Array) || batchData.length === 0) {
+            return callback(new ValidationError(`'Batch data' is either missing or not in the specified format`), null);
+        }
+        let results = [];
+        let groups = {};
+        batchData.forEach((item, index) => {
+            let group = (item && typeof item === "object") ? groupKey(item) : JSON.stringify([index]);
+            groups[group] = groups[group] || [];
+            groups[group].push(index);
+        });
+        async.eachLimit(Object.keys(groups), batchConcurrency, (group, asyncEachCallback) => {
+            async.eachSeries(groups[group], (index, innerAsyncEachCallback) => {
+                operation(batchData[index], (err, result) => {
+                    results[index] = this.batchResult(batchData[index], err, result);
+                    /**
+                    * Deferred so that a group of items failing the validation right away does not grow the stack.
+                    **/
+                    setImmediate(innerAsyncEachCallback);
+                });
+            }, asyncEachCallback);
+        }, () => {
+            callback(null, results);
+        });
+    }
+    
+    /**
+    * Returns the outcome of an item of the batch, holding either the result or the error message and code, along with the report of the nodes for the writes failing the consistency.
+    * @param {Object} item The item of the batch.
+    * @param {Error} [err] The error raised for the item.
+    * @param {Object} [result] The result of the item.
+    **/
+    batchResult (item, err, result) {
+        let outcome = {
+            identifier : item && item.identifier,
+            key : item && item.key
+        };
+        if(!err) {
+            outcome.result = result;
+            return outcome;
+        }
+        err = QueueError.from(err, item);
+        outcome.error = err.message;
+        outcome.code = err.code;
+        if(err.report) {
+            outcome.report = err.report;
+        }
+        if(err.errors) {
+            outcome.errors = err.errors;
+        }
+        return outcome;
+    }
+    
+    /**
+    * Returns a transaction collecting pushes and deletes across identifiers, which are validated all together and then written together to every store by the commit of the transaction.
+    * The writes of the transaction are applied by every store as a whole, with no other write in between, whereas the stores are written one after the other.
+    **/
+    transaction () {
+        return new QueueTransaction((operations, callback) => {
+            return this.respond((done) => this.commitTransaction(operations, done), callback, null);
+        });
+    }
+    
+    /**
+    * Writes the operations of the transaction, as documented by transaction.
+    * Every operation is validated and staged against every store before any of them is written, the staged writes of every store being then run by the store as a whole.
+    * The keys read while staging are watched by the store, which does not apply the writes if any of them is written in the meantime, the writes of the store being then staged and run again.
+    * The stores are written one after the other, so the error of a store failing the transaction holds the stores which wrote it before, along with the operations which failed within the transaction if the store applied the others.
+    * @param {Array} operations The operations of the transaction, null if the transaction is already committed.
+    * @param {cb} callback The callback that handles the response holding the report of the nodes of every store written.
+    **/
+    commitTransaction (operations, callback) {
+        if(operations === null) {
+            return callback(new ValidationError(`The transaction is already committed`), null);
+        } else if (operations.length === 0) {
+            return callback(new ValidationError(`The transaction holds no operation`), null);
+        }
+        let written = {};
+        for(let operation of operations) {
+            let invalidOperation = this.validateTransactionOperation(operation, written);
+            if(invalidOperation) {
+                return callback(invalidOperation, null);
+            }
+        }
+        let metered = (err, result) => {
+            operations.forEach((operation) => this.metered(operation.type, operation.data, () => null)(err, result));
+            callback(err, result);
+        };
+        let pushedAt = Date.now();
+        let stagedStores = {};
+        let storeOperations = {};
+        async.eachOfSeries(this.connectionHandler, (value, serviceStore, asyncEachCallback) => {
+            storeOperations[serviceStore] = operations.filter((operation) => operation.data.store === undefined || operation.data.store.indexOf(serviceStore.toLowerCase()) !== -1);
+            if(storeOperations[serviceStore].length === 0) {
+                return asyncEachCallback(null);
+            }
+            this.stageTransaction(storeOperations[serviceStore], value, serviceStore, pushedAt, (err, staged) => {
+                stagedStores[serviceStore] = staged;
+                asyncEachCallback(err);
+            });
+        }, (err) => {
+            if(err) {
+                return metered(err, null);
+            }
+            let result = {};
+            async.eachOfSeries(stagedStores, (staged, serviceStore, asyncEachCallback) => {
+                let storeHandler = this.connectionHandler[serviceStore];
+                this.runStoreTransaction(storeOperations[serviceStore], storeHandler, serviceStore, pushedAt, staged, 0, (err, written, report) => {
+                    if(report) {
+                        result[serviceStore] = report;
+                    }
+                    if(err) {
+                        let storeErr = QueueError.from(err, {store : serviceStore});
+                        storeErr.committedStores = Object.keys(stagedStores).slice(0, Object.keys(stagedStores).indexOf(serviceStore));
+                        if(err.failedOperations) {
+                            storeErr.partial = true;
+                            storeErr.failedOperations = err.failedOperations;
+                        }
+                        return asyncEachCallback(storeErr);
+                    }
+                    written.notifications.forEach((notification) => {
+                        storeHandler.connection.publishObject(notification.channel, notification.message, (publishErr) => {
+                            if(publishErr) {
+                                this.emitError(QueueError.from(publishErr));
+                            }
+                        });
+                    });
+                    asyncEachCallback(null);
+                });
+            }, (err) => {
+                if(err) {
+                    return metered(err, null);
+                }
+                let writes = {};
+                operations.filter((operation) => operation.type === 'push').forEach((operation) => {
+                    Object.keys(result).filter((serviceStore) => result[serviceStore].succeeded.length && (operation.data.store === undefined || operation.data.store.indexOf(serviceStore.toLowerCase()) !== -1)).forEach((serviceStore) => {
+                        writes[JSON.stringify([serviceStore, operation.data.identifier])] = this.connectionHandler[serviceStore];
+                    });
+                });
+                async.eachOf(writes, (storeHandler, writeKey, asyncEachCallback) => {
+                    serviceRegistry.recordActivity(storeHandler.connection, storeHandler.serviceName, JSON.parse(writeKey)[1], 'write', () => asyncEachCallback(null));
+                }, () => metered(null, result));
+            });
+        });
+    }
+    
+    /**
+    * Stages the operations of the transaction against the store, recording the writes to be run together instead of running them.
+    * @param {Array} storeOperations The operations of the transaction written to the store.
+    * @param {Object} storeHandler The connection handler of the specific store.
+    * @param {String} serviceStore The name of the queue store.
+    * @param {Number} pushedAt The push time of the records of the transaction.
+    * @param {cb} callback The callback that handles the response with the staged writes, notifications and read keys.
+    **/
+    stageTransaction (storeOperations, storeHandler, serviceStore, pushedAt, callback) {
+        let staged = stagedWrites.stageConnection(storeHandler.connection);
+        let stagedHandler = Object.assign({}, storeHandler, {connection : staged.connection});
+        async.eachSeries(storeOperations, (operation, asyncEachCallback) => {
+            let operationCallback = (err) => asyncEachCallback(err ? QueueError.from(err, Object.assign({store : serviceStore}, operation.data)) : null);
+            if(operation.type === 'push') {
+                return this.storeRecord(operation.data, stagedHandler, operationCallback, {pushedAt : pushedAt});
+            }
+            this.deleteStoreRecord(operation.data, stagedHandler, operationCallback);
+        }, (err) => {
+            callback(err, err ? null : staged);
+        });
+    }
+    
+    /**
+    * Runs the transaction of the store once the keys read to stage it are watched, the operations being staged again after the watch so that the writes run are based on what the watch covers.
+    * The transaction is staged and run again if the store did not apply it because of a write to the watched keys in the meantime, up to the number of retries, then fails with a TransactionConflictError.
+    * @param {Array} storeOperations The operations of the transaction written to the store.
+    * @param {Object} storeHandler The connection handler of the specific store.
+    * @param {String} serviceStore The name of the queue store.
+    * @param {Number} pushedAt The push time of the records of the transaction.
+    * @param {Object} staged The writes staged before, whose read keys are watched.
+    * @param {Number} attempt The number of attempts made before.
+    * @param {cb} callback The callback that handles the response with the staged writes which were run and the report of the nodes.
+    **/
+    runStoreTransaction (storeOperations, storeHandler, serviceStore, pushedAt, staged, attempt, callback) {
+        storeHandler.connection.watchKeys(Array.from(staged.readKeys), (err, watch) => {
+            if(err) {
+                return callback(err, null, null);
+            }
+            this.stageTransaction(storeOperations, storeHandler, serviceStore, pushedAt, (err, restaged) => {
+                if(err) {
+                    return watch.release(() => callback(err, null, null));
+                }
+                let unwatched = Array.from(restaged.readKeys).some((key) => watch.keys.indexOf(key) === -1);
+                if(unwatched) {
+                    /**
+                    * The writes are based on keys which are not watched, like the keys of a record pushed in the meantime, so they are staged again along with the watch of these keys.
+                    **/
+                    return watch.release(() => this.retryStoreTransaction(storeOperations, storeHandler, serviceStore, pushedAt, restaged, attempt, null, callback));
+                }
+                storeHandler.connection.runTransaction(restaged.operations, watch, (err, replies, report) => {
+                    if(err && err.code === 'TRANSACTION_CONFLICT') {
+                        return this.retryStoreTransaction(storeOperations, storeHandler, serviceStore, pushedAt, restaged, attempt, err, callback);
+                    }
+                    callback(err, restaged, report);
+                });
+            });
+        });
+    }
+    
+    /**
+    * Runs the transaction of the store again unless the retries are exhausted, in which case the transaction fails with the conflict.
+    * @param {Array} storeOperations The operations of the transaction written to the store.
+    * @param {Object} storeHandler The connection handler of the specific store.
+    * @param {String} serviceStore The name of the queue store.
+    * @param {Number} pushedAt The push time of the records of the transaction.
+    * @param {Object} staged The writes staged last, whose read keys are to be watched.
+    * @param {Number} attempt The number of attempts made before.
+    * @param {Error} [err] The conflict which failed the last attempt.
+    * @param {cb} callback The callback that handles the response.
+    **/
+    retryStoreTransaction (storeOperations, storeHandler, serviceStore, pushedAt, staged, attempt, err, callback) {
+        if(attempt + 1 > transactionRetries) {
+            return callback(err || new QueueError.TransactionConflictError(`The keys read by the transaction kept being written by other clients`, null, {store : serviceStore}), null, err ? err.report : null);
+        }
+        this.runStoreTransaction(storeOperations, storeHandler, serviceStore, pushedAt, staged, attempt + 1, callback);
+    }
+    
+    /**
+    * Validates an operation of the transaction, including the registration of its identifier and target types with the stores and the schema of the pushed value.
+    * @param {Object} operation The operation holding its type, either 'push' or 'delete', along with its inputs.
+    * @param {Object} written The keys written by the operations validated before, the key of the operation being added.
+    * @returns {Error} The error of the operation, or null if the operation is valid.
+    **/
+    validateTransactionOperation (operation, written) {
+        let data = operation.data;
+        let errMsg = operation.type === 'push' ? this.validatePushFields(data) : this.validateQueueFields(data);
+        if(!errMsg && operation.type === 'push' && ['delay', 'deliverAt', 'idempotencyKey', 'ifNotExists', 'version'].some((field) => data[field] !== undefined)) {
+            errMsg = `'Delay', 'Deliver at', 'Idempotency key', 'If not exists' and 'Version' are not supported by the transactions`;
+        } else if (!errMsg && written[JSON.stringify([data.identifier, data.key])]) {
+            errMsg = `The key '${data.key}' of the '${data.identifier}' identifier is written more than once by the transaction`;
+        }
+        if(errMsg) {
+            return new ValidationError(errMsg, data);
+        }
+        written[JSON.stringify([data.identifier, data.key])] = true;
+        for(let serviceStore in this.connectionHandler) {
+            let storeHandler = this.connectionHandler[serviceStore];
+            if(data.store !== undefined && data.store.indexOf(serviceStore.toLowerCase()) === -1) {
+                continue;
+            } else if (storeHandler.identifierSet.indexOf(data.identifier) === -1) {
+                return new UnregisteredIdentifierError(serviceStore, data.identifier).addContext(data);
+            }
+            let invalidTargetType = operation.type === 'delete' && this.validateTargetTypes(data.targetType, storeHandler.targetTypes, serviceStore);
+            if(invalidTargetType) {
+                return new UnregisteredTargetTypeError(invalidTargetType, Object.assign({store : serviceStore}, data));
+            }
+        }
+        return operation.type === 'push' ? this.validatePushedValue(data) : null;
+    }
+    
+    /**
+    * Returns true if the identifier stores its records in order with any of the stores.
+    * @param {String} identifier Group category name.
+    **/
+    orderedIdentifier (identifier) {
+        return Object.keys(this.connectionHandler).some((serviceStore) => this.identifierOptions(this.connectionHandler[serviceStore], identifier).ordered);
+    }
+    
+    /**
+    * Returns the results held by store in the order the stores are configured, leaving out the stores which were not read.
+    * @param {Object} byStore The results by store name.
+    **/
+    inStoreOrder (byStore) {
+        return Object.keys(this.connectionHandler).filter((serviceStore) => byStore[serviceStore] !== undefined).map((serviceStore) => byStore[serviceStore]);
+    }
+    
+    /**
+    * Reports the failure of the listener to process the record of the key, the record is moved to the dead letter queue once it failed as many times as allowed by the "maxAttempts" of the identifier.
+    * @param {Object} failQueueData Holds the inputs based on which the failure is to be recorded.
+    * @param {String} failQueueData.identifier Group category name.
+    * @param {String} failQueueData.key Unique identifier under the specific group.
+    * @param {Error|String} [failQueueData.error] The reason of the failure.
+    * @param {Array} [failQueueData.store] The name of different connectors.
+    * @param {Array} [failQueueData.targetType] The target names which failed, defaults to the ones registered by the listener.
+    * @param {cb} [callback] The callback that handles the response holding the failed attempts, the last error and if the record is dead lettered, a promise of the response is returned if not passed.
+    **/
+    failKeyFromQueue (failQueueData, callback) {
+        return this.respond((done) => this.failRecord(failQueueData, done), callback, failQueueData);
+    }
+    
+    /**
+    * Records the failure in every store of the queue, as documented by failKeyFromQueue.
+    * @param {Object} failQueueData Holds the inputs of the operation.
+    * @param {cb} callback The callback that handles the response.
+    **/
+    failRecord (failQueueData, callback) {
+        let validFailFields = this.validateQueueFields(failQueueData);
+        if(validFailFields) {
+            return callback(new ValidationError(validFailFields));
+        }
+        let result = {};
+        async.eachOf(this.connectionHandler, (value, serviceStore, asyncEachCallback) => {
+            if(failQueueData.store !== undefined && failQueueData.store.indexOf(serviceStore.toLowerCase()) === -1) {
+                return asyncEachCallback(null);
+            }
+            if(value.identifierSet.indexOf(failQueueData.identifier) === -1) {
+                return asyncEachCallback(new UnregisteredIdentifierError(serviceStore, failQueueData.identifier));
+            }
+            let invalidTargetType = this.validateTargetTypes(failQueueData.targetType, value.targetTypes, serviceStore);
+            if(invalidTargetType) {
+                return asyncEachCallback(new UnregisteredTargetTypeError(invalidTargetType, {store : serviceStore}));
+            }
+            let identifierOptions = this.identifierOptions(value, failQueueData.identifier);
+            async.mapSeries(this.targetQueues(failQueueData, value), (queueName, mapCallback) => {
+                deadLetter.recordFailure(value.connection, queueName, failQueueData.key, failQueueData.error, identifierOptions.ordered, identifierOptions.maxAttempts, mapCallback);
+            }, (err, failures) => {
+                if(failures && failures.length) {
+                    result[serviceStore] = {
+                        attempts : Math.max.apply(null, failures.map((failure) => failure ? failure.attempts : 0)),
+                        lastError : failures[0] ? failures[0].lastError : null,
+                        dead : failures.some((failure) => failure && failure.dead)
+                    };
+                }
+                asyncEachCallback(err);
+            });
+        }, (err) => {
+            return callback(err, result);
+        });
+    }
+    
+    /**
+    * Retrieves the records of the identifier moved to the dead letter queue along with their failed attempts and last error.
+    * @param {Object} deadQueueData Holds the inputs based on which the dead lettered records are to be fetched.
+    * @param {String} deadQueueData.identifier Group category name.
+    * @param {Array} [deadQueueData.store] The name of different connectors.
+    * @param {Array} [deadQueueData.targetType] The target names to read, defaults to the ones registered by the listener.
+    * @param {cb} [callback] The callback that handles the response, a promise of the response is returned if not passed.
+    **/
+    readDeadLettersFromQueue (deadQueueData, callback) {
+        return this.respond((done) => this.readDeadRecords(deadQueueData, done), callback, deadQueueData);
+    }
+    
+    /**
+    * Retrieves the dead lettered records from every store of the queue, as documented by readDeadLettersFromQueue.
+    * @param {Object} deadQueueData Holds the inputs of the operation.
+    * @param {cb} callback The callback that handles the response.
+    **/
+    readDeadRecords (deadQueueData, callback) {
+        let validDeadFields = this.validateQueueFields(deadQueueData, {'key' : true});
+        if(validDeadFields) {
+            return callback(new ValidationError(validDeadFields));
+        }
+        let result = {};
+        async.eachOf(this.connectionHandler, (value, serviceStore, asyncEachCallback) => {
+            if(deadQueueData.store !== undefined && deadQueueData.store.indexOf(serviceStore.toLowerCase()) === -1) {
+                return asyncEachCallback(null);
+            }
+            if(value.identifierSet.indexOf(deadQueueData.identifier) === -1) {
+                return asyncEachCallback(new UnregisteredIdentifierError(serviceStore, deadQueueData.identifier));
+            }
+            let invalidTargetType = this.validateTargetTypes(deadQueueData.targetType, value.targetTypes, serviceStore);
+            if(invalidTargetType) {
+                return asyncEachCallback(new UnregisteredTargetTypeError(invalidTargetType, {store : serviceStore}));
+            }
+            let targetType = deadQueueData.targetType || value.targetTypes;
+            async.mapSeries(this.targetQueues(deadQueueData, value), (queueName, mapCallback) => {
+                deadLetter.readDeadRecords(value.connection, queueName, (err, deadRecords) => {
+                    if(err) {
+                        return mapCallback(err, null);
+                    }
+                    this.decodeRecords(value, deadQueueData.identifier, deadRecords, mapCallback);
+                });
+            }, (err, deadLists) => {
+                let records = [];
+                (deadLists || []).forEach((deadRecords, index) => {
+                    deadRecords.forEach((deadRecord) => {
+                        records.push(deadLetter.createDeadRecord(deadQueueData.identifier, serviceStore, deadRecord, targetType.length ? targetType[index].trim() : undefined));
+                    });
+                });
+                if(records.length) {
+                    result[serviceStore] = records;
+                }
+                asyncEachCallback(err);
+            });
+        }, (err) => {
+            return callback(err, result);
+        });
+    }
+    
+    /**
+    * Retrieves the record of the key moved to the dead letter queue along with its failed attempts and last error.
+    * @param {Object} deadQueueData Holds the inputs based on which the dead lettered record is to be fetched.
+    * @param {String} deadQueueData.identifier Group category name.
+    * @param {String} deadQueueData.key Unique identifier under the specific group.
+    * @param {Array} [deadQueueData.store] The name of different connectors.
+    * @param {Array} [deadQueueData.targetType] The target names to read, defaults to the ones registered by the listener.
+    * @param {cb} [callback] The callback that handles the response, a promise of the response is returned if not passed.
     **/
+    readDeadLetterFromQueue (deadQueueData, callback) {
+        return this.respond((done) => this.readDeadRecord(deadQueueData, done), callback, deadQueueData);
+    }
     
-    constructor(connectionConfig) {
-        super();
-        if (!connectionConfig || typeof connectionConfig !== "object" || connectionConfig instanceof Array || Object.keys(connectionConfig).length === 0) {
-            throw new Error(`'Connection config' is either missing or not in the specified format`);
-        }
-        let validation = validator.paramsValidator(connectionConfig, config.constructor.schema.elements, config.constructor.schema.mandatory_elements, config.constructor.schema.blank_value);
-        if(!validation.success) {
-            throw new Error(validation.response.errorMsg);
-        } else if (Object.keys(validation.elements).length === 0) {
-            throw new Error(`Minimum one valid queue store is required`);
+    /**
+    * Retrieves the dead lettered record of the key from every store of the queue, as documented by readDeadLetterFromQueue.
+    * @param {Object} deadQueueData Holds the inputs of the operation.
+    * @param {cb} callback The callback that handles the response.
+    **/
+    readDeadRecord (deadQueueData, callback) {
+        let validDeadFields = this.validateQueueFields(deadQueueData);
+        if(validDeadFields) {
+            return callback(new ValidationError(validDeadFields));
         }
-        this.connectionHandler = {};
-        this.servicesInfo = "registeredServices";
-        let date = moment(new Date()).format("YYYY-MM-DDTHH:mm:ss");
-        async.eachOf(validation.elements, (value, serviceStore, asyncEachCallback) => {
-            switch(serviceStore.toLowerCase()) {
-                case 'redis' :
-                    this.connectionHandler.redis = {};
-                    this.connectionHandler.redis.connection = redisOperation(value.queueConnector);
-                    this.connectionHandler.redis.serviceName = value.serviceName;
-                    this.connectionHandler.redis.identifierSet = [];
-                    async.each(value.identifierSet, (identifierName, innerAsyncEachCallback) => {
-                        if(identifierName.trim() === "") {
-                            return innerAsyncEachCallback(null);
-                        }
-                        this.connectionHandler.redis.identifierSet.push(identifierName.trim());
-                        async.waterfall([
-                            (waterfallCallback) => {
-                                this.connectionHandler.redis.connection.getHashObject(this.servicesInfo, `${value.serviceName}_${identifierName.trim()}`, (err, response) => {
-                                    /**
-                                    * Put any handler if required.
-                                    **/
-                                    waterfallCallback(err, response);
-                                });
-                            },
-                            (result, waterfallCallback) => {
-                                if(result) {
-                                    return waterfallCallback(null, result);
-                                }
-                                this.connectionHandler.redis.connection.setHashObject(this.servicesInfo, `${value.serviceName}_${identifierName.trim()}`, date, (err, status) => {
-                                    /**
-                                    * Put any handler if required.
-                                    **/
-                                    waterfallCallback(null, status);
-                                });
-                            }
-                        ], (err, response) => {
-                            innerAsyncEachCallback(err);
-                        });
-                    }, (err) => {
-                        asyncEachCallback(err);
-                    });
-                    break;
-                default :
-                    asyncEachCallback(`Not a valid queue store`);
-                    break;
+        let result = {};
+        async.eachOf(this.connectionHandler, (value, serviceStore, asyncEachCallback) => {
+            if(deadQueueData.store !== undefined && deadQueueData.store.indexOf(serviceStore.toLowerCase()) === -1) {
+                return asyncEachCallback(null);
             }
-        }, (err) => {
-            if (err) {
-                throw new Error(err);
+            if(value.identifierSet.indexOf(deadQueueData.identifier) === -1) {
+                return asyncEachCallback(new UnregisteredIdentifierError(serviceStore, deadQueueData.identifier));
             }
+            let invalidTargetType = this.validateTargetTypes(deadQueueData.targetType, value.targetTypes, serviceStore);
+            if(invalidTargetType) {
+                return asyncEachCallback(new UnregisteredTargetTypeError(invalidTargetType, {store : serviceStore}));
+            }
+            let deadRecord = null;
+            async.detectSeries(this.targetQueues(deadQueueData, value), (queueName, detectCallback) => {
+                deadLetter.readDeadRecord(value.connection, queueName, deadQueueData.key, (err, response) => {
+                    deadRecord = response;
+                    detectCallback(err, !!response);
+                });
+            }, (err) => {
+                if(err || !deadRecord) {
+                    return asyncEachCallback(err);
+                }
+                this.decodeRecords(value, deadQueueData.identifier, [deadRecord], (err, deadRecords) => {
+                    if(deadRecords) {
+                        result[serviceStore] = deadLetter.createDeadRecord(deadQueueData.identifier, serviceStore, deadRecords[0]);
+                    }
+                    asyncEachCallback(err);
+                });
+            });
+        }, (err) => {
+            return callback(err, result);
         });
     }
     
     /**
-    * Inserts the data into the queue based on group.
-    * @param {Object} queueData Holds the data to be queued. 
-    * @param {String} queueData.identifier Unique name to group all the data under specific set while storing the information for log/push/event etc. 
-    * @param {String} queueData.key Unique identifier under the specific group. 
-    * @param {Object} queueData.value The data for the unique identifier. 
-    * @param {Array} [queueData.store] The name of different connectors. 
-    * @param {cb} [callback] The callback that handles the response.
+    * Puts the record of the key back from the dead letter queue to the queue with no failed attempts.
+    * @param {Object} replayQueueData Holds the inputs based on which the dead lettered record is to be replayed.
+    * @param {String} replayQueueData.identifier Group category name.
+    * @param {String} replayQueueData.key Unique identifier under the specific group.
+    * @param {Array} [replayQueueData.store] The name of different connectors.
+    * @param {Array} [replayQueueData.targetType] The target names to replay, defaults to the ones registered by the listener.
+    * @param {cb} [callback] The callback that handles the response holding the number of replayed records, a promise of the response is returned if not passed.
     **/
-    pushToQueue (queueData, callback) {
-        let errMsg = "";
-        let validInsertFields = this.validateQueueFields(queueData, callback);
-        if(validInsertFields) {
-            errMsg = validInsertFields;
-        } else if (!queueData.value || typeof queueData.value !== "object" || Object.keys(queueData.value).length === 0) {
-            errMsg = `'Value' is either missing or not in the specified format`;
-        } else if (!queueData.value.targetType || !(queueData.value.targetType instanceof Array) || queueData.value.targetType.length === 0) {
-            errMsg = `'Target type' is either missing or not in the specified format`;
-        } else {
-            async.eachOf(this.connectionHandler, (value, serviceStore, asyncEachCallback) => {
-                if(queueData.store !== undefined && queueData.store.indexOf(serviceStore.toLowerCase()) === -1) {
-                    return asyncEachCallback(null);
-                }
-                switch(serviceStore.toLowerCase()) {
-                    case 'redis' :
-                        if(value.identifierSet.indexOf(queueData.identifier) === -1) {
-                            return asyncEachCallback(`This service is not registered with redis store for the '${queueData.identifier}' identifier`);
-                        }
-                        value.connection.setHashObject(queueData.identifier, queueData.key, queueData.value, (err, status) => {
-                            asyncEachCallback(err);
-                        });
-                        break;
-                    default :
-                        asyncEachCallback(`Not a valid queue store`);
-                        break;
-                }
+    replayDeadLetterToQueue (replayQueueData, callback) {
+        return this.respond((done) => this.replayDeadRecord(replayQueueData, done), callback, replayQueueData);
+    }
+    
+    /**
+    * Replays the dead lettered record of the key in every store of the queue, as documented by replayDeadLetterToQueue.
+    * @param {Object} replayQueueData Holds the inputs of the operation.
+    * @param {cb} callback The callback that handles the response.
+    **/
+    replayDeadRecord (replayQueueData, callback) {
+        let validReplayFields = this.validateQueueFields(replayQueueData);
+        if(validReplayFields) {
+            return callback(new ValidationError(validReplayFields));
+        }
+        let result = {};
+        async.eachOf(this.connectionHandler, (value, serviceStore, asyncEachCallback) => {
+            if(replayQueueData.store !== undefined && replayQueueData.store.indexOf(serviceStore.toLowerCase()) === -1) {
+                return asyncEachCallback(null);
+            }
+            if(value.identifierSet.indexOf(replayQueueData.identifier) === -1) {
+                return asyncEachCallback(new UnregisteredIdentifierError(serviceStore, replayQueueData.identifier));
+            }
+            let invalidTargetType = this.validateTargetTypes(replayQueueData.targetType, value.targetTypes, serviceStore);
+            if(invalidTargetType) {
+                return asyncEachCallback(new UnregisteredTargetTypeError(invalidTargetType, {store : serviceStore}));
+            }
+            let ordered = this.identifierOptions(value, replayQueueData.identifier).ordered;
+            async.eachSeries(this.targetQueues(replayQueueData, value), (queueName, innerAsyncEachCallback) => {
+                deadLetter.replayRecord(value.connection, replayQueueData.identifier, queueName, replayQueueData.key, ordered, (err, count) => {
+                    result[serviceStore] = (result[serviceStore] || 0) + (count || 0);
+                    innerAsyncEachCallback(err);
+                });
             }, (err) => {
-                if (callback !== undefined) {
-                    return callback(err);
-                }
-                if (err) {
-                    throw new Error(err);
-                } else {
-                    return true;
-                }
+                asyncEachCallback(err);
             });
-            return;
-        }
-        if(callback !== undefined) {
-            callback(errMsg, null);
-        } else {
-            throw new Error(errMsg);
+        }, (err) => {
+            return callback(err, result);
+        });
+    }
+    
+    /**
+    * Deletes the record of the key from the dead letter queue, or all the dead lettered records of the identifier if no key is passed.
+    * @param {Object} purgeQueueData Holds the inputs based on which the dead lettered records are to be deleted.
+    * @param {String} purgeQueueData.identifier Group category name.
+    * @param {String} [purgeQueueData.key] Unique identifier under the specific group.
+    * @param {Array} [purgeQueueData.store] The name of different connectors.
+    * @param {Array} [purgeQueueData.targetType] The target names to purge, defaults to the ones registered by the listener.
+    * @param {cb} [callback] The callback that handles the response holding the number of purged records, a promise of the response is returned if not passed.
+    **/
+    purgeDeadLettersFromQueue (purgeQueueData, callback) {
+        return this.respond((done) => this.purgeDeadRecords(purgeQueueData, done), callback, purgeQueueData);
+    }
+    
+    /**
+    * Deletes the dead lettered records from every store of the queue, as documented by purgeDeadLettersFromQueue.
+    * @param {Object} purgeQueueData Holds the inputs of the operation.
+    * @param {cb} callback The callback that handles the response.
+    **/
+    purgeDeadRecords (purgeQueueData, callback) {
+        let validPurgeFields = this.validateQueueFields(purgeQueueData, {'key' : true});
+        if(validPurgeFields) {
+            return callback(new ValidationError(validPurgeFields));
+        } else if (purgeQueueData.key !== undefined && (typeof purgeQueueData.key !== "string" || purgeQueueData.key.trim() === "")) {
+            return callback(new ValidationError(`'Key' is either missing or not in the specified format`));
         }
+        let result = {};
+        async.eachOf(this.connectionHandler, (value, serviceStore, asyncEachCallback) => {
+            if(purgeQueueData.store !== undefined && purgeQueueData.store.indexOf(serviceStore.toLowerCase()) === -1) {
+                return asyncEachCallback(null);
+            }
+            if(value.identifierSet.indexOf(purgeQueueData.identifier) === -1) {
+                return asyncEachCallback(new UnregisteredIdentifierError(serviceStore, purgeQueueData.identifier));
+            }
+            let invalidTargetType = this.validateTargetTypes(purgeQueueData.targetType, value.targetTypes, serviceStore);
+            if(invalidTargetType) {
+                return asyncEachCallback(new UnregisteredTargetTypeError(invalidTargetType, {store : serviceStore}));
+            }
+            async.eachSeries(this.targetQueues(purgeQueueData, value), (queueName, innerAsyncEachCallback) => {
+                deadLetter.purgeDeadRecords(value.connection, queueName, purgeQueueData.key, (err, count) => {
+                    result[serviceStore] = (result[serviceStore] || 0) + (count || 0);
+                    innerAsyncEachCallback(err);
+                });
+            }, (err) => {
+                asyncEachCallback(err);
+            });
+        }, (err) => {
+            return callback(err, result);
+        });
     }
     
     /**
-    * Retrieves the data from the queue based on group and key.
-    * @param {Object} readQueueData Holds the inputs based on which the data from key is to be fetched from the queue.
-    * @param {String} readQueueData.identifier Group category name. 
-    * @param {String} readQueueData.key Unique identifier under the specific group.
-    * @param {Array} [readQueueData.store] The name of different connectors.
+    * Retrieves the records of the identifier scheduled for a later delivery, ordered by their delivery time in milliseconds since the epoch.
+    * @param {Object} scheduledQueueData Holds the inputs based on which the scheduled records are to be fetched.
+    * @param {String} scheduledQueueData.identifier Group category name.
+    * @param {Array} [scheduledQueueData.store] The name of different connectors.
+    * @param {cb} [callback] The callback that handles the response, a promise of the response is returned if not passed.
+    **/
+    readScheduledFromQueue (scheduledQueueData, callback) {
+        return this.respond((done) => this.readScheduledRecords(scheduledQueueData, done), callback, scheduledQueueData);
+    }
+    
+    /**
+    * Retrieves the scheduled records from every store of the queue, as documented by readScheduledFromQueue.
+    * @param {Object} scheduledQueueData Holds the inputs of the operation.
     * @param {cb} callback The callback that handles the response.
     **/
-    readFromQueue (readQueueData, callback) {
-        let validReadFields = this.validateQueueFields(readQueueData, callback);
-        if(validReadFields) {
-            return callback(validReadFields);
+    readScheduledRecords (scheduledQueueData, callback) {
+        let validScheduledFields = this.validateQueueFields(scheduledQueueData, {'key' : true});
+        if(validScheduledFields) {
+            return callback(new ValidationError(validScheduledFields));
         }
         let result = {};
         async.eachOf(this.connectionHandler, (value, serviceStore, asyncEachCallback) => {
-            if(readQueueData.store !== undefined && readQueueData.store.indexOf(serviceStore.toLowerCase()) === -1) {
+            if(scheduledQueueData.store !== undefined && scheduledQueueData.store.indexOf(serviceStore.toLowerCase()) === -1) {
                 return asyncEachCallback(null);
             }
-            switch(serviceStore.toLowerCase()) {
-                case 'redis' :
-                    if(value.identifierSet.indexOf(readQueueData.identifier) === -1) {
-                        return asyncEachCallback(`This service is not registered with redis store for the '${readQueueData.identifier}' identifier`);
-                    }
-                    async.waterfall([
-                        (waterfallCallback) => {
-                            value.connection.getHashObject(readQueueData.identifier, readQueueData.key, (err, response) => {
-                                if(response && response.length) {
-                                    result.redis = response;
-                                }
-                                waterfallCallback(err, response);
-                            });
-                        },
-                        (response, waterfallCallback) => {
-                            if(!response) {
-                                return waterfallCallback(null, response);
-                            }
-                            value.connection.setHashObject(this.servicesInfo, `${value.serviceName}_${readQueueData.identifier}`, (this.redisReadDate || moment(new Date()).format("YYYY-MM-DDTHH:mm:ss")), (err, status) => {
-                                /**
-                                * Put any handler if required.
-                                **/
-                                waterfallCallback(null, status);
-                            });
-                        }
-                    ], (err, response) => {
-                        asyncEachCallback(err);
-                    });
-                    break;
-                default :
-                    asyncEachCallback(`Not a valid queue store`);
-                    break;
+            if(value.identifierSet.indexOf(scheduledQueueData.identifier) === -1) {
+                return asyncEachCallback(new UnregisteredIdentifierError(serviceStore, scheduledQueueData.identifier));
             }
+            async.waterfall([
+                (waterfallCallback) => scheduledDelivery.readScheduled(value.connection, scheduledQueueData.identifier, waterfallCallback),
+                (records, waterfallCallback) => {
+                    /**
+                    * The records scheduled by the previous versions hold the value as pushed.
+                    **/
+                    this.decodeRecords(value, scheduledQueueData.identifier, records.map((record) => Object.assign({}, record, {
+                        value : (typeof record.value === "string") ? record.value : JSON.stringify(record.value)
+                    })), waterfallCallback);
+                }
+            ], (err, records) => {
+                if(records && records.length) {
+                    result[serviceStore] = records.map((record) => ({
+                        identifier : scheduledQueueData.identifier,
+                        key : record.key,
+                        value : readResults.parseValue(record.value),
+                        deliverAt : record.deliverAt
+                    }));
+                }
+                asyncEachCallback(err);
+            });
         }, (err) => {
             return callback(err, result);
         });
     }
     
     /**
-    * Retrieves the keys from the queue based on group.
-    * @param {Object} readKeyQueueData Holds the inputs based on which the data is to be fetched from the queue.
-    * @param {String} readKeyQueueData.identifier Group category name. 
-    * @param {Array} [readKeyQueueData.store] The name of different connectors.
+    * Cancels the record of the key scheduled for a later delivery, or all the scheduled records of the identifier if no key is passed.
+    * @param {Object} cancelQueueData Holds the inputs based on which the scheduled records are to be cancelled.
+    * @param {String} cancelQueueData.identifier Group category name.
+    * @param {String} [cancelQueueData.key] Unique identifier under the specific group.
+    * @param {Array} [cancelQueueData.store] The name of different connectors.
+    * @param {cb} [callback] The callback that handles the response holding the number of cancelled records, a promise of the response is returned if not passed.
+    **/
+    cancelScheduledFromQueue (cancelQueueData, callback) {
+        return this.respond((done) => this.cancelScheduledRecords(cancelQueueData, done), callback, cancelQueueData);
+    }
+    
+    /**
+    * Cancels the scheduled records from every store of the queue, as documented by cancelScheduledFromQueue.
+    * @param {Object} cancelQueueData Holds the inputs of the operation.
     * @param {cb} callback The callback that handles the response.
     **/
-    readKeysFromQueue (readKeyQueueData, callback) {
-        let validReadKeyFields = this.validateQueueFields(readKeyQueueData, callback, {'key' : true});
-        if(validReadKeyFields) {
-            return callback(validReadKeyFields);
+    cancelScheduledRecords (cancelQueueData, callback) {
+        let validCancelFields = this.validateQueueFields(cancelQueueData, {'key' : true});
+        if(validCancelFields) {
+            return callback(new ValidationError(validCancelFields));
+        } else if (cancelQueueData.key !== undefined && (typeof cancelQueueData.key !== "string" || cancelQueueData.key.trim() === "")) {
+            return callback(new ValidationError(`'Key' is either missing or not in the specified format`));
         }
         let result = {};
         async.eachOf(this.connectionHandler, (value, serviceStore, asyncEachCallback) => {
-            if(readKeyQueueData.store !== undefined && readKeyQueueData.store.indexOf(serviceStore.toLowerCase()) === -1) {
+            if(cancelQueueData.store !== undefined && cancelQueueData.store.indexOf(serviceStore.toLowerCase()) === -1) {
                 return asyncEachCallback(null);
             }
-            switch(serviceStore.toLowerCase()) {
-                case 'redis' :
-                    if(value.identifierSet.indexOf(readKeyQueueData.identifier) === -1) {
-                        return asyncEachCallback(`This service is not registered with redis store for the '${readKeyQueueData.identifier}' identifier`);
-                    }
-                    value.connection.getHashKey(readKeyQueueData.identifier, (err, response) => {
-                        if(response && response.length) {
-                            result.redis = response;
-                        }
-                        asyncEachCallback(err);
-                    });
-                    break;
-                default :
-                    asyncEachCallback(`Not a valid queue store`);
-                    break;
+            if(value.identifierSet.indexOf(cancelQueueData.identifier) === -1) {
+                return asyncEachCallback(new UnregisteredIdentifierError(serviceStore, cancelQueueData.identifier));
             }
+            scheduledDelivery.cancelScheduled(value.connection, cancelQueueData.identifier, cancelQueueData.key, (err, count) => {
+                result[serviceStore] = count || 0;
+                asyncEachCallback(err);
+            });
         }, (err) => {
             return callback(err, result);
         });
     }
     
     /**
-    * Retrieves the key and value from the queue based on group.
-    * @param {Object} readKeyValQueueData Holds the inputs based on which the key and value data is to be fetched from the queue.
-    * @param {String} readKeyValQueueData.identifier Group category name. 
-    * @param {Array} [readKeyValQueueData.store] The name of different connectors.
+    * Retrieves the number of records of the identifier addressed to the listener which expired before being deleted.
+    * @param {Object} expiredQueueData Holds the inputs based on which the expired records are to be counted.
+    * @param {String} expiredQueueData.identifier Group category name.
+    * @param {Array} [expiredQueueData.store] The name of different connectors.
+    * @param {Array} [expiredQueueData.targetType] The target names to count, defaults to the ones registered by the listener.
+    * @param {cb} [callback] The callback that handles the response, a promise of the response is returned if not passed.
+    **/
+    readExpiredCountFromQueue (expiredQueueData, callback) {
+        return this.respond((done) => this.readExpiredCount(expiredQueueData, done), callback, expiredQueueData);
+    }
+    
+    /**
+    * Counts the expired records in every store of the queue, as documented by readExpiredCountFromQueue.
+    * @param {Object} expiredQueueData Holds the inputs of the operation.
     * @param {cb} callback The callback that handles the response.
     **/
-    readKeysAndValuesFromQueue (readKeyValQueueData, callback) {
-        let validReadKeyAndValueFields = this.validateQueueFields(readKeyValQueueData, callback, {'key' : true});
-        if(validReadKeyAndValueFields) {
-            return callback(validReadKeyAndValueFields);
+    readExpiredCount (expiredQueueData, callback) {
+        let validExpiredFields = this.validateQueueFields(expiredQueueData, {'key' : true});
+        if(validExpiredFields) {
+            return callback(new ValidationError(validExpiredFields));
         }
         let result = {};
         async.eachOf(this.connectionHandler, (value, serviceStore, asyncEachCallback) => {
-            if(readKeyValQueueData.store !== undefined && readKeyValQueueData.store.indexOf(serviceStore.toLowerCase()) === -1) {
+            if(expiredQueueData.store !== undefined && expiredQueueData.store.indexOf(serviceStore.toLowerCase()) === -1) {
                 return asyncEachCallback(null);
             }
-            switch(serviceStore.toLowerCase()) {
-                case 'redis' :
-                    if(value.identifierSet.indexOf(readKeyValQueueData.identifier) === -1) {
-                        return asyncEachCallback(`This service is not registered with redis store for the '${readKeyValQueueData.identifier}' identifier`);
-                    }
-                    async.waterfall([
-                        (waterfallCallback) => {
-                            value.connection.getHashKey(readKeyValQueueData.identifier, (err, response) => {
-                                this.redisReadDate = moment(new Date()).format("YYYY-MM-DDTHH:mm:ss");
-                                waterfallCallback(err, response);
-                            });
-                        },
-                        (keyList, waterfallCallback) => {
-                            if(!keyList || keyList.length === 0) {
-                                return waterfallCallback(null, keyList);
-                            }
-                            result.redis = [];
-                            async.each(keyList, (name, innerAsyncEachCallback) => {
-                                let dataObj = Object.assign({}, readKeyValQueueData);
-                                dataObj.key = name;
-                                dataObj.store = ['redis'];
-                                this.readFromQueue(dataObj, (err, response) => {
-                                    if(response && response.redis && response.redis.length) {
-                                        dataObj.value = response.redis;
-                                        result.redis.push(dataObj);
-                                    }
-                                    innerAsyncEachCallback(err);
-                                });
-                            }, (err) => {
-                                return waterfallCallback(err);
-                            });
-                        }
-                    ], (err, response) => {
-                        this.redisReadDate = null;
-                        asyncEachCallback(err);
-                    });
-                    break;
-                default :
-                    asyncEachCallback(`Not a valid queue store`);
-                    break;
+            if(value.identifierSet.indexOf(expiredQueueData.identifier) === -1) {
+                return asyncEachCallback(new UnregisteredIdentifierError(serviceStore, expiredQueueData.identifier));
             }
+            let invalidTargetType = this.validateTargetTypes(expiredQueueData.targetType, value.targetTypes, serviceStore);
+            if(invalidTargetType) {
+                return asyncEachCallback(new UnregisteredTargetTypeError(invalidTargetType, {store : serviceStore}));
+            }
+            async.waterfall([
+                (waterfallCallback) => {
+                    this.refreshQueues(expiredQueueData, value, (err) => waterfallCallback(err));
+                },
+                (waterfallCallback) => {
+                    recordExpiry.countExpired(value.connection, this.targetQueues(expiredQueueData, value), waterfallCallback);
+                }
+            ], (err, count) => {
+                result[serviceStore] = count || 0;
+                asyncEachCallback(err);
+            });
         }, (err) => {
             return callback(err, result);
         });
     }
     
     /**
-    * Deletes the data from the queue based on group and key.
-    * @param {Object} deleteQueueData Holds the inputs based on which the data is to be deleted from the queue.
-    * @param {String} deleteQueueData.identifier Group category name. 
-    * @param {String} deleteQueueData.key Unique identifier under the specific group.
-    * @param {Array} [deleteQueueData.store] The name of different connectors.
-    * @param {cb} [callback] The callback that handles the response.
+    * Brings the nodes of the stores back in agreement after a node missed writes, along with the counters and the bookkeeping of the queues, the value held by the majority of the nodes wins and a record held by only half of them is kept.
+    * @param {Object} [repairData] Holds the inputs based on which the queues are to be repaired.
+    * @param {String} [repairData.identifier] Group category name, defaults to every identifier registered by the listener.
+    * @param {Array} [repairData.store] The name of different connectors.
+    * @param {cb} [callback] The callback that handles the response holding the number of repaired records and the repaired queues of every store, a promise of the response is returned if not passed.
     **/
-    deleteKeyFromQueue (deleteQueueData, callback) {
-        let validDeleteKeyFields = this.validateQueueFields(deleteQueueData, callback);
-        if(validDeleteKeyFields) {
-            return callback(validDeleteKeyFields);
+    repair (repairData, callback) {
+        if(typeof repairData === "function") {
+            callback = repairData;
+            repairData = undefined;
+        }
+        return this.respond((done) => this.repairQueues(repairData || {}, done), callback, repairData);
+    }
+    
+    /**
+    * Repairs the queues of every store, as documented by repair.
+    * @param {Object} repairData Holds the inputs of the operation.
+    * @param {cb} callback The callback that handles the response.
+    **/
+    repairQueues (repairData, callback) {
+        if(!repairData || typeof repairData !== "object") {
+            return callback(new ValidationError(`'Repair data' is not in the specified format`));
+        } else if (repairData.identifier !== undefined && (typeof repairData.identifier !== "string" || repairData.identifier.trim() === "")) {
+            return callback(new ValidationError(`'Identifier' is either missing or not in the specified format`));
+        } else if (repairData.store !== undefined && (!(repairData.store instanceof Array) || repairData.store.length === 0)) {
+            return callback(new ValidationError(`'Store' value is either blank or not in the specified format`));
         }
         let result = {};
         async.eachOf(this.connectionHandler, (value, serviceStore, asyncEachCallback) => {
-            if(deleteQueueData.store !== undefined && deleteQueueData.store.indexOf(serviceStore.toLowerCase()) === -1) {
+            if(repairData.store !== undefined && repairData.store.indexOf(serviceStore.toLowerCase()) === -1) {
                 return asyncEachCallback(null);
             }
-            switch(serviceStore.toLowerCase()) {
-                case 'redis' :
-                    if(value.identifierSet.indexOf(deleteQueueData.identifier) === -1) {
-                        return asyncEachCallback(`This service is not registered with redis store for the '${deleteQueueData.identifier}' identifier`);
-                    }
-                    value.connection.deleteHashKey(deleteQueueData.identifier, deleteQueueData.key, (err, response) => {
-                        if(response) {
-                            result.redis = response;
+            if(repairData.identifier !== undefined && value.identifierSet.indexOf(repairData.identifier) === -1) {
+                return asyncEachCallback(new UnregisteredIdentifierError(serviceStore, repairData.identifier));
+            }
+            let report = {repaired : 0, queues : []};
+            let repaired = (queueName, asyncCallback) => (err, count) => {
+                if(count) {
+                    report.repaired += count;
+                    report.queues.push(queueName);
+                }
+                asyncCallback(err);
+            };
+            let identifiers = repairData.identifier !== undefined ? [repairData.identifier] : value.identifierSet;
+            async.series([
+                (seriesCallback) => async.eachSeries(serviceRegistry.hashNames, (hashName, registryCallback) => {
+                    value.connection.repairHash(hashName, repaired(hashName, registryCallback));
+                }, seriesCallback),
+                (seriesCallback) => async.eachSeries(identifiers, (identifier, innerAsyncEachCallback) => {
+                    let findKeys = (type) => (findCallback) => value.connection.findKeys(queueKeys.identifierPattern(identifier), type, findCallback);
+                    async.series([findKeys('hash'), findKeys('list'), findKeys('string')], (err, keys) => {
+                        if(err) {
+                            return innerAsyncEachCallback(err);
                         }
-                        asyncEachCallback(err);
+                        let hashNames = [identifier].concat(keys[0]);
+                        async.series([
+                            (innerSeriesCallback) => async.eachSeries(hashNames, (hashName, hashCallback) => {
+                                value.connection.repairHash(hashName, repaired(hashName, hashCallback));
+                            }, innerSeriesCallback),
+                            (innerSeriesCallback) => async.eachSeries(keys[1], (listName, listCallback) => {
+                                let compare = /:ordered$/.test(listName) ? (first, second) => JSON.parse(first).sequence - JSON.parse(second).sequence : undefined;
+                                value.connection.repairList(listName, compare, repaired(listName, listCallback));
+                            }, innerSeriesCallback),
+                            (innerSeriesCallback) => async.eachSeries(keys[2], (counterName, counterCallback) => {
+                                value.connection.repairCounter(counterName, repaired(counterName, counterCallback));
+                            }, innerSeriesCallback)
+                        ], innerAsyncEachCallback);
                     });
-                    break;
-                default :
-                    asyncEachCallback(`Not a valid queue store`);
-                    break;
+                }, seriesCallback)
+            ], (err) => {
+                result[serviceStore] = report;
+                asyncEachCallback(err);
+            });
+        }, (err) => {
+            return callback(err, result);
+        });
+    }
+    
+    /**
+    * @callback recordListener Method to be called for every record pushed to the identifier.
+    * @param {Object} notification Holds the identifier, key and the target type of the pushed record.
+    **/
+    
+    /**
+    * Notifies the listener of every record pushed to the identifier as soon as it is pushed, instead of polling the queue.
+    * The listener registered with target types is only notified of the records addressed to one of its targets.
+    * @param {String} identifier Group category name.
+    * @param {recordListener} listener The method called with the notification of every pushed record.
+    * @param {cb} [callback] The callback that handles the response once subscribed, a promise of the response is returned if not passed.
+    **/
+    subscribe (identifier, listener, callback) {
+        return this.respond((done) => this.subscribeRecords(identifier, listener, done), callback, {identifier : identifier});
+    }
+    
+    /**
+    * Subscribes the listener to the channel of the identifier in every store, as documented by subscribe.
+    * @param {String} identifier Group category name.
+    * @param {recordListener} listener The method called with the notification of every pushed record.
+    * @param {cb} callback The callback that handles the response.
+    **/
+    subscribeRecords (identifier, listener, callback) {
+        if(!identifier || typeof identifier !== "string" || identifier.trim() === "") {
+            return callback(new ValidationError(`'Identifier' is either missing or not in the specified format`));
+        } else if (typeof listener !== "function") {
+            return callback(new ValidationError(`'Listener' is either missing or not in the specified format`));
+        }
+        async.eachOf(this.connectionHandler, (value, serviceStore, asyncEachCallback) => {
+            if(value.identifierSet.indexOf(identifier) === -1) {
+                return asyncEachCallback(new UnregisteredIdentifierError(serviceStore, identifier));
             }
+            let subscription = {
+                identifier : identifier,
+                listener : listener,
+                store : value,
+                onMessage : (message) => {
+                    /**
+                    * The messages published on the channel by other clients are not trusted, the malformed ones are reported instead of being handed over.
+                    **/
+                    let notification = null;
+                    try {
+                        notification = JSON.parse(message);
+                    } catch (parseErr) {
+                        notification = null;
+                    }
+                    if(!notification || typeof notification !== "object" || typeof notification.key !== "string") {
+                        return this.emitError(new InvalidRecordError(`The notification published on the channel of the '${identifier}' identifier is not in the specified format`, {identifier : identifier, store : serviceStore}));
+                    } else if(value.targetTypes.length && !(notification.targetType instanceof Array ? notification.targetType : []).some((target) => value.targetTypes.indexOf(String(target).trim()) !== -1)) {
+                        return;
+                    }
+                    try {
+                        listener(notification);
+                    } catch (listenerErr) {
+                        this.emitError(listenerErr);
+                    }
+                }
+            };
+            value.connection.subscribeChannel(queueKeys.channelName(identifier), subscription.onMessage, (err) => {
+                if(!err) {
+                    this.subscriptions.push(subscription);
+                }
+                asyncEachCallback(err);
+            });
         }, (err) => {
-            if(callback !== undefined) {
-                return callback(err, result);
+            return callback(err, null);
+        });
+    }
+    
+    /**
+    * Stops notifying the listener of the records pushed to the identifier.
+    * @param {String} identifier Group category name.
+    * @param {recordListener} listener The method passed to subscribe.
+    * @param {cb} [callback] The callback that handles the response, a promise of the response is returned if not passed.
+    **/
+    unsubscribe (identifier, listener, callback) {
+        return this.respond((done) => {
+            let subscriptions = this.subscriptions.filter((subscription) => subscription.identifier === identifier && subscription.listener === listener);
+            this.subscriptions = this.subscriptions.filter((subscription) => subscriptions.indexOf(subscription) === -1);
+            async.each(subscriptions, (subscription, asyncEachCallback) => {
+                subscription.store.connection.unsubscribeChannel(queueKeys.channelName(identifier), subscription.onMessage, asyncEachCallback);
+            }, (err) => {
+                done(err, null);
+            });
+        }, callback, {identifier : identifier});
+    }
+    
+    /**
+    * Retrieves the stats of the identifier, holding the number of push, read and delete operations run by the handler since it was created along with their rates per second over the last minute.
+    * The stats of every store the identifier is registered with hold the number of pending records of the identifier, the age in milliseconds of the oldest one which is null if nothing is pending, and the number of errors raised by the operations of the handler.
+    * @param {String} identifier Group category name.
+    * @param {cb} [callback] The callback that handles the response, a promise of the response is returned if not passed.
+    **/
+    getStats (identifier, callback) {
+        return this.respond((done) => this.readStats(identifier, done), callback, {identifier : identifier});
+    }
+    
+    /**
+    * Retrieves the stats of the identifier from every store, as documented by getStats.
+    * @param {String} identifier Group category name.
+    * @param {cb} callback The callback that handles the response.
+    **/
+    readStats (identifier, callback) {
+        if(!identifier || typeof identifier !== "string" || identifier.trim() === "") {
+            return callback(new ValidationError(`'Identifier' is either missing or not in the specified format`));
+        }
+        let metrics = this.metrics.snapshot(identifier);
+        let result = {
+            identifier : identifier,
+            operations : metrics.totals,
+            rates : metrics.rates,
+            stores : {}
+        };
+        if(this.registeredIdentifiers().indexOf(identifier) === -1) {
+            return callback(new UnregisteredIdentifierError(Object.keys(this.connectionHandler)[0], identifier));
+        }
+        /**
+        * Only the stores the identifier is registered with hold its stats.
+        **/
+        async.eachOf(this.connectionHandler, (value, serviceStore, asyncEachCallback) => {
+            if(value.identifierSet.indexOf(identifier) === -1) {
+                return asyncEachCallback(null);
             }
-            if (err) {
-                throw new Error(err);
-            } else {
-                return true;
+            let ordered = this.identifierOptions(value, identifier).ordered;
+            queueStats.readQueueStats(value.connection, this.targetQueues({identifier : identifier}, value), ordered, (err, stats) => {
+                if(stats) {
+                    result.stores[serviceStore] = Object.assign(stats, {errors : metrics.errors[serviceStore] || 0});
+                }
+                asyncEachCallback(err);
+            });
+        }, (err) => {
+            callback(err, err ? null : result);
+        });
+    }
+    
+    /**
+    * Retrieves the services registered with every store, each one holding its identifiers along with their target types, registration time and the last time the service read and wrote the identifier, which are null if it never did.
+    * @param {cb} [callback] The callback that handles the response holding the services of every store ordered by name, a promise of the response is returned if not passed.
+    **/
+    listServices (callback) {
+        return this.respond((done) => this.readServices(undefined, done), callback);
+    }
+    
+    /**
+    * Retrieves the registration of the service with every store, as listed by listServices.
+    * @param {String} serviceName The name of the service.
+    * @param {cb} [callback] The callback that handles the response holding the service by store, the stores the service is not registered with are left out, a promise of the response is returned if not passed.
+    **/
+    getServiceInfo (serviceName, callback) {
+        return this.respond((done) => this.readServices(serviceName, done), callback);
+    }
+    
+    /**
+    * Retrieves the registered services from every store, as documented by listServices and getServiceInfo.
+    * @param {String} [serviceName] The name of the only service to retrieve.
+    * @param {cb} callback The callback that handles the response.
+    **/
+    readServices (serviceName, callback) {
+        if(serviceName !== undefined && (typeof serviceName !== "string" || serviceName.trim() === "")) {
+            return callback(new ValidationError(`'Service name' is either missing or not in the specified format`));
+        }
+        let result = {};
+        async.eachOf(this.connectionHandler, (value, serviceStore, asyncEachCallback) => {
+            serviceRegistry.readServices(value.connection, value.identifierSet, (err, services) => {
+                if(err) {
+                    return asyncEachCallback(err);
+                }
+                if(serviceName === undefined) {
+                    result[serviceStore] = services;
+                    return asyncEachCallback(null);
+                }
+                let service = services.filter((registered) => registered.serviceName === serviceName.trim())[0];
+                if(service) {
+                    result[serviceStore] = service;
+                }
+                asyncEachCallback(null);
+            });
+        }, (err) => {
+            callback(err, result);
+        });
+    }
+    
+    /**
+    * Removes the registrations of the service from the stores along with its last read and write times, the queued records are kept.
+    * @param {Object} [unregisterData] Holds the registrations to remove.
+    * @param {String} [unregisterData.serviceName] The name of the service, defaults to the service of the handler.
+    * @param {String} [unregisterData.identifier] The identifier to unregister, all the identifiers of the service are unregistered if not passed.
+    * @param {Array} [unregisterData.store] The name of different connectors.
+    * @param {cb} [callback] The callback that handles the response holding the number of removed registrations by store, a promise of the response is returned if not passed.
+    **/
+    unregisterService (unregisterData, callback) {
+        if(typeof unregisterData === "function") {
+            callback = unregisterData;
+            unregisterData = undefined;
+        }
+        return this.respond((done) => this.unregisterRegistrations(unregisterData || {}, done), callback, unregisterData);
+    }
+    
+    /**
+    * Removes the registrations of the service from every store, as documented by unregisterService.
+    * @param {Object} unregisterData Holds the inputs of the operation.
+    * @param {cb} callback The callback that handles the response.
+    **/
+    unregisterRegistrations (unregisterData, callback) {
+        if(typeof unregisterData !== "object" || unregisterData instanceof Array) {
+            return callback(new ValidationError(`'Unregister data' is not in the specified format`));
+        } else if (unregisterData.serviceName !== undefined && (typeof unregisterData.serviceName !== "string" || unregisterData.serviceName.trim() === "")) {
+            return callback(new ValidationError(`'Service name' is either missing or not in the specified format`));
+        } else if (unregisterData.identifier !== undefined && (typeof unregisterData.identifier !== "string" || unregisterData.identifier.trim() === "")) {
+            return callback(new ValidationError(`'Identifier' is either missing or not in the specified format`));
+        } else if (unregisterData.store !== undefined && (!(unregisterData.store instanceof Array) || unregisterData.store.length === 0)) {
+            return callback(new ValidationError(`'Store' value is either blank or not in the specified format`));
+        }
+        let result = {};
+        async.eachOf(this.connectionHandler, (value, serviceStore, asyncEachCallback) => {
+            if(unregisterData.store !== undefined && unregisterData.store.indexOf(serviceStore.toLowerCase()) === -1) {
+                return asyncEachCallback(null);
             }
+            let serviceName = unregisterData.serviceName ? unregisterData.serviceName.trim() : value.serviceName;
+            let identifier = unregisterData.identifier && unregisterData.identifier.trim();
+            serviceRegistry.unregister(value.connection, serviceName, identifier, value.identifierSet, (err, count) => {
+                if(count) {
+                    result[serviceStore] = count;
+                }
+                asyncEachCallback(err);
+            });
+        }, (err) => {
+            callback(err, result);
         });
     }
+    
+    /**
+    * Starts consuming the records of the queue, each record is claimed by a single consumer and removed from the queue only once acknowledged by the handler.
+    * Records left unacknowledged beyond the visibility timeout are put back to the queue to be claimed again.
+    * @param {Object} consumeData Holds the inputs based on which the records are to be consumed.
+    * @param {String} consumeData.identifier Group category name.
+    * @param {Array} [consumeData.store] The name of the connector to consume from, defaults to the first configured one.
+    * @param {Array} [consumeData.targetType] The target names to consume, defaults to the ones registered by the listener.
+    * @param {String} [consumeData.consumerName] Unique name of the consumer, defaults to the service name, host and process id followed by the number of the consumer within the process.
+    * @param {Number} [consumeData.visibilityTimeout=30000] The milliseconds after which an unacknowledged record is put back to the queue.
+    * @param {messageHandler} handler The method called with every claimed record along with the acknowledgement callback.
+    * @param {cb} [callback] The callback that handles the response with the consumer, which can be stopped through its stop method, a promise of the response is returned if not passed.
+    **/
+    consume (consumeData, handler, callback) {
+        return this.respond((done) => this.startConsumer(consumeData, handler, done), callback, consumeData);
+    }
+    
+    /**
+    * Starts the consumer of the queue, as documented by consume.
+    * @param {Object} consumeData Holds the inputs of the consumer.
+    * @param {messageHandler} handler The method called with every claimed record.
+    * @param {cb} callback The callback that handles the response.
+    **/
+    startConsumer (consumeData, handler, callback) {
+        let validConsumeFields = this.validateQueueFields(consumeData, {'key' : true});
+        if(validConsumeFields) {
+            return callback(new ValidationError(validConsumeFields));
+        } else if (typeof handler !== "function") {
+            return callback(new ValidationError(`'Handler' is either missing or not in the specified format`));
+        } else if (consumeData.consumerName !== undefined && (typeof consumeData.consumerName !== "string" || consumeData.consumerName.trim() === "")) {
+            return callback(new ValidationError(`'Consumer name' is either missing or not in the specified format`));
+        } else if (consumeData.visibilityTimeout !== undefined && (typeof consumeData.visibilityTimeout !== "number" || consumeData.visibilityTimeout <= 0)) {
+            return callback(new ValidationError(`'Visibility timeout' must have a positive number`));
+        }
+        let serviceStore = (consumeData.store ? consumeData.store[0] : Object.keys(this.connectionHandler)[0]).toLowerCase();
+        let value = this.connectionHandler[serviceStore];
+        if(!value) {
+            return callback(new InvalidStoreError(`Not a valid queue store`, {store : serviceStore}));
+        }
+        if(value.identifierSet.indexOf(consumeData.identifier) === -1) {
+            return callback(new UnregisteredIdentifierError(serviceStore, consumeData.identifier));
+        }
+        let invalidTargetType = this.validateTargetTypes(consumeData.targetType, value.targetTypes, serviceStore);
+        if(invalidTargetType) {
+            return callback(new UnregisteredTargetTypeError(invalidTargetType, {store : serviceStore}));
+        }
+        let targetType = consumeData.targetType || value.targetTypes;
+        let queueNames = this.targetQueues(consumeData, value);
+        let consumer = new QueueConsumer(value, {
+            identifier : consumeData.identifier,
+            store : serviceStore,
+            queues : queueNames.map((queueName, index) => ({name : queueName, targetType : targetType.length ? targetType[index].trim() : undefined})),
+            consumerName : consumeData.consumerName && consumeData.consumerName.trim(),
+            visibilityTimeout : consumeData.visibilityTimeout || 30000,
+            ordered : this.identifierOptions(value, consumeData.identifier).ordered,
+            maxAttempts : this.identifierOptions(value, consumeData.identifier).maxAttempts,
+            maxWait : this.identifierOptions(value, consumeData.identifier).maxWait,
+            codec : this.identifierOptions(value, consumeData.identifier).codec,
+            onTargetDeleted : (key, done) => this.releaseBaseCopy(value, consumeData.identifier, key, done),
+            onError : (err) => this.emitError(QueueError.from(err, {identifier : consumeData.identifier, store : serviceStore}))
+        }, handler);
+        consumer.start();
+        this.consumers.push(consumer);
+        return callback(null, consumer);
+    }
 }
 
-module.exports = QueueHandler;
\ No newline at end of file
+module.exports = QueueHandler;
+module.exports.QueueError = QueueError;
\ No newline at end of file
@@ -0,0 +1,760 @@
+/* jshint node: true */
+/* jshint esnext: true */
+'use strict';
+
+var EventEmitter = require("events");
+
+
+/* The in-memory servers stand in for the redis servers within the
+ * process, so that the queue can run & be tested without a redis
+ * server. The clients created for the same host & port share the
+ * keys, the channels & the blocked commands of their server, just
+ * like the clients connected to the same redis server.
+ * The commands issued before the client is connected are run once
+ * it connects, whereas the commands issued after the connection is
+ * lost fail right away.
+ * */
+var servers = {};
+
+
+/* The keys & the fields of the hashes are held in objects without
+ * prototype, so that any name, '__proto__' included, is an own
+ * property.
+ * */
+function hasName(names, name){
+	return Object.prototype.hasOwnProperty.call(names, name);
+}
+
+
+/* getServer returns the in-memory server of the host & port,
+ * the server is created & started on first use.
+ * */
+function getServer(host, port){
+	var address = host + ':' + port;
+	if(!servers[address]) {
+		servers[address] = {data : Object.create(null), sequence : 0, clients : [], blocked : [], running : true, password : null};
+	}
+	return servers[address];
+}
+
+
+/* wrongType returns the error raised by redis when the command
+ * does not match the type of the value held by the key.
+ * */
+function wrongType(){
+	return new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+}
+
+
+/* readEntry returns the entry of the key if it holds the type,
+ * null if the key does not exist, and throws the wrong type
+ * error otherwise.
+ * */
+function readEntry(data, key, type){
+	var entry = data[key];
+	if(!entry) {
+		return null;
+	} else if(entry.type !== type) {
+		throw wrongType();
+	}
+	return entry;
+}
+
+
+/* putEntry stores the entry of the key, the entry keeps the
+ * position of the key in the scans if the key already exists,
+ * otherwise it is scanned after all the existing keys.
+ * */
+function putEntry(server, key, entry){
+	entry.position = server.data[key] ? server.data[key].position : ++server.sequence;
+	server.data[key] = entry;
+	return entry;
+}
+
+
+/* writeEntry returns the entry of the key for the type, creating
+ * it if the key does not exist.
+ * */
+function writeEntry(server, key, type){
+	var entry = readEntry(server.data, key, type);
+	if(!entry) {
+		entry = putEntry(server, key, type === 'hash' ? {type : type, value : Object.create(null), positions : Object.create(null)} : {type : type, value : []});
+	}
+	return entry;
+}
+
+
+/* scanOptions returns the count & the pattern passed to the scan
+ * commands, redis returns 10 elements per call by default.
+ * */
+function scanOptions(args){
+	var options = {count : 10, matcher : null};
+	for(var i = 0; i + 1 < args.length; i += 2) {
+		var option = String(args[i]).toUpperCase();
+		if(option === 'COUNT') {
+			options.count = parseInt(args[i + 1], 10);
+		} else if(option === 'MATCH') {
+			options.matcher = globToRegExp(String(args[i + 1]));
+		} else {
+			throw new Error('ERR syntax error');
+		}
+	}
+	if(!(options.count > 0)) {
+		throw new Error('ERR syntax error');
+	}
+	return options;
+}
+
+
+/* scanPositions returns the elements positioned after the cursor,
+ * up to the count, along with the cursor of the next call which
+ * is 0 once all the elements are returned.
+ * The cursor is the position of the last returned element, so the
+ * elements present during the whole scan are returned exactly once
+ * even if other elements are deleted in the meantime.
+ * */
+function scanPositions(positions, cursor, options){
+	var after = parseInt(cursor, 10);
+	if(isNaN(after) || after < 0) {
+		throw new Error('ERR invalid cursor');
+	}
+	var names = Object.keys(positions).filter(function (name) {
+		return positions[name] > after;
+	}).sort(function (first, second) {
+		return positions[first] - positions[second];
+	});
+	var scanned = names.slice(0, options.count);
+	var next = names.length > scanned.length ? String(positions[scanned[scanned.length - 1]]) : '0';
+	return [next, options.matcher ? scanned.filter(function (name) {
+		return options.matcher.test(name);
+	}) : scanned];
+}
+
+
+/* dropEmpty deletes the key once its hash or list is empty, as
+ * redis does not keep empty hashes & lists.
+ * */
+function dropEmpty(data, key){
+	var entry = data[key];
+	if(entry && Object.keys(entry.value).length === 0) {
+		delete data[key];
+	}
+}
+
+
+/* listIndex converts the index of a list command, which counts
+ * from the tail when negative, into an index from the head.
+ * */
+function listIndex(index, length){
+	index = parseInt(index, 10);
+	return index < 0 ? length + index : index;
+}
+
+
+/* globToRegExp converts the glob style pattern of the keys
+ * command into a regular expression.
+ * */
+function globToRegExp(pattern){
+	var source = '';
+	for(var i = 0; i < pattern.length; i++) {
+		var character = pattern[i];
+		if(character === '*') {
+			source += '.*';
+		} else if(character === '?') {
+			source += '.';
+		} else if(character === '\\' && i + 1 < pattern.length) {
+			source += '\\' + pattern[++i];
+		} else if(character === '[') {
+			var end = pattern.indexOf(']', i + 1);
+			if(end === -1) {
+				source += '\\[';
+				continue;
+			}
+			var range = pattern.slice(i + 1, end).replace(/\\/g, '\\\\');
+			source += '[' + (range[0] === '^' ? '^' + range.slice(1) : range) + ']';
+			i = end;
+		} else {
+			source += character.replace(/[.+^${}()|\/\]]/g, '\\$&');
+		}
+	}
+	return new RegExp('^' + source + '$');
+}
+
+
+/* commands run the redis commands on the keys of the server with
+ * the flattened arguments of the command, each one returns the
+ * reply of the command & throws the error raised by redis.
+ * */
+var commands = {
+	get : function (server, key) {
+		var entry = readEntry(server.data, key, 'string');
+		return entry ? entry.value : null;
+	},
+	set : function (server, key, value) {
+		putEntry(server, key, {type : 'string', value : String(value)});
+		return 'OK';
+	},
+	mget : function (server) {
+		var keys = Array.prototype.slice.call(arguments, 1);
+		return keys.map(function (key) {
+			var entry = server.data[key];
+			return entry && entry.type === 'string' ? entry.value : null;
+		});
+	},
+	del : function (server) {
+		var keys = Array.prototype.slice.call(arguments, 1);
+		return keys.reduce(function (deleted, key) {
+			if(!server.data[key]) {
+				return deleted;
+			}
+			delete server.data[key];
+			return deleted + 1;
+		}, 0);
+	},
+	incr : function (server, key) {
+		var entry = readEntry(server.data, key, 'string');
+		var value = entry ? Number(entry.value) : 0;
+		if(value % 1 !== 0) {
+			throw new Error('ERR value is not an integer or out of range');
+		}
+		putEntry(server, key, {type : 'string', value : String(value + 1)});
+		return value + 1;
+	},
+	keys : function (server, pattern) {
+		var matcher = globToRegExp(String(pattern));
+		return Object.keys(server.data).filter(function (key) {
+			return matcher.test(key);
+		});
+	},
+	scan : function (server, cursor) {
+		var positions = Object.create(null);
+		Object.keys(server.data).forEach(function (key) {
+			positions[key] = server.data[key].position;
+		});
+		return scanPositions(positions, cursor, scanOptions(Array.prototype.slice.call(arguments, 2)));
+	},
+	type : function (server, key) {
+		return server.data[key] ? server.data[key].type : 'none';
+	},
+	hset : function (server, key, field, value) {
+		var entry = writeEntry(server, key, 'hash');
+		var created = hasName(entry.value, field) ? 0 : 1;
+		entry.value[field] = String(value);
+		if(created) {
+			entry.positions[field] = ++server.sequence;
+		}
+		return created;
+	},
+	hsetnx : function (server, key, field, value) {
+		var entry = readEntry(server.data, key, 'hash');
+		if(entry && hasName(entry.value, field)) {
+			return 0;
+		}
+		return commands.hset(server, key, field, value);
+	},
+	hget : function (server, key, field) {
+		var entry = readEntry(server.data, key, 'hash');
+		return entry && hasName(entry.value, field) ? entry.value[field] : null;
+	},
+	hkeys : function (server, key) {
+		var entry = readEntry(server.data, key, 'hash');
+		return entry ? Object.keys(entry.value) : [];
+	},
+	hgetall : function (server, key) {
+		var entry = readEntry(server.data, key, 'hash');
+		if(!entry) {
+			return null;
+		}
+		/* defined rather than assigned, so that a field named
+		 * '__proto__' is replied as a field of the object */
+		return Object.keys(entry.value).reduce(function (reply, field) {
+			return Object.defineProperty(reply, field, {value : entry.value[field], enumerable : true, writable : true, configurable : true});
+		}, {});
+	},
+	hscan : function (server, key, cursor) {
+		var options = scanOptions(Array.prototype.slice.call(arguments, 3));
+		var entry = readEntry(server.data, key, 'hash');
+		if(!entry) {
+			return ['0', []];
+		}
+		var scanned = scanPositions(entry.positions, cursor, options);
+		return [scanned[0], scanned[1].reduce(function (reply, field) {
+			return reply.concat([field, entry.value[field]]);
+		}, [])];
+	},
+	hdel : function (server, key) {
+		var fields = Array.prototype.slice.call(arguments, 2);
+		var entry = readEntry(server.data, key, 'hash');
+		if(!entry) {
+			return 0;
+		}
+		var deleted = fields.reduce(function (count, field) {
+			if(!hasName(entry.value, field)) {
+				return count;
+			}
+			delete entry.value[field];
+			delete entry.positions[field];
+			return count + 1;
+		}, 0);
+		dropEmpty(server.data, key);
+		return deleted;
+	},
+	lpush : function (server, key) {
+		var values = Array.prototype.slice.call(arguments, 2);
+		var entry = writeEntry(server, key, 'list');
+		values.forEach(function (value) {
+			entry.value.unshift(String(value));
+		});
+		var length = entry.value.length;
+		serveBlocked(server, key);
+		return length;
+	},
+	rpush : function (server, key) {
+		var values = Array.prototype.slice.call(arguments, 2);
+		var entry = writeEntry(server, key, 'list');
+		values.forEach(function (value) {
+			entry.value.push(String(value));
+		});
+		var length = entry.value.length;
+		serveBlocked(server, key);
+		return length;
+	},
+	lrange : function (server, key, start, stop) {
+		var entry = readEntry(server.data, key, 'list');
+		if(!entry) {
+			return [];
+		}
+		var length = entry.value.length;
+		return entry.value.slice(Math.max(listIndex(start, length), 0), listIndex(stop, length) + 1);
+	},
+	llen : function (server, key) {
+		var entry = readEntry(server.data, key, 'list');
+		return entry ? entry.value.length : 0;
+	},
+	lrem : function (server, key, count, value) {
+		var entry = readEntry(server.data, key, 'list');
+		if(!entry) {
+			return 0;
+		}
+		count = parseInt(count, 10);
+		value = String(value);
+		var removed = 0;
+		var values = count < 0 ? entry.value.slice().reverse() : entry.value.slice();
+		values = values.filter(function (element) {
+			if(element !== value || (count !== 0 && removed === Math.abs(count))) {
+				return true;
+			}
+			removed++;
+			return false;
+		});
+		entry.value = count < 0 ? values.reverse() : values;
+		dropEmpty(server.data, key);
+		return removed;
+	},
+	rpoplpush : function (server, source, destination) {
+		var entry = readEntry(server.data, source, 'list');
+		if(!entry) {
+			return null;
+		}
+		writeEntry(server, destination, 'list');
+		var value = entry.value.pop();
+		dropEmpty(server.data, source);
+		commands.lpush(server, destination, value);
+		return value;
+	}
+};
+
+
+/* serveBlocked hands over the values pushed to the list to the
+ * clients blocked on it, in the order they got blocked.
+ * */
+function serveBlocked(server, key){
+	server.blocked.slice().forEach(function (blocked) {
+		if(blocked.source !== key || !server.data[key] || server.blocked.indexOf(blocked) === -1) {
+			return;
+		}
+		var reply;
+		try {
+			reply = commands.rpoplpush(server, blocked.source, blocked.destination);
+		} catch (err) {
+			return unblock(server, blocked, err, null);
+		}
+		unblock(server, blocked, null, reply);
+	});
+}
+
+
+/* unblock releases the blocked command with its reply.
+ * */
+function unblock(server, blocked, err, reply){
+	var i = server.blocked.indexOf(blocked);
+	if(i !== -1) {
+		server.blocked.splice(i, 1);
+	}
+	clearTimeout(blocked.timer);
+	setImmediate(blocked.callback, err, reply);
+}
+
+
+/* snapshotEntry returns the serialized entry of the key watched
+ * by a client, to be compared with the entry once the transaction
+ * of the client is run.
+ * */
+function snapshotEntry(entry){
+	return JSON.stringify(entry || null);
+}
+
+
+/* flattenArguments splits the arguments of the command from its
+ * callback, the arrays are flattened like node_redis does.
+ * */
+function flattenArguments(args){
+	var callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+	var flattened = [];
+	args.forEach(function (arg) {
+		if(Array.isArray(arg)) {
+			flattened = flattened.concat(arg);
+		} else if(arg !== undefined) {
+			flattened.push(arg);
+		}
+	});
+	return {args : flattened, callback : callback};
+}
+
+
+/* MemoryClient is the client of an in-memory server, it provides
+ * the commands, the events & the connection flags of the node_redis
+ * client which are used by redis_io. Like the node_redis client,
+ * the client authenticates with the password of its options, which
+ * its duplicates inherit, or with the password passed to auth.
+ * */
+class MemoryClient extends EventEmitter {
+	constructor(port, host, options) {
+		super();
+		this.host = host || '127.0.0.1';
+		this.port = port || 6379;
+		this.options = Object.assign({}, options);
+		this.authPass = this.options.auth_pass || this.options.password;
+		this.address = this.host + ':' + this.port;
+		this.connected = false;
+		this.times_connected = 0;
+		this.closing = false;
+		this.closed = false;
+		this.channels = [];
+		this.watched = null;
+		this.offlineQueue = [];
+		this.server = getServer(this.host, this.port);
+		this.server.clients.push(this);
+		process.nextTick(() => this.connect());
+	}
+
+	/* connect marks the client as connected if the server is
+	 * running, and runs the commands issued in the meantime.
+	 * */
+	connect() {
+		if(this.closed || this.connected) {
+			return;
+		} else if(!this.server.running) {
+			return this.emit('error', new Error('Redis connection to ' + this.address + ' failed - connect ECONNREFUSED'));
+		}
+		this.connected = true;
+		this.times_connected++;
+		this.emit('connect');
+		this.emit('ready');
+		this.offlineQueue.splice(0).forEach((command) => command());
+	}
+
+	/* disconnect marks the client as disconnected, the commands
+	 * blocked on the server are released with an error.
+	 * */
+	disconnect(err) {
+		this.server.blocked.filter((blocked) => blocked.client === this).forEach((blocked) => {
+			unblock(this.server, blocked, err, null);
+		});
+		this.offlineQueue.splice(0).forEach((command) => command(err));
+		if(this.connected) {
+			this.connected = false;
+			this.emit('end');
+		}
+	}
+
+	/* send runs the command on the server once connected & calls
+	 * back with the reply on the next turn of the event loop.
+	 * */
+	send(name, args) {
+		var command = flattenArguments(Array.prototype.slice.call(args));
+		var callback = command.callback || function () {};
+		var run = (err) => {
+			if(err) {
+				return setImmediate(callback, err, undefined);
+			}
+			var reply;
+			try {
+				reply = commands[name].apply(null, [this.server].concat(command.args));
+			} catch (commandErr) {
+				return setImmediate(callback, commandErr, undefined);
+			}
+			setImmediate(callback, null, reply);
+		};
+		return this.dispatch(run);
+	}
+
+	/* dispatch runs the command right away if connected, queues
+	 * it until the client connects for the first time, and fails
+	 * it once the connection is lost or closed.
+	 * */
+	dispatch(run) {
+		if(this.connected && this.server.password !== null && this.authPass !== this.server.password) {
+			run(new Error('NOAUTH Authentication required.'));
+		} else if(this.connected) {
+			run(null);
+		} else if(this.closing || this.times_connected > 0 || !this.server.running) {
+			run(new Error('The connection to ' + this.address + ' is already closed'));
+		} else {
+			this.offlineQueue.push(run);
+		}
+		return true;
+	}
+
+	/* multi queues the commands, each one holding its name followed
+	 * by its arguments, which exec runs one after the other with no
+	 * other command run in between, like MULTI/EXEC. The reply of
+	 * exec holds the reply or the error of every command, the
+	 * commands which are not supported abort the whole transaction.
+	 * */
+	multi(queued) {
+		queued = (queued || []).slice();
+		return {
+			exec : (callback) => this.dispatch((err) => {
+				var watched = this.watched;
+				this.watched = null;
+				var unknown = queued.filter(function (command) {
+					return !commands.hasOwnProperty(command[0]);
+				});
+				if(!err && unknown.length) {
+					err = new Error('EXECABORT Transaction discarded because of previous errors.');
+				}
+				if(err) {
+					return setImmediate(callback, err, undefined);
+				}
+				var written = Object.keys(watched || {}).some((key) => snapshotEntry(this.server.data[key]) !== watched[key]);
+				if(written) {
+					return setImmediate(callback, null, null);
+				}
+				var replies = queued.map((command) => {
+					try {
+						return commands[command[0]].apply(null, [this.server].concat(flattenArguments(command.slice(1)).args));
+					} catch (commandErr) {
+						return commandErr;
+					}
+				});
+				setImmediate(callback, null, replies);
+			})
+		};
+	}
+
+	/* brpoplpush moves the value at the tail of the source list
+	 * to the head of the destination list, waiting up to timeout
+	 * seconds for a value if the source list is empty.
+	 * */
+	brpoplpush(source, destination, timeout, callback) {
+		var run = (err) => {
+			if(err) {
+				return setImmediate(callback, err, null);
+			}
+			var blocked = {client : this, source : source, destination : destination, callback : callback, timer : null};
+			if(Number(timeout) > 0) {
+				blocked.timer = setTimeout(() => unblock(this.server, blocked, null, null), Number(timeout) * 1000);
+			}
+			this.server.blocked.push(blocked);
+			serveBlocked(this.server, source);
+		};
+		return this.dispatch(run);
+	}
+
+	/* watch takes a snapshot of the keys, the next exec of the
+	 * client replying null without running its commands if any of
+	 * the keys was written in between, like WATCH. unwatch drops
+	 * the snapshot.
+	 * */
+	watch() {
+		var command = flattenArguments(Array.prototype.slice.call(arguments));
+		return this.dispatch((err) => {
+			if(!err) {
+				this.watched = this.watched || Object.create(null);
+				command.args.forEach((key) => {
+					this.watched[key] = snapshotEntry(this.server.data[key]);
+				});
+			}
+			if(command.callback) {
+				setImmediate(command.callback, err, err ? undefined : 'OK');
+			}
+		});
+	}
+
+	unwatch(callback) {
+		this.watched = null;
+		return this.send('ping', [callback ? (err) => callback(err, err ? undefined : 'OK') : undefined]);
+	}
+
+	/* publish delivers the message to the clients of the server
+	 * subscribed to the channel, calling back with their number.
+	 * */
+	publish(channel, message, callback) {
+		return this.send('publishMessage', [channel, message, callback]);
+	}
+
+	/* subscribe & unsubscribe add & remove the channel from the
+	 * channels of the client, once the commands issued before are
+	 * replied.
+	 * */
+	subscribe(channel, callback) {
+		return this.send('ping', [(err) => {
+			if(!err && this.channels.indexOf(channel) === -1) {
+				this.channels.push(channel);
+			}
+			if(callback) {
+				callback(err, channel);
+			}
+		}]);
+	}
+
+	unsubscribe(channel, callback) {
+		this.channels = this.channels.filter((subscribed) => subscribed !== channel);
+		return this.send('ping', [callback ? (err) => callback(err, channel) : undefined]);
+	}
+
+	auth(password, callback) {
+		this.authPass = password;
+		return this.send('ping', [callback ? (err) => callback(err, err ? undefined : 'OK') : undefined]);
+	}
+
+	/* duplicate creates a new client of the same server with the
+	 * options of the client, overridden by the options passed, the
+	 * password passed to auth is not carried over.
+	 * */
+	duplicate(options) {
+		return new MemoryClient(this.port, this.host, Object.assign({}, this.options, options));
+	}
+
+	/* quit closes the client once the commands issued before
+	 * are replied.
+	 * */
+	quit(callback) {
+		this.dispatch(() => {
+			this.close(new Error('The connection to ' + this.address + ' has been closed'));
+			if(callback) {
+				setImmediate(callback, null, 'OK');
+			}
+		});
+		this.closing = true;
+		return true;
+	}
+
+	/* end closes the client right away.
+	 * */
+	end() {
+		this.closing = true;
+		this.close(new Error('The connection to ' + this.address + ' has been closed'));
+	}
+
+	/* close detaches the client from its server.
+	 * */
+	close(err) {
+		this.closed = true;
+		var i = this.server.clients.indexOf(this);
+		if(i !== -1) {
+			this.server.clients.splice(i, 1);
+		}
+		this.disconnect(err);
+	}
+}
+
+Object.keys(commands).forEach(function (name) {
+	MemoryClient.prototype[name] = function () {
+		return this.send(name, arguments);
+	};
+});
+
+commands.ping = function () {
+	return 'PONG';
+};
+
+commands.publishMessage = function (server, channel, message) {
+	var receivers = server.clients.filter(function (client) {
+		return client.connected && client.channels.indexOf(String(channel)) !== -1;
+	});
+	receivers.forEach(function (client) {
+		setImmediate(function () {
+			client.emit('message', String(channel), String(message));
+		});
+	});
+	return receivers.length;
+};
+
+
+/* createClient creates a client of the in-memory server of the
+ * host & port, with the same arguments as redis.createClient.
+ * */
+function createClient(port, host, options){
+	return new MemoryClient(port, host, options);
+}
+
+
+/* requirePassword makes the in-memory server of the host & port
+ * fail the commands of the clients which did not authenticate with
+ * the password, like the requirepass setting of redis, the password
+ * is no longer required if null.
+ * */
+function requirePassword(host, port, password){
+	getServer(host, port).password = password;
+}
+
+
+/* stopServer disconnects all the clients of the in-memory server
+ * of the host & port, as if the redis server went down, the keys
+ * are kept for when the server is started again.
+ * */
+function stopServer(host, port){
+	var server = getServer(host, port);
+	server.running = false;
+	server.clients.slice().forEach(function (client) {
+		client.disconnect(new Error('Redis connection to ' + client.address + ' is lost'));
+	});
+}
+
+
+/* startServer starts the in-memory server of the host & port
+ * again, its clients get connected back.
+ * */
+function startServer(host, port){
+	var server = getServer(host, port);
+	server.running = true;
+	server.clients.slice().forEach(function (client) {
+		process.nextTick(function () {
+			client.connect();
+		});
+	});
+}
+
+
+/* flushAll deletes the keys of all the in-memory servers &
+ * starts the stopped ones.
+ * */
+function flushAll(){
+	Object.keys(servers).forEach(function (address) {
+		var server = servers[address];
+		server.data = Object.create(null);
+		server.password = null;
+		if(!server.running) {
+			var separator = address.lastIndexOf(':');
+			startServer(address.slice(0, separator), address.slice(separator + 1));
+		}
+	});
+}
+
+module.exports.createClient = createClient;
+module.exports.stopServer = stopServer;
+module.exports.startServer = startServer;
+module.exports.requirePassword = requirePassword;
+module.exports.flushAll = flushAll;
@@ -0,0 +1,114 @@
+/* jshint node: true */
+/* jshint esnext: true */
+'use strict';
+
+const async = require('async');
+
+/**
+* The stats of the identifiers registered by the handler are served in the Prometheus text format, every metric being labelled by the identifier and either the operation or the store.
+* The health of the handler is served along with it so that the monitoring can check the connections of every store.
+**/
+
+/**
+* The prefix of the names of the metrics.
+**/
+const metricPrefix = 'queue_service';
+
+/**
+* Escapes the value of a label as required by the text format.
+* @param {String} value The value of the label.
+**/
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+* Returns the line of the sample of the metric.
+* @param {String} name The name of the metric without its prefix.
+* @param {Object} labels The labels of the sample.
+* @param {Number} value The value of the sample.
+**/
+function sampleLine(name, labels, value) {
+    let labelText = Object.keys(labels).map((label) => `${label}="${escapeLabel(labels[label])}"`).join(',');
+    return `${metricPrefix}_${name}{${labelText}} ${value}`;
+}
+
+/**
+* Formats the stats of the identifiers along with the health of the handler in the Prometheus text format.
+* @param {Array} statsList The stats of every identifier as returned by getStats.
+* @param {Object} health The health of the handler as returned by healthCheck.
+**/
+function formatMetrics(statsList, health) {
+    let metrics = [
+        {name : 'operations_total', type : 'counter', help : 'Number of operations run by the handler since it was created.', samples : []},
+        {name : 'operations_per_second', type : 'gauge', help : 'Rate of the operations over the last minute.', samples : []},
+        {name : 'pending_records', type : 'gauge', help : 'Number of records waiting to be claimed.', samples : []},
+        {name : 'oldest_record_age_seconds', type : 'gauge', help : 'Age of the oldest record waiting to be claimed.', samples : []},
+        {name : 'errors_total', type : 'counter', help : 'Number of errors raised by the operations of the handler since it was created.', samples : []},
+        {name : 'connection_up', type : 'gauge', help : 'Whether the connection to the store is connected.', samples : []}
+    ];
+    statsList.forEach((stats) => {
+        Object.keys(stats.operations).forEach((operation) => {
+            metrics[0].samples.push(sampleLine('operations_total', {identifier : stats.identifier, operation : operation}, stats.operations[operation]));
+            metrics[1].samples.push(sampleLine('operations_per_second', {identifier : stats.identifier, operation : operation}, stats.rates[operation]));
+        });
+        Object.keys(stats.stores).forEach((serviceStore) => {
+            let storeStats = stats.stores[serviceStore];
+            let labels = {identifier : stats.identifier, store : serviceStore};
+            metrics[2].samples.push(sampleLine('pending_records', labels, storeStats.pending));
+            if(storeStats.oldestAge !== null) {
+                metrics[3].samples.push(sampleLine('oldest_record_age_seconds', labels, storeStats.oldestAge / 1000));
+            }
+            metrics[4].samples.push(sampleLine('errors_total', labels, storeStats.errors));
+        });
+    });
+    Object.keys(health.stores).forEach((serviceStore) => {
+        health.stores[serviceStore].forEach((connection) => {
+            metrics[5].samples.push(sampleLine('connection_up', {store : serviceStore, host : connection.host, port : connection.port}, connection.status === 'connected' ? 1 : 0));
+        });
+    });
+    return metrics.filter((metric) => metric.samples.length).map((metric) => {
+        return [`# HELP ${metricPrefix}_${metric.name} ${metric.help}`, `# TYPE ${metricPrefix}_${metric.name} ${metric.type}`].concat(metric.samples).join('\n');
+    }).join('\n') + '\n';
+}
+
+/**
+* Ends the response with the status and the body.
+* @param {Object} response The response of the http server.
+* @param {Number} statusCode The status of the response.
+* @param {String} contentType The type of the body.
+* @param {String} body The body of the response.
+**/
+function sendResponse(response, statusCode, contentType, body) {
+    response.writeHead(statusCode, {'Content-Type' : contentType});
+    response.end(body);
+}
+
+/**
+* Returns the listener of the requests of an http server serving the metrics of the handler on '/metrics' and its health on '/health'.
+* @param {QueueHandler} queueHandler The handler whose metrics are served.
+**/
+function createRequestHandler(queueHandler) {
+    return (request, response) => {
+        let path = String(request.url).split('?')[0];
+        if(request.method !== 'GET') {
+            return sendResponse(response, 405, 'text/plain', 'Method not allowed\n');
+        } else if(path === '/health') {
+            let health = queueHandler.healthCheck();
+            return sendResponse(response, health.healthy ? 200 : 503, 'application/json', JSON.stringify(health));
+        } else if(path !== '/metrics') {
+            return sendResponse(response, 404, 'text/plain', 'Not found\n');
+        }
+        async.mapSeries(queueHandler.registeredIdentifiers(), (identifier, mapCallback) => {
+            queueHandler.getStats(identifier, mapCallback);
+        }, (err, statsList) => {
+            if(err) {
+                return sendResponse(response, 500, 'text/plain', `${err.message}\n`);
+            }
+            sendResponse(response, 200, 'text/plain; version=0.0.4', formatMetrics(statsList, queueHandler.healthCheck()));
+        });
+    };
+}
+
+module.exports.formatMetrics = formatMetrics;
+module.exports.createRequestHandler = createRequestHandler;
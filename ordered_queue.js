@@ -0,0 +1,324 @@
+/* jshint node: true */
+/* jshint esnext: true */
+'use strict';
+
+const async = require('async');
+const queueKeys = require('./queue_keys');
+const QueueError = require('./QueueError');
+const storeAdapters = require('./store_adapters');
+
+/**
+* The records of an ordered identifier are stored as entries of a list per queue, from the oldest to the latest.
+* Each entry holds the sequence number of the push along with the key, the value, the push time, the service which pushed it and the expiry time if any, the sequence is shared by all the target copies of the same push so that the copies can be merged back in order.
+**/
+
+/**
+* Parses the raw list entries of the queue into records.
+* @param {Array} entries The raw entries of the list.
+**/
+function parseEntries(entries) {
+    return (entries || []).map((entry) => {
+        let record = JSON.parse(entry);
+        record.entry = entry;
+        return record;
+    });
+}
+
+/**
+* Number of milliseconds after which the key claimed by a push which did not append its record, like a push interrupted by a crash, is taken back.
+**/
+const claimTimeout = 30000;
+
+/**
+* Checks if the claim of the key has ended, either because the record expired or because the push which claimed the key never appended it, the claims which are not in the specified format being taken as ended.
+* @param {String} claim The stored claim of the key.
+* @returns {String|Boolean} Either 'expired', 'stale' or false if the claim still holds.
+**/
+function claimEnded(claim) {
+    let parsed;
+    try {
+        parsed = JSON.parse(claim);
+    } catch (err) {
+        return 'stale';
+    }
+    if(!parsed || typeof parsed !== "object") {
+        return 'stale';
+    } else if (parsed.expiresAt && parsed.expiresAt <= Date.now()) {
+        return 'expired';
+    } else if (!parsed.appended && (typeof parsed.claimedAt !== "number" || parsed.claimedAt <= Date.now() - claimTimeout)) {
+        return 'stale';
+    }
+    return false;
+}
+
+/**
+* Claims the key in the keys of the identifier, unless the key is claimed by a queued record, so that a single one of the pushes racing with the same key is appended.
+* The claim of an expired record is released by deleting the expired record, only the push which deleted it releasing the claim, whereas the claim of a push interrupted before appending its record is taken back once timed out.
+* @param {Object} connection The store connection.
+* @param {String} identifier Group category name.
+* @param {String} key Unique identifier under the specific group.
+* @param {Number} expiry The expiry time of the record, or null if it never expires.
+* @param {cb} callback The callback that handles the response with true if the key was claimed.
+* @param {Boolean} [retried] True once the ended claim of the key has been released.
+**/
+function claimKey(connection, identifier, key, expiry, callback, retried) {
+    let hashName = queueKeys.orderedKeysName(identifier);
+    connection.setHashObjectIfNotExists(hashName, key, JSON.stringify({appended : false, claimedAt : Date.now(), expiresAt : expiry}), (err, created) => {
+        if(err || created) {
+            return callback(err, !!created);
+        }
+        connection.getHashObject(hashName, key, (err, claim) => {
+            if(err) {
+                return callback(err, false);
+            }
+            let ended = claim === null || claim === undefined ? 'released' : claimEnded(claim);
+            if(retried || !ended) {
+                return callback(null, false);
+            }
+            let release = (done) => {
+                if(ended === 'expired') {
+                    return deleteExpired(connection, identifier, key, done);
+                } else if (ended === 'stale') {
+                    return connection.deleteHashKey(hashName, key, (err) => done(err));
+                }
+                done(null);
+            };
+            release((err) => {
+                if(err) {
+                    return callback(err, false);
+                }
+                claimKey(connection, identifier, key, expiry, callback, true);
+            });
+        });
+    });
+}
+
+/**
+* Marks the claim of the key as held by its appended record, or releases it if the record could not be appended.
+* @param {Object} connection The store connection.
+* @param {String} identifier Group category name.
+* @param {String} key Unique identifier under the specific group.
+* @param {Number} expiry The expiry time of the record, or null if it never expires.
+* @param {Boolean} appended True if the record was appended.
+* @param {cb} callback The callback that handles the response.
+**/
+function settleClaim(connection, identifier, key, expiry, appended, callback) {
+    let hashName = queueKeys.orderedKeysName(identifier);
+    if(!appended) {
+        return connection.deleteHashKey(hashName, key, () => callback(null));
+    }
+    connection.setHashObject(hashName, key, JSON.stringify({appended : true, expiresAt : expiry}), (err) => callback(err));
+}
+
+/**
+* Deletes the expired records of the key from the identifier, counted as expired records, along with its pending key.
+* @param {Object} connection The store connection.
+* @param {String} identifier Group category name.
+* @param {String} key Unique identifier under the specific group.
+* @param {cb} callback The callback that handles the response.
+**/
+function deleteExpired(connection, identifier, key, callback) {
+    let now = Date.now();
+    readRecords(connection, [identifier], (err, records) => {
+        if(err) {
+            return callback(err);
+        }
+        let expired = records.filter((record) => record.key === key && record.expiresAt && record.expiresAt <= now);
+        async.eachSeries(expired, (record, asyncEachCallback) => {
+            deleteRecord(connection, identifier, record, (err, count) => {
+                if(err || !count) {
+                    return asyncEachCallback(err);
+                }
+                async.series([
+                    (seriesCallback) => connection.incrObject(queueKeys.expiredCountName(identifier), (err) => seriesCallback(err)),
+                    (seriesCallback) => connection.removeListObject(queueKeys.pendingQueueName(identifier), key, (err) => seriesCallback(err))
+                ], asyncEachCallback);
+            });
+        }, (err) => {
+            callback(err);
+        });
+    });
+}
+
+/**
+* Appends the record to the end of every queue, the push is rejected if the key already exists in the identifier unless the duplicate keys are to be appended.
+* The keys of the identifiers rejecting the duplicate keys are claimed before the record is appended, so that the pushes racing with the same key cannot all be appended.
+* @param {Object} connection The store connection.
+* @param {String} identifier Group category name.
+* @param {Array} queueNames The queues to append the record to, the first one being the identifier itself.
+* @param {String} key Unique identifier under the specific group.
+* @param {Object} value The data for the unique identifier.
+* @param {String} duplicateKey Either 'reject' or 'append'.
+* @param {Number} expiry The expiry time of the record, or null if it never expires.
+* @param {Object} pushInfo Holds the name of the service which pushed the record, if known, along with the push time shared by the stores written by the push, defaults to the current time.
+* @param {cb} callback The callback that handles the response with the report of the nodes which stored the record.
+**/
+function appendRecord(connection, identifier, queueNames, key, value, duplicateKey, expiry, pushInfo, callback) {
+    let claimed = false;
+    async.waterfall([
+        (waterfallCallback) => {
+            if(duplicateKey === 'append') {
+                return waterfallCallback(null);
+            }
+            claimKey(connection, identifier, key, expiry, (err, created) => {
+                claimed = created;
+                if(err) {
+                    return waterfallCallback(err);
+                } else if(!created) {
+                    return waterfallCallback(new QueueError.DuplicateKeyError(`The key '${key}' already exists in the '${identifier}' identifier`, {identifier : identifier, key : key}));
+                }
+                waterfallCallback(null);
+            });
+        },
+        (waterfallCallback) => {
+            connection.incrObject(queueKeys.sequenceName(identifier), (err, sequence) => waterfallCallback(err, sequence));
+        },
+        (sequence, waterfallCallback) => {
+            let record = {
+                sequence : sequence,
+                key : key,
+                value : (typeof value === "object") ? JSON.stringify(value) : value,
+                pushedAt : pushInfo.pushedAt || Date.now()
+            };
+            if(pushInfo.producer) {
+                record.producer = pushInfo.producer;
+            }
+            if(expiry) {
+                record.expiresAt = expiry;
+            }
+            let entry = JSON.stringify(record);
+            async.map(queueNames, (queueName, mapCallback) => {
+                async.series([
+                    (seriesCallback) => connection.appendListObject(queueKeys.orderedQueueName(queueName), entry, (err, length, report) => seriesCallback(err, report)),
+                    (seriesCallback) => connection.pushListObject(queueKeys.pendingQueueName(queueName), key, seriesCallback)
+                ], (err, results) => {
+                    mapCallback(err, results && results[0]);
+                });
+            }, waterfallCallback);
+        }
+    ], (err, reports) => {
+        let report = reports ? storeAdapters.mergeReports(reports) : null;
+        if(!claimed) {
+            return callback(err, report);
+        }
+        settleClaim(connection, identifier, key, expiry, !err, (settleErr) => callback(err || settleErr, report));
+    });
+}
+
+/**
+* Retrieves the records of the queues from the oldest to the latest, the copies of the same push held by more than one queue are returned once.
+* @param {Object} connection The store connection.
+* @param {Array} queueNames The queues to read.
+* @param {cb} callback The callback that handles the response.
+**/
+function readRecords(connection, queueNames, callback) {
+    async.mapSeries(queueNames, (queueName, mapCallback) => {
+        connection.getListObject(queueKeys.orderedQueueName(queueName), mapCallback);
+    }, (err, entryLists) => {
+        if(err) {
+            return callback(err, null);
+        }
+        let sequences = new Set();
+        let records = [];
+        entryLists.forEach((entries) => {
+            parseEntries(entries).forEach((record) => {
+                if(!sequences.has(record.sequence)) {
+                    sequences.add(record.sequence);
+                    records.push(record);
+                }
+            });
+        });
+        records.sort((first, second) => first.sequence - second.sequence);
+        callback(null, records);
+    });
+}
+
+/**
+* Retrieves the oldest record of the key from the queues.
+* @param {Object} connection The store connection.
+* @param {Array} queueNames The queues to read.
+* @param {String} key Unique identifier under the specific group.
+* @param {cb} callback The callback that handles the response.
+**/
+function readRecord(connection, queueNames, key, callback) {
+    readRecords(connection, queueNames, (err, records) => {
+        if(err) {
+            return callback(err, null);
+        }
+        let matched = records.filter((record) => record.key === key);
+        callback(null, matched.length ? matched[0] : null);
+    });
+}
+
+/**
+* Retrieves the keys of the queues from the oldest to the latest record, each key is returned once.
+* @param {Object} connection The store connection.
+* @param {Array} queueNames The queues to read.
+* @param {cb} callback The callback that handles the response.
+**/
+function readKeys(connection, queueNames, callback) {
+    readRecords(connection, queueNames, (err, records) => {
+        if(err) {
+            return callback(err, null);
+        }
+        let keys = new Set();
+        records.forEach((record) => keys.add(record.key));
+        callback(null, Array.from(keys));
+    });
+}
+
+/**
+* Deletes all the records of the key from the queue.
+* @param {Object} connection The store connection.
+* @param {String} queueName The queue to delete the records from.
+* @param {String} key Unique identifier under the specific group.
+* @param {cb} callback The callback that handles the response with the number of deleted records.
+**/
+function deleteRecords(connection, queueName, key, callback) {
+    readRecords(connection, [queueName], (err, records) => {
+        if(err) {
+            return callback(err, null);
+        }
+        let deleted = 0;
+        async.eachSeries(records.filter((record) => record.key === key), (record, asyncEachCallback) => {
+            deleteRecord(connection, queueName, record, (err, count) => {
+                deleted += count || 0;
+                asyncEachCallback(err);
+            });
+        }, (err) => {
+            callback(err, deleted);
+        });
+    });
+}
+
+/**
+* Deletes the specific record from the queue, the claim of its key is released along with it so that the key can be pushed again.
+* @param {Object} connection The store connection.
+* @param {String} queueName The queue to delete the record from.
+* @param {Object} record The record as returned by the read methods.
+* @param {cb} callback The callback that handles the response with the number of deleted records.
+**/
+function deleteRecord(connection, queueName, record, callback) {
+    connection.removeListObject(queueKeys.orderedQueueName(queueName), record.entry, (err, count, report) => {
+        if(err || !count) {
+            return callback(err, count, report);
+        }
+        /**
+        * Only the queues of the identifiers rejecting the duplicate keys hold claims, the claim is looked up first so that the other queues are not written to.
+        **/
+        let hashName = queueKeys.orderedKeysName(queueName);
+        connection.getHashObject(hashName, record.key, (err, claim) => {
+            if(err || claim === null || claim === undefined) {
+                return callback(err, count, report);
+            }
+            connection.deleteHashKey(hashName, record.key, (err) => callback(err, count, report));
+        });
+    });
+}
+
+module.exports.appendRecord = appendRecord;
+module.exports.readRecords = readRecords;
+module.exports.readRecord = readRecord;
+module.exports.readKeys = readKeys;
+module.exports.deleteRecords = deleteRecords;
+module.exports.deleteRecord = deleteRecord;
@@ -0,0 +1,206 @@
+/* jshint node: true */
+/* jshint esnext: true */
+'use strict';
+
+/**
+* The highest priority of the records, the records of every priority above zero are pending in their own list.
+**/
+const maxPriority = 9;
+
+/**
+* Returns the name of the hash holding the copy of the records addressed to the specific target type.
+* @param {String} identifier Group category name.
+* @param {String} targetType The target name.
+**/
+function targetQueueName(identifier, targetType) {
+    return `${identifier}:target:${targetType.trim()}`;
+}
+
+/**
+* Returns the name of the list holding the keys of the specific priority waiting to be claimed by the consumers of the queue.
+* @param {String} queueName The name of the hash holding the records.
+* @param {Number} [priority] The priority of the records, defaults to zero.
+**/
+function pendingQueueName(queueName, priority) {
+    return priority ? `${queueName}:pending:${priority}` : `${queueName}:pending`;
+}
+
+/**
+* Returns the names of the lists holding the pending keys of every priority of the queue, from the highest priority to the lowest.
+* @param {String} queueName The name of the hash holding the records.
+**/
+function pendingQueueNames(queueName) {
+    let queueNames = [];
+    for(let priority = maxPriority; priority >= 0; priority--) {
+        queueNames.push(pendingQueueName(queueName, priority));
+    }
+    return queueNames;
+}
+
+/**
+* Returns the name of the list holding the keys claimed by the specific consumer which are not yet acknowledged.
+* @param {String} queueName The name of the hash holding the records.
+* @param {String} consumerName The unique name of the consumer.
+**/
+function inFlightQueueName(queueName, consumerName) {
+    return `${queueName}:inflight:${consumerName}`;
+}
+
+/**
+* Returns the name of the hash holding the visibility deadline of every claimed key.
+* @param {String} queueName The name of the hash holding the records.
+**/
+function claimsQueueName(queueName) {
+    return `${queueName}:claims`;
+}
+
+/**
+* Returns the name of the hash holding the last heartbeat of every consumer of the queue.
+* @param {String} queueName The name of the hash holding the records.
+**/
+function consumersQueueName(queueName) {
+    return `${queueName}:consumers`;
+}
+
+/**
+* Returns the name of the list holding the records of an ordered queue from the oldest to the latest.
+* @param {String} queueName The name of the queue.
+**/
+function orderedQueueName(queueName) {
+    return `${queueName}:ordered`;
+}
+
+/**
+* Returns the name of the hash holding the keys of the records of an ordered identifier which reject the duplicate keys, each key being claimed before its record is appended.
+* @param {String} identifier Group category name.
+**/
+function orderedKeysName(identifier) {
+    return `${identifier}:ordered:keys`;
+}
+
+/**
+* Returns the name of the counter used to sequence the records pushed to an ordered identifier.
+* @param {String} identifier Group category name.
+**/
+function sequenceName(identifier) {
+    return `${identifier}:sequence`;
+}
+
+/**
+* Returns the name of the hash holding the expiry time of the records of the queue pushed with a time to live.
+* @param {String} queueName The name of the queue.
+**/
+function expiryQueueName(queueName) {
+    return `${queueName}:expiry`;
+}
+
+/**
+* Returns the name of the counter holding the number of records of the queue which expired before being deleted.
+* @param {String} queueName The name of the queue.
+**/
+function expiredCountName(queueName) {
+    return `${queueName}:expired`;
+}
+
+/**
+* Returns the name of the hash holding the number of failed attempts along with the last error of the records of the queue.
+* @param {String} queueName The name of the queue.
+**/
+function attemptsQueueName(queueName) {
+    return `${queueName}:attempts`;
+}
+
+/**
+* Returns the name of the hash holding the records of the queue which failed more times than allowed.
+* @param {String} queueName The name of the queue.
+**/
+function deadQueueName(queueName) {
+    return `${queueName}:dead`;
+}
+
+/**
+* Returns the name of the hash holding the push time of the records of the queue stored by key.
+* @param {String} queueName The name of the queue.
+**/
+function pushedQueueName(queueName) {
+    return `${queueName}:pushed`;
+}
+
+/**
+* Returns the name of the hash holding the records of the identifier scheduled for a later delivery.
+* @param {String} identifier Group category name.
+**/
+function scheduledQueueName(identifier) {
+    return `${identifier}:scheduled`;
+}
+
+/**
+* Returns the name of the hash holding the idempotency keys of the pushes to the identifier along with the end of their deduplication window.
+* @param {String} identifier Group category name.
+**/
+function idempotencyQueueName(identifier) {
+    return `${identifier}:idempotency`;
+}
+
+/**
+* Returns the name of the hash holding the versions claimed by the compare-and-set pushes to the identifier.
+* @param {String} identifier Group category name.
+**/
+function updatesQueueName(identifier) {
+    return `${identifier}:updates`;
+}
+
+/**
+* Returns the name of the channel on which the new records of the identifier are notified.
+* @param {String} identifier Group category name.
+**/
+function channelName(identifier) {
+    return `${identifier}:notifications`;
+}
+
+/**
+* Returns the pattern matching the names of the target copies of the identifier along with their bookkeeping.
+* @param {String} identifier Group category name.
+**/
+function targetQueuePattern(identifier) {
+    return `${identifier}:target:*`;
+}
+
+/**
+* Returns the pattern matching the names of every key of the identifier, like its target copies, its ordered lists, its counters and the bookkeeping of its queues.
+* @param {String} identifier Group category name.
+**/
+function identifierPattern(identifier) {
+    return `${identifier}:*`;
+}
+
+/**
+* Checks if the name belongs to the bookkeeping of a queue, like its pending, in-flight, claims, consumers, expiry, push times, attempts, dead, scheduled records, idempotency keys, claimed versions or claimed ordered keys, rather than to the records.
+* @param {String} name The name to check.
+**/
+function isBookkeepingName(name) {
+    return /:(pending(:\d+)?|claims|consumers|expiry|expired|pushed|attempts|dead|scheduled|idempotency|updates|ordered:keys|inflight:.*)$/.test(name);
+}
+
+module.exports.targetQueueName = targetQueueName;
+module.exports.maxPriority = maxPriority;
+module.exports.pendingQueueName = pendingQueueName;
+module.exports.pendingQueueNames = pendingQueueNames;
+module.exports.inFlightQueueName = inFlightQueueName;
+module.exports.claimsQueueName = claimsQueueName;
+module.exports.consumersQueueName = consumersQueueName;
+module.exports.orderedQueueName = orderedQueueName;
+module.exports.orderedKeysName = orderedKeysName;
+module.exports.sequenceName = sequenceName;
+module.exports.expiryQueueName = expiryQueueName;
+module.exports.expiredCountName = expiredCountName;
+module.exports.attemptsQueueName = attemptsQueueName;
+module.exports.deadQueueName = deadQueueName;
+module.exports.pushedQueueName = pushedQueueName;
+module.exports.scheduledQueueName = scheduledQueueName;
+module.exports.idempotencyQueueName = idempotencyQueueName;
+module.exports.updatesQueueName = updatesQueueName;
+module.exports.channelName = channelName;
+module.exports.targetQueuePattern = targetQueuePattern;
+module.exports.identifierPattern = identifierPattern;
+module.exports.isBookkeepingName = isBookkeepingName;
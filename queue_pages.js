@@ -0,0 +1,196 @@
+/* jshint node: true */
+/* jshint esnext: true */
+'use strict';
+
+const async = require('async');
+const queueKeys = require('./queue_keys');
+const QueueError = require('./QueueError');
+
+/**
+* The records of a queue can be read a page at a time, each page holding about the requested count of records along with the cursor of the next page.
+* The records stored by key are scanned hash after hash, the cursor holding the index of the hash along with the scan cursor of the store, a key held by several hashes is returned from the first one.
+* The records of an ordered identifier are read from the oldest to the latest, the cursor holding the sequence of the last returned record.
+* Expired records are skipped rather than purged, the cursor is null once the queue is fully read.
+**/
+
+/**
+* Parses the cursor of the records stored by key into the index of the hash and the scan cursor of the store.
+* @param {String} [cursor] The cursor of the page, the first page is read if not passed.
+* @param {Array} queueNames The hashes to scan.
+**/
+function parseHashCursor(cursor, queueNames) {
+    if(cursor === undefined) {
+        return {index : 0, scanCursor : '0'};
+    }
+    let match = /^(\d+):(.+)$/.exec(cursor);
+    if(!match || Number(match[1]) >= queueNames.length) {
+        return null;
+    }
+    return {index : Number(match[1]), scanCursor : match[2]};
+}
+
+/**
+* Keeps the scanned records which are not expired and not held by one of the previous hashes, as those are returned while scanning the previous hashes.
+* @param {Object} connection The store connection.
+* @param {Array} queueNames The hashes being scanned.
+* @param {Number} index The index of the scanned hash.
+* @param {Object} fields The scanned fields along with their values.
+* @param {cb} callback The callback that handles the response holding the key and value of every record along with the hash holding it.
+**/
+function filterScannedRecords(connection, queueNames, index, fields, callback) {
+    let now = Date.now();
+    let records = Object.keys(fields).filter((key) => fields[key] && fields[key].length).map((key) => ({key : key, value : fields[key], queueName : queueNames[index]}));
+    async.filter(records, (record, filterCallback) => {
+        async.waterfall([
+            (waterfallCallback) => {
+                connection.getHashObject(queueKeys.expiryQueueName(queueNames[index]), record.key, (err, expiry) => {
+                    waterfallCallback(err, !(expiry && Number(expiry) <= now));
+                });
+            },
+            (live, waterfallCallback) => {
+                if(!live) {
+                    return waterfallCallback(null, false);
+                }
+                async.detectSeries(queueNames.slice(0, index), (queueName, detectCallback) => {
+                    connection.getHashObject(queueName, record.key, (err, value) => detectCallback(err, !!(value && value.length)));
+                }, (err, heldBy) => {
+                    waterfallCallback(err, !heldBy);
+                });
+            }
+        ], filterCallback);
+    }, callback);
+}
+
+/**
+* Reads the next scan of the hashes holding the records stored by key.
+* @param {Object} connection The store connection.
+* @param {Array} queueNames The hashes to scan.
+* @param {Object} position The index of the hash along with the scan cursor of the store.
+* @param {Number} count The number of records to scan, taken as a hint.
+* @param {cb} callback The callback that handles the response holding the records and the cursor of the next page.
+**/
+function scanHashes(connection, queueNames, position, count, callback) {
+    connection.scanHash(queueNames[position.index], position.scanCursor, count, (err, scanCursor, fields) => {
+        if(err) {
+            return callback(err, null);
+        }
+        filterScannedRecords(connection, queueNames, position.index, fields || {}, (err, records) => {
+            if(err) {
+                return callback(err, null);
+            }
+            let nextCursor = null;
+            if(String(scanCursor) !== '0') {
+                nextCursor = `${position.index}:${scanCursor}`;
+            } else if(position.index + 1 < queueNames.length) {
+                nextCursor = `${position.index + 1}:0`;
+            }
+            callback(null, {records : records, nextCursor : nextCursor});
+        });
+    });
+}
+
+/**
+* Finds the index of the first entry of the list following the sequence, through a binary search as the entries are appended in the order of their sequence.
+* @param {Object} connection The store connection.
+* @param {String} listName The list holding the ordered records.
+* @param {Number} sequence The sequence of the last returned record.
+* @param {cb} callback The callback that handles the response with the index, or the length of the list if no entry follows the sequence.
+**/
+function findFollowingEntry(connection, listName, sequence, callback) {
+    connection.getListLength(listName, (err, length) => {
+        if(err) {
+            return callback(err, null);
+        }
+        let low = 0;
+        let high = length || 0;
+        async.whilst(() => low < high, (whilstCallback) => {
+            let middle = Math.floor((low + high) / 2);
+            connection.getListRange(listName, middle, middle, (err, entries) => {
+                if(err) {
+                    return whilstCallback(err);
+                }
+                if(entries && entries.length && JSON.parse(entries[0]).sequence <= sequence) {
+                    low = middle + 1;
+                } else {
+                    high = middle;
+                }
+                whilstCallback(null);
+            });
+        }, (err) => {
+            callback(err, low);
+        });
+    });
+}
+
+/**
+* Reads the records of the ordered lists following the sequence, the copies of the same push held by more than one list are returned once.
+* @param {Object} connection The store connection.
+* @param {Array} queueNames The queues to read.
+* @param {Number} sequence The sequence of the last returned record.
+* @param {Number} count The number of records to read.
+* @param {cb} callback The callback that handles the response holding the records and the cursor of the next page.
+**/
+function readOrderedLists(connection, queueNames, sequence, count, callback) {
+    async.mapSeries(queueNames, (queueName, mapCallback) => {
+        let listName = queueKeys.orderedQueueName(queueName);
+        findFollowingEntry(connection, listName, sequence, (err, start) => {
+            if(err) {
+                return mapCallback(err, null);
+            }
+            connection.getListRange(listName, start, start + count - 1, mapCallback);
+        });
+    }, (err, entryLists) => {
+        if(err) {
+            return callback(err, null);
+        }
+        let entries = {};
+        entryLists.forEach((entryList) => {
+            (entryList || []).forEach((entry) => {
+                let record = JSON.parse(entry);
+                entries[record.sequence] = record;
+            });
+        });
+        let page = Object.keys(entries).map((key) => entries[key]).sort((first, second) => first.sequence - second.sequence).slice(0, count);
+        let now = Date.now();
+        callback(null, {
+            records : page.filter((record) => !(record.expiresAt && record.expiresAt <= now)).map((record) => ({key : record.key, value : record.value, pushedAt : record.pushedAt, producer : record.producer || null})),
+            nextCursor : page.length === count ? String(page[page.length - 1].sequence) : null
+        });
+    });
+}
+
+/**
+* Reads the page of the queues following the cursor, the pages left empty by the skipped records are read through until a record is found or the queues are fully read.
+* @param {Object} connection The store connection.
+* @param {Array} queueNames The queues to read.
+* @param {Boolean} ordered True if the records of the queues are stored in order.
+* @param {String} [cursor] The cursor returned along with the previous page, the first page is read if not passed.
+* @param {Number} count The number of records of the page, taken as a hint for the records stored by key.
+* @param {cb} callback The callback that handles the response holding the key and value of every record, along with the hash holding it for the records stored by key and the push time and producer for the ordered records, and the cursor of the next page.
+**/
+function readPage(connection, queueNames, ordered, cursor, count, callback) {
+    let invalidCursor = new QueueError.ValidationError(`'Cursor' is either missing or not in the specified format`);
+    let readNext;
+    if(ordered) {
+        if(cursor !== undefined && !/^\d+$/.test(cursor)) {
+            return callback(invalidCursor, null);
+        }
+        readNext = (nextCursor, nextCallback) => readOrderedLists(connection, queueNames, Number(nextCursor || 0), count, nextCallback);
+    } else {
+        if(!parseHashCursor(cursor, queueNames)) {
+            return callback(invalidCursor, null);
+        }
+        readNext = (nextCursor, nextCallback) => scanHashes(connection, queueNames, parseHashCursor(nextCursor, queueNames), count, nextCallback);
+    }
+    let page = {records : [], nextCursor : cursor};
+    async.doWhilst((whilstCallback) => {
+        readNext(page.nextCursor, (err, nextPage) => {
+            page = nextPage || page;
+            whilstCallback(err);
+        });
+    }, () => page.records.length === 0 && page.nextCursor !== null, (err) => {
+        callback(err, err ? null : page);
+    });
+}
+
+module.exports.readPage = readPage;
@@ -0,0 +1,144 @@
+/* jshint node: true */
+/* jshint esnext: true */
+'use strict';
+
+const async = require('async');
+const queueKeys = require('./queue_keys');
+const orderedQueue = require('./ordered_queue');
+
+/**
+* The push time of the records is kept in a separate hash per queue for the records stored by key, along with their priority, the service which pushed them and their version, and within the list entry for the ordered records.
+* The depth of a queue is the number of its pending keys of every priority, the oldest pending key of a priority being the one at the tail of its pending list which is claimed next.
+**/
+
+/**
+* Parses the stored push time, priority, producer and version of a record, the records pushed by the previous versions only hold the push time, or the push time and the priority.
+* @param {String} [pushInfo] The stored push time, priority, producer and version.
+* @returns {Object} The push time, null if unknown, along with the priority, the producer and the version, null if unknown.
+**/
+function parsePushInfo(pushInfo) {
+    if(pushInfo === null || pushInfo === undefined) {
+        return {pushedAt : null, priority : 0, producer : null, version : null};
+    }
+    let parsed = JSON.parse(pushInfo);
+    if(typeof parsed === "number") {
+        return {pushedAt : parsed, priority : 0, producer : null, version : null};
+    }
+    return {pushedAt : parsed.pushedAt, priority : parsed.priority || 0, producer : parsed.producer || null, version : parsed.version || null};
+}
+
+/**
+* Records the push time of the record stored by key, along with its priority, producer and version.
+* @param {Object} connection The store connection.
+* @param {String} queueName The queue holding the record.
+* @param {String} key Unique identifier under the specific group.
+* @param {Object} pushInfo Holds the priority, the version of the record and the name of the service which pushed it, along with the push time shared by the stores written by the push, defaults to the current time.
+* @param {cb} callback The callback that handles the response.
+**/
+function setPushTime(connection, queueName, key, pushInfo, callback) {
+    let stored = {pushedAt : pushInfo.pushedAt || Date.now(), priority : pushInfo.priority || 0, producer : pushInfo.producer || null, version : pushInfo.version || null};
+    connection.setHashObject(queueKeys.pushedQueueName(queueName), key, JSON.stringify(stored), (err) => callback(err));
+}
+
+/**
+* Retrieves the push time, priority and producer of the record stored by key.
+* @param {Object} connection The store connection.
+* @param {String} queueName The queue holding the record.
+* @param {String} key Unique identifier under the specific group.
+* @param {cb} callback The callback that handles the response.
+**/
+function readPushInfo(connection, queueName, key, callback) {
+    connection.getHashObject(queueKeys.pushedQueueName(queueName), key, (err, pushInfo) => {
+        callback(err, err ? null : parsePushInfo(pushInfo));
+    });
+}
+
+/**
+* Retrieves the push time, priority and producer of all the records of the queue stored by key.
+* @param {Object} connection The store connection.
+* @param {String} queueName The queue holding the records.
+* @param {cb} callback The callback that handles the response with the push time, priority and producer by key.
+**/
+function readPushInfos(connection, queueName, callback) {
+    connection.getHashAll(queueKeys.pushedQueueName(queueName), (err, pushInfos) => {
+        if(err) {
+            return callback(err, null);
+        }
+        let parsed = Object.create(null);
+        Object.keys(pushInfos || {}).forEach((key) => {
+            parsed[key] = parsePushInfo(pushInfos[key]);
+        });
+        callback(null, parsed);
+    });
+}
+
+/**
+* Clears the push time of the record stored by key once the record leaves the queue.
+* @param {Object} connection The store connection.
+* @param {String} queueName The queue holding the record.
+* @param {String} key Unique identifier under the specific group.
+* @param {cb} callback The callback that handles the response.
+**/
+function clearPushTime(connection, queueName, key, callback) {
+    connection.deleteHashKey(queueKeys.pushedQueueName(queueName), key, (err) => callback(err));
+}
+
+/**
+* Retrieves the push time of the oldest pending record of the priority of the queue, null if nothing is pending or the record was pushed by a previous version.
+* @param {Object} connection The store connection.
+* @param {String} queueName The queue to read.
+* @param {String} pendingName The pending list of the priority.
+* @param {Boolean} ordered True if the records of the queue are stored in order.
+* @param {cb} callback The callback that handles the response.
+**/
+function readOldestPushTime(connection, queueName, pendingName, ordered, callback) {
+    connection.getListRange(pendingName, -1, -1, (err, keys) => {
+        if(err || !keys || keys.length === 0) {
+            return callback(err, null);
+        }
+        if(ordered) {
+            return orderedQueue.readRecord(connection, [queueName], keys[0], (err, record) => {
+                callback(err, (record && record.pushedAt) || null);
+            });
+        }
+        readPushInfo(connection, queueName, keys[0], (err, pushInfo) => {
+            callback(err, pushInfo && pushInfo.pushedAt);
+        });
+    });
+}
+
+/**
+* Retrieves the number of pending records of every priority of the queues along with the age in milliseconds of the oldest one, which is null if nothing is pending.
+* @param {Object} connection The store connection.
+* @param {Array} queueNames The queues to read.
+* @param {Boolean} ordered True if the records of the queues are stored in order.
+* @param {cb} callback The callback that handles the response.
+**/
+function readQueueStats(connection, queueNames, ordered, callback) {
+    let pendingLists = [];
+    queueNames.forEach((queueName) => {
+        queueKeys.pendingQueueNames(queueName).forEach((pendingName) => pendingLists.push({queueName : queueName, pendingName : pendingName}));
+    });
+    async.mapSeries(pendingLists, (pendingList, mapCallback) => {
+        async.parallel([
+            (parallelCallback) => connection.getListLength(pendingList.pendingName, parallelCallback),
+            (parallelCallback) => readOldestPushTime(connection, pendingList.queueName, pendingList.pendingName, ordered, parallelCallback)
+        ], mapCallback);
+    }, (err, queueStats) => {
+        if(err) {
+            return callback(err, null);
+        }
+        let now = Date.now();
+        let pushTimes = queueStats.map((stats) => stats[1]).filter((pushedAt) => pushedAt);
+        callback(null, {
+            pending : queueStats.reduce((pending, stats) => pending + (Number(stats[0]) || 0), 0),
+            oldestAge : pushTimes.length ? Math.max(0, now - Math.min.apply(null, pushTimes)) : null
+        });
+    });
+}
+
+module.exports.setPushTime = setPushTime;
+module.exports.readPushInfo = readPushInfo;
+module.exports.readPushInfos = readPushInfos;
+module.exports.clearPushTime = clearPushTime;
+module.exports.readQueueStats = readQueueStats;
@@ -0,0 +1,151 @@
+/* jshint node: true */
+/* jshint esnext: true */
+'use strict';
+
+/**
+* The read methods return the records in a single shape whatever the store, each record holding its identifier, key, deserialized value, store, push time, the service which pushed it and its version, which is null for the ordered records.
+* The copies of a key read from several stores are merged into one record, which is the copy pushed last for the records stored by key and the copy pushed first for the ordered records, as readFromQueue returns the oldest record of their key.
+* The copies of the other stores holding a different value are reported as conflicts along with the merged records, the copies holding the same value are dropped.
+* The copies of unknown push time, like the records pushed by the previous versions, are taken after the others, and the stores are taken in the order they are configured when the push times are equal.
+**/
+
+/**
+* Deserializes the stored value, the values which are not JSON are returned as they are.
+* @param {String} value The value as stored.
+**/
+function parseValue(value) {
+    if(typeof value !== "string") {
+        return value;
+    }
+    try {
+        return JSON.parse(value);
+    } catch (err) {
+        return value;
+    }
+}
+
+/**
+* Returns the record read from the store in the shape returned by the read methods.
+* @param {String} identifier Group category name.
+* @param {String} store The name of the store the record was read from.
+* @param {Object} storedRecord Holds the key and the value as stored, along with the push time, the producer and the version if known.
+* @param {String} [targetType] The target name of the queue the record was read from.
+**/
+function createRecord(identifier, store, storedRecord, targetType) {
+    let record = {
+        identifier : identifier,
+        key : storedRecord.key,
+        value : parseValue(storedRecord.value),
+        store : store,
+        pushedAt : storedRecord.pushedAt || null,
+        producer : storedRecord.producer || null,
+        version : storedRecord.version || null
+    };
+    if(targetType) {
+        record.targetType = targetType;
+    }
+    return record;
+}
+
+/**
+* Checks if the first copy is to be taken ahead of the second one.
+* @param {Object} first The copy of the earlier store.
+* @param {Object} second The copy of the later store.
+* @param {Boolean} ordered True if the copies are ordered records, the copy pushed first being taken.
+**/
+function precedes(first, second, ordered) {
+    if(second.pushedAt === null) {
+        return true;
+    } else if (first.pushedAt === null) {
+        return false;
+    }
+    return first.pushedAt === second.pushedAt || ordered === (first.pushedAt < second.pushedAt);
+}
+
+/**
+* Merges the copies of a key read from the stores in the order they are configured.
+* @param {Array} copies The copies of the key, one per store holding it.
+* @param {Boolean} ordered True if the copies are ordered records.
+* @returns {Object} The merged record, null if no store holds the key, along with the conflicting copies.
+**/
+function mergeCopies(copies, ordered) {
+    if(copies.length === 0) {
+        return {record : null, conflicts : []};
+    }
+    let record = copies.reduce((taken, copy) => precedes(taken, copy, ordered) ? taken : copy);
+    let value = JSON.stringify(record.value);
+    return {
+        record : record,
+        conflicts : copies.filter((copy) => copy !== record && JSON.stringify(copy.value) !== value)
+    };
+}
+
+/**
+* Merges the records read from the stores in the order they are configured.
+* The records stored by key are merged by key in the order the keys are first read, whereas every ordered record is kept, sorted by push time, apart from the copies of the same push.
+* @param {Array} recordLists The records read from every store.
+* @param {Boolean} ordered True if the records are ordered records.
+* @returns {Object} The merged records along with the conflicting copies.
+**/
+function mergeRecords(recordLists, ordered) {
+    let filled = recordLists.filter((records) => records.length);
+    if(filled.length <= 1) {
+        return {records : filled.length ? filled[0] : [], conflicts : []};
+    }
+    let records = [];
+    let conflicts = [];
+    if(ordered) {
+        let pushes = new Set();
+        filled.forEach((storeRecords) => {
+            storeRecords.forEach((record) => {
+                let push = JSON.stringify([record.key, record.pushedAt, record.value]);
+                if(!pushes.has(push)) {
+                    pushes.add(push);
+                    records.push(record);
+                }
+            });
+        });
+        let pushTime = (record) => record.pushedAt === null ? Infinity : record.pushedAt;
+        /**
+        * The records of unknown push time compare as equal among themselves, keeping the order they were read in.
+        **/
+        records.sort((first, second) => (pushTime(first) - pushTime(second)) || 0);
+        return {records : records, conflicts : conflicts};
+    }
+    /**
+    * The copies are held by a map, as the keys are user input which can be the names of the properties of any object, like 'constructor'.
+    **/
+    let copies = new Map();
+    filled.forEach((storeRecords) => {
+        storeRecords.forEach((record) => {
+            if(!copies.has(record.key)) {
+                copies.set(record.key, []);
+            }
+            copies.get(record.key).push(record);
+        });
+    });
+    copies.forEach((keyCopies) => {
+        let merged = mergeCopies(keyCopies, false);
+        records.push(merged.record);
+        merged.conflicts.forEach((conflict) => conflicts.push(conflict));
+    });
+    return {records : records, conflicts : conflicts};
+}
+
+/**
+* Merges the keys read from the stores in the order they are configured, each key being returned once in the order it is first read.
+* @param {Array} keyLists The keys read from every store.
+**/
+function mergeKeys(keyLists) {
+    let keys = new Set();
+    keyLists.forEach((storeKeys) => {
+        storeKeys.forEach((key) => keys.add(key));
+    });
+    return Array.from(keys);
+}
+
+module.exports.parseValue = parseValue;
+module.exports.createRecord = createRecord;
+module.exports.mergeCopies = mergeCopies;
+module.exports.mergeRecords = mergeRecords;
+module.exports.mergeKeys = mergeKeys;
@@ -0,0 +1,152 @@
+/* jshint node: true */
+/* jshint esnext: true */
+'use strict';
+
+const async = require('async');
+const queueKeys = require('./queue_keys');
+const orderedQueue = require('./ordered_queue');
+const queueStats = require('./queue_stats');
+const recordPriority = require('./record_priority');
+
+/**
+* The records pushed with a time to live carry their expiry time, in a separate hash per queue for the records stored by key and within the list entry for the ordered records.
+* Expired records are purged before the queue is read or consumed along with the periodic sweep of the handler, each purged record is counted against the queue.
+**/
+
+/**
+* Returns the expiry time of a record pushed now with the time to live.
+* @param {Number} [ttl] The milliseconds the record lives for, the record never expires if not passed.
+**/
+function expiresAt(ttl) {
+    return ttl ? Date.now() + ttl : null;
+}
+
+/**
+* Records the expiry time of the record pushed by key, the expiry time of a previous push of the key is cleared if the record never expires.
+* @param {Object} connection The store connection.
+* @param {String} queueName The queue holding the record.
+* @param {String} key Unique identifier under the specific group.
+* @param {Number} expiry The expiry time of the record, or null.
+* @param {cb} callback The callback that handles the response.
+**/
+function setExpiry(connection, queueName, key, expiry, callback) {
+    if(expiry) {
+        return connection.setHashObject(queueKeys.expiryQueueName(queueName), key, expiry, (err) => callback(err));
+    }
+    connection.deleteHashKey(queueKeys.expiryQueueName(queueName), key, (err) => callback(err));
+}
+
+/**
+* Deletes the expired records of the queue along with their pending keys.
+* @param {Object} connection The store connection.
+* @param {String} queueName The queue to purge.
+* @param {Boolean} ordered True if the records of the queue are stored in order.
+* @param {cb} callback The callback that handles the response with the number of purged records.
+**/
+function purgeQueue(connection, queueName, ordered, callback) {
+    let now = Date.now();
+    let purged = 0;
+    if(ordered) {
+        return orderedQueue.readRecords(connection, [queueName], (err, records) => {
+            if(err) {
+                return callback(err, 0);
+            }
+            let expired = records.filter((record) => record.expiresAt && record.expiresAt <= now);
+            async.eachSeries(expired, (record, asyncEachCallback) => {
+                orderedQueue.deleteRecord(connection, queueName, record, (err, count) => {
+                    if(err || !count) {
+                        return asyncEachCallback(err);
+                    }
+                    purged++;
+                    let remaining = records.some((other) => other.key === record.key && expired.indexOf(other) === -1);
+                    async.series([
+                        (seriesCallback) => connection.incrObject(queueKeys.expiredCountName(queueName), (err) => seriesCallback(err)),
+                        (seriesCallback) => {
+                            /**
+                            * The pending list holds the key once per record, the key of the expired record is the one the nearest to the tail as the expired records are older than the remaining records of the key.
+                            **/
+                            if(remaining) {
+                                return connection.removeLastListObject(queueKeys.pendingQueueName(queueName), record.key, (err) => seriesCallback(err));
+                            }
+                            connection.removeListObject(queueKeys.pendingQueueName(queueName), record.key, (err) => seriesCallback(err));
+                        }
+                    ], asyncEachCallback);
+                });
+            }, (err) => {
+                callback(err, purged);
+            });
+        });
+    }
+    connection.getHashAll(queueKeys.expiryQueueName(queueName), (err, expiries) => {
+        if(err || !expiries) {
+            return callback(err, 0);
+        }
+        let expired = Object.keys(expiries).filter((key) => Number(expiries[key]) <= now);
+        async.eachSeries(expired, (key, asyncEachCallback) => {
+            connection.deleteHashKey(queueName, key, (err, count) => {
+                if(err) {
+                    return asyncEachCallback(err);
+                }
+                async.series([
+                    (seriesCallback) => connection.deleteHashKey(queueKeys.expiryQueueName(queueName), key, (err) => seriesCallback(err)),
+                    (seriesCallback) => recordPriority.removePending(connection, queueName, key, seriesCallback),
+                    (seriesCallback) => queueStats.clearPushTime(connection, queueName, key, seriesCallback),
+                    (seriesCallback) => {
+                        /**
+                        * The record may have been deleted before it expired, only the records actually purged are counted.
+                        **/
+                        if(!count) {
+                            return seriesCallback(null);
+                        }
+                        purged++;
+                        connection.incrObject(queueKeys.expiredCountName(queueName), (err) => seriesCallback(err));
+                    }
+                ], asyncEachCallback);
+            });
+        }, (err) => {
+            callback(err, purged);
+        });
+    });
+}
+
+/**
+* Deletes the expired records of every queue.
+* @param {Object} connection The store connection.
+* @param {Array} queueNames The queues to purge.
+* @param {Boolean} ordered True if the records of the queues are stored in order.
+* @param {cb} callback The callback that handles the response with the number of purged records.
+**/
+function purgeQueues(connection, queueNames, ordered, callback) {
+    let purged = 0;
+    async.eachSeries(queueNames, (queueName, asyncEachCallback) => {
+        purgeQueue(connection, queueName, ordered, (err, count) => {
+            purged += count || 0;
+            asyncEachCallback(err);
+        });
+    }, (err) => {
+        callback(err, purged);
+    });
+}
+
+/**
+* Retrieves the number of records of the queues which expired before being deleted.
+* @param {Object} connection The store connection.
+* @param {Array} queueNames The queues to count.
+* @param {cb} callback The callback that handles the response.
+**/
+function countExpired(connection, queueNames, callback) {
+    async.mapSeries(queueNames, (queueName, mapCallback) => {
+        connection.getObject(queueKeys.expiredCountName(queueName), mapCallback);
+    }, (err, counts) => {
+        if(err) {
+            return callback(err, 0);
+        }
+        callback(null, counts.reduce((total, count) => total + (Number(count) || 0), 0));
+    });
+}
+
+module.exports.expiresAt = expiresAt;
+module.exports.setExpiry = setExpiry;
+module.exports.purgeQueue = purgeQueue;
+module.exports.purgeQueues = purgeQueues;
+module.exports.countExpired = countExpired;
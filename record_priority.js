@@ -0,0 +1,127 @@
+/* jshint node: true */
+/* jshint esnext: true */
+'use strict';
+
+const async = require('async');
+const queueKeys = require('./queue_keys');
+const queueStats = require('./queue_stats');
+
+/**
+* The records stored by key can be pushed with a priority from zero, the default, to the highest priority, the keys of every priority waiting in their own pending list.
+* The records of a higher priority are claimed and read first, the records of the same priority in the order they were pushed.
+* A record waiting longer than the maximum wait of its identifier is taken ahead of all the priorities, so that the records of the lower priorities are not starved.
+**/
+
+/**
+* Returns the priority a record is taken with, which is above all the priorities once the record waited longer than the maximum wait.
+* @param {Object} pushInfo The push time and the priority of the record.
+* @param {Number} [maxWait] The milliseconds after which a waiting record is taken ahead of all the priorities.
+* @param {Number} now The current time.
+**/
+function effectivePriority(pushInfo, maxWait, now) {
+    if(maxWait && pushInfo.pushedAt && now - pushInfo.pushedAt >= maxWait) {
+        return queueKeys.maxPriority + 1;
+    }
+    return pushInfo.priority;
+}
+
+/**
+* Retrieves the priority of the record stored by key, zero if the record was pushed without a priority.
+* @param {Object} connection The store connection.
+* @param {String} queueName The queue holding the record.
+* @param {String} key Unique identifier under the specific group.
+* @param {cb} callback The callback that handles the response.
+**/
+function readPriority(connection, queueName, key, callback) {
+    queueStats.readPushInfo(connection, queueName, key, (err, pushInfo) => {
+        callback(err, pushInfo ? pushInfo.priority : 0);
+    });
+}
+
+/**
+* Removes the pending key of the record from the pending list of its priority, to be called before its push time is cleared.
+* @param {Object} connection The store connection.
+* @param {String} queueName The queue holding the record.
+* @param {String} key Unique identifier under the specific group.
+* @param {cb} callback The callback that handles the response.
+**/
+function removePending(connection, queueName, key, callback) {
+    readPriority(connection, queueName, key, (err, priority) => {
+        if(err) {
+            return callback(err);
+        }
+        connection.removeListObject(queueKeys.pendingQueueName(queueName, priority), key, (err) => callback(err));
+    });
+}
+
+/**
+* Puts the key of the record back to the tail of the pending list of its priority, so that it is claimed next among its priority.
+* @param {Object} connection The store connection.
+* @param {String} queueName The queue holding the record.
+* @param {String} key Unique identifier under the specific group.
+* @param {cb} callback The callback that handles the response.
+**/
+function requeuePending(connection, queueName, key, callback) {
+    readPriority(connection, queueName, key, (err, priority) => {
+        if(err) {
+            return callback(err);
+        }
+        connection.appendListObject(queueKeys.pendingQueueName(queueName, priority), key, (err) => callback(err));
+    });
+}
+
+/**
+* Sorts the records from the highest priority to the lowest, and in the order they were pushed within the same priority.
+* @param {Array} records The records holding their key.
+* @param {Object} pushInfos The push time and priority of the records by key.
+* @param {Number} [maxWait] The milliseconds after which a waiting record is taken ahead of all the priorities.
+* @returns {Array} The sorted records.
+**/
+function sortRecords(records, pushInfos, maxWait) {
+    let now = Date.now();
+    let unknown = {pushedAt : null, priority : 0};
+    return records.map((record, index) => {
+        let pushInfo = pushInfos[record.key] || unknown;
+        return {record : record, index : index, priority : effectivePriority(pushInfo, maxWait, now), pushedAt : pushInfo.pushedAt || 0};
+    }).sort((first, second) => (second.priority - first.priority) || (first.pushedAt - second.pushedAt) || (first.index - second.index)).map((entry) => entry.record);
+}
+
+/**
+* Retrieves the pending lists of the queue holding a key, in the order they are to be claimed from, which is from the highest priority to the lowest apart from the lists whose oldest key waited longer than the maximum wait, taken first.
+* @param {Object} connection The store connection.
+* @param {String} queueName The queue to claim from.
+* @param {Number} [maxWait] The milliseconds after which a waiting record is taken ahead of all the priorities.
+* @param {cb} callback The callback that handles the response with the names of the pending lists.
+**/
+function claimOrder(connection, queueName, maxWait, callback) {
+    let pendingNames = queueKeys.pendingQueueNames(queueName);
+    async.mapSeries(pendingNames, (pendingName, mapCallback) => {
+        connection.getListLength(pendingName, (err, length) => {
+            if(err || !length || !maxWait) {
+                return mapCallback(err, {pendingName : pendingName, length : length || 0, pushedAt : null});
+            }
+            connection.getListRange(pendingName, -1, -1, (err, keys) => {
+                if(err || !keys || keys.length === 0) {
+                    return mapCallback(err, {pendingName : pendingName, length : length, pushedAt : null});
+                }
+                queueStats.readPushInfo(connection, queueName, keys[0], (err, pushInfo) => {
+                    mapCallback(err, {pendingName : pendingName, length : length, pushedAt : pushInfo && pushInfo.pushedAt});
+                });
+            });
+        });
+    }, (err, pendingLists) => {
+        if(err) {
+            return callback(err, null);
+        }
+        let now = Date.now();
+        let waiting = pendingLists.filter((pendingList) => pendingList.length);
+        let starved = waiting.filter((pendingList) => maxWait && pendingList.pushedAt && now - pendingList.pushedAt >= maxWait).sort((first, second) => first.pushedAt - second.pushedAt);
+        callback(null, starved.concat(waiting.filter((pendingList) => starved.indexOf(pendingList) === -1)).map((pendingList) => pendingList.pendingName));
+    });
+}
+
+module.exports.readPriority = readPriority;
+module.exports.removePending = removePending;
+module.exports.requeuePending = requeuePending;
+module.exports.sortRecords = sortRecords;
+module.exports.claimOrder = claimOrder;
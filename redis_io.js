@@ -3,10 +3,96 @@
 'use strict';
 
 var redis = require("redis");
-var redisClient = []; 
-//client.on("error", function (err) {
-	//console.log("Error " + err);
-//});
+var memoryRedis = require("./memory_redis");
+var QueueError = require("./QueueError");
+
+
+/* writeToStores runs the write command on every client, the
+ * clients which got disconnected after being connected are
+ * reported as failed without waiting for them to reconnect.
+ * The write succeeds if acknowledged by the number of clients
+ * required by the consistency policy, which can be all,
+ * quorum (majority) or one.
+ * callback function will be called with three parameters
+ * which are error message, the replies of the clients in the
+ * order of the clients & the report of the write holding the
+ * succeeded & failed nodes, the same report is passed as the
+ * last parameter by all the write functions.
+ * */
+function writeToStores(redisClient, consistency, command, callback){
+	var replies = [];
+	var report = {succeeded : [], failed : []};
+	var pending = redisClient.length;
+	var errors = [];
+	function onReply(i, err, reply) {
+		errors[i] = err;
+		replies[i] = err ? undefined : reply;
+		if(--pending !== 0) {
+			return;
+		}
+		redisClient.forEach(function (client, j) {
+			if(errors[j]) {
+				report.failed.push({node : client.address, error : errors[j].message || String(errors[j])});
+			} else {
+				report.succeeded.push(client.address);
+			}
+		});
+		var required = requiredAcknowledgements(redisClient.length, consistency);
+		if(report.succeeded.length < required) {
+			var writeErr = new QueueError.ReplicationError(`Write acknowledged by ${report.succeeded.length} of the required ${required} nodes for the '${consistency}' consistency`, report);
+			return callback(writeErr, replies, report);
+		}
+		callback(null, replies, report);
+	}
+	redisClient.forEach(function (client, i) {
+		if(client.times_connected > 0 && !client.connected) {
+			return onReply(i, new Error('Redis connection to ' + client.address + ' is lost'));
+		}
+		command(client, function (err, reply) {
+			onReply(i, err, reply);
+		});
+	});
+}
+
+
+/* requiredAcknowledgements returns the number of nodes which must
+ * acknowledge a write for the consistency policy.
+ * */
+function requiredAcknowledgements(nodes, consistency){
+	if(consistency === 'all') {
+		return nodes;
+	} else if(consistency === 'quorum') {
+		return Math.floor(nodes / 2) + 1;
+	}
+	return Math.min(nodes, 1);
+}
+
+
+/* primaryReply returns the reply of the first client which
+ * acknowledged the write.
+ * */
+function primaryReply(replies){
+	for(var i = 0; i < replies.length; i++) {
+		if(replies[i] !== undefined) {
+			return replies[i];
+		}
+	}
+	return null;
+}
+
+
+/* maxReply returns the highest integer reply among the clients,
+ * like the number of removed elements of a node which had them.
+ * */
+function maxReply(replies){
+	var reply = null;
+	replies.forEach(function (value) {
+		if(value !== undefined && (reply === null || value > reply)) {
+			reply = value;
+		}
+	});
+	return reply;
+}
 
 
 /* setObject will store the key-value pair if its not
@@ -18,20 +104,13 @@ var redisClient = [];
  * which are error message & the sorted-compressed jsonObject/string used
  * as key in the current operation
  * */
-function setObject(key, value, callback){
+function setObject(redisClient, consistency, key, value, callback){
 	var rediskey = (typeof key == 'object')?JSON.stringify(sort(key)):key;
-	var i = redisClient.length;
-	function setInStore(i) {
-		redisClient[i].set(rediskey,value, (err, reply) => {
-			if( i === 0 ){
-				callback(err,rediskey);
-			}
-		});
-	}
-	while (i--) {
-		new setInStore(i);
-		if( i === 0 )break;
-	}
+	writeToStores(redisClient, consistency, function (client, done) {
+		client.set(rediskey, value, done);
+	}, function (err, replies, report) {
+		callback(err, rediskey, report);
+	});
 }
 
 
@@ -43,14 +122,14 @@ function setObject(key, value, callback){
  * which are error message & returned value 
  * of key  
  * */
-function getObject(key, callback, i){
+function getObject(redisClient, key, callback, i){
 	var rediskey = (typeof key == 'object')?JSON.stringify(sort(key)):key;
 	i = i || 0;
 	redisClient[i].get(rediskey, function (err, reply) {
 		if(err || reply === null ){
 			i++;
 			if(i < redisClient.length){
-				getObject(key, callback, i );
+				getObject(redisClient, key, callback, i );
 				return;
 			} 
 			callback(err,null);
@@ -72,21 +151,32 @@ function getObject(key, callback, i){
  * which are error message & the sorted-compressed jsonObject/string used
  * as fieldname to store the value
  * */
-function setHashObject(hashsetkey, fieldname, value, callback){
+function setHashObject(redisClient, consistency, hashsetkey, fieldname, value, callback){
 	var key = (typeof fieldname == 'object')?JSON.stringify(sort(fieldname)):fieldname;
 	var val = (typeof value == 'object')?JSON.stringify(value):value;
-	var i = redisClient.length;
-	function setHashInStore(i) {
-		redisClient[i].hset([hashsetkey, key, val], (err, reply) => {
-			if( i === 0 ){
-				callback(null,key);
-			}
-		});
-	}
-	while (i--) {
-		new setHashInStore(i);
-		if( i === 0 )break;
-	}
+	writeToStores(redisClient, consistency, function (client, done) {
+		client.hset([hashsetkey, key, val], done);
+	}, function (err, replies, report) {
+		callback(err, key, report);
+	});
+}
+
+
+/* setHashObjectIfNotExists will store the value of the fieldname
+ * only if the fieldname does not already exist in the hashset,
+ * the way HSETNX does.
+ * callback function will be called with three parameters
+ * which are error message, 1 if the value was stored by the first
+ * store which acknowledged the write, 0 otherwise & the report.
+ * */
+function setHashObjectIfNotExists(redisClient, consistency, hashsetkey, fieldname, value, callback){
+	var key = (typeof fieldname == 'object')?JSON.stringify(sort(fieldname)):fieldname;
+	var val = (typeof value == 'object')?JSON.stringify(value):value;
+	writeToStores(redisClient, consistency, function (client, done) {
+		client.hsetnx([hashsetkey, key, val], done);
+	}, function (err, replies, report) {
+		callback(err, primaryReply(replies), report);
+	});
 }
 
 
@@ -98,19 +188,21 @@ function setHashObject(hashsetkey, fieldname, value, callback){
  * callback function will be called with two parameters 
  * which are error message & returned value 
  * of fieldname, value will be null if hashkey or fieldname inside hashkey
- * does not exist.   
+ * does not exist on the stores which replied.
  * */
-function getHashObject(hashsetkey, fieldname, callback, i){
+function getHashObject(redisClient, hashsetkey, fieldname, callback, i, replied){
 	var key = (typeof fieldname == 'object')?JSON.stringify(sort(fieldname)):fieldname;
 	i = i || 0;
 	redisClient[i].hget(hashsetkey, key, function (err, reply) {
 		if(err || reply === null ){
+			replied = replied || !err;
 			i++;
 			if(i < redisClient.length){
-				getHashObject(hashsetkey, fieldname, callback, i);
+				getHashObject(redisClient, hashsetkey, fieldname, callback, i, replied);
 				return;
 			} 
-			callback(err,null);
+			// The field is missing rather than unreadable once a store replied.
+			callback(replied ? null : err,null);
 			return;
 		}
 		// Successfully retrieved the value of fieldname from hashset;
@@ -118,13 +210,13 @@ function getHashObject(hashsetkey, fieldname, callback, i){
 	});
 }
 
-function getHashKey(hashsetkey, callback, i){
+function getHashKey(redisClient, hashsetkey, callback, i){
 	i = i || 0;
 	redisClient[i].hkeys(hashsetkey, function (err, reply) {
 		if(err || reply === null ){
 			i++;
 			if(i < redisClient.length){
-				getHashKey(hashsetkey, callback, i);
+				getHashKey(redisClient, hashsetkey, callback, i);
 				return;
 			}
 			callback(err,null);
@@ -135,18 +227,48 @@ function getHashKey(hashsetkey, callback, i){
 	});
 }
 
+/* scanKeys retrieves the keys of the client matching the pattern
+ * through successive SCAN calls, so that redis is not blocked
+ * like with KEYS on a large database.
+ * callback function will be called with two parameters
+ * which are error message & an array of the distinct keys
+ * */
+function scanKeys(client, pattern, callback){
+	var keys = [];
+	var seen = {};
+	function scanFrom(cursor) {
+		client.scan(cursor, 'MATCH', pattern, 'COUNT', 1000, function (err, reply) {
+			if(err) {
+				return callback(err, null);
+			}
+			reply[1].forEach(function (key) {
+				if(!seen[key]) {
+					seen[key] = true;
+					keys.push(key);
+				}
+			});
+			if(reply[0] === '0') {
+				return callback(null, keys);
+			}
+			scanFrom(reply[0]);
+		});
+	}
+	scanFrom('0');
+}
+
+
 /* getAllKeys is used to retreive
  * all the keys currently indexed in the database.
  * callback function will be called with two parameter 
  * which is a error message & an array of all the returned keys
  * */
-function getAllKeys(callback,i){
+function getAllKeys(redisClient, callback,i){
 	i = i || 0;
-	redisClient[i].keys('*',function(err,reply){
+	scanKeys(redisClient[i], '*', function(err,reply){
 		if(err || reply === null ){
 			i++;
 			if(i < redisClient.length){
-				getHashObject(hashsetkey, fieldname, callback, i );
+				getAllKeys(redisClient, callback, i );
 				return;
 			} 
 			callback(err,null);
@@ -165,9 +287,9 @@ function getAllKeys(callback,i){
  * which is a error message & an array of all the returned values
  * Please note, any hashkey or listkey will return a null value
  * */
-function getAllValues(callback,i){
+function getAllValues(redisClient, callback,i){
 	i = i || 0;
-	getAllKeys(function(err, keyArr){
+	getAllKeys(redisClient, function(err, keyArr){
 		if(err){
 			callback(err,null);
 			return;
@@ -176,7 +298,7 @@ function getAllValues(callback,i){
 			if(err || reply === null ){
 				i++;
 				if(i < redisClient.length){
-					getHashObject(hashsetkey, fieldname, callback, i );
+					getAllValues(redisClient, callback, i );
 					return;
 				} 
 				callback(err,null);
@@ -196,48 +318,861 @@ function getAllValues(callback,i){
  * which is a error message & status message 
  * of deletion operation 
  * */
-function delObject(key, callback){
-	//var rediskey = (typeof key == 'object')?sortCompress(key):key;
+function delObject(redisClient, consistency, key, callback){
 	var rediskey = (typeof key == 'object')?JSON.stringify(sort(key)):key;
-	var i = redisClient.length;
-	function delFromStore(i) {
-		redisClient[i].del(rediskey, (err,reply) => {
-			//if(err){
-				//callback(err,null);
-				//return;
-			//}
-			if( i === 0 ){
-				callback(null,true);
-			}	
-		});
-	}
-	while (i--) {
-		new delFromStore(i);
-		if( i === 0 )break;
-	}
-	
+	writeToStores(redisClient, consistency, function (client, done) {
+		client.del(rediskey, done);
+	}, function (err, replies, report) {
+		callback(err, !err, report);
+	});
 }
 
 
-function deleteHashKey(hashsetkey, fieldname, callback, i){
-    //var key = (typeof fieldname == 'object')?JSON.stringify(sort(fieldname)):fieldname;
+function deleteHashKey(redisClient, consistency, hashsetkey, fieldname, callback){
+	writeToStores(redisClient, consistency, function (client, done) {
+		client.hdel(hashsetkey, fieldname, done);
+	}, function (err, replies, report) {
+		callback(err, maxReply(replies), report);
+	});
+}
+
+
+/* getHashAll will query redis using hashsetkey and return
+ * all the fieldname - value pairs of the hashset as an object.
+ * callback function will be called with two parameters
+ * which are error message & the returned object, which will be
+ * null if the hashset does not exist.
+ * */
+function getHashAll(redisClient, hashsetkey, callback, i){
 	i = i || 0;
-	redisClient[i].hdel(hashsetkey, fieldname, function (err, reply) {
+	redisClient[i].hgetall(hashsetkey, function (err, reply) {
 		if(err || reply === null ){
 			i++;
 			if(i < redisClient.length){
-				deleteHashKey(hashsetkey, fieldname, callback, i);
+				getHashAll(redisClient, hashsetkey, callback, i);
+				return;
+			}
+			callback(err,null);
+			return;
+		}
+		callback(null,reply);
+	});
+}
+
+
+/* pushListObject will add the value to the head of the list
+ * using listkey, the list is created if its not already their.
+ * callback function will be called with two parameters
+ * which are error message & the length of the list
+ * */
+function pushListObject(redisClient, consistency, listkey, value, callback){
+	writeToStores(redisClient, consistency, function (client, done) {
+		client.lpush(listkey, value, done);
+	}, function (err, replies, report) {
+		callback(err, primaryReply(replies), report);
+	});
+}
+
+
+/* appendListObject will add the value to the tail of the list
+ * using listkey, which is the next one to be claimed by the
+ * blocking clients.
+ * callback function will be called with two parameters
+ * which are error message & the length of the list
+ * */
+function appendListObject(redisClient, consistency, listkey, value, callback){
+	writeToStores(redisClient, consistency, function (client, done) {
+		client.rpush(listkey, value, done);
+	}, function (err, replies, report) {
+		callback(err, primaryReply(replies), report);
+	});
+}
+
+
+/* removeListObject will remove all the occurrences of the
+ * value from the list using listkey.
+ * callback function will be called with two parameters
+ * which are error message & the number of removed occurrences
+ * */
+function removeListObject(redisClient, consistency, listkey, value, callback){
+	writeToStores(redisClient, consistency, function (client, done) {
+		client.lrem(listkey, 0, value, done);
+	}, function (err, replies, report) {
+		callback(err, maxReply(replies), report);
+	});
+}
+
+
+/* removeLastListObject will remove the occurrence of the
+ * value the nearest to the tail of the list using listkey.
+ * callback function will be called with two parameters
+ * which are error message & the number of removed occurrences
+ * */
+function removeLastListObject(redisClient, consistency, listkey, value, callback){
+	writeToStores(redisClient, consistency, function (client, done) {
+		client.lrem(listkey, -1, value, done);
+	}, function (err, replies, report) {
+		callback(err, maxReply(replies), report);
+	});
+}
+
+
+/* getListObject will query redis using listkey
+ * and return all the values of the list from head to tail.
+ * callback function will be called with two parameters
+ * which are error message & the array of values
+ * */
+function getListObject(redisClient, listkey, callback, i){
+	i = i || 0;
+	redisClient[i].lrange(listkey, 0, -1, function (err, reply) {
+		if(err || reply === null ){
+			i++;
+			if(i < redisClient.length){
+				getListObject(redisClient, listkey, callback, i);
 				return;
 			}
 			callback(err,null);
 			return;
 		}
-		// Successfully retrieved the fieldname from hashset;
 		callback(null,reply);
 	});
 }
 
 
+/* scanHash will query redis for the next fields of the hashset
+ * after the cursor through HSCAN, starting with the cursor 0.
+ * count is the number of fields to be returned, which redis takes
+ * as a hint and may return more or fewer fields.
+ * As the cursor is only known to the server which returned it,
+ * the scan continues on the next server only if the first one
+ * fails, in which case fields may be returned again or missed.
+ * callback function will be called with three parameters
+ * which are error message, the cursor of the next call which is
+ * 0 once the hashset is fully scanned & the scanned fields along
+ * with their values
+ * */
+function scanHash(redisClient, hashsetkey, cursor, count, callback, i){
+	i = i || 0;
+	redisClient[i].hscan(hashsetkey, cursor, 'COUNT', count, function (err, reply) {
+		if(err || !reply){
+			i++;
+			if(i < redisClient.length){
+				scanHash(redisClient, hashsetkey, cursor, count, callback, i);
+				return;
+			}
+			callback(err,null,null);
+			return;
+		}
+		var fields = {};
+		for(var j = 0; j + 1 < reply[1].length; j += 2) {
+			fields[reply[1][j]] = reply[1][j + 1];
+		}
+		callback(null,reply[0],fields);
+	});
+}
+
+
+/* getListLength will query redis using listkey
+ * and return the number of values of the list.
+ * callback function will be called with two parameters
+ * which are error message & the length
+ * */
+function getListLength(redisClient, listkey, callback, i){
+	i = i || 0;
+	redisClient[i].llen(listkey, function (err, reply) {
+		if(err || reply === null ){
+			i++;
+			if(i < redisClient.length){
+				getListLength(redisClient, listkey, callback, i);
+				return;
+			}
+			callback(err,null);
+			return;
+		}
+		callback(null,reply);
+	});
+}
+
+
+/* getListRange will query redis using listkey
+ * and return the values of the list from the start index to
+ * the stop index, both included.
+ * callback function will be called with two parameters
+ * which are error message & the array of values
+ * */
+function getListRange(redisClient, listkey, start, stop, callback, i){
+	i = i || 0;
+	redisClient[i].lrange(listkey, start, stop, function (err, reply) {
+		if(err || reply === null ){
+			i++;
+			if(i < redisClient.length){
+				getListRange(redisClient, listkey, start, stop, callback, i);
+				return;
+			}
+			callback(err,null);
+			return;
+		}
+		callback(null,reply);
+	});
+}
+
+
+/* incrObject will increment the integer value stored
+ * using key by one, the key is created with 0 if its not
+ * already their.
+ * callback function will be called with two parameters
+ * which are error message & the incremented value
+ * */
+function incrObject(redisClient, consistency, key, callback){
+	writeToStores(redisClient, consistency, function (client, done) {
+		client.incr(key, done);
+	}, function (err, replies, report) {
+		callback(err, maxReply(replies), report);
+	});
+}
+
+
+/* transactionCommand returns the redis command run by the write
+ * function for the operation, which holds the name of the write
+ * function followed by its arguments, the keys & values being
+ * converted the way the write function does.
+ * */
+function transactionCommand(operation){
+	var args = operation.slice(1);
+	switch(operation[0]) {
+		case 'setObject' :
+			return ['set', (typeof args[0] == 'object')?JSON.stringify(sort(args[0])):args[0], args[1]];
+		case 'delObject' :
+			return ['del', (typeof args[0] == 'object')?JSON.stringify(sort(args[0])):args[0]];
+		case 'incrObject' :
+			return ['incr', args[0]];
+		case 'setHashObject' :
+			return ['hset', args[0], (typeof args[1] == 'object')?JSON.stringify(sort(args[1])):args[1], (typeof args[2] == 'object')?JSON.stringify(args[2]):args[2]];
+		case 'deleteHashKey' :
+			return ['hdel', args[0], args[1]];
+		case 'pushListObject' :
+			return ['lpush', args[0], args[1]];
+		case 'appendListObject' :
+			return ['rpush', args[0], args[1]];
+		case 'removeListObject' :
+			return ['lrem', args[0], 0, args[1]];
+	}
+	throw new Error('The ' + operation[0] + ' operation cannot be run within a transaction');
+}
+
+
+/* queueTransaction runs the task once the watched transactions
+ * queued before are done, as the exec of any transaction of a
+ * client releases all the keys the client watches. The task is
+ * called with the function to call once it is done.
+ * */
+function queueTransaction(transactions, task){
+	transactions.push(task);
+	if(transactions.length !== 1) {
+		return;
+	}
+	var next = function () {
+		transactions[0](function () {
+			transactions.shift();
+			if(transactions.length !== 0) {
+				next();
+			}
+		});
+	};
+	next();
+}
+
+
+/* watchKeys watches the keys on every client, like WATCH, so
+ * that the transaction run with the returned watch is not applied
+ * by the clients on which any of the keys was written in between.
+ * The watched transactions are run one after the other, the watch
+ * holding the clients until it is either passed to runTransaction
+ * or released.
+ * callback function will be called with two parameters
+ * which are error message & the watch
+ * */
+function watchKeys(redisClient, transactions, keys, callback){
+	queueTransaction(transactions, function (done) {
+		var released = false;
+		var watch = {
+			keys : keys,
+			release : function (releaseCallback) {
+				if(!released) {
+					released = true;
+					redisClient.forEach(function (client) {
+						client.unwatch(function () {
+							// A client which lost its connection no longer watches anything.
+						});
+					});
+					done();
+				}
+				if(releaseCallback) {
+					setImmediate(releaseCallback, null);
+				}
+			}
+		};
+		var pending = redisClient.length;
+		if(keys.length === 0) {
+			return callback(null, watch);
+		}
+		redisClient.forEach(function (client) {
+			/* A client failing the watch fails the exec of the
+			 * transaction as well, so the error is left to it.
+			 * */
+			client.watch(keys, function () {
+				if(--pending === 0) {
+					callback(null, watch);
+				}
+			});
+		});
+	});
+}
+
+
+/* runTransaction runs the write operations on every client within
+ * a MULTI/EXEC block, so that the operations are applied together
+ * with no other command run in between. Each operation holds the
+ * name of the write function followed by its arguments, like
+ * ['setHashObject', hashsetkey, fieldname, value].
+ * The transaction is not applied by the clients on which a key
+ * of the watch, if any, was written since it was watched, the
+ * transaction failing with a TransactionConflictError if none of
+ * the clients applied it. The watch is released once run.
+ * A client failing any of the operations is reported as failed,
+ * redis applying the other operations of the transaction, the
+ * error of the transaction then holding the failed operations.
+ * callback function will be called with three parameters
+ * which are error message, the replies of the operations on the
+ * first client which acknowledged the transaction & the report.
+ * */
+function runTransaction(redisClient, consistency, operations, watch, callback){
+	var commands;
+	try {
+		commands = operations.map(transactionCommand);
+	} catch (err) {
+		if(watch) {
+			watch.release();
+		}
+		return setImmediate(callback, err, null, {succeeded : [], failed : []});
+	}
+	var conflicts = 0;
+	var failedOperations = null;
+	writeToStores(redisClient, consistency, function (client, done) {
+		client.multi(commands).exec(function (err, replies) {
+			if(!err && replies === null) {
+				conflicts++;
+				return done(new QueueError.TransactionConflictError(`The keys read by the transaction were written in the meantime on ${client.address}`));
+			}
+			var failed = [];
+			(replies || []).forEach(function (reply, index) {
+				if(reply instanceof Error) {
+					failed.push({operation : operations[index], error : reply.message});
+				}
+			});
+			if(!err && failed.length) {
+				failedOperations = failedOperations || failed;
+				err = new Error(`The transaction was partially applied on ${client.address}, ${failed.length} of its ${commands.length} operations failed, ${failed[0].error}`);
+			}
+			done(err || null, replies);
+		});
+	}, function (err, replies, report) {
+		if(watch) {
+			watch.release();
+		}
+		if(err && conflicts === redisClient.length) {
+			err = new QueueError.TransactionConflictError(`The keys read by the transaction were written in the meantime`, report);
+		} else if(err && failedOperations) {
+			err.partial = true;
+			err.failedOperations = failedOperations;
+		}
+		callback(err, primaryReply(replies), report);
+	});
+}
+
+
+/* replicateMove moves the value popped from the tail of the source
+ * list of the primary store to the head of the destination list of
+ * the other stores, removing the occurrence the nearest to the tail
+ * of their source list. The move is put back to the source list of
+ * the stores which applied it if it is not acknowledged by the nodes
+ * required by the consistency.
+ * callback function will be called with three parameters
+ * which are error message, the moved value & the report of the write
+ * */
+function replicateMove(redisClient, consistency, sourcekey, destinationkey, value, callback){
+	writeToStores(redisClient, consistency, function (client, done) {
+		if(client === redisClient[0]) {
+			return done(null, value);
+		}
+		client.multi([['lrem', sourcekey, -1, value], ['lpush', destinationkey, value]]).exec(function (err, replies) {
+			var failed = (replies || []).filter(function (reply) {
+				return reply instanceof Error;
+			})[0];
+			done(err || failed || null, value);
+		});
+	}, function (err, replies, report) {
+		if(!err) {
+			return callback(null, value, report);
+		}
+		writeToStores(redisClient, 'one', function (client, done) {
+			if(replies[redisClient.indexOf(client)] === undefined) {
+				return done(null);
+			}
+			client.multi([['lrem', destinationkey, 1, value], ['rpush', sourcekey, value]]).exec(done);
+		}, function () {
+			callback(err, null, report);
+		});
+	});
+}
+
+
+/* createBlockingClient returns a dedicated connection to the
+ * primary store for the blocking list operations, as a blocking
+ * command holds the connection until it returns.
+ * moveListObject waits up to timeout seconds for a value at the
+ * tail of the source list and moves it to the head of the
+ * destination list, the move is replicated to the other stores
+ * for the consistency, the timeout 0 waiting with no limit.
+ * takeListObject moves the value the same way without waiting,
+ * calling back with null if the source list is empty.
+ * The callback of both is called with the error, the moved value
+ * & the report of the write.
+ * */
+function createBlockingClient(redisClient, consistency){
+	var client = redisClient[0].duplicate();
+	client.on('error', function () {
+		// The errors are reported through the callback of the blocking command.
+	});
+	return {
+		moveListObject : function (sourcekey, destinationkey, timeout, callback) {
+			client.brpoplpush(sourcekey, destinationkey, timeout, (err, reply) => {
+				if(err || !reply) {
+					return callback(err, null);
+				}
+				replicateMove(redisClient, consistency, sourcekey, destinationkey, reply, callback);
+			});
+		},
+		takeListObject : function (sourcekey, destinationkey, callback) {
+			client.rpoplpush(sourcekey, destinationkey, (err, reply) => {
+				if(err || !reply) {
+					return callback(err, null);
+				}
+				replicateMove(redisClient, consistency, sourcekey, destinationkey, reply, callback);
+			});
+		},
+		quit : function (callback) {
+			client.quit(callback);
+		}
+	};
+}
+
+
+/* publishObject publishes the message on the channel of every
+ * store, so that the subscribers of any of the stores receive it.
+ * callback function will be called with two parameters
+ * which are error message, raised only if the message could not
+ * be published on any store & the number of receivers
+ * */
+function publishObject(redisClient, channel, message, callback){
+	writeToStores(redisClient, 'one', function (client, done) {
+		client.publish(channel, message, done);
+	}, function (err, replies) {
+		callback(err, replies.reduce(function (receivers, reply) {
+			return receivers + (reply || 0);
+		}, 0));
+	});
+}
+
+
+/* subscribeChannel registers the listener to be called with every
+ * message published on the channel, through a dedicated connection
+ * to the primary store created on the first subscription, as a
+ * subscribed connection can not run the other commands.
+ * callback function will be called with one parameter
+ * which is a error message
+ * */
+function subscribeChannel(redisClient, subscriber, channel, listener, callback){
+	if(!subscriber.client) {
+		subscriber.client = redisClient[0].duplicate();
+		subscriber.client.on('error', function () {
+			// The subscriptions are restored by the client once reconnected.
+		});
+		subscriber.client.on('message', function (messageChannel, message) {
+			(subscriber.listeners[messageChannel] || []).slice().forEach(function (channelListener) {
+				channelListener(message);
+			});
+		});
+	}
+	if(subscriber.listeners[channel]) {
+		subscriber.listeners[channel].push(listener);
+		return callback(null);
+	}
+	subscriber.listeners[channel] = [listener];
+	subscriber.client.subscribe(channel, function (err) {
+		if(err) {
+			delete subscriber.listeners[channel];
+		}
+		callback(err || null);
+	});
+}
+
+
+/* unsubscribeChannel removes the listener from the channel, the
+ * channel is unsubscribed once it has no listener left.
+ * callback function will be called with one parameter
+ * which is a error message
+ * */
+function unsubscribeChannel(subscriber, channel, listener, callback){
+	var listeners = subscriber.listeners[channel] || [];
+	var i = listeners.indexOf(listener);
+	if(i === -1) {
+		return callback(null);
+	}
+	listeners.splice(i, 1);
+	if(listeners.length !== 0) {
+		return callback(null);
+	}
+	delete subscriber.listeners[channel];
+	subscriber.client.unsubscribe(channel, function (err) {
+		callback(err || null);
+	});
+}
+
+
+/* watchClient keeps track of the connection status of the
+ * client and notifies the status listeners when the client
+ * connects, reconnects, disconnects or raises an error.
+ * The error listener also keeps the client errors from being
+ * thrown as uncaught exceptions.
+ * */
+function watchClient(clientStatus, statusListeners, client, connector){
+	var status = {host : connector.host, port : connector.port, status : 'connecting'};
+	clientStatus.push(status);
+	function notify(event, err) {
+		statusListeners.forEach(function (listener) {
+			listener(event, Object.assign({}, status), err);
+		});
+	}
+	client.on('ready', function () {
+		status.status = 'connected';
+		notify('connect');
+	});
+	client.on('reconnecting', function () {
+		status.status = 'reconnecting';
+		notify('reconnecting');
+	});
+	client.on('end', function () {
+		status.status = 'disconnected';
+		notify('disconnect');
+	});
+	client.on('error', function (err) {
+		notify('error', err);
+	});
+}
+
+
+/* getConnectionStatus returns the host, port & the current
+ * status of every client, which can be connecting, connected,
+ * reconnecting or disconnected.
+ * */
+function getConnectionStatus(clientStatus){
+	return clientStatus.map(function (status) {
+		return Object.assign({}, status);
+	});
+}
+
+
+/* onStatusChange registers the listener to be called with
+ * the event name, the client status & the error if any, on
+ * every change of the connection status of the clients.
+ * */
+function onStatusChange(statusListeners, listener){
+	statusListeners.push(listener);
+}
+
+
+/* collectFromStores runs the read command on every client and
+ * fails if any of the clients fails, as the stores can only be
+ * reconciled when all of them are reachable.
+ * callback function will be called with two parameters
+ * which are error message & the replies in the order of the clients
+ * */
+function collectFromStores(redisClient, command, callback){
+	var replies = [];
+	var pending = redisClient.length;
+	var collectErr = null;
+	redisClient.forEach(function (client, i) {
+		command(client, function (err, reply) {
+			collectErr = collectErr || err || null;
+			replies[i] = reply;
+			if(--pending === 0) {
+				callback(collectErr, collectErr ? null : replies);
+			}
+		});
+	});
+}
+
+
+/* majorityValue returns the value held by most of the clients,
+ * the value of the first client wins on a tie.
+ * */
+function majorityValue(values){
+	var counts = {};
+	var winner = values[0];
+	values.forEach(function (value) {
+		counts[value] = (counts[value] || 0) + 1;
+		if(counts[value] > counts[winner]) {
+			winner = value;
+		}
+	});
+	return winner;
+}
+
+
+/* findKeys is used to retrieve the keys matching the pattern
+ * from all the clients, filtered by the redis type of the key
+ * like hash or list.
+ * callback function will be called with two parameters
+ * which are error message & an array of the distinct keys
+ * */
+function findKeys(redisClient, pattern, type, callback){
+	collectFromStores(redisClient, function (client, done) {
+		scanKeys(client, pattern, function (err, keys) {
+			if(err || !keys || keys.length === 0) {
+				return done(err, []);
+			}
+			var matched = [];
+			var pendingTypes = keys.length;
+			keys.forEach(function (key) {
+				client.type(key, function (err, keyType) {
+					if(!err && keyType === type) {
+						matched.push(key);
+					}
+					if(--pendingTypes === 0) {
+						done(null, matched);
+					}
+				});
+			});
+		});
+	}, function (err, keyLists) {
+		if(err) {
+			return callback(err, null);
+		}
+		var keys = [];
+		keyLists.forEach(function (keyList) {
+			keyList.forEach(function (key) {
+				if(keys.indexOf(key) === -1) {
+					keys.push(key);
+				}
+			});
+		});
+		callback(null, keys);
+	});
+}
+
+
+/* runRepairs runs the repair commands one after the other.
+ * callback function will be called with one parameter
+ * which is a error message
+ * */
+function runRepairs(repairs, callback){
+	var i = 0;
+	function next(err) {
+		if(err || i === repairs.length) {
+			return callback(err || null);
+		}
+		repairs[i++](next);
+	}
+	next(null);
+}
+
+
+/* repairHash reconciles the hashset using hashsetkey across
+ * all the clients, a fieldname held by at least half of the
+ * clients is copied to the rest with the value held by most of
+ * them, otherwise it is removed from the clients holding it.
+ * callback function will be called with two parameters
+ * which are error message & the number of repaired fieldnames
+ * */
+function repairHash(redisClient, hashsetkey, callback){
+	collectFromStores(redisClient, function (client, done) {
+		client.hgetall(hashsetkey, done);
+	}, function (err, hashes) {
+		if(err) {
+			return callback(err, 0);
+		}
+		var fields = [];
+		hashes.forEach(function (hash) {
+			Object.keys(hash || {}).forEach(function (field) {
+				if(fields.indexOf(field) === -1) {
+					fields.push(field);
+				}
+			});
+		});
+		var repairs = [];
+		var repaired = 0;
+		fields.forEach(function (field) {
+			var values = hashes.map(function (hash) {
+				return (hash && Object.prototype.hasOwnProperty.call(hash, field)) ? hash[field] : undefined;
+			});
+			var held = values.filter(function (value) {
+				return value !== undefined;
+			});
+			var keep = held.length * 2 >= hashes.length;
+			var value = keep ? majorityValue(held) : undefined;
+			var diverged = false;
+			values.forEach(function (current, i) {
+				if(current === value) {
+					return;
+				}
+				diverged = true;
+				repairs.push(function (done) {
+					if(keep) {
+						return redisClient[i].hset([hashsetkey, field, value], done);
+					}
+					redisClient[i].hdel(hashsetkey, field, done);
+				});
+			});
+			repaired += diverged ? 1 : 0;
+		});
+		runRepairs(repairs, function (err) {
+			callback(err, repaired);
+		});
+	});
+}
+
+
+/* repairList reconciles the list using listkey across all the
+ * clients, every occurrence of a value held by at least half of
+ * the clients is kept, so that a value pushed more than once keeps
+ * its copies, and the list of every client which differs is
+ * rewritten with the kept values, sorted using compare if passed,
+ * else in the order of the first client holding them.
+ * callback function will be called with two parameters
+ * which are error message & the number of rewritten lists
+ * */
+function repairList(redisClient, listkey, compare, callback){
+	collectFromStores(redisClient, function (client, done) {
+		client.lrange(listkey, 0, -1, done);
+	}, function (err, lists) {
+		if(err) {
+			return callback(err, 0);
+		}
+		var counts = lists.map(function (list) {
+			var count = new Map();
+			(list || []).forEach(function (value) {
+				count.set(value, (count.get(value) || 0) + 1);
+			});
+			return count;
+		});
+		var seen = new Map();
+		var kept = [];
+		lists.forEach(function (list) {
+			var occurrences = new Map();
+			(list || []).forEach(function (value) {
+				var occurrence = (occurrences.get(value) || 0) + 1;
+				occurrences.set(value, occurrence);
+				if(occurrence <= (seen.get(value) || 0)) {
+					return;
+				}
+				seen.set(value, occurrence);
+				var held = counts.filter(function (count) {
+					return (count.get(value) || 0) >= occurrence;
+				}).length;
+				if(held * 2 >= lists.length) {
+					kept.push(value);
+				}
+			});
+		});
+		if(compare) {
+			kept.sort(compare);
+		}
+		var repairs = [];
+		lists.forEach(function (list, i) {
+			if(JSON.stringify(list || []) === JSON.stringify(kept)) {
+				return;
+			}
+			repairs.push(function (done) {
+				redisClient[i].del(listkey, function (err) {
+					if(err || kept.length === 0) {
+						return done(err);
+					}
+					redisClient[i].rpush([listkey].concat(kept), done);
+				});
+			});
+		});
+		runRepairs(repairs, function (err) {
+			callback(err, repairs.length);
+		});
+	});
+}
+
+
+/* repairCounter sets the integer value stored using key to the
+ * highest value among all the clients, so that a counter never
+ * goes back on any client.
+ * callback function will be called with two parameters
+ * which are error message & the number of repaired clients
+ * */
+function repairCounter(redisClient, key, callback){
+	collectFromStores(redisClient, function (client, done) {
+		client.get(key, done);
+	}, function (err, counters) {
+		if(err) {
+			return callback(err, 0);
+		}
+		var highest = maxReply(counters.map(function (counter) {
+			return counter === null ? undefined : Number(counter);
+		}));
+		var repairs = [];
+		counters.forEach(function (counter, i) {
+			if(highest === null || Number(counter) === highest) {
+				return;
+			}
+			repairs.push(function (done) {
+				redisClient[i].set(key, highest, done);
+			});
+		});
+		runRepairs(repairs, function (err) {
+			callback(err, repairs.length);
+		});
+	});
+}
+
+
+/* quit will close all the connections gracefully, including the
+ * subscriber connection, once the pending replies are received,
+ * the clients which are not connected are closed right away.
+ * callback function will be called with one parameter
+ * which is a error message
+ * */
+function quit(redisClient, subscriber, callback){
+	var clients = subscriber.client ? redisClient.concat(subscriber.client) : redisClient;
+	var pending = clients.length;
+	var quitErr = null;
+	function onQuit(err) {
+		quitErr = quitErr || err || null;
+		if(--pending === 0) {
+			callback(quitErr);
+		}
+	}
+	if(pending === 0) {
+		return callback(null);
+	}
+	subscriber.listeners = {};
+	clients.forEach(function (client) {
+		if(!client.connected) {
+			client.end(true);
+			return onQuit(null);
+		}
+		client.quit(function (err) {
+			onQuit(err);
+		});
+	});
+}
+
+
 /* sort is used internally by library
  * functions to sort a jsonobject.
  * it take a json object as a input & returns the sorted 
@@ -292,28 +1227,62 @@ var batchkey = 'abc';
  * getHashObject(batchkey, testObj, function(err, value){if(err){console.log(err);return;} console.log(value);});
  * delObject(batchkey, function(err, msg){if(err){console.log(err);return;} console.log(msg);});
  * */
-var methods = {};
-
-methods.setObject = setObject ;
-methods.getObject = getObject ;
-methods.delObject = delObject ;
-methods.getAllValues = getAllValues ;
-methods.setHashObject = setHashObject ;
-methods.getHashObject = getHashObject ;
-methods.getHashKey = getHashKey ;
-methods.deleteHashKey = deleteHashKey ;
-
-module.exports = function (config) {
+module.exports = function (config, consistency) {
    if (Array.isArray(config)) {
+	   consistency = consistency || 'one';
+	   var redisClient = [];
+	   var clientStatus = [];
+	   var statusListeners = [];
+	   var subscriber = {client : null, listeners : {}};
+	   var transactions = [];
 	   var i = config.length;
 	   while (i--) {
 			var obj = config[i];
-			var rClient = redis.createClient(obj.port,obj.host);
-			if(obj.password) {
-				rClient.auth(obj.password);
-			}
+			/* The password is passed along with the options so that the
+			 * duplicated clients of the consumers & the subscriber
+			 * authenticate with it as well.
+			 * */
+			var options = obj.password ? {password : obj.password} : {};
+			var rClient = obj.inMemory ? memoryRedis.createClient(obj.port,obj.host,options) : redis.createClient(obj.port,obj.host,options);
+			watchClient(clientStatus, statusListeners, rClient, obj);
 			redisClient.push(rClient);
 	   }
+	   var methods = {};
+
+	   methods.setObject = setObject.bind(null, redisClient, consistency) ;
+	   methods.getObject = getObject.bind(null, redisClient) ;
+	   methods.delObject = delObject.bind(null, redisClient, consistency) ;
+	   methods.getAllValues = getAllValues.bind(null, redisClient) ;
+	   methods.setHashObject = setHashObject.bind(null, redisClient, consistency) ;
+	   methods.setHashObjectIfNotExists = setHashObjectIfNotExists.bind(null, redisClient, consistency) ;
+	   methods.getHashObject = getHashObject.bind(null, redisClient) ;
+	   methods.getHashKey = getHashKey.bind(null, redisClient) ;
+	   methods.deleteHashKey = deleteHashKey.bind(null, redisClient, consistency) ;
+	   methods.getHashAll = getHashAll.bind(null, redisClient) ;
+	   methods.pushListObject = pushListObject.bind(null, redisClient, consistency) ;
+	   methods.appendListObject = appendListObject.bind(null, redisClient, consistency) ;
+	   methods.removeListObject = removeListObject.bind(null, redisClient, consistency) ;
+	   methods.removeLastListObject = removeLastListObject.bind(null, redisClient, consistency) ;
+	   methods.getListObject = getListObject.bind(null, redisClient) ;
+	   methods.getListLength = getListLength.bind(null, redisClient) ;
+	   methods.getListRange = getListRange.bind(null, redisClient) ;
+	   methods.scanHash = scanHash.bind(null, redisClient) ;
+	   methods.incrObject = incrObject.bind(null, redisClient, consistency) ;
+	   methods.watchKeys = watchKeys.bind(null, redisClient, transactions) ;
+	   methods.runTransaction = runTransaction.bind(null, redisClient, consistency) ;
+	   methods.createBlockingClient = createBlockingClient.bind(null, redisClient, consistency) ;
+	   methods.getConnectionStatus = getConnectionStatus.bind(null, clientStatus) ;
+	   methods.onStatusChange = onStatusChange.bind(null, statusListeners) ;
+	   methods.findKeys = findKeys.bind(null, redisClient) ;
+	   methods.repairHash = repairHash.bind(null, redisClient) ;
+	   methods.repairList = repairList.bind(null, redisClient) ;
+	   methods.repairCounter = repairCounter.bind(null, redisClient) ;
+	   methods.publishObject = publishObject.bind(null, redisClient) ;
+	   methods.subscribeChannel = subscribeChannel.bind(null, redisClient, subscriber) ;
+	   methods.unsubscribeChannel = unsubscribeChannel.bind(null, subscriber) ;
+	   methods.quit = quit.bind(null, redisClient, subscriber) ;
+
 	   return methods;
    }
 }
+
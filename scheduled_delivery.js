@@ -0,0 +1,140 @@
+/* jshint node: true */
+/* jshint esnext: true */
+'use strict';
+
+const queueKeys = require('./queue_keys');
+
+/**
+* The records pushed with a delivery time are held by key in the scheduled hash of the identifier until they are due, out of the reach of the reads and the consumers.
+* Each scheduled record holds the value along with its delivery time and the time to live and priority it was pushed with, scheduling a key again replaces its scheduled record.
+* The due records are promoted to the queue before the identifier is read and periodically by the handler, every record being claimed by deleting it from the scheduled hash so that it is promoted only once.
+* The scheduled records are deleted together in a single transaction, whatever their number.
+**/
+
+/**
+* Returns the delivery time of the record, null if the record is to be delivered right away.
+* @param {Number} [delay] The milliseconds after which the record is delivered.
+* @param {Date|Number} [deliverAt] The time at which the record is delivered, either as a date or as milliseconds since the epoch.
+**/
+function deliveryTime(delay, deliverAt) {
+    let time = null;
+    if(delay !== undefined) {
+        time = Date.now() + delay;
+    } else if(deliverAt !== undefined) {
+        time = (deliverAt instanceof Date) ? deliverAt.getTime() : deliverAt;
+    }
+    return (time && time > Date.now()) ? time : null;
+}
+
+/**
+* Parses the scheduled record of the key, null if it is not in the specified format.
+* @param {String} key Unique identifier under the specific group.
+* @param {String} entry The stored scheduled record.
+**/
+function parseEntry(key, entry) {
+    try {
+        let record = JSON.parse(entry);
+        if(record && typeof record === "object" && typeof record.deliverAt === "number") {
+            return Object.assign({key : key}, record);
+        }
+    } catch (err) {
+        /**
+        * Not written by the scheduler.
+        **/
+    }
+    return null;
+}
+
+/**
+* Holds the record in the scheduled hash of the identifier until its delivery time.
+* @param {Object} connection The store connection.
+* @param {String} identifier Group category name.
+* @param {String} key Unique identifier under the specific group.
+* @param {Object} record Holds the value of the record along with its delivery time and the time to live and priority it was pushed with, if any.
+* @param {cb} callback The callback that handles the response with the report of the nodes which stored the record.
+**/
+function scheduleRecord(connection, identifier, key, record, callback) {
+    connection.setHashObject(queueKeys.scheduledQueueName(identifier), key, JSON.stringify(record), (err, field, report) => callback(err, report));
+}
+
+/**
+* Retrieves the scheduled records of the identifier ordered by their delivery time.
+* @param {Object} connection The store connection.
+* @param {String} identifier Group category name.
+* @param {cb} callback The callback that handles the response.
+**/
+function readScheduled(connection, identifier, callback) {
+    connection.getHashAll(queueKeys.scheduledQueueName(identifier), (err, entries) => {
+        if(err) {
+            return callback(err, null);
+        }
+        let records = Object.keys(entries || {}).map((key) => parseEntry(key, entries[key])).filter((record) => record);
+        records.sort((first, second) => first.deliverAt - second.deliverAt);
+        callback(null, records);
+    });
+}
+
+/**
+* Deletes the scheduled records of the keys in a single transaction.
+* @param {Object} connection The store connection.
+* @param {String} identifier Group category name.
+* @param {Array} keys The keys of the scheduled records.
+* @param {cb} callback The callback that handles the response with the number of deleted records of every key, 0 for the keys deleted in the meantime.
+**/
+function deleteScheduled(connection, identifier, keys, callback) {
+    if(keys.length === 0) {
+        return callback(null, []);
+    }
+    connection.runTransaction(keys.map((key) => ['deleteHashKey', queueKeys.scheduledQueueName(identifier), key]), null, (err, replies) => {
+        if(err) {
+            return callback(err, null);
+        }
+        callback(null, keys.map((key, index) => Number((replies || [])[index]) || 0));
+    });
+}
+
+/**
+* Cancels the scheduled record of the key, or all the scheduled records of the identifier if no key is passed.
+* @param {Object} connection The store connection.
+* @param {String} identifier Group category name.
+* @param {String} [key] Unique identifier under the specific group.
+* @param {cb} callback The callback that handles the response with the number of cancelled records.
+**/
+function cancelScheduled(connection, identifier, key, callback) {
+    if(key !== undefined) {
+        return connection.deleteHashKey(queueKeys.scheduledQueueName(identifier), key, (err, count) => callback(err, count || 0));
+    }
+    connection.getHashKey(queueKeys.scheduledQueueName(identifier), (err, keys) => {
+        if(err || !keys || keys.length === 0) {
+            return callback(err, 0);
+        }
+        deleteScheduled(connection, identifier, keys, (err, counts) => {
+            callback(err, err ? 0 : counts.reduce((cancelled, count) => cancelled + count, 0));
+        });
+    });
+}
+
+/**
+* Claims the due records of the identifier by deleting them from the scheduled hash, the records claimed by another handler in the meantime are left out.
+* @param {Object} connection The store connection.
+* @param {String} identifier Group category name.
+* @param {cb} callback The callback that handles the response with the claimed records ordered by their delivery time.
+**/
+function claimDue(connection, identifier, callback) {
+    readScheduled(connection, identifier, (err, records) => {
+        if(err) {
+            return callback(err, null);
+        }
+        let now = Date.now();
+        let due = records.filter((record) => record.deliverAt <= now);
+        deleteScheduled(connection, identifier, due.map((record) => record.key), (err, counts) => {
+            callback(err, err ? null : due.filter((record, index) => counts[index] !== 0));
+        });
+    });
+}
+
+module.exports.deliveryTime = deliveryTime;
+module.exports.scheduleRecord = scheduleRecord;
+module.exports.readScheduled = readScheduled;
+module.exports.cancelScheduled = cancelScheduled;
+module.exports.claimDue = claimDue;
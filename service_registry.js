@@ -0,0 +1,196 @@
+/* jshint node: true */
+/* jshint esnext: true */
+'use strict';
+
+const async = require('async');
+const moment = require('moment');
+
+/**
+* Every service registers itself for each of its identifiers in the registry hash of the store, under the field named after the service and the identifier.
+* The registration holds the names of the service and the identifier along with the target types and the registration time, the registrations written by the previous versions only hold a date.
+* The last read and write times are kept in their own hashes under the same field, so that recording them never overwrites the registration.
+* The times are held in milliseconds since the epoch, like the push time of the records, the dates written by the previous versions in local time being read as such.
+**/
+
+/**
+* The name of the hash holding the registrations.
+**/
+const registryName = 'registeredServices';
+
+/**
+* The names of the hashes holding the last time of every activity of the services.
+**/
+const activityNames = {
+    read : `${registryName}:lastRead`,
+    write : `${registryName}:lastWrite`
+};
+
+/**
+* The names of all the hashes of the registry.
+**/
+const hashNames = [registryName, activityNames.read, activityNames.write];
+
+/**
+* The format of the dates written in local time by the previous versions.
+**/
+const legacyTimeFormat = "YYYY-MM-DDTHH:mm:ss";
+
+/**
+* Returns the time read from the registry in milliseconds since the epoch, null if there is none.
+* @param {Number|String} [time] The stored time, either the milliseconds or a date written by a previous version.
+**/
+function parseTime(time) {
+    if(time === undefined || time === null) {
+        return null;
+    } else if (typeof time === "number" || /^\d+$/.test(time)) {
+        return Number(time);
+    }
+    let date = moment(time, legacyTimeFormat, true);
+    return date.isValid() ? date.valueOf() : null;
+}
+
+/**
+* Returns the field of the registry holding the registration of the service for the identifier.
+* @param {String} serviceName The name of the service.
+* @param {String} identifier Group category name.
+**/
+function registrationField(serviceName, identifier) {
+    return `${serviceName}_${identifier}`;
+}
+
+/**
+* Parses the registration stored under the field, the service name and the identifier of a registration only holding a date are taken from the field.
+* The field is matched against the identifiers first, the longest one ending the field winning, so that the names holding an underscore are kept whole, and is otherwise split at its last underscore.
+* @param {String} field The field of the registry.
+* @param {String} value The stored registration.
+* @param {Array} [identifiers] The identifiers the field may end with.
+**/
+function parseRegistration(field, value, identifiers) {
+    try {
+        let registration = JSON.parse(value);
+        if(registration && typeof registration === "object" && typeof registration.serviceName === "string" && typeof registration.identifier === "string") {
+            return registration;
+        }
+    } catch (err) {
+        /**
+        * Registered by a previous version with the date only.
+        **/
+    }
+    let identifier = (identifiers || []).filter((name) => field.length > name.length + 1 && field.slice(-(name.length + 1)) === `_${name}`).sort((first, second) => second.length - first.length)[0];
+    let separator = identifier === undefined ? field.lastIndexOf('_') : field.length - identifier.length - 1;
+    return {
+        serviceName : separator === -1 ? field : field.slice(0, separator),
+        identifier : separator === -1 ? '' : field.slice(separator + 1),
+        targetTypes : [],
+        registeredAt : value
+    };
+}
+
+/**
+* Registers the service for the identifier, the registration time of an existing registration is kept whereas its target types are updated.
+* @param {Object} connection The store connection.
+* @param {String} serviceName The name of the service.
+* @param {String} identifier Group category name.
+* @param {Array} targetTypes The target types registered by the service.
+* @param {cb} callback The callback that handles the response.
+**/
+function register(connection, serviceName, identifier, targetTypes, callback) {
+    let field = registrationField(serviceName, identifier);
+    connection.getHashObject(registryName, field, (err, value) => {
+        if(err) {
+            return callback(err);
+        }
+        let registration = {
+            serviceName : serviceName,
+            identifier : identifier,
+            targetTypes : targetTypes,
+            registeredAt : value ? parseTime(parseRegistration(field, value, [identifier]).registeredAt) : Date.now()
+        };
+        if(value === JSON.stringify(registration)) {
+            return callback(null);
+        }
+        connection.setHashObject(registryName, field, JSON.stringify(registration), (err) => callback(err));
+    });
+}
+
+/**
+* Records the current time as the last time the service read or wrote the identifier.
+* @param {Object} connection The store connection.
+* @param {String} serviceName The name of the service.
+* @param {String} identifier Group category name.
+* @param {String} activity Either 'read' or 'write'.
+* @param {cb} callback The callback that handles the response.
+**/
+function recordActivity(connection, serviceName, identifier, activity, callback) {
+    connection.setHashObject(activityNames[activity], registrationField(serviceName, identifier), Date.now(), (err) => callback(err));
+}
+
+/**
+* Retrieves the registered services ordered by name, each one holding its identifiers along with their target types, registration time and last read and write times.
+* @param {Object} connection The store connection.
+* @param {Array} identifiers The identifiers of the store, against which the fields of the registrations only holding a date are matched.
+* @param {cb} callback The callback that handles the response.
+**/
+function readServices(connection, identifiers, callback) {
+    async.parallel([
+        (parallelCallback) => connection.getHashAll(registryName, parallelCallback),
+        (parallelCallback) => connection.getHashAll(activityNames.read, parallelCallback),
+        (parallelCallback) => connection.getHashAll(activityNames.write, parallelCallback)
+    ], (err, hashes) => {
+        if(err) {
+            return callback(err, null);
+        }
+        let registrations = hashes[0] || {};
+        let lastReads = hashes[1] || {};
+        let lastWrites = hashes[2] || {};
+        let services = {};
+        Object.keys(registrations).forEach((field) => {
+            let registration = parseRegistration(field, registrations[field], identifiers);
+            services[registration.serviceName] = services[registration.serviceName] || {serviceName : registration.serviceName, identifiers : []};
+            services[registration.serviceName].identifiers.push({
+                identifier : registration.identifier,
+                targetTypes : registration.targetTypes || [],
+                registeredAt : parseTime(registration.registeredAt),
+                lastReadAt : parseTime(lastReads[field]),
+                lastWriteAt : parseTime(lastWrites[field])
+            });
+        });
+        callback(null, Object.keys(services).sort().map((serviceName) => {
+            services[serviceName].identifiers.sort((first, second) => first.identifier < second.identifier ? -1 : (first.identifier > second.identifier ? 1 : 0));
+            return services[serviceName];
+        }));
+    });
+}
+
+/**
+* Removes the registrations of the service along with its last read and write times.
+* @param {Object} connection The store connection.
+* @param {String} serviceName The name of the service.
+* @param {String} [identifier] The identifier to unregister, all the identifiers of the service are unregistered if not passed.
+* @param {Array} identifiers The identifiers of the store, against which the fields of the registrations only holding a date are matched.
+* @param {cb} callback The callback that handles the response with the number of removed registrations.
+**/
+function unregister(connection, serviceName, identifier, identifiers, callback) {
+    connection.getHashAll(registryName, (err, registrations) => {
+        if(err) {
+            return callback(err, 0);
+        }
+        let fields = Object.keys(registrations || {}).filter((field) => {
+            let registration = parseRegistration(field, registrations[field], identifiers);
+            return registration.serviceName === serviceName && (identifier === undefined || registration.identifier === identifier);
+        });
+        async.eachSeries(fields, (field, asyncEachCallback) => {
+            async.eachSeries(hashNames, (hashName, innerAsyncEachCallback) => {
+                connection.deleteHashKey(hashName, field, (err) => innerAsyncEachCallback(err));
+            }, asyncEachCallback);
+        }, (err) => {
+            callback(err, err ? 0 : fields.length);
+        });
+    });
+}
+
+module.exports.hashNames = hashNames;
+module.exports.register = register;
+module.exports.recordActivity = recordActivity;
+module.exports.readServices = readServices;
+module.exports.unregister = unregister;
@@ -0,0 +1,63 @@
+/* jshint node: true */
+/* jshint esnext: true */
+'use strict';
+
+/**
+* The operations of a transaction are staged against a connection which records the writes instead of running them, the recorded writes being then run together by the runTransaction method of the store.
+* The staged connection reads the records as they were before the transaction, so a key is written once per transaction, and the notifications of the staged pushes are held until the writes are run.
+* The keys read through the staged connection are recorded as well, so that the store can watch them and leave the transaction unapplied if any of them is written before the staged writes are run.
+* The sequence numbers of the ordered records are taken from the store right away, as the records hold them, a transaction which is not written only leaving a gap in the sequence.
+**/
+
+/**
+* Returns the connection staging the writes made through it, along with the staged writes and notifications.
+* @param {Object} connection The store connection the reads are made from.
+* @returns {Object} The staged connection along with the operations, notifications and read keys it recorded.
+**/
+function stageConnection(connection) {
+    let staged = {operations : [], notifications : [], readKeys : new Set()};
+    let record = (operation, reply, callback) => {
+        staged.operations.push(operation);
+        setImmediate(callback, null, reply, null);
+    };
+    let reads = {};
+    ['getObject', 'getHashObject', 'getHashKey', 'getHashAll', 'getListObject', 'getListLength', 'getListRange', 'scanHash'].forEach((method) => {
+        reads[method] = function (key) {
+            staged.readKeys.add(key);
+            return connection[method].apply(connection, arguments);
+        };
+    });
+    staged.connection = Object.assign({}, connection, reads, {
+        setObject : (key, value, callback) => record(['setObject', key, value], key, callback),
+        delObject : (key, callback) => record(['delObject', key], true, callback),
+        setHashObject : (hashsetkey, fieldname, value, callback) => record(['setHashObject', hashsetkey, fieldname, value], fieldname, callback),
+        deleteHashKey : (hashsetkey, fieldname, callback) => {
+            reads.getHashObject(hashsetkey, fieldname, (err, value) => {
+                if(err) {
+                    return callback(err, null, null);
+                }
+                record(['deleteHashKey', hashsetkey, fieldname], value === null || value === undefined ? 0 : 1, callback);
+            });
+        },
+        pushListObject : (listkey, value, callback) => record(['pushListObject', listkey, value], null, callback),
+        appendListObject : (listkey, value, callback) => record(['appendListObject', listkey, value], null, callback),
+        removeListObject : (listkey, value, callback) => {
+            reads.getListObject(listkey, (err, values) => {
+                if(err) {
+                    return callback(err, null, null);
+                }
+                record(['removeListObject', listkey, value], (values || []).filter((listValue) => listValue === String(value)).length, callback);
+            });
+        },
+        setHashObjectIfNotExists : (hashsetkey, fieldname, value, callback) => {
+            setImmediate(callback, new Error(`The conditional writes cannot be staged within a transaction`), null, null);
+        },
+        publishObject : (channel, message, callback) => {
+            staged.notifications.push({channel : channel, message : message});
+            setImmediate(callback, null, 0);
+        }
+    });
+    return staged;
+}
+
+module.exports.stageConnection = stageConnection;
@@ -0,0 +1,103 @@
+/* jshint node: true */
+/* jshint esnext: true */
+'use strict';
+
+const redisOperation = require('./redis_io');
+const fileOperation = require('./file_io');
+
+/**
+* A store adapter connects the queue handler to a queue store, each adapter validates the config of its store and creates the connection used by all the queue operations.
+* The connection holds the records in named hashes, lists and counters, and must provide the following methods, each calling back with the error first.
+*
+* Writes, calling back with the reply and the report of the nodes which succeeded and failed as {succeeded : [node], failed : [{node, error}]}:
+* - setObject(key, value, cb), delObject(key, cb), incrObject(key, cb) holding the counter.
+* - setHashObject(hashsetkey, fieldname, value, cb), deleteHashKey(hashsetkey, fieldname, cb) holding the number of deleted fields.
+* - setHashObjectIfNotExists(hashsetkey, fieldname, value, cb) holding 1 if the value was stored, 0 if the field already existed.
+* - pushListObject(listkey, value, cb) to the head, appendListObject(listkey, value, cb) to the tail, removeListObject(listkey, value, cb) holding the number of removed values, removeLastListObject(listkey, value, cb) removing the occurrence of the value the nearest to the tail only.
+* - watchKeys(keys, cb) holding the watch of the keys, which holds their names and release(cb) to be called if the watch is not passed to runTransaction.
+* - runTransaction(operations, watch, cb) applying the writes together with no other write in between, each operation holding the name of one of the write methods above but setHashObjectIfNotExists followed by its arguments, like ['setHashObject', hashsetkey, fieldname, value], holding the replies of the operations. The writes are not applied if any key of the watch, if not null, was written since it was watched, the transaction then failing with a TransactionConflictError, and the watch is released. An operation failing within the transaction while the others are applied fails the transaction with an error holding partial set to true and the failedOperations, each one holding the operation and the error message.
+*
+* Reads, calling back with null if the key does not exist:
+* - getObject(key, cb), getHashObject(hashsetkey, fieldname, cb), getHashKey(hashsetkey, cb), getHashAll(hashsetkey, cb), getListObject(listkey, cb).
+* - getListLength(listkey, cb) holding 0 if the key does not exist, getListRange(listkey, start, stop, cb) holding the values from the start to the stop index, both included.
+* - scanHash(hashsetkey, cursor, count, cb) holding the cursor of the next call, '0' once done, and the next fields of the hash along with their values, starting with the cursor '0'.
+* - findKeys(pattern, type, cb) holding the names of the 'hash' or 'list' keys matching the glob pattern.
+*
+* Consumers and notifications:
+* - createBlockingClient() returning {moveListObject(sourcekey, destinationkey, timeout, cb), takeListObject(sourcekey, destinationkey, cb), quit(cb)}, moveListObject waits up to timeout seconds for a value at the tail of the source list and moves it to the head of the destination list, takeListObject moves it without waiting and holds null if the source list is empty, both holding the report of the write as the other writes, the move being replicated for the consistency.
+* - publishObject(channel, message, cb), subscribeChannel(channel, listener, cb) and unsubscribeChannel(channel, listener, cb).
+*
+* Maintenance and status:
+* - repairHash(hashsetkey, cb), repairList(listkey, compare, cb) and repairCounter(key, cb) holding the number of repaired records, repairList keeping every occurrence of a value held by the majority.
+* - getConnectionStatus() returning the status of every node, onStatusChange(listener) called with the event, the status and the error.
+* - quit(cb) closing all the connections.
+**/
+const adapters = {
+    redis : {
+        validateConfig : (storeConfig) => {
+            if(storeConfig.consistency !== undefined && ['all', 'quorum', 'one'].indexOf(storeConfig.consistency) === -1) {
+                return `'Consistency' must be either 'all', 'quorum' or 'one'`;
+            }
+            return false;
+        },
+        createConnection : (storeConfig) => redisOperation(storeConfig.queueConnector, storeConfig.consistency)
+    },
+    file : {
+        validateConfig : (storeConfig) => {
+            if(storeConfig.compactThreshold !== undefined && (storeConfig.compactThreshold % 1 !== 0 || storeConfig.compactThreshold <= 0)) {
+                return `'Compact threshold' must have a positive integer`;
+            }
+            return false;
+        },
+        createConnection : (storeConfig) => fileOperation(storeConfig.path, storeConfig.compactThreshold)
+    }
+};
+
+/**
+* Validates the store specific settings of the config which are not covered by the schema.
+* @param {String} serviceStore The name of the queue store.
+* @param {Object} storeConfig The validated config of the store.
+* @returns {String|Boolean} The error message, or false if the config is valid.
+**/
+function validateConfig(serviceStore, storeConfig) {
+    if(!adapters[serviceStore]) {
+        return `Not a valid queue store`;
+    }
+    return adapters[serviceStore].validateConfig(storeConfig);
+}
+
+/**
+* Creates the connection to the queue store.
+* @param {String} serviceStore The name of the queue store.
+* @param {Object} storeConfig The validated config of the store.
+**/
+function createConnection(serviceStore, storeConfig) {
+    return adapters[serviceStore].createConnection(storeConfig);
+}
+
+/**
+* Combines the reports of the writes made for a single operation, a node succeeded only if it succeeded for all the writes.
+* @param {Array} reports The reports of the writes.
+**/
+function mergeReports(reports) {
+    let merged = {succeeded : [], failed : []};
+    reports.forEach((report) => {
+        (report ? report.failed : []).forEach((failure) => {
+            if(!merged.failed.some((entry) => entry.node === failure.node)) {
+                merged.failed.push(failure);
+            }
+        });
+    });
+    reports.forEach((report) => {
+        (report ? report.succeeded : []).forEach((node) => {
+            if(!merged.failed.some((entry) => entry.node === node) && merged.succeeded.indexOf(node) === -1) {
+                merged.succeeded.push(node);
+            }
+        });
+    });
+    return merged;
+}
+
+module.exports.validateConfig = validateConfig;
+module.exports.createConnection = createConnection;
+module.exports.mergeReports = mergeReports;
@@ -0,0 +1,145 @@
+/* jshint node: true */
+/* jshint esnext: true */
+/* jshint mocha: true */
+'use strict';
+
+const assert = require('assert');
+const helper = require('./support/helper');
+
+describe('Batches', () => {
+    let handler;
+
+    beforeEach(() => {
+        handler = helper.createHandler(helper.redisConfig({identifierSet : ['logs', {name : 'events', ordered : true}]}));
+        return handler.ready();
+    });
+
+    afterEach(() => helper.cleanUp());
+
+    describe('pushManyToQueue', () => {
+        it('pushes every record and reports the outcome of each one in the order of the batch', () => {
+            return handler.pushManyToQueue([
+                helper.record('first'),
+                {identifier : 'logs', key : 'second'},
+                Object.assign(helper.record('third'), {identifier : 'metrics'}),
+                helper.record('fourth')
+            ]).then((results) => {
+                assert.deepStrictEqual(results.map((result) => [result.key, result.code]), [
+                    ['first', undefined],
+                    ['second', 'VALIDATION'],
+                    ['third', 'UNREGISTERED_IDENTIFIER'],
+                    ['fourth', undefined]
+                ]);
+                assert.strictEqual(results[0].result.redis.succeeded.length, 1);
+                assert.strictEqual(results[1].error, `'Value' is either missing or not in the specified format`);
+                return handler.readKeysFromQueue({identifier : 'logs'});
+            }).then((result) => {
+                assert.deepStrictEqual(result.keys.sort(), ['first', 'fourth']);
+            });
+        });
+
+        it('keeps the order of the records of an ordered identifier', () => {
+            let keys = ['c', 'a', 'b', 'a', 'd'];
+            return handler.pushManyToQueue(keys.map((key) => Object.assign(helper.record(key), {identifier : 'events'}))).then(() => {
+                return handler.readKeysAndValuesFromQueue({identifier : 'events'});
+            }).then((result) => {
+                assert.deepStrictEqual(result.records.map((record) => record.key), keys);
+            });
+        });
+
+        it('keeps the last value of the records pushed with the same key', () => {
+            return handler.pushManyToQueue([helper.record('first', {message : 'one'}), helper.record('first', {message : 'two'})]).then(() => {
+                return handler.readFromQueue({identifier : 'logs', key : 'first'});
+            }).then((result) => {
+                assert.strictEqual(result.record.value.message, 'two');
+            });
+        });
+
+        it('rejects a batch which is not a list of records', () => {
+            return Promise.all([
+                helper.rejection(handler.pushManyToQueue()),
+                helper.rejection(handler.pushManyToQueue([])),
+                helper.rejection(handler.pushManyToQueue(helper.record('first')))
+            ]).then((errors) => {
+                errors.forEach((err) => assert.strictEqual(err.code, 'VALIDATION'));
+            });
+        });
+
+        it('calls back with the outcomes', (done) => {
+            handler.pushManyToQueue([helper.record('first'), null], (err, results) => {
+                assert.strictEqual(err, null);
+                assert.strictEqual(results.length, 2);
+                assert.strictEqual(results[1].code, 'VALIDATION');
+                done();
+            });
+        });
+    });
+
+    describe('readManyFromQueue', () => {
+        beforeEach(() => handler.pushManyToQueue(['first', 'second', 'third'].map((key) => helper.record(key))));
+
+        it('reads every key and reports the outcome of each one in the order of the batch', () => {
+            return handler.readManyFromQueue([
+                {identifier : 'logs', key : 'third'},
+                {identifier : 'logs', key : 'missing'},
+                {identifier : 'logs'},
+                {identifier : 'logs', key : 'first'}
+            ]).then((results) => {
+                assert.strictEqual(results[0].result.record.value.message, 'message of third');
+                assert.deepStrictEqual(results[1], {identifier : 'logs', key : 'missing', result : {record : null, conflicts : []}});
+                assert.strictEqual(results[2].code, 'VALIDATION');
+                assert.strictEqual(results[3].result.record.value.message, 'message of first');
+            });
+        });
+
+        it('does not read the records which expired', () => {
+            return handler.pushToQueue(Object.assign(helper.record('fourth'), {ttl : 10})).then(() => helper.delay(30)).then(() => {
+                return handler.readManyFromQueue([{identifier : 'logs', key : 'fourth'}, {identifier : 'logs', key : 'first'}]);
+            }).then((results) => {
+                assert.strictEqual(results[0].result.record, null);
+                assert.strictEqual(results[1].result.record.key, 'first');
+                return handler.readExpiredCountFromQueue({identifier : 'logs'});
+            }).then((result) => {
+                assert.deepStrictEqual(result, {redis : 1});
+            });
+        });
+    });
+
+    describe('deleteManyFromQueue', () => {
+        it('deletes every key and reports the outcome of each one in the order of the batch', () => {
+            return handler.pushManyToQueue(['first', 'second'].map((key) => helper.record(key))).then(() => {
+                return handler.deleteManyFromQueue([
+                    {identifier : 'logs', key : 'second'},
+                    {identifier : 'metrics', key : 'first'},
+                    {identifier : 'logs', key : 'first'},
+                    {identifier : 'logs', key : 'first'}
+                ]);
+            }).then((results) => {
+                assert.deepStrictEqual(results[0], {identifier : 'logs', key : 'second', result : {deleted : 1, stores : {redis : 1}}});
+                assert.strictEqual(results[1].code, 'UNREGISTERED_IDENTIFIER');
+                assert.deepStrictEqual(results[2].result, {deleted : 1, stores : {redis : 1}});
+                assert.deepStrictEqual(results[3].result, {deleted : 0, stores : {redis : 0}});
+                return handler.readKeysFromQueue({identifier : 'logs'});
+            }).then((result) => {
+                assert.deepStrictEqual(result, {keys : [], nextCursor : null});
+            });
+        });
+    });
+
+    it('handles large batches', function () {
+        this.timeout(10000);
+        let keys = [];
+        for(let i = 0; i < 1000; i++) {
+            keys.push(`key-${i}`);
+        }
+        return handler.pushManyToQueue(keys.map((key) => helper.record(key))).then((results) => {
+            assert.ok(results.every((result) => result.result));
+            return handler.readKeysAndValuesFromQueue({identifier : 'logs'});
+        }).then((result) => {
+            assert.deepStrictEqual(result.records.map((record) => record.key), keys);
+            return handler.deleteManyFromQueue(keys.map((key) => ({identifier : 'logs', key : key})));
+        }).then((results) => {
+            assert.ok(results.every((result) => result.result.deleted === 1));
+        });
+    });
+});
@@ -0,0 +1,166 @@
+/* jshint node: true */
+/* jshint esnext: true */
+/* jshint mocha: true */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+const helper = require('./support/helper');
+const cli = require('../cli');
+const QueueError = require('../QueueError');
+
+describe('Command line', () => {
+    afterEach(() => helper.cleanUp());
+
+    /**
+    * Returns the path of a file written with the content within a new temporary directory.
+    **/
+    function writeFile(name, content) {
+        let filePath = path.join(path.dirname(helper.filePath()), name);
+        fs.writeFileSync(filePath, typeof content === "string" ? content : JSON.stringify(content));
+        return filePath;
+    }
+
+    /**
+    * Returns the path of the config file of the admin service connected to the servers of the config.
+    **/
+    function configFile(config, identifierSet) {
+        return writeFile('config.json', {redis : Object.assign({}, config.redis, {serviceName : 'admin', identifierSet : identifierSet || config.redis.identifierSet})});
+    }
+
+    /**
+    * Runs the command line and returns the promise of its output, the lines of the standard output and error being parsed.
+    **/
+    function run(argv, onSession) {
+        let io = {stdout : {data : '', write : (chunk) => { io.stdout.data += chunk; }}, stderr : {data : '', write : (chunk) => { io.stderr.data += chunk; }}};
+        let parse = (data) => data.split('\n').filter((line) => line).map((line) => JSON.parse(line));
+        return new Promise((resolve, reject) => {
+            let session = cli.run(argv, io, (err) => err ? reject(err) : resolve({stdout : parse(io.stdout.data), stderr : parse(io.stderr.data)}));
+            if(onSession) {
+                onSession(session);
+            }
+        });
+    }
+
+    it('lists the identifiers along with the services and counts the pending records', () => {
+        let config = helper.redisConfig({identifierSet : ['logs', 'events']});
+        let handler = helper.createHandler(config);
+        let configPath = configFile(config, ['logs']);
+        return handler.pushToQueue(helper.record('first'))
+            .then(() => run(['identifiers', '--config', configPath]))
+            .then((output) => {
+                assert.deepStrictEqual(output.stdout, [
+                    {identifier : 'events', services : ['test-service'], stores : ['redis']},
+                    {identifier : 'logs', services : ['admin', 'test-service'], stores : ['redis']}
+                ]);
+                return run(['services', 'test-service', '--config', configPath]);
+            })
+            .then((output) => {
+                assert.deepStrictEqual(output.stdout.map((service) => [service.store, service.serviceName, service.identifiers.map((registration) => registration.identifier).sort()]), [['redis', 'test-service', ['events', 'logs']]]);
+                return run(['count', 'logs', '--config', configPath]);
+            })
+            .then((output) => {
+                assert.deepStrictEqual(output.stdout.map((stats) => [stats.identifier, stats.stores.redis.pending]), [['logs', 1]]);
+            });
+    });
+
+    it('pushes the records of a json file, reads them and deletes or purges the keys', () => {
+        let config = helper.redisConfig();
+        let configPath = configFile(config);
+        let recordsPath = writeFile('records.json', ['first', 'second', 'third'].map((key) => helper.record(key)));
+        return run(['push', recordsPath, '--config', configPath])
+            .then((output) => {
+                assert.deepStrictEqual(output.stdout.map((result) => [result.key, result.result.redis.succeeded.length]), [['first', 1], ['second', 1], ['third', 1]]);
+                return run(['read', 'logs', 'second', '--config', configPath]);
+            })
+            .then((output) => {
+                assert.deepStrictEqual(output.stdout.map((record) => [record.key, record.value.message]), [['second', 'message of second']]);
+                return run(['read', 'logs', '--limit', '2', '--config', configPath]);
+            })
+            .then((output) => {
+                assert.strictEqual(output.stdout.length, 2);
+                return run(['delete', 'logs', 'first', '--config', configPath]);
+            })
+            .then((output) => {
+                assert.deepStrictEqual(output.stdout.map((result) => [result.key, result.result.deleted]), [['first', 1]]);
+                return run(['purge', 'logs', '--config', configPath]);
+            })
+            .then((output) => {
+                assert.deepStrictEqual(output.stdout, [{identifier : 'logs', deleted : 2, failed : 0}]);
+                return helper.rejection(run(['read', 'logs', 'second', '--config', configPath]));
+            })
+            .then((err) => {
+                assert.strictEqual(err.message, `The key 'second' of the 'logs' identifier is not queued`);
+            });
+    });
+
+    it('exports an identifier to json lines and imports them into another one', () => {
+        let config = helper.redisConfig({identifierSet : ['logs', {name : 'sharedData', schema : {type : 'object', required : ['targetType', 'message']}}]});
+        let handler = helper.createHandler(config);
+        let configPath = configFile(config);
+        let exportPath = path.join(path.dirname(configPath), 'logs.jsonl');
+        return handler.pushManyToQueue(['first', 'second'].map((key) => helper.record(key)))
+            .then(() => run(['export', 'logs', exportPath, '--config', configPath]))
+            .then((output) => {
+                assert.deepStrictEqual(output.stdout, []);
+                let lines = fs.readFileSync(exportPath, 'utf8').split('\n').filter((line) => line).map((line) => JSON.parse(line));
+                assert.deepStrictEqual(lines.sort((a, b) => a.key.localeCompare(b.key)), ['first', 'second'].map((key) => ({key : key, value : helper.record(key).value})));
+                fs.appendFileSync(exportPath, `\n${JSON.stringify({key : 'third', value : {targetType : ['audit']}})}\n`);
+                return run(['import', 'sharedData', exportPath, '--config', configPath]);
+            })
+            .then((output) => {
+                assert.deepStrictEqual(output.stdout, [{identifier : 'sharedData', imported : 2, failed : 1}]);
+                assert.deepStrictEqual(output.stderr.map((failure) => [failure.line, failure.key, failure.code]), [[4, 'third', 'VALIDATION']]);
+                return handler.readKeysFromQueue({identifier : 'sharedData'});
+            })
+            .then((result) => {
+                assert.deepStrictEqual(result.keys.sort(), ['first', 'second']);
+            });
+    });
+
+    it('tails the records pushed to the identifier until stopped or until the limit is reached', () => {
+        let config = helper.redisConfig();
+        let handler = helper.createHandler(config);
+        let configPath = configFile(config);
+        let tailed = run(['tail', 'logs', '--limit', '2', '--config', configPath]);
+        return helper.delay(50)
+            .then(() => handler.pushToQueue(helper.record('first')))
+            .then(() => handler.pushToQueue(helper.record('second')))
+            .then(() => tailed)
+            .then((output) => {
+                assert.deepStrictEqual(output.stdout.map((record) => record.key), ['first', 'second']);
+                return run(['tail', 'logs', '--config', configPath], (session) => setTimeout(() => session.stop(), 50));
+            })
+            .then((output) => {
+                assert.deepStrictEqual(output.stdout, []);
+            });
+    });
+
+    it('rejects the invalid command lines and connection configs', () => {
+        let configPath = configFile(helper.redisConfig());
+        let invalidPath = writeFile('invalid.json', '{redis');
+        return Promise.all([
+            helper.rejection(run(['unknown', '--config', configPath])),
+            helper.rejection(run(['count', '--config', configPath])),
+            helper.rejection(run(['count', 'logs', '--limit', '0', '--config', configPath])),
+            helper.rejection(run(['count', 'logs', '--verbose'])),
+            helper.rejection(run(['count', 'logs'])),
+            helper.rejection(run(['count', 'logs', '--config', invalidPath])),
+            helper.rejection(run(['count', 'logs', '--config', writeFile('config.json', {redis : {serviceName : 'admin'}})])),
+            helper.rejection(run(['count', 'events', '--config', configPath]))
+        ]).then((errors) => {
+            assert.ok(errors.slice(0, 7).every((err) => err instanceof QueueError.ValidationError));
+            assert.deepStrictEqual(errors.slice(0, 6).map((err) => err.message), [
+                `Unknown command 'unknown', run 'queue_service help' for the list of commands`,
+                `Usage: queue_service count <identifier>`,
+                `'--limit' option must have a positive integer`,
+                `Unknown option '--verbose'`,
+                `'--config' option is either missing its value or blank`,
+                `The file '${invalidPath}' is not in the json format`
+            ]);
+            assert.strictEqual(errors[7].code, 'UNREGISTERED_IDENTIFIER');
+            assert.ok(cli.usage().indexOf('export <identifier> [file]') !== -1);
+        });
+    });
+});
@@ -0,0 +1,144 @@
+/* jshint node: true */
+/* jshint esnext: true */
+/* jshint mocha: true */
+'use strict';
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+const assert = require('assert');
+const helper = require('./support/helper');
+const QueueHandler = require('../index');
+const memoryRedis = require('../memory_redis');
+
+describe('Codecs', () => {
+    afterEach(() => helper.cleanUp());
+
+    let firstKey = crypto.randomBytes(32).toString('base64');
+    let secondKey = crypto.randomBytes(32);
+
+    /**
+    * Returns a promise of the value of the key as stored on the server of the config.
+    **/
+    function storedValue(config, key) {
+        let connector = config.redis.queueConnector[0];
+        let client = memoryRedis.createClient(connector.port, connector.host);
+        return new Promise((resolve, reject) => {
+            client.hget('logs', key, (err, value) => {
+                client.quit();
+                return err ? reject(err) : resolve(value);
+            });
+        });
+    }
+
+    /**
+    * Returns the config of a store registering the identifier with the codec, connected to the servers of the other config if passed.
+    **/
+    function codecConfig(codec, otherConfig) {
+        let config = helper.redisConfig({identifierSet : [codec ? {name : 'logs', codec : codec} : 'logs']});
+        if(otherConfig) {
+            config.redis.queueConnector = otherConfig.redis.queueConnector;
+        }
+        return config;
+    }
+
+    it('stores the values compressed and encrypted and decodes them for every read', () => {
+        let config = codecConfig({compression : 'gzip', encryption : {keyId : 'first', keys : {first : firstKey}}});
+        let handler = helper.createHandler(config);
+        return handler.pushManyToQueue([helper.record('first'), helper.record('second')]).then(() => {
+            return Promise.all([
+                storedValue(config, 'first'),
+                handler.readFromQueue({identifier : 'logs', key : 'first'}),
+                handler.readKeysAndValuesFromQueue({identifier : 'logs'}),
+                handler.readKeysAndValuesFromQueue({identifier : 'logs', count : 10})
+            ]);
+        }).then((results) => {
+            assert.ok(/^codec1:gzip:first:/.test(results[0]));
+            assert.ok(results[0].indexOf('message') === -1);
+            assert.strictEqual(results[1].record.value.message, 'message of first');
+            assert.deepStrictEqual(results[2].records.map((record) => record.value.message).sort(), ['message of first', 'message of second']);
+            assert.deepStrictEqual(results[3].records.map((record) => record.value.message).sort(), ['message of first', 'message of second']);
+            return new Promise((resolve) => {
+                handler.consume({identifier : 'logs'}, (record, ack) => {
+                    ack();
+                    resolve(record);
+                });
+            });
+        }).then((record) => {
+            assert.ok(record.value.message.indexOf('message of') === 0);
+        });
+    });
+
+    it('reads the values written with the previous codecs and keys along with the plain values', () => {
+        let plainConfig = codecConfig(null);
+        let plainHandler = helper.createHandler(plainConfig);
+        let firstHandler = helper.createHandler(codecConfig({encryption : {keyId : 'first', keys : {first : firstKey}}}, plainConfig));
+        let secondHandler = helper.createHandler(codecConfig({compression : 'brotli', encryption : {keyId : 'second', keys : {first : firstKey, second : secondKey}}}, plainConfig));
+        return plainHandler.pushToQueue(helper.record('plain'))
+            .then(() => firstHandler.pushToQueue(helper.record('first')))
+            .then(() => secondHandler.pushToQueue(helper.record('second')))
+            .then(() => Promise.all([
+                secondHandler.readKeysAndValuesFromQueue({identifier : 'logs'}),
+                storedValue(plainConfig, 'second')
+            ]))
+            .then((results) => {
+                assert.deepStrictEqual(results[0].records.map((record) => [record.key, record.value.message]).sort(), [['first', 'message of first'], ['plain', 'message of plain'], ['second', 'message of second']]);
+                assert.ok(/^codec1:brotli:second:/.test(results[1]));
+            });
+    });
+
+    it('decodes the values of the ordered, scheduled and dead lettered records', () => {
+        let codec = {compression : 'gzip', encryption : {keyId : 'first', keys : {first : firstKey}}};
+        let handler = helper.createHandler(helper.redisConfig({identifierSet : [{name : 'logs', ordered : true, codec : codec}, {name : 'events', codec : codec, maxAttempts : 1}]}));
+        return Promise.all([
+            handler.pushToQueue(helper.record('first')),
+            handler.pushToQueue(Object.assign(helper.record('later'), {delay : 60000})),
+            handler.pushToQueue(Object.assign(helper.record('failed'), {identifier : 'events'}))
+        ]).then(() => handler.failKeyFromQueue({identifier : 'events', key : 'failed', error : 'Failed'})).then(() => {
+            return Promise.all([
+                handler.readKeysAndValuesFromQueue({identifier : 'logs'}),
+                handler.readScheduledFromQueue({identifier : 'logs'}),
+                handler.readDeadLettersFromQueue({identifier : 'events'}),
+                handler.readDeadLetterFromQueue({identifier : 'events', key : 'failed'})
+            ]);
+        }).then((results) => {
+            assert.strictEqual(results[0].records[0].value.message, 'message of first');
+            assert.strictEqual(results[1].redis[0].value.message, 'message of later');
+            assert.strictEqual(results[2].redis[0].value.message, 'message of failed');
+            assert.strictEqual(results[3].redis.value.message, 'message of failed');
+        });
+    });
+
+    it('fails the reads of the values encrypted with a key which is not registered', () => {
+        let config = codecConfig({encryption : {keyId : 'second', keys : {second : secondKey}}});
+        let handler = helper.createHandler(config);
+        let otherHandler = helper.createHandler(codecConfig({encryption : {keyId : 'first', keys : {first : firstKey}}}, config));
+        return handler.pushToQueue(helper.record('first')).then(() => {
+            return Promise.all([
+                helper.rejection(otherHandler.readFromQueue({identifier : 'logs', key : 'first'})),
+                helper.rejection(otherHandler.readKeysAndValuesFromQueue({identifier : 'logs'}))
+            ]);
+        }).then((errors) => {
+            assert.deepStrictEqual(errors.map((err) => err.code), ['UNDECODABLE_RECORD', 'UNDECODABLE_RECORD']);
+            assert.strictEqual(errors[0].key, 'first');
+            assert.strictEqual(errors[0].message, `The value is encrypted with the 'second' key which is not registered`);
+        });
+    });
+
+    it('rejects the invalid codecs', () => {
+        let create = (codec) => () => new QueueHandler(helper.redisConfig({identifierSet : [{name : 'logs', codec : codec}]}));
+        assert.throws(create({compression : 'zip'}), /'Codec' option of the 'logs' identifier is not in the specified format, 'compression' must be either 'gzip' or 'brotli'/);
+        assert.throws(create({encryption : {keyId : 'first', keys : {first : 'short'}}}), /'first' key must be 32 bytes long/);
+        assert.throws(create({encryption : {keyId : 'second', keys : {first : firstKey}}}), /'keyId' must name one of the keys/);
+        assert.throws(create({encryption : {keyId : 'a:b', keys : {'a:b' : firstKey}}}), /'a:b' key id must only hold letters/);
+    });
+
+    it('rejects the brotli compression once the zlib of Node.js does not provide it', () => {
+        let brotliCompressSync = zlib.brotliCompressSync;
+        delete zlib.brotliCompressSync;
+        try {
+            assert.throws(() => new QueueHandler(helper.redisConfig({identifierSet : [{name : 'logs', codec : {compression : 'brotli'}}]})), /'brotli' compression is not available in Node.js/);
+        } finally {
+            zlib.brotliCompressSync = brotliCompressSync;
+        }
+    });
+});
@@ -0,0 +1,188 @@
+/* jshint node: true */
+/* jshint esnext: true */
+/* jshint mocha: true */
+'use strict';
+
+const assert = require('assert');
+const helper = require('./support/helper');
+const memoryRedis = require('../memory_redis');
+
+describe('consume', function () {
+    /**
+    * Stopping a consumer waits for its blocking claim to time out.
+    **/
+    this.timeout(5000);
+
+    afterEach(() => helper.cleanUp());
+
+    /**
+    * Returns a promise of the records handed over to the handler, resolved once the count is reached.
+    **/
+    function collect(handler, consumeData, count, process) {
+        let records = [];
+        return new Promise((resolve, reject) => {
+            handler.consume(consumeData, (record, ack) => {
+                records.push(record);
+                process(record, ack);
+                if(records.length === count) {
+                    resolve(records);
+                }
+            }).catch(reject);
+        });
+    }
+
+    it('hands over the records and deletes them once acknowledged', () => {
+        let handler = helper.createHandler(helper.redisConfig());
+        let acknowledged;
+        let consumed = collect(handler, {identifier : 'logs'}, 1, (record, ack) => {
+            acknowledged = new Promise((resolve) => setImmediate(() => {
+                ack(null);
+                resolve();
+            }));
+        });
+        return handler.pushToQueue(helper.record('first')).then(() => consumed).then((records) => {
+            assert.ok(records[0].pushedAt <= Date.now());
+            assert.deepStrictEqual(Object.assign({}, records[0], {pushedAt : null}), {
+                identifier : 'logs',
+                key : 'first',
+                value : {targetType : ['audit'], message : 'message of first'},
+                store : 'redis',
+                pushedAt : null,
+                producer : 'test-service',
+                version : 1
+            });
+            return acknowledged;
+        }).then(() => helper.delay(20)).then(() => handler.readKeysFromQueue({identifier : 'logs'})).then((result) => {
+            assert.deepStrictEqual(result.keys, []);
+        });
+    });
+
+    it('claims the records through an authenticated connection of a password protected store', () => {
+        let config = helper.redisConfig();
+        let connector = Object.assign(config.redis.queueConnector[0], {password : 'secret'});
+        memoryRedis.requirePassword(connector.host, connector.port, 'secret');
+        let handler = helper.createHandler(config);
+        let consumed = collect(handler, {identifier : 'logs'}, 1, (record, ack) => ack(null));
+        return handler.pushToQueue(helper.record('first')).then(() => consumed).then((records) => {
+            assert.deepStrictEqual(records.map((record) => record.key), ['first']);
+        });
+    });
+
+    it('acknowledges the record once the promise returned by the handler is resolved', () => {
+        let handler = helper.createHandler(helper.redisConfig());
+        let consumed = new Promise((resolve) => {
+            handler.consume({identifier : 'logs'}, (record) => Promise.resolve().then(() => setImmediate(resolve)));
+        });
+        return handler.pushToQueue(helper.record('first')).then(() => consumed).then(() => helper.delay(20)).then(() => {
+            return handler.readKeysFromQueue({identifier : 'logs'});
+        }).then((result) => {
+            assert.deepStrictEqual(result.keys, []);
+        });
+    });
+
+    it('hands over the failed record again along with its attempts until it is dead lettered', () => {
+        let handler = helper.createHandler(helper.redisConfig({identifierSet : [{name : 'logs', maxAttempts : 2}]}));
+        let consumed = collect(handler, {identifier : 'logs', consumerName : 'worker'}, 2, (record, ack) => ack(new Error(`Failed ${record.key}`)));
+        return handler.pushToQueue(helper.record('first')).then(() => consumed).then((records) => {
+            assert.strictEqual(records[0].attempts, undefined);
+            assert.strictEqual(records[1].attempts, 1);
+            assert.strictEqual(records[1].lastError, 'Failed first');
+            return helper.delay(20);
+        }).then(() => handler.readDeadLetterFromQueue({identifier : 'logs', key : 'first'})).then((result) => {
+            assert.strictEqual(result.redis.attempts, 2);
+            return handler.readKeysFromQueue({identifier : 'logs'});
+        }).then((result) => {
+            assert.deepStrictEqual(result.keys, []);
+        });
+    });
+
+    it('consumes only the copies of the target types of the listener', () => {
+        let handler = helper.createHandler(helper.redisConfig({targetTypes : ['audit', 'billing']}));
+        let consumed = collect(handler, {identifier : 'logs', targetType : ['billing']}, 1, (record, ack) => ack());
+        return handler.pushToQueue(helper.record('first')).then(() => handler.pushToQueue(helper.record('second', {targetType : ['billing']}))).then(() => consumed).then((records) => {
+            assert.strictEqual(records[0].key, 'second');
+            assert.strictEqual(records[0].targetType, 'billing');
+        });
+    });
+
+    it('deletes the copy of the complete identifier once the copies of all its target types are consumed', () => {
+        let config = helper.redisConfig({targetTypes : ['audit', 'billing']});
+        let connector = config.redis.queueConnector[0];
+        let handler = helper.createHandler(config);
+        let reader = helper.createHandler(helper.redisConfig({queueConnector : config.redis.queueConnector, serviceName : 'reader-service'}));
+        let consumed = collect(handler, {identifier : 'logs', targetType : ['billing']}, 1, (record, ack) => ack());
+        let baseKeys = () => new Promise((resolve, reject) => {
+            memoryRedis.createClient(connector.port, connector.host).keys('logs*', (err, keys) => {
+                return err ? reject(err) : resolve(keys.filter((name) => name.indexOf(':target:') === -1).sort());
+            });
+        });
+        return handler.pushToQueue(helper.record('first', {targetType : ['audit', 'billing']})).then(() => consumed).then(() => helper.delay(20)).then(() => {
+            return reader.readKeysFromQueue({identifier : 'logs'});
+        }).then((result) => {
+            assert.deepStrictEqual(result.keys, ['first']);
+            return handler.deleteKeyFromQueue({identifier : 'logs', key : 'first', targetType : ['audit']});
+        }).then(() => reader.readKeysFromQueue({identifier : 'logs'})).then((result) => {
+            assert.deepStrictEqual(result.keys, []);
+            return baseKeys();
+        }).then((keys) => {
+            assert.deepStrictEqual(keys, []);
+        });
+    });
+
+    it('judges the heartbeats of every consumer against its own visibility timeout and names the consumers of a process apart', () => {
+        let config = helper.redisConfig();
+        let connector = config.redis.queueConnector[0];
+        let client = memoryRedis.createClient(connector.port, connector.host);
+        let handler = helper.createHandler(config);
+        let now = Date.now();
+        let command = (name, args) => new Promise((resolve, reject) => client[name].apply(client, args.concat((err, reply) => err ? reject(err) : resolve(reply))));
+        return Promise.all([
+            command('hset', ['logs:consumers', 'slow', JSON.stringify({heartbeatAt : now - 5000, visibilityTimeout : 60000})]),
+            command('rpush', ['logs:inflight:slow', 'kept']),
+            command('hset', ['logs:consumers', 'gone', JSON.stringify({heartbeatAt : now - 130000, visibilityTimeout : 60000})]),
+            command('rpush', ['logs:inflight:gone', 'lost'])
+        ]).then(() => Promise.all([
+            handler.consume({identifier : 'logs', visibilityTimeout : 1000}, (record, ack) => ack()),
+            handler.consume({identifier : 'logs', visibilityTimeout : 1000}, (record, ack) => ack())
+        ])).then(() => helper.delay(50)).then(() => Promise.all([
+            command('hgetall', ['logs:consumers']),
+            command('lrange', ['logs:inflight:slow', 0, -1]),
+            command('lrange', ['logs:inflight:gone', 0, -1])
+        ])).then((replies) => {
+            let names = Object.keys(replies[0]).filter((name) => name !== 'slow');
+            assert.strictEqual(names.length, 2);
+            names.forEach((name) => assert.ok(name.indexOf(`test-service:`) === 0 && JSON.parse(replies[0][name]).visibilityTimeout === 1000));
+            assert.deepStrictEqual(replies.slice(1), [['kept'], []]);
+            client.end(true);
+        });
+    });
+
+    it('stops the consumer', () => {
+        let handler = helper.createHandler(helper.redisConfig());
+        return handler.consume({identifier : 'logs'}, (record, ack) => ack()).then((consumer) => consumer.stop()).then(() => {
+            return handler.pushToQueue(helper.record('first'));
+        }).then(() => helper.delay(20)).then(() => handler.readKeysFromQueue({identifier : 'logs'})).then((result) => {
+            assert.deepStrictEqual(result.keys, ['first']);
+        });
+    });
+
+    it('rejects the invalid consumers', () => {
+        let handler = helper.createHandler(helper.redisConfig({targetTypes : ['audit']}));
+        let consumer = (record, ack) => ack();
+        return Promise.all([
+            helper.rejection(handler.consume({}, consumer)),
+            helper.rejection(handler.consume({identifier : 'logs'})),
+            helper.rejection(handler.consume({identifier : 'logs', consumerName : ' '}, consumer)),
+            helper.rejection(handler.consume({identifier : 'logs', visibilityTimeout : 0}, consumer))
+        ]).then((errors) => {
+            errors.forEach((err) => assert.strictEqual(err.code, 'VALIDATION'));
+            return Promise.all([
+                helper.rejection(handler.consume({identifier : 'logs', store : ['file']}, consumer)),
+                helper.rejection(handler.consume({identifier : 'metrics'}, consumer)),
+                helper.rejection(handler.consume({identifier : 'logs', targetType : ['billing']}, consumer))
+            ]);
+        }).then((errors) => {
+            assert.deepStrictEqual(errors.map((err) => err.code), ['INVALID_STORE', 'UNREGISTERED_IDENTIFIER', 'UNREGISTERED_TARGET_TYPE']);
+        });
+    });
+});
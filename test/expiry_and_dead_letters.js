@@ -0,0 +1,172 @@
+/* jshint node: true */
+/* jshint esnext: true */
+/* jshint mocha: true */
+'use strict';
+
+const assert = require('assert');
+const helper = require('./support/helper');
+
+describe('Expiry and dead letters', () => {
+    afterEach(() => helper.cleanUp());
+
+    describe('ttl', () => {
+        it('purges the records once they expire and counts them', () => {
+            let handler = helper.createHandler(helper.redisConfig());
+            return handler.pushToQueue(Object.assign(helper.record('first'), {ttl : 20})).then(() => {
+                return handler.pushToQueue(helper.record('second'));
+            }).then(() => handler.readKeysFromQueue({identifier : 'logs'})).then((result) => {
+                assert.deepStrictEqual(result.keys.sort(), ['first', 'second']);
+                return helper.delay(40);
+            }).then(() => handler.readKeysFromQueue({identifier : 'logs'})).then((result) => {
+                assert.deepStrictEqual(result.keys, ['second']);
+                return handler.readExpiredCountFromQueue({identifier : 'logs'});
+            }).then((result) => {
+                assert.deepStrictEqual(result, {redis : 1});
+            });
+        });
+
+        it('applies the ttl of the identifier to the ordered records', () => {
+            let handler = helper.createHandler(helper.redisConfig({identifierSet : [{name : 'logs', ordered : true, ttl : 20}]}));
+            return handler.pushToQueue(helper.record('first')).then(() => helper.delay(40)).then(() => {
+                return handler.pushToQueue(helper.record('second'));
+            }).then(() => handler.readKeysAndValuesFromQueue({identifier : 'logs'})).then((result) => {
+                assert.deepStrictEqual(result.records.map((record) => record.key), ['second']);
+                return handler.readExpiredCountFromQueue({identifier : 'logs'});
+            }).then((result) => {
+                assert.deepStrictEqual(result, {redis : 1});
+            });
+        });
+
+        it('keeps a single pending key per remaining record once some of the ordered records of a key expire', () => {
+            let identifierSet = [{name : 'logs', ordered : true}];
+            let config = Object.assign(helper.redisConfig({identifierSet : identifierSet}), {
+                file : {path : helper.filePath(), serviceName : 'test-service', identifierSet : identifierSet}
+            });
+            let handler = helper.createHandler(config);
+            return handler.pushToQueue(Object.assign(helper.record('first'), {ttl : 20})).then(() => handler.pushToQueue(helper.record('first'))).then(() => {
+                return helper.delay(40);
+            }).then(() => handler.readKeysAndValuesFromQueue({identifier : 'logs'})).then((result) => {
+                assert.strictEqual(result.records.length, 1);
+                return handler.getStats('logs');
+            }).then((result) => {
+                assert.strictEqual(result.stores.redis.pending, 1);
+                assert.strictEqual(result.stores.file.pending, 1);
+            });
+        });
+
+        it('does not count the records deleted before they expire', () => {
+            let handler = helper.createHandler(helper.redisConfig());
+            return handler.pushToQueue(Object.assign(helper.record('first'), {ttl : 20})).then(() => {
+                return handler.deleteKeyFromQueue({identifier : 'logs', key : 'first'});
+            }).then(() => helper.delay(40)).then(() => handler.readExpiredCountFromQueue({identifier : 'logs'})).then((result) => {
+                assert.deepStrictEqual(result, {redis : 0});
+            });
+        });
+
+        it('rejects the invalid count requests', () => {
+            let handler = helper.createHandler(helper.redisConfig());
+            return helper.rejection(handler.readExpiredCountFromQueue({})).then((err) => {
+                assert.strictEqual(err.code, 'VALIDATION');
+                return helper.rejection(handler.readExpiredCountFromQueue({identifier : 'metrics'}));
+            }).then((err) => {
+                assert.strictEqual(err.code, 'UNREGISTERED_IDENTIFIER');
+            });
+        });
+    });
+
+    describe('dead letter queue', () => {
+        let handler;
+
+        beforeEach(() => {
+            handler = helper.createHandler(helper.redisConfig({identifierSet : [{name : 'logs', maxAttempts : 2}]}));
+            return handler.pushToQueue(helper.record('first'));
+        });
+
+        /**
+        * Fails the record as many times as allowed.
+        **/
+        function deadLetter() {
+            return handler.failKeyFromQueue({identifier : 'logs', key : 'first', error : new Error('Timed out')}).then((result) => {
+                assert.deepStrictEqual(result, {redis : {attempts : 1, lastError : 'Timed out', dead : false}});
+                return handler.failKeyFromQueue({identifier : 'logs', key : 'first', error : 'Rejected'});
+            }).then((result) => {
+                assert.deepStrictEqual(result, {redis : {attempts : 2, lastError : 'Rejected', dead : true}});
+            });
+        }
+
+        it('moves the record out of the queue once it failed as many times as allowed', () => {
+            return deadLetter().then(() => handler.readKeysFromQueue({identifier : 'logs'})).then((result) => {
+                assert.deepStrictEqual(result.keys, []);
+                return handler.readDeadLettersFromQueue({identifier : 'logs'});
+            }).then((result) => {
+                assert.strictEqual(result.redis.length, 1);
+                let deadRecord = result.redis[0];
+                assert.strictEqual(deadRecord.identifier, 'logs');
+                assert.strictEqual(deadRecord.key, 'first');
+                assert.strictEqual(deadRecord.attempts, 2);
+                assert.strictEqual(deadRecord.lastError, 'Rejected');
+                assert.strictEqual(deadRecord.store, 'redis');
+                assert.strictEqual(deadRecord.value.message, 'message of first');
+                assert.strictEqual(deadRecord.producer, 'test-service');
+                assert.strictEqual(deadRecord.version, 1);
+                assert.ok(deadRecord.pushedAt <= deadRecord.failedAt && deadRecord.failedAt <= Date.now());
+                return handler.readDeadLetterFromQueue({identifier : 'logs', key : 'first'});
+            }).then((result) => {
+                assert.deepStrictEqual(Object.keys(result.redis).sort(), ['attempts', 'failedAt', 'identifier', 'key', 'lastError', 'producer', 'pushedAt', 'store', 'value', 'version']);
+                assert.strictEqual(result.redis.key, 'first');
+                return handler.readDeadLetterFromQueue({identifier : 'logs', key : 'second'});
+            }).then((result) => {
+                assert.deepStrictEqual(result, {});
+            });
+        });
+
+        it('replays the dead lettered record back to the queue', () => {
+            return deadLetter().then(() => handler.replayDeadLetterToQueue({identifier : 'logs', key : 'first'})).then((result) => {
+                assert.deepStrictEqual(result, {redis : 1});
+                return handler.readFromQueue({identifier : 'logs', key : 'first'});
+            }).then((result) => {
+                assert.strictEqual(result.record.value.message, 'message of first');
+                assert.strictEqual(result.record.producer, 'test-service');
+                return handler.readDeadLettersFromQueue({identifier : 'logs'});
+            }).then((result) => {
+                assert.deepStrictEqual(result, {});
+                return handler.replayDeadLetterToQueue({identifier : 'logs', key : 'first'});
+            }).then((result) => {
+                assert.deepStrictEqual(result, {redis : 0});
+            });
+        });
+
+        it('purges the dead lettered records', () => {
+            return deadLetter().then(() => handler.purgeDeadLettersFromQueue({identifier : 'logs', key : 'second'})).then((result) => {
+                assert.deepStrictEqual(result, {redis : 0});
+                return handler.purgeDeadLettersFromQueue({identifier : 'logs'});
+            }).then((result) => {
+                assert.deepStrictEqual(result, {redis : 1});
+                return handler.readDeadLettersFromQueue({identifier : 'logs'});
+            }).then((result) => {
+                assert.deepStrictEqual(result, {});
+            });
+        });
+
+        it('rejects the invalid requests', () => {
+            return Promise.all([
+                helper.rejection(handler.failKeyFromQueue({identifier : 'logs'})),
+                helper.rejection(handler.readDeadLettersFromQueue({key : 'first'})),
+                helper.rejection(handler.readDeadLetterFromQueue({identifier : 'logs'})),
+                helper.rejection(handler.replayDeadLetterToQueue({identifier : 'logs'})),
+                helper.rejection(handler.purgeDeadLettersFromQueue({identifier : 'logs', key : ' '}))
+            ]).then((errors) => {
+                errors.forEach((err) => assert.strictEqual(err.code, 'VALIDATION'));
+                return Promise.all([
+                    helper.rejection(handler.failKeyFromQueue({identifier : 'metrics', key : 'first'})),
+                    helper.rejection(handler.readDeadLettersFromQueue({identifier : 'metrics'})),
+                    helper.rejection(handler.readDeadLetterFromQueue({identifier : 'metrics', key : 'first'})),
+                    helper.rejection(handler.replayDeadLetterToQueue({identifier : 'metrics', key : 'first'})),
+                    helper.rejection(handler.purgeDeadLettersFromQueue({identifier : 'metrics'}))
+                ]);
+            }).then((errors) => {
+                errors.forEach((err) => assert.strictEqual(err.code, 'UNREGISTERED_IDENTIFIER'));
+            });
+        });
+    });
+});
@@ -0,0 +1,124 @@
+/* jshint node: true */
+/* jshint esnext: true */
+/* jshint mocha: true */
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const helper = require('./support/helper');
+
+describe('File store', () => {
+    afterEach(() => helper.cleanUp());
+
+    /**
+    * Returns the config of a file store at the path.
+    **/
+    function fileConfig(path, options) {
+        return {
+            file : Object.assign({path : path, serviceName : 'test-service', identifierSet : ['logs']}, options)
+        };
+    }
+
+    it('stores, reads and deletes the records', () => {
+        let path = helper.filePath();
+        let handler = helper.createHandler(fileConfig(path));
+        return handler.pushToQueue(helper.record('first')).then((result) => {
+            assert.deepStrictEqual(result, {file : {succeeded : [path], failed : []}});
+            return handler.readFromQueue({identifier : 'logs', key : 'first'});
+        }).then((result) => {
+            assert.strictEqual(result.record.value.message, 'message of first');
+            assert.strictEqual(result.record.store, 'file');
+            return handler.deleteKeyFromQueue({identifier : 'logs', key : 'first'});
+        }).then((result) => {
+            assert.deepStrictEqual(result, {deleted : 1, stores : {file : 1}});
+        });
+    });
+
+    it('restores the records once the file is opened again', () => {
+        let path = helper.filePath();
+        let handler = helper.createHandler(fileConfig(path, {compactThreshold : 2}));
+        return handler.pushToQueue(helper.record('first')).then(() => handler.pushToQueue(helper.record('second'))).then(() => {
+            return handler.deleteKeyFromQueue({identifier : 'logs', key : 'first'});
+        }).then(() => handler.close()).then(() => {
+            let reopened = helper.createHandler(fileConfig(path));
+            return reopened.readKeysFromQueue({identifier : 'logs'});
+        }).then((result) => {
+            assert.deepStrictEqual(result.keys, ['second']);
+        });
+    });
+
+    it('keeps the keys named after the properties of the objects', () => {
+        let config = Object.assign(helper.redisConfig(), fileConfig(helper.filePath()));
+        let handler = helper.createHandler(config);
+        let keys = ['__proto__', 'hasOwnProperty', 'constructor'];
+        return keys.reduce((pushed, key) => pushed.then(() => handler.pushToQueue(helper.record(key))), Promise.resolve()).then(() => {
+            return handler.pushToQueue(helper.record('hasOwnProperty', {targetType : ['audit'], message : 'updated'}));
+        }).then(() => Promise.all(['redis', 'file'].map((store) => handler.readKeysFromQueue({identifier : 'logs', store : [store]})))).then((results) => {
+            results.forEach((result) => assert.deepStrictEqual(result.keys.sort(), keys.slice().sort()));
+            return handler.readFromQueue({identifier : 'logs', key : 'hasOwnProperty'});
+        }).then((result) => {
+            assert.strictEqual(result.record.value.message, 'updated');
+            return handler.deleteKeyFromQueue({identifier : 'logs', key : '__proto__'});
+        }).then((result) => {
+            assert.deepStrictEqual(result, {deleted : 2, stores : {redis : 1, file : 1}});
+            return handler.readKeysFromQueue({identifier : 'logs', store : ['file']});
+        }).then((result) => {
+            assert.deepStrictEqual(result.keys.sort(), ['constructor', 'hasOwnProperty']);
+        });
+    });
+
+    it('rolls back the writes from the file and the records held in memory once the file cannot be flushed', () => {
+        let path = helper.filePath();
+        let handler = helper.createHandler(fileConfig(path));
+        let fsync = fs.fsync;
+        return handler.pushToQueue(helper.record('first')).then(() => {
+            fs.fsync = (fd, callback) => {
+                fs.fsync = fsync;
+                setImmediate(callback, new Error('disk full'));
+            };
+            return helper.rejection(handler.pushToQueue(helper.record('second')));
+        }).then(() => {
+            fs.fsync = fsync;
+            return handler.readKeysFromQueue({identifier : 'logs'});
+        }).then((result) => {
+            assert.deepStrictEqual(result.keys, ['first']);
+            return handler.pushToQueue(helper.record('third'));
+        }).then(() => handler.close()).then(() => {
+            let reopened = helper.createHandler(fileConfig(path));
+            return reopened.readKeysFromQueue({identifier : 'logs'});
+        }).then((result) => {
+            assert.deepStrictEqual(result.keys.sort(), ['first', 'third']);
+        }, (err) => {
+            fs.fsync = fsync;
+            throw err;
+        });
+    });
+
+    it('waits with no limit for a value to move once the timeout is 0', () => {
+        let handler = helper.createHandler(fileConfig(helper.filePath()));
+        let moved = null;
+        return handler.ready().then(() => {
+            let connection = handler.connectionHandler.file.connection;
+            connection.createBlockingClient().moveListObject('source', 'destination', 0, (err, value) => {
+                moved = value;
+            });
+            return helper.delay(1100).then(() => {
+                assert.strictEqual(moved, null);
+                return new Promise((resolve) => connection.pushListObject('source', 'first', resolve));
+            });
+        }).then(() => helper.delay(20)).then(() => {
+            assert.strictEqual(moved, 'first');
+        });
+    });
+
+    it('writes to the file and the redis stores together', () => {
+        let config = Object.assign(helper.redisConfig(), fileConfig(helper.filePath()));
+        let handler = helper.createHandler(config);
+        return handler.pushToQueue(helper.record('first')).then((result) => {
+            assert.deepStrictEqual(Object.keys(result).sort(), ['file', 'redis']);
+            return handler.readKeysFromQueue({identifier : 'logs', store : ['file']});
+        }).then((result) => {
+            assert.deepStrictEqual(result.keys, ['first']);
+        });
+    });
+});
@@ -0,0 +1,122 @@
+/* jshint node: true */
+/* jshint esnext: true */
+/* jshint mocha: true */
+'use strict';
+
+const assert = require('assert');
+const helper = require('./support/helper');
+const QueueError = require('../QueueError');
+
+describe('Idempotent pushes', () => {
+    afterEach(() => helper.cleanUp());
+
+    /**
+    * Returns a promise of the message of the queued record of the key.
+    **/
+    function queuedMessage(handler, key) {
+        return handler.readFromQueue({identifier : 'logs', key : key}).then((result) => result.record && result.record.value.message);
+    }
+
+    it('reports the retries of a push within the deduplication window as duplicates', () => {
+        let handler = helper.createHandler(helper.redisConfig());
+        let push = (message) => handler.pushToQueue(Object.assign(helper.record('first', {message : message}), {idempotencyKey : 'push-1'}));
+        return push('one').then((result) => {
+            assert.strictEqual(result.redis.succeeded.length, 1);
+            assert.strictEqual(result.redis.duplicate, undefined);
+            return push('two');
+        }).then((result) => {
+            assert.deepStrictEqual(result, {redis : {succeeded : [], failed : [], duplicate : true}});
+            return queuedMessage(handler, 'first');
+        }).then((message) => {
+            assert.strictEqual(message, 'one');
+        });
+    });
+
+    it('writes the push again once the deduplication window has ended', () => {
+        let handler = helper.createHandler(helper.redisConfig({identifierSet : [{name : 'logs', dedupWindow : 20}]}));
+        let push = (message) => handler.pushToQueue(Object.assign(helper.record('first', {message : message}), {idempotencyKey : 'push-1'}));
+        return push('one').then(() => helper.delay(40)).then(() => push('two')).then((result) => {
+            assert.strictEqual(result.redis.succeeded.length, 1);
+            return queuedMessage(handler, 'first');
+        }).then((message) => {
+            assert.strictEqual(message, 'two');
+        });
+    });
+
+    it('only stores the record if its key is not queued', () => {
+        let path = helper.filePath();
+        let config = helper.redisConfig();
+        config.file = {path : path, serviceName : 'test-service', identifierSet : ['logs']};
+        let handler = helper.createHandler(config);
+        let push = (message) => handler.pushToQueue(Object.assign(helper.record('first', {message : message}), {ifNotExists : true}));
+        return push('one').then((result) => {
+            assert.deepStrictEqual([result.redis.version, result.file.version], [1, 1]);
+            return push('two');
+        }).then((result) => {
+            assert.deepStrictEqual(result, {redis : {succeeded : [], failed : [], duplicate : true}, file : {succeeded : [], failed : [], duplicate : true}});
+            return handler.readFromQueue({identifier : 'logs', key : 'first', store : ['file']});
+        }).then((result) => {
+            assert.strictEqual(result.record.value.message, 'one');
+        });
+    });
+
+    it('writes the compare-and-set pushes only if the key is at the expected version', () => {
+        let handler = helper.createHandler(helper.redisConfig());
+        let push = (message, version) => handler.pushToQueue(Object.assign(helper.record('first', {message : message}), {version : version}));
+        return push('one', 0).then((result) => {
+            assert.strictEqual(result.redis.version, 1);
+            return handler.readFromQueue({identifier : 'logs', key : 'first'});
+        }).then((result) => {
+            assert.strictEqual(result.record.version, 1);
+            return push('two', result.record.version);
+        }).then((result) => {
+            assert.strictEqual(result.redis.version, 2);
+            return helper.rejection(push('three', 1));
+        }).then((err) => {
+            assert.ok(err instanceof QueueError.VersionConflictError);
+            assert.strictEqual(err.code, 'VERSION_CONFLICT');
+            assert.strictEqual(err.currentVersion, 2);
+            assert.strictEqual(err.message, `The key 'first' is at the version 2 instead of 1`);
+            return queuedMessage(handler, 'first');
+        }).then((message) => {
+            assert.strictEqual(message, 'two');
+            return handler.pushToQueue(helper.record('first'));
+        }).then(() => handler.readFromQueue({identifier : 'logs', key : 'first'})).then((result) => {
+            assert.strictEqual(result.record.version, 3);
+        });
+    });
+
+    it('lets a single one of the compare-and-set pushes racing from the same version through', () => {
+        let handler = helper.createHandler(helper.redisConfig());
+        let push = (message) => handler.pushToQueue(Object.assign(helper.record('first', {message : message}), {version : 0})).then(() => null, (err) => err);
+        return Promise.all([push('one'), push('two')]).then((errors) => {
+            assert.deepStrictEqual(errors.filter((err) => err).map((err) => err.code), ['VERSION_CONFLICT']);
+            return handler.readFromQueue({identifier : 'logs', key : 'first'});
+        }).then((result) => {
+            assert.strictEqual(result.record.version, 1);
+        });
+    });
+
+    it('rejects the invalid idempotency options', () => {
+        let handler = helper.createHandler(helper.redisConfig({identifierSet : ['logs', {name : 'events', ordered : true}]}));
+        let push = (options) => helper.rejection(handler.pushToQueue(Object.assign(helper.record('first'), options)));
+        return Promise.all([
+            push({idempotencyKey : ' '}),
+            push({ifNotExists : 'yes'}),
+            push({version : -1}),
+            push({ifNotExists : true, version : 0}),
+            push({identifier : 'events', version : 0}),
+            push({delay : 1000, ifNotExists : true})
+        ]).then((errors) => {
+            assert.deepStrictEqual(errors.map((err) => err.message), [
+                `'Idempotency key' is not in the specified format`,
+                `'If not exists' must be a boolean`,
+                `'Version' must have a non-negative integer`,
+                `Either 'If not exists' or 'Version' can be passed, not both`,
+                `'If not exists' and 'Version' are not supported by the ordered identifiers`,
+                `'If not exists' and 'Version' are not supported by the scheduled records`
+            ]);
+            assert.throws(() => helper.createHandler(helper.redisConfig({identifierSet : [{name : 'logs', dedupWindow : 0}]})), /'Dedup window' option of the 'logs' identifier must have a positive number/);
+        });
+    });
+});
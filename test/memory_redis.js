@@ -0,0 +1,295 @@
+/* jshint node: true */
+/* jshint esnext: true */
+/* jshint mocha: true */
+'use strict';
+
+const assert = require('assert');
+const memoryRedis = require('../memory_redis');
+
+/**
+* Calls the command of the client and returns a promise of its reply.
+**/
+function command(client, name) {
+    let args = Array.prototype.slice.call(arguments, 2);
+    return new Promise((resolve, reject) => {
+        client[name].apply(client, args.concat((err, reply) => err ? reject(err) : resolve(reply)));
+    });
+}
+
+describe('memory_redis', () => {
+    let host = 0;
+    let client;
+
+    beforeEach(() => {
+        host++;
+        client = memoryRedis.createClient(6379, `memory-client-${host}`);
+    });
+
+    afterEach(() => {
+        client.end(true);
+        memoryRedis.flushAll();
+    });
+
+    it('connects on the next tick and flags the client as connected', (done) => {
+        assert.strictEqual(client.connected, false);
+        assert.strictEqual(client.address, `memory-client-${host}:6379`);
+        client.on('ready', () => {
+            assert.strictEqual(client.connected, true);
+            assert.strictEqual(client.times_connected, 1);
+            done();
+        });
+    });
+
+    it('runs the commands issued before the client connects', () => {
+        return command(client, 'set', 'name', 'value').then((reply) => {
+            assert.strictEqual(reply, 'OK');
+            return command(client, 'get', 'name');
+        }).then((value) => {
+            assert.strictEqual(value, 'value');
+        });
+    });
+
+    it('shares the keys between the clients of the same host and port only', () => {
+        let other = memoryRedis.createClient(6379, `memory-client-${host}`);
+        let elsewhere = memoryRedis.createClient(6380, `memory-client-${host}`);
+        return command(client, 'set', 'name', 'value').then(() => {
+            return Promise.all([command(other, 'get', 'name'), command(elsewhere, 'get', 'name')]);
+        }).then((values) => {
+            assert.deepStrictEqual(values, ['value', null]);
+            other.end(true);
+            elsewhere.end(true);
+        });
+    });
+
+    it('stores, reads and deletes the fields of a hash', () => {
+        return command(client, 'hset', ['hash', 'first', '1']).then((created) => {
+            assert.strictEqual(created, 1);
+            return command(client, 'hset', 'hash', 'first', 'one');
+        }).then((created) => {
+            assert.strictEqual(created, 0);
+            return command(client, 'hset', 'hash', 'second', 2);
+        }).then(() => {
+            return Promise.all([
+                command(client, 'hget', 'hash', 'first'),
+                command(client, 'hget', 'hash', 'missing'),
+                command(client, 'hkeys', 'hash'),
+                command(client, 'hgetall', 'hash')
+            ]);
+        }).then((replies) => {
+            assert.deepStrictEqual(replies, ['one', null, ['first', 'second'], {first : 'one', second : '2'}]);
+            return command(client, 'hdel', 'hash', 'first', 'missing');
+        }).then((deleted) => {
+            assert.strictEqual(deleted, 1);
+            return command(client, 'hdel', 'hash', 'second');
+        }).then(() => {
+            return Promise.all([command(client, 'hgetall', 'hash'), command(client, 'hkeys', 'hash'), command(client, 'type', 'hash')]);
+        }).then((replies) => {
+            assert.deepStrictEqual(replies, [null, [], 'none']);
+        });
+    });
+
+    it('reads several strings at once and deletes several keys', () => {
+        return Promise.all([command(client, 'set', 'a', '1'), command(client, 'set', 'b', '2'), command(client, 'hset', 'c', 'f', 'v')]).then(() => {
+            return command(client, 'mget', ['a', 'b', 'c', 'd']);
+        }).then((values) => {
+            assert.deepStrictEqual(values, ['1', '2', null, null]);
+            return command(client, 'del', 'a', 'c', 'd');
+        }).then((deleted) => {
+            assert.strictEqual(deleted, 2);
+        });
+    });
+
+    it('matches the keys against glob style patterns', () => {
+        return Promise.all(['logs', 'logs:audit', 'logs:billing', 'events', 'logs?x'].map((key) => command(client, 'set', key, '1'))).then(() => {
+            return Promise.all([
+                command(client, 'keys', '*'),
+                command(client, 'keys', 'logs:*'),
+                command(client, 'keys', 'logs:[ab]*'),
+                command(client, 'keys', 'log?'),
+                command(client, 'keys', 'logs\\?x')
+            ]);
+        }).then((replies) => {
+            assert.deepStrictEqual(replies[0].sort(), ['events', 'logs', 'logs:audit', 'logs:billing', 'logs?x']);
+            assert.deepStrictEqual(replies[1].sort(), ['logs:audit', 'logs:billing']);
+            assert.deepStrictEqual(replies[2].sort(), ['logs:audit', 'logs:billing']);
+            assert.deepStrictEqual(replies[3], ['logs']);
+            assert.deepStrictEqual(replies[4], ['logs?x']);
+        });
+    });
+
+    it('increments the counters and rejects the values which are not integers', () => {
+        return command(client, 'incr', 'counter').then((value) => {
+            assert.strictEqual(value, 1);
+            return command(client, 'incr', 'counter');
+        }).then((value) => {
+            assert.strictEqual(value, 2);
+            return command(client, 'set', 'text', 'abc');
+        }).then(() => command(client, 'incr', 'text').then(() => assert.fail('incr succeeded'), (err) => {
+            assert.ok(/not an integer/.test(err.message));
+        }));
+    });
+
+    it('pushes, reads and removes the values of a list', () => {
+        return command(client, 'lpush', 'list', 'b').then(() => command(client, 'lpush', 'list', 'a')).then(() => {
+            return command(client, 'rpush', ['list', 'c', 'a', 'a']);
+        }).then((length) => {
+            assert.strictEqual(length, 5);
+            return Promise.all([command(client, 'lrange', 'list', 0, -1), command(client, 'lrange', 'list', 1, 2), command(client, 'lrange', 'list', -2, -1)]);
+        }).then((ranges) => {
+            assert.deepStrictEqual(ranges, [['a', 'b', 'c', 'a', 'a'], ['b', 'c'], ['a', 'a']]);
+            return command(client, 'lrem', 'list', -1, 'a');
+        }).then((removed) => {
+            assert.strictEqual(removed, 1);
+            return command(client, 'lrem', 'list', 1, 'a');
+        }).then(() => command(client, 'lrange', 'list', 0, -1)).then((values) => {
+            assert.deepStrictEqual(values, ['b', 'c', 'a']);
+            return command(client, 'lrem', 'list', 0, 'a');
+        }).then(() => command(client, 'lrem', 'list', 0, 'b')).then(() => command(client, 'lrem', 'list', 0, 'c')).then(() => {
+            return command(client, 'type', 'list');
+        }).then((type) => {
+            assert.strictEqual(type, 'none');
+        });
+    });
+
+    it('scans the keys and the fields of a hash by pages, returning the elements present during the whole scan once', () => {
+        let fields = [];
+        for(let i = 0; i < 25; i++) {
+            fields.push(`field-${i}`);
+        }
+        let scanned = {};
+        /**
+        * Scans the hash from the cursor until the cursor 0 is returned, deleting a field on the way.
+        **/
+        function scanFrom(cursor) {
+            return command(client, 'hscan', 'hash', cursor, 'COUNT', 10).then((reply) => {
+                assert.ok(reply[1].length <= 20);
+                for(let i = 0; i < reply[1].length; i += 2) {
+                    scanned[reply[1][i]] = (scanned[reply[1][i]] || 0) + 1;
+                }
+                if(reply[0] === '0') {
+                    return null;
+                }
+                return command(client, 'hdel', 'hash', 'field-24').then(() => scanFrom(reply[0]));
+            });
+        }
+        return Promise.all(fields.map((field) => command(client, 'hset', 'hash', field, 'value'))).then(() => scanFrom('0')).then(() => {
+            assert.strictEqual(Object.keys(scanned).filter((field) => field !== 'field-24').length, 24);
+            assert.ok(Object.keys(scanned).every((field) => scanned[field] === 1));
+            return Promise.all(['logs', 'logs:audit', 'events'].map((key) => command(client, 'set', key, '1')));
+        }).then(() => command(client, 'scan', '0', 'MATCH', 'logs*', 'COUNT', 100)).then((reply) => {
+            assert.strictEqual(reply[0], '0');
+            assert.deepStrictEqual(reply[1].sort(), ['logs', 'logs:audit']);
+            return Promise.all([command(client, 'llen', 'missing'), command(client, 'rpush', 'list', 'a', 'b').then(() => command(client, 'llen', 'list'))]);
+        }).then((lengths) => {
+            assert.deepStrictEqual(lengths, [0, 2]);
+        });
+    });
+
+    it('raises the wrong type error for a command against another type', () => {
+        return command(client, 'set', 'name', 'value').then(() => command(client, 'hget', 'name', 'field')).then(() => assert.fail('hget succeeded'), (err) => {
+            assert.ok(/^WRONGTYPE/.test(err.message));
+        });
+    });
+
+    it('moves a value between lists once it is pushed while blocked', () => {
+        let blocking = client.duplicate();
+        let moved = command(blocking, 'brpoplpush', 'source', 'destination', 1);
+        setTimeout(() => client.lpush('source', 'value'), 20);
+        return moved.then((value) => {
+            assert.strictEqual(value, 'value');
+            return Promise.all([command(client, 'lrange', 'source', 0, -1), command(client, 'lrange', 'destination', 0, -1)]);
+        }).then((lists) => {
+            assert.deepStrictEqual(lists, [[], ['value']]);
+            blocking.end(true);
+        });
+    });
+
+    it('replies null once the blocking timeout expires', () => {
+        let started = Date.now();
+        return command(client, 'brpoplpush', 'source', 'destination', 1).then((value) => {
+            assert.strictEqual(value, null);
+            assert.ok(Date.now() - started >= 900);
+        });
+    });
+
+    it('runs the commands of a transaction together and replies the error of every failing command', () => {
+        return command(client, 'set', 'name', 'value').then(() => {
+            return new Promise((resolve, reject) => {
+                client.multi([['hset', 'hash', 'field', 'value'], ['lpush', 'name', 'value'], ['rpush', 'list', 'first', 'second']]).exec((err, replies) => err ? reject(err) : resolve(replies));
+            });
+        }).then((replies) => {
+            assert.deepStrictEqual([replies[0], replies[2]], [1, 2]);
+            assert.ok(/^WRONGTYPE/.test(replies[1].message));
+            return new Promise((resolve) => client.multi([['hset', 'hash', 'other', 'value'], ['unknown', 'name']]).exec((err) => resolve(err)));
+        }).then((err) => {
+            assert.ok(/^EXECABORT/.test(err.message));
+            return command(client, 'hgetall', 'hash');
+        }).then((hash) => {
+            assert.deepStrictEqual(hash, {field : 'value'});
+        });
+    });
+
+    it('does not run the transaction once a watched key is written by another client', () => {
+        let other = client.duplicate();
+        let exec = (commands) => new Promise((resolve, reject) => client.multi(commands).exec((err, replies) => err ? reject(err) : resolve(replies)));
+        return command(client, 'watch', ['hash', 'list']).then(() => command(other, 'hset', 'hash', 'field', 'other')).then(() => {
+            return exec([['hset', 'hash', 'field', 'value']]);
+        }).then((replies) => {
+            assert.strictEqual(replies, null);
+            return command(client, 'watch', 'hash');
+        }).then(() => exec([['hset', 'hash', 'field', 'value']])).then((replies) => {
+            assert.deepStrictEqual(replies, [0]);
+            return command(client, 'hget', 'hash', 'field');
+        }).then((value) => {
+            assert.strictEqual(value, 'value');
+            other.end(true);
+        });
+    });
+
+    it('delivers the published messages to the subscribed clients', (done) => {
+        let subscriber = client.duplicate();
+        subscriber.on('message', (channel, message) => {
+            assert.strictEqual(channel, 'news');
+            assert.strictEqual(message, 'hello');
+            subscriber.end(true);
+            done();
+        });
+        subscriber.subscribe('news', () => {
+            client.publish('news', 'hello', (err, receivers) => {
+                assert.strictEqual(receivers, 1);
+            });
+        });
+    });
+
+    it('fails the commands once the server is stopped and reconnects once started', (done) => {
+        client.once('ready', () => {
+            client.once('end', () => {
+                assert.strictEqual(client.connected, false);
+                client.get('name', (err) => {
+                    assert.ok(/closed/.test(err.message));
+                    client.once('ready', () => {
+                        assert.strictEqual(client.times_connected, 2);
+                        client.get('name', (err, value) => {
+                            assert.strictEqual(err, null);
+                            assert.strictEqual(value, 'value');
+                            done();
+                        });
+                    });
+                    memoryRedis.startServer(`memory-client-${host}`, 6379);
+                });
+            });
+            client.set('name', 'value', () => memoryRedis.stopServer(`memory-client-${host}`, 6379));
+        });
+    });
+
+    it('closes the client once the previous commands are replied', () => {
+        let replied = command(client, 'set', 'name', 'value');
+        return command(client, 'quit').then((reply) => {
+            assert.strictEqual(reply, 'OK');
+            assert.strictEqual(client.connected, false);
+            return replied;
+        }).then((reply) => {
+            assert.strictEqual(reply, 'OK');
+        });
+    });
+});
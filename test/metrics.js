@@ -0,0 +1,104 @@
+/* jshint node: true */
+/* jshint esnext: true */
+/* jshint mocha: true */
+'use strict';
+
+const http = require('http');
+const assert = require('assert');
+const helper = require('./support/helper');
+
+describe('Metrics', () => {
+    afterEach(() => helper.cleanUp());
+
+    /**
+    * Returns a promise of the status, type and body of the response of the metrics handler to the path.
+    **/
+    function request(handler, path) {
+        let server = http.createServer(handler.metricsHandler());
+        return new Promise((resolve, reject) => {
+            server.listen(0, '127.0.0.1', () => {
+                http.get({host : '127.0.0.1', port : server.address().port, path : path}, (response) => {
+                    let body = '';
+                    response.on('data', (chunk) => body += chunk);
+                    response.on('end', () => {
+                        server.close();
+                        resolve({statusCode : response.statusCode, contentType : response.headers['content-type'], body : body});
+                    });
+                }).on('error', (err) => {
+                    server.close();
+                    reject(err);
+                });
+            });
+        });
+    }
+
+    it('counts the operations of the identifier along with its pending records and errors', () => {
+        let handler = helper.createHandler(helper.redisConfig());
+        return handler.pushManyToQueue([helper.record('first'), helper.record('second')]).then(() => helper.delay(20)).then(() => {
+            return Promise.all([
+                handler.readFromQueue({identifier : 'logs', key : 'first'}),
+                handler.readKeysFromQueue({identifier : 'logs'}),
+                handler.deleteKeyFromQueue({identifier : 'logs', key : 'first'}),
+                helper.rejection(handler.pushToQueue({identifier : 'logs', key : 'third', value : {targetType : ['audit']}, store : ['redis'], ttl : -1}))
+            ]);
+        }).then(() => handler.getStats('logs')).then((result) => {
+            assert.strictEqual(result.identifier, 'logs');
+            assert.deepStrictEqual(result.operations, {push : 2, read : 2, delete : 1});
+            assert.deepStrictEqual(result.rates, {push : 2 / 60, read : 2 / 60, delete : 1 / 60});
+            assert.deepStrictEqual(Object.keys(result.stores), ['redis']);
+            assert.strictEqual(result.stores.redis.pending, 1);
+            assert.strictEqual(result.stores.redis.errors, 1);
+            assert.ok(result.stores.redis.oldestAge >= 20);
+        });
+    });
+
+    it('reports the age of the oldest pending record of an ordered identifier and no age once nothing is pending', () => {
+        let handler = helper.createHandler(helper.redisConfig({identifierSet : [{name : 'logs', ordered : true, duplicateKey : 'append'}]}));
+        return handler.getStats('logs').then((result) => {
+            assert.deepStrictEqual(result.stores.redis, {pending : 0, oldestAge : null, errors : 0});
+            return handler.pushToQueue(helper.record('first'));
+        }).then(() => helper.delay(20)).then(() => handler.pushToQueue(helper.record('first'))).then(() => handler.getStats('logs')).then((result) => {
+            assert.strictEqual(result.stores.redis.pending, 2);
+            assert.ok(result.stores.redis.oldestAge >= 20);
+        });
+    });
+
+    it('rejects the identifiers which are not registered', () => {
+        let handler = helper.createHandler(helper.redisConfig());
+        return Promise.all([helper.rejection(handler.getStats(' ')), helper.rejection(handler.getStats('events'))]).then((errors) => {
+            assert.deepStrictEqual(errors.map((err) => err.code), ['VALIDATION', 'UNREGISTERED_IDENTIFIER']);
+        });
+    });
+
+    it('serves the metrics in the Prometheus text format', () => {
+        let handler = helper.createHandler(helper.redisConfig());
+        return handler.pushToQueue(helper.record('first')).then(() => request(handler, '/metrics')).then((response) => {
+            assert.strictEqual(response.statusCode, 200);
+            assert.strictEqual(response.contentType, 'text/plain; version=0.0.4');
+            let lines = response.body.split('\n');
+            assert.ok(lines.indexOf('# TYPE queue_service_operations_total counter') !== -1);
+            assert.ok(lines.indexOf('queue_service_operations_total{identifier="logs",operation="push"} 1') !== -1);
+            assert.ok(lines.indexOf('queue_service_pending_records{identifier="logs",store="redis"} 1') !== -1);
+            assert.ok(lines.indexOf('queue_service_errors_total{identifier="logs",store="redis"} 0') !== -1);
+            assert.ok(lines.some((line) => /^queue_service_oldest_record_age_seconds\{identifier="logs",store="redis"\} [\d.]+$/.test(line)));
+            assert.ok(lines.some((line) => /^queue_service_connection_up\{store="redis",host="memory-\d+",port="6379"\} 1$/.test(line)));
+        });
+    });
+
+    it('serves the health of the connections', () => {
+        let handler = helper.createHandler(helper.redisConfig());
+        return handler.ready().then(() => request(handler, '/health')).then((response) => {
+            assert.strictEqual(response.statusCode, 200);
+            let health = JSON.parse(response.body);
+            assert.strictEqual(health.healthy, true);
+            assert.strictEqual(health.stores.redis[0].status, 'connected');
+            return handler.close();
+        }).then(() => request(handler, '/health')).then((response) => {
+            assert.strictEqual(response.statusCode, 503);
+            assert.strictEqual(JSON.parse(response.body).healthy, false);
+            return request(handler, '/unknown');
+        }).then((response) => {
+            assert.strictEqual(response.statusCode, 404);
+        });
+    });
+});
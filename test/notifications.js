@@ -0,0 +1,101 @@
+/* jshint node: true */
+/* jshint esnext: true */
+/* jshint mocha: true */
+'use strict';
+
+const assert = require('assert');
+const helper = require('./support/helper');
+const memoryRedis = require('../memory_redis');
+const QueueError = require('../QueueError');
+
+describe('Notifications', () => {
+    afterEach(() => helper.cleanUp());
+
+    it('notifies the subscribers of the pushed records', () => {
+        let handler = helper.createHandler(helper.redisConfig());
+        let notified = new Promise((resolve) => {
+            handler.subscribe('logs', resolve);
+        });
+        return handler.ready().then(() => helper.delay(10)).then(() => handler.pushToQueue(helper.record('first'))).then(() => notified).then((notification) => {
+            assert.deepStrictEqual(notification, {identifier : 'logs', key : 'first', targetType : ['audit']});
+        });
+    });
+
+    it('notifies only the listeners of the pushed target types', () => {
+        let config = helper.redisConfig();
+        let publisher = helper.createHandler(config);
+        let listener = helper.createHandler(helper.redisConfig({queueConnector : config.redis.queueConnector, serviceName : 'billing-service', targetTypes : ['billing']}));
+        let notifications = [];
+        return listener.subscribe('logs', (notification) => notifications.push(notification)).then(() => {
+            return publisher.pushToQueue(helper.record('first'));
+        }).then(() => publisher.pushToQueue(helper.record('second', {targetType : ['billing']}))).then(() => helper.delay(20)).then(() => {
+            assert.deepStrictEqual(notifications.map((notification) => notification.key), ['second']);
+        });
+    });
+
+    it('stops notifying once unsubscribed', () => {
+        let handler = helper.createHandler(helper.redisConfig());
+        let notifications = [];
+        let listener = (notification) => notifications.push(notification);
+        return handler.subscribe('logs', listener).then(() => handler.unsubscribe('logs', listener)).then(() => {
+            return handler.pushToQueue(helper.record('first'));
+        }).then(() => helper.delay(20)).then(() => {
+            assert.deepStrictEqual(notifications, []);
+        });
+    });
+
+    it('notifies the subscribers through an authenticated connection of a password protected store', () => {
+        let config = helper.redisConfig();
+        let connector = Object.assign(config.redis.queueConnector[0], {password : 'secret'});
+        memoryRedis.requirePassword(connector.host, connector.port, 'secret');
+        let handler = helper.createHandler(config);
+        let notified = new Promise((resolve) => handler.subscribe('logs', resolve));
+        return handler.ready().then(() => helper.delay(10)).then(() => handler.pushToQueue(helper.record('first'))).then(() => notified).then((notification) => {
+            assert.strictEqual(notification.key, 'first');
+        });
+    });
+
+    it('reports the malformed messages published on the channel instead of handing them over', () => {
+        let config = helper.redisConfig();
+        let connector = config.redis.queueConnector[0];
+        let handler = helper.createHandler(config);
+        let notifications = [];
+        let errors = [];
+        handler.on('error', (err) => errors.push(err));
+        let publisher = memoryRedis.createClient(connector.port, connector.host);
+        return handler.subscribe('logs', (notification) => notifications.push(notification.key)).then(() => {
+            publisher.publish('logs:notifications', 'not json');
+            publisher.publish('logs:notifications', 'null');
+            return handler.pushToQueue(helper.record('first'));
+        }).then(() => helper.delay(20)).then(() => {
+            publisher.quit();
+            assert.deepStrictEqual(notifications, ['first']);
+            assert.strictEqual(errors.length, 2);
+            assert.ok(errors[0] instanceof QueueError.InvalidRecordError);
+            assert.deepStrictEqual([errors[0].identifier, errors[0].store], ['logs', 'redis']);
+        });
+    });
+
+    it('emits the errors thrown by the listeners', () => {
+        let handler = helper.createHandler(helper.redisConfig());
+        let emitted = new Promise((resolve) => handler.on('error', resolve));
+        return handler.subscribe('logs', () => {
+            throw new Error('Listener failed');
+        }).then(() => handler.pushToQueue(helper.record('first'))).then(() => emitted).then((err) => {
+            assert.strictEqual(err.message, 'Listener failed');
+        });
+    });
+
+    it('rejects the invalid subscriptions', () => {
+        let handler = helper.createHandler(helper.redisConfig());
+        return Promise.all([
+            helper.rejection(handler.subscribe(' ', () => null)),
+            helper.rejection(handler.subscribe('logs'))
+        ]).then((errors) => {
+            errors.forEach((err) => assert.strictEqual(err.code, 'VALIDATION'));
+            return helper.rejection(handler.subscribe('metrics', () => null));
+        }).then((err) => {
+            assert.strictEqual(err.code, 'UNREGISTERED_IDENTIFIER');
+        });
+    });
+});
@@ -0,0 +1,123 @@
+/* jshint node: true */
+/* jshint esnext: true */
+/* jshint mocha: true */
+'use strict';
+
+const assert = require('assert');
+const helper = require('./support/helper');
+
+describe('Pagination', () => {
+    let handler;
+
+    beforeEach(() => {
+        handler = helper.createHandler(helper.redisConfig({identifierSet : ['logs', {name : 'events', ordered : true}], targetTypes : ['audit', 'billing']}));
+        return handler.ready();
+    });
+
+    afterEach(() => helper.cleanUp());
+
+    /**
+    * Returns the records of the keys to be pushed to the identifier.
+    **/
+    function records(identifier, count) {
+        let batch = [];
+        for(let i = 0; i < count; i++) {
+            batch.push(Object.assign(helper.record(`key-${i}`), {identifier : identifier}));
+        }
+        return batch;
+    }
+
+    /**
+    * Reads all the pages of the queue and returns the promise of the pages, each page holding either the keys or the records read.
+    **/
+    function readPages(read, queueData, pages) {
+        pages = pages || [];
+        return handler[read](queueData).then((result) => {
+            pages.push({items : result.keys || result.records, nextCursor : result.nextCursor});
+            if(result.nextCursor === null) {
+                return pages;
+            }
+            return readPages(read, Object.assign({}, queueData, {cursor : result.nextCursor}), pages);
+        });
+    }
+
+    it('reads the keys of the identifier by pages', () => {
+        return handler.pushManyToQueue(records('logs', 25)).then(() => readPages('readKeysFromQueue', {identifier : 'logs', count : 10})).then((pages) => {
+            let keys = [].concat.apply([], pages.map((page) => page.items));
+            assert.ok(pages.length >= 3);
+            assert.deepStrictEqual(keys.sort(), records('logs', 25).map((record) => record.key).sort());
+        });
+    });
+
+    it('returns each key once across the target queues and skips the expired records', () => {
+        return handler.pushToQueue(helper.record('both', {targetType : ['audit', 'billing']})).then(() => {
+            return handler.pushToQueue(helper.record('billing', {targetType : ['billing']}));
+        }).then(() => handler.pushToQueue(Object.assign(helper.record('expired'), {ttl : 10}))).then(() => helper.delay(30)).then(() => {
+            return readPages('readKeysAndValuesFromQueue', {identifier : 'logs', count : 1});
+        }).then((pages) => {
+            let items = [].concat.apply([], pages.map((page) => page.items));
+            assert.deepStrictEqual(items.map((item) => item.key).sort(), ['billing', 'both']);
+            assert.deepStrictEqual(Object.keys(items[0]).sort(), ['identifier', 'key', 'producer', 'pushedAt', 'store', 'value', 'version']);
+            assert.strictEqual(items[0].store, 'redis');
+            assert.strictEqual(items[0].producer, 'test-service');
+            assert.strictEqual(typeof items[0].pushedAt, 'number');
+        });
+    });
+
+    it('reads the records of an ordered identifier by pages in order', () => {
+        let batch = records('events', 7).concat([Object.assign(helper.record('key-0', {message : 'again'}), {identifier : 'events'})]);
+        return handler.pushManyToQueue(batch).then(() => readPages('readKeysAndValuesFromQueue', {identifier : 'events', count : 3})).then((pages) => {
+            assert.deepStrictEqual(pages.map((page) => page.items.length), [3, 3, 2]);
+            let items = [].concat.apply([], pages.map((page) => page.items));
+            assert.deepStrictEqual(items.map((item) => item.key), batch.map((record) => record.key));
+            assert.strictEqual(items[7].value.message, 'again');
+        });
+    });
+
+    it('returns an empty page of the store for an empty identifier', () => {
+        return handler.readKeysFromQueue({identifier : 'logs', count : 10}).then((result) => {
+            assert.deepStrictEqual(result, {keys : [], nextCursor : null});
+        });
+    });
+
+    it('iterates through all the records of the identifier', () => {
+        return handler.pushManyToQueue(records('events', 12)).then(() => {
+            let iterator = handler.iterateQueue({identifier : 'events', count : 5})[Symbol.asyncIterator]();
+            let keys = [];
+            /**
+            * Collects the records until the iterator is done.
+            **/
+            function collect() {
+                return iterator.next().then((next) => {
+                    if(next.done) {
+                        return keys;
+                    }
+                    keys.push(next.value.key);
+                    return collect();
+                });
+            }
+            return collect();
+        }).then((keys) => {
+            assert.deepStrictEqual(keys, records('events', 12).map((record) => record.key));
+        });
+    });
+
+    it('rejects the invalid pages', () => {
+        let config = Object.assign(helper.redisConfig(), {file : {path : helper.filePath(), serviceName : 'test-service', identifierSet : ['logs']}});
+        let multiStore = helper.createHandler(config);
+        return Promise.all([
+            helper.rejection(handler.readKeysFromQueue({identifier : 'logs', count : 0})),
+            helper.rejection(handler.readKeysFromQueue({identifier : 'logs', count : 1.5})),
+            helper.rejection(handler.readKeysFromQueue({identifier : 'logs', cursor : ' '})),
+            helper.rejection(handler.readKeysFromQueue({identifier : 'logs', cursor : 'unknown'})),
+            helper.rejection(handler.readKeysAndValuesFromQueue({identifier : 'events', cursor : '1:0'})),
+            helper.rejection(multiStore.readKeysFromQueue({identifier : 'logs', count : 10})),
+            helper.rejection(handler.iterateQueue({})[Symbol.asyncIterator]().next())
+        ]).then((errors) => {
+            errors.forEach((err) => assert.strictEqual(err.code, 'VALIDATION'));
+            return multiStore.readKeysFromQueue({identifier : 'logs', store : ['file'], count : 10});
+        }).then((result) => {
+            assert.deepStrictEqual(result, {keys : [], nextCursor : null});
+        });
+    });
+});
@@ -0,0 +1,114 @@
+/* jshint node: true */
+/* jshint esnext: true */
+/* jshint mocha: true */
+'use strict';
+
+const assert = require('assert');
+const helper = require('./support/helper');
+const QueueHandler = require('../index');
+
+describe('Priority', function () {
+    /**
+    * The consumers block on the default priority for up to a second between their claims.
+    **/
+    this.timeout(5000);
+
+    afterEach(() => helper.cleanUp());
+
+    /**
+    * Returns the record of the key pushed with the priority.
+    **/
+    function prioritized(key, priority) {
+        return Object.assign(helper.record(key), {priority : priority});
+    }
+
+    it('reads the records from the highest priority to the lowest, in the order they were pushed within a priority', () => {
+        let handler = helper.createHandler(helper.redisConfig());
+        return handler.pushToQueue(helper.record('first'))
+            .then(() => handler.pushToQueue(prioritized('second', 5)))
+            .then(() => handler.pushToQueue(prioritized('third', 1)))
+            .then(() => handler.pushToQueue(prioritized('fourth', 5)))
+            .then(() => handler.readKeysAndValuesFromQueue({identifier : 'logs'}))
+            .then((result) => {
+                assert.deepStrictEqual(result.records.map((record) => record.key), ['second', 'fourth', 'third', 'first']);
+            });
+    });
+
+    it('hands over the records of the highest priority to the consumers first', () => {
+        let handler = helper.createHandler(helper.redisConfig());
+        let consumed = [];
+        return handler.pushToQueue(helper.record('first'))
+            .then(() => handler.pushToQueue(prioritized('second', 9)))
+            .then(() => handler.pushToQueue(prioritized('third', 3)))
+            .then(() => new Promise((resolve) => {
+                handler.consume({identifier : 'logs'}, (record, ack) => {
+                    consumed.push(record.key);
+                    ack();
+                    if(consumed.length === 3) {
+                        resolve();
+                    }
+                });
+            }))
+            .then(() => {
+                assert.deepStrictEqual(consumed, ['second', 'third', 'first']);
+            });
+    });
+
+    it('takes the records waiting longer than the maximum wait ahead of the priorities', () => {
+        let handler = helper.createHandler(helper.redisConfig({identifierSet : [{name : 'logs', maxWait : 30}]}));
+        return handler.pushToQueue(helper.record('first'))
+            .then(() => helper.delay(40))
+            .then(() => handler.pushToQueue(prioritized('second', 9)))
+            .then(() => handler.readKeysAndValuesFromQueue({identifier : 'logs'}))
+            .then((result) => {
+                assert.deepStrictEqual(result.records.map((record) => record.key), ['first', 'second']);
+                return new Promise((resolve) => {
+                    handler.consume({identifier : 'logs'}, (record, ack) => {
+                        ack();
+                        resolve(record.key);
+                    });
+                });
+            })
+            .then((key) => {
+                assert.strictEqual(key, 'first');
+            });
+    });
+
+    it('counts the pending records of every priority and keeps the priority of a deleted and pushed again key', () => {
+        let handler = helper.createHandler(helper.redisConfig());
+        return handler.pushManyToQueue([helper.record('first'), prioritized('second', 2), prioritized('third', 7)])
+            .then(() => handler.getStats('logs'))
+            .then((result) => {
+                assert.strictEqual(result.stores.redis.pending, 3);
+                return handler.deleteKeyFromQueue({identifier : 'logs', key : 'third'});
+            })
+            .then(() => handler.pushToQueue(prioritized('second', 0)))
+            .then(() => handler.getStats('logs'))
+            .then((result) => {
+                assert.strictEqual(result.stores.redis.pending, 2);
+                return handler.readKeysAndValuesFromQueue({identifier : 'logs'});
+            })
+            .then((result) => {
+                assert.deepStrictEqual(result.records.map((record) => record.key), ['first', 'second']);
+            });
+    });
+
+    it('rejects the invalid priorities and the priorities of the ordered identifiers', () => {
+        let handler = helper.createHandler(helper.redisConfig({identifierSet : ['logs', {name : 'events', ordered : true}]}));
+        return Promise.all([
+            helper.rejection(handler.pushToQueue(prioritized('first', -1))),
+            helper.rejection(handler.pushToQueue(prioritized('first', 10))),
+            helper.rejection(handler.pushToQueue(prioritized('first', 1.5))),
+            helper.rejection(handler.pushToQueue(prioritized('first', '1'))),
+            helper.rejection(handler.pushToQueue(Object.assign(prioritized('first', 1), {identifier : 'events'})))
+        ]).then((errors) => {
+            assert.deepStrictEqual(errors.map((err) => err.code), ['VALIDATION', 'VALIDATION', 'VALIDATION', 'VALIDATION', 'VALIDATION']);
+            assert.strictEqual(errors[4].message, `'Priority' is not supported by the ordered identifiers`);
+        });
+    });
+
+    it('rejects the invalid maximum waits', () => {
+        assert.throws(() => new QueueHandler(helper.redisConfig({identifierSet : [{name : 'logs', maxWait : 0}]})), /'Max wait' option of the 'logs' identifier must have a positive number/);
+        assert.throws(() => new QueueHandler(helper.redisConfig({identifierSet : [{name : 'logs', ordered : true, maxWait : 10}]})), /'Max wait' option of the 'logs' identifier is not supported by the ordered identifiers/);
+    });
+});
@@ -0,0 +1,402 @@
+/* jshint node: true */
+/* jshint esnext: true */
+/* jshint mocha: true */
+'use strict';
+
+const assert = require('assert');
+const QueueHandler = require('../index');
+const QueueError = require('../QueueError');
+const helper = require('./support/helper');
+
+describe('QueueHandler', () => {
+    afterEach(() => helper.cleanUp());
+
+    describe('constructor', () => {
+        it('rejects a missing or empty config', () => {
+            assert.throws(() => new QueueHandler(), /'Connection config' is either missing/);
+            assert.throws(() => new QueueHandler([]), /'Connection config' is either missing/);
+            assert.throws(() => new QueueHandler({}), /'Connection config' is either missing/);
+            assert.throws(() => new QueueHandler(), (err) => err instanceof QueueError.ValidationError && err.code === 'VALIDATION');
+        });
+
+        it('rejects a config without any valid store', () => {
+            assert.throws(() => new QueueHandler({mongo : {serviceName : 'test-service'}}), /Minimum one valid queue store is required/);
+        });
+
+        it('rejects the missing mandatory settings', () => {
+            assert.throws(() => new QueueHandler({redis : {queueConnector : helper.memoryConnectors(), identifierSet : ['logs']}}), /'serviceName' required is missing/);
+            assert.throws(() => new QueueHandler({redis : {queueConnector : [{host : 'memory'}], serviceName : 'test-service', identifierSet : ['logs']}}), /'port' required is missing/);
+        });
+
+        it('rejects the settings of the wrong type', () => {
+            assert.throws(() => new QueueHandler(helper.redisConfig({consistency : 'some'})), /'Consistency' must be either/);
+            assert.throws(() => new QueueHandler(helper.redisConfig({queueConnector : [{host : 'memory', port : 6379, inMemory : 'yes'}]})), /'inMemory' value expected is 'Boolean'/);
+            assert.throws(() => new QueueHandler({file : {path : helper.filePath(), serviceName : 'test-service', identifierSet : ['logs'], compactThreshold : 1.5}}), /'Compact threshold' must have a positive integer/);
+        });
+
+        it('rejects the invalid identifier options', () => {
+            assert.throws(() => new QueueHandler(helper.redisConfig({identifierSet : [{ordered : true}]})), /'Identifier' name is either missing/);
+            assert.throws(() => new QueueHandler(helper.redisConfig({identifierSet : [{name : 'logs', ordered : 'yes'}]})), /'Ordered' option of the 'logs' identifier must be a boolean/);
+            assert.throws(() => new QueueHandler(helper.redisConfig({identifierSet : [{name : 'logs', duplicateKey : 'replace'}]})), /'Duplicate key' option/);
+            assert.throws(() => new QueueHandler(helper.redisConfig({identifierSet : [{name : 'logs', ttl : -1}]})), /'Ttl' option/);
+            assert.throws(() => new QueueHandler(helper.redisConfig({identifierSet : [{name : 'logs', maxAttempts : 0}]})), /'Max attempts' option/);
+        });
+    });
+
+    describe('ready', () => {
+        it('resolves with the handler once the service is registered', () => {
+            let handler = helper.createHandler(helper.redisConfig());
+            return handler.ready().then((readyHandler) => {
+                assert.strictEqual(readyHandler, handler);
+            });
+        });
+
+        it('calls back and emits the ready event', (done) => {
+            let handler = helper.createHandler(helper.redisConfig());
+            let emitted = false;
+            handler.once('ready', () => {
+                emitted = true;
+            });
+            handler.ready((err, readyHandler) => {
+                assert.strictEqual(err, null);
+                assert.strictEqual(readyHandler, handler);
+                assert.ok(emitted);
+                done();
+            });
+        });
+
+        it('runs the operations called before the registration once ready', () => {
+            let handler = helper.createHandler(helper.redisConfig());
+            return handler.pushToQueue(helper.record('first')).then(() => handler.ready()).then(() => {
+                return handler.readKeysFromQueue({identifier : 'logs'});
+            }).then((result) => {
+                assert.deepStrictEqual(result, {keys : ['first'], nextCursor : null});
+            });
+        });
+
+        it('throws if the callback is not a function', () => {
+            let handler = helper.createHandler(helper.redisConfig());
+            assert.throws(() => handler.ready('callback'), /Callback must be a function/);
+        });
+    });
+
+    describe('close', () => {
+        it('fails the operations called afterwards', () => {
+            let handler = helper.createHandler(helper.redisConfig());
+            return handler.ready().then(() => handler.close()).then(() => {
+                return helper.rejection(handler.readKeysFromQueue({identifier : 'logs'}));
+            }).then((err) => {
+                assert.ok(err instanceof QueueError);
+                assert.strictEqual(err.code, 'CLOSED');
+            });
+        });
+
+        it('fails the operations waiting for the registration', () => {
+            let handler = helper.createHandler(helper.redisConfig());
+            let waiting = helper.rejection(handler.readKeysFromQueue({identifier : 'logs'}));
+            return handler.close().then(() => waiting).then((err) => {
+                assert.strictEqual(err.code, 'CLOSED');
+            });
+        });
+    });
+
+    describe('connection status', () => {
+        it('reports the status of every connection', () => {
+            let handler = helper.createHandler(helper.redisConfig({}, 2));
+            return handler.ready().then(() => {
+                let status = handler.connectionStatus();
+                assert.strictEqual(status.redis.length, 2);
+                status.redis.forEach((connection) => assert.strictEqual(connection.status, 'connected'));
+                assert.deepStrictEqual(status.redis.map((connection) => connection.port).sort(), [6379, 6380]);
+            });
+        });
+
+        it('emits the disconnect and connect events of the connections', (done) => {
+            let memoryRedis = require('../memory_redis');
+            let config = helper.redisConfig();
+            let connector = config.redis.queueConnector[0];
+            let handler = helper.createHandler(config);
+            let onDisconnect = (status) => {
+                assert.deepStrictEqual(status, {store : 'redis', host : connector.host, port : connector.port, status : 'disconnected'});
+                assert.strictEqual(handler.connectionStatus().redis[0].status, 'disconnected');
+                handler.once('connect', (connected) => {
+                    assert.strictEqual(connected.status, 'connected');
+                    done();
+                });
+                memoryRedis.startServer(connector.host, connector.port);
+            };
+            handler.on('disconnect', onDisconnect);
+            handler.ready().then(() => {
+                memoryRedis.stopServer(connector.host, connector.port);
+                handler.removeListener('disconnect', onDisconnect);
+            });
+        });
+    });
+
+    describe('pushToQueue', () => {
+        let handler;
+
+        beforeEach(() => {
+            handler = helper.createHandler(helper.redisConfig({identifierSet : ['logs', 'events']}));
+            return handler.ready();
+        });
+
+        it('stores the record and reports the nodes which stored it', () => {
+            return handler.pushToQueue(helper.record('first')).then((result) => {
+                let node = handler.connectionStatus().redis[0];
+                assert.deepStrictEqual(result, {redis : {succeeded : [`${node.host}:${node.port}`], failed : []}});
+            });
+        });
+
+        it('calls back with the result', (done) => {
+            handler.pushToQueue(helper.record('first'), (err, result) => {
+                assert.strictEqual(err, null);
+                assert.strictEqual(result.redis.succeeded.length, 1);
+                done();
+            });
+        });
+
+        it('rejects the invalid records', () => {
+            let invalid = [
+                [undefined, /'Queue data' is either missing/],
+                [{key : 'first', value : {targetType : ['audit']}}, /'Identifier' is either missing/],
+                [{identifier : 'logs', value : {targetType : ['audit']}}, /'Key' is either missing/],
+                [{identifier : 'logs', key : 'first'}, /'Value' is either missing/],
+                [{identifier : 'logs', key : 'first', value : {message : 'text'}}, /'Target type' is either missing/],
+                [{identifier : 'logs', key : 'first', value : {targetType : [' ']}}, /'Target type' is either missing/],
+                [Object.assign(helper.record('first'), {store : []}), /'Store' value is either blank/],
+                [Object.assign(helper.record('first'), {ttl : 0}), /'Ttl' must have a positive number/]
+            ];
+            return Promise.all(invalid.map((entry) => helper.rejection(handler.pushToQueue(entry[0])).then((err) => {
+                assert.strictEqual(err.code, 'VALIDATION');
+                assert.ok(entry[1].test(err.message), err.message);
+            })));
+        });
+
+        it('calls back with the error along with its code and context', (done) => {
+            handler.pushToQueue({identifier : 'logs', key : 'first'}, (err, result) => {
+                assert.ok(err instanceof QueueError.ValidationError);
+                assert.strictEqual(err.message, `'Value' is either missing or not in the specified format`);
+                assert.strictEqual(err.code, 'VALIDATION');
+                assert.strictEqual(err.identifier, 'logs');
+                assert.strictEqual(err.key, 'first');
+                assert.strictEqual(result, null);
+                done();
+            });
+        });
+
+        it('rejects the identifiers the service is not registered for', () => {
+            return helper.rejection(handler.pushToQueue(Object.assign(helper.record('first'), {identifier : 'metrics'}))).then((err) => {
+                assert.ok(err instanceof QueueError.UnregisteredIdentifierError);
+                assert.ok(err instanceof QueueError);
+                assert.strictEqual(err.name, 'UnregisteredIdentifierError');
+                assert.strictEqual(err.code, 'UNREGISTERED_IDENTIFIER');
+                assert.strictEqual(err.message, `This service is not registered with redis store for the 'metrics' identifier`);
+                assert.deepStrictEqual([err.identifier, err.key, err.store], ['metrics', 'first', 'redis']);
+            });
+        });
+
+        it('skips the stores which are not requested', () => {
+            return handler.pushToQueue(Object.assign(helper.record('first'), {store : ['file']})).then((result) => {
+                assert.deepStrictEqual(result, {});
+                return handler.readKeysFromQueue({identifier : 'logs'});
+            }).then((result) => {
+                assert.deepStrictEqual(result, {keys : [], nextCursor : null});
+            });
+        });
+    });
+
+    describe('reading records', () => {
+        let handler;
+
+        beforeEach(() => {
+            handler = helper.createHandler(helper.redisConfig());
+            return handler.pushToQueue(helper.record('first')).then(() => handler.pushToQueue(helper.record('second', {targetType : ['billing']})));
+        });
+
+        it('reads the value of the key', () => {
+            return handler.readFromQueue({identifier : 'logs', key : 'first'}).then((result) => {
+                assert.deepStrictEqual(result.record.value, {targetType : ['audit'], message : 'message of first'});
+                assert.deepStrictEqual([result.record.identifier, result.record.key, result.record.store, result.record.producer], ['logs', 'first', 'redis', 'test-service']);
+                assert.ok(result.record.pushedAt <= Date.now());
+                assert.deepStrictEqual(result.conflicts, []);
+            });
+        });
+
+        it('reads nothing for an unknown key', () => {
+            return handler.readFromQueue({identifier : 'logs', key : 'third'}).then((result) => {
+                assert.deepStrictEqual(result, {record : null, conflicts : []});
+            });
+        });
+
+        it('reads the keys of the identifier', () => {
+            return handler.readKeysFromQueue({identifier : 'logs'}).then((result) => {
+                assert.deepStrictEqual(result.keys.sort(), ['first', 'second']);
+            });
+        });
+
+        it('reads the keys along with their values', () => {
+            return handler.readKeysAndValuesFromQueue({identifier : 'logs'}).then((result) => {
+                let records = result.records.sort((a, b) => a.key.localeCompare(b.key));
+                assert.deepStrictEqual(records.map((record) => record.key), ['first', 'second']);
+                assert.strictEqual(records[0].store, 'redis');
+                assert.deepStrictEqual(records[1].value.targetType, ['billing']);
+                assert.deepStrictEqual([result.conflicts, result.nextCursor], [[], null]);
+            });
+        });
+
+        it('reads only the copies of the requested target types', () => {
+            let listener = helper.createHandler(helper.redisConfig({
+                queueConnector : handler.connectionStatus().redis.map((status) => ({host : status.host, port : status.port, inMemory : true})),
+                serviceName : 'audit-service',
+                targetTypes : ['audit', 'billing']
+            }));
+            return listener.readKeysFromQueue({identifier : 'logs'}).then((result) => {
+                assert.deepStrictEqual(result.keys.sort(), ['first', 'second']);
+                return listener.readKeysFromQueue({identifier : 'logs', targetType : ['billing']});
+            }).then((result) => {
+                assert.deepStrictEqual(result.keys, ['second']);
+                return listener.readFromQueue({identifier : 'logs', key : 'first', targetType : ['billing']});
+            }).then((result) => {
+                assert.strictEqual(result.record, null);
+                return helper.rejection(listener.readFromQueue({identifier : 'logs', key : 'first', targetType : ['shipping']}));
+            }).then((err) => {
+                assert.strictEqual(err.code, 'UNREGISTERED_TARGET_TYPE');
+                assert.strictEqual(err.message, `This service is not registered with redis store for the 'shipping' target type`);
+            });
+        });
+
+        it('rejects the invalid reads', () => {
+            return Promise.all([
+                helper.rejection(handler.readFromQueue({identifier : 'logs'})),
+                helper.rejection(handler.readKeysFromQueue({})),
+                helper.rejection(handler.readKeysAndValuesFromQueue({identifier : 'logs', targetType : 'audit'}))
+            ]).then((errors) => {
+                errors.forEach((err) => assert.strictEqual(err.code, 'VALIDATION'));
+                return Promise.all([
+                    helper.rejection(handler.readFromQueue({identifier : 'metrics', key : 'first'})),
+                    helper.rejection(handler.readKeysFromQueue({identifier : 'metrics'})),
+                    helper.rejection(handler.readKeysAndValuesFromQueue({identifier : 'metrics'}))
+                ]);
+            }).then((errors) => {
+                errors.forEach((err) => assert.strictEqual(err.code, 'UNREGISTERED_IDENTIFIER'));
+            });
+        });
+    });
+
+    describe('deleteKeyFromQueue', () => {
+        let handler;
+
+        beforeEach(() => {
+            handler = helper.createHandler(helper.redisConfig());
+            return handler.pushToQueue(helper.record('first'));
+        });
+
+        it('deletes the record of the key', () => {
+            return handler.deleteKeyFromQueue({identifier : 'logs', key : 'first'}).then((result) => {
+                assert.deepStrictEqual(result, {deleted : 1, stores : {redis : 1}});
+                return handler.readFromQueue({identifier : 'logs', key : 'first'});
+            }).then((result) => {
+                assert.strictEqual(result.record, null);
+                return handler.deleteKeyFromQueue({identifier : 'logs', key : 'first'});
+            }).then((result) => {
+                assert.deepStrictEqual(result, {deleted : 0, stores : {redis : 0}});
+            });
+        });
+
+        it('rejects the invalid deletes', () => {
+            return helper.rejection(handler.deleteKeyFromQueue({identifier : 'logs'})).then((err) => {
+                assert.strictEqual(err.code, 'VALIDATION');
+                return helper.rejection(handler.deleteKeyFromQueue({identifier : 'metrics', key : 'first'}));
+            }).then((err) => {
+                assert.strictEqual(err.code, 'UNREGISTERED_IDENTIFIER');
+            });
+        });
+    });
+
+    describe('ordered identifiers', () => {
+        it('keeps the records in the order they were pushed, including the duplicate keys', () => {
+            let handler = helper.createHandler(helper.redisConfig({identifierSet : [{name : 'logs', ordered : true}]}));
+            return handler.pushToQueue(helper.record('second')).then(() => handler.pushToQueue(helper.record('first'))).then(() => {
+                return handler.pushToQueue(helper.record('second', {message : 'again'}));
+            }).then(() => handler.readKeysAndValuesFromQueue({identifier : 'logs'})).then((result) => {
+                assert.deepStrictEqual(result.records.map((record) => record.key), ['second', 'first', 'second']);
+                assert.strictEqual(result.records[2].value.message, 'again');
+                return handler.readFromQueue({identifier : 'logs', key : 'second'});
+            }).then((result) => {
+                assert.strictEqual(result.record.value.message, 'message of second');
+                return handler.deleteKeyFromQueue({identifier : 'logs', key : 'second'});
+            }).then((result) => {
+                assert.deepStrictEqual(result, {deleted : 2, stores : {redis : 2}});
+            });
+        });
+
+        it('rejects the duplicate keys if configured to', () => {
+            let handler = helper.createHandler(helper.redisConfig({identifierSet : [{name : 'logs', ordered : true, duplicateKey : 'reject'}]}));
+            return handler.pushToQueue(helper.record('first')).then(() => helper.rejection(handler.pushToQueue(helper.record('first')))).then((err) => {
+                assert.strictEqual(err.code, 'DUPLICATE_KEY');
+            });
+        });
+
+        it('lets a single one of the pushes racing with the same key through and takes the key back once deleted or expired', () => {
+            let handler = helper.createHandler(helper.redisConfig({identifierSet : [{name : 'logs', ordered : true, duplicateKey : 'reject'}]}));
+            let push = (key, ttl) => handler.pushToQueue(Object.assign(helper.record(key), {ttl : ttl})).then(() => null, (err) => err);
+            return Promise.all([push('first'), push('first'), push('first')]).then((errors) => {
+                assert.deepStrictEqual(errors.filter((err) => err).map((err) => err.code), ['DUPLICATE_KEY', 'DUPLICATE_KEY']);
+                return handler.deleteKeyFromQueue({identifier : 'logs', key : 'first'});
+            }).then(() => push('first')).then((err) => {
+                assert.strictEqual(err, null);
+                return push('second', 20);
+            }).then(() => helper.delay(40)).then(() => Promise.all([push('second'), push('second')])).then((errors) => {
+                assert.deepStrictEqual(errors.filter((err) => err).map((err) => err.code), ['DUPLICATE_KEY']);
+                return handler.readKeysAndValuesFromQueue({identifier : 'logs'});
+            }).then((result) => {
+                assert.deepStrictEqual(result.records.map((record) => record.key), ['first', 'second']);
+                return handler.readExpiredCountFromQueue({identifier : 'logs'});
+            }).then((result) => {
+                assert.strictEqual(result.redis, 1);
+            });
+        });
+    });
+
+    describe('store errors', () => {
+        it('rejects with the store unavailable error once the connection is lost', () => {
+            let memoryRedis = require('../memory_redis');
+            let config = helper.redisConfig();
+            let connector = config.redis.queueConnector[0];
+            let handler = helper.createHandler(config);
+            return handler.ready().then(() => {
+                memoryRedis.stopServer(connector.host, connector.port);
+                return helper.rejection(handler.readKeysFromQueue({identifier : 'logs'}));
+            }).then((err) => {
+                assert.ok(err instanceof QueueError.StoreUnavailableError);
+                assert.strictEqual(err.code, 'STORE_UNAVAILABLE');
+                assert.strictEqual(err.identifier, 'logs');
+                assert.ok(err.cause instanceof Error);
+                return helper.rejection(handler.pushToQueue(helper.record('first')));
+            }).then((err) => {
+                assert.ok(err instanceof QueueError.ReplicationError);
+                assert.strictEqual(err.code, 'REPLICATION_FAILED');
+                assert.deepStrictEqual([err.identifier, err.key], ['logs', 'first']);
+                assert.strictEqual(err.report.failed.length, 1);
+            });
+        });
+
+        it('fails the registration if the store is down', () => {
+            let memoryRedis = require('../memory_redis');
+            let config = helper.redisConfig();
+            let connector = config.redis.queueConnector[0];
+            memoryRedis.stopServer(connector.host, connector.port);
+            let handler = helper.createHandler(config);
+            let errors = [];
+            handler.on('error', (err) => errors.push(err));
+            return helper.rejection(handler.ready()).then((err) => {
+                assert.strictEqual(err.code, 'STORE_UNAVAILABLE');
+                assert.ok(errors.indexOf(err) !== -1);
+                return helper.rejection(handler.readKeysFromQueue({identifier : 'logs'}));
+            }).then((err) => {
+                assert.strictEqual(err.code, 'STORE_UNAVAILABLE');
+            });
+        });
+    });
+});
@@ -0,0 +1,95 @@
+/* jshint node: true */
+/* jshint esnext: true */
+/* jshint mocha: true */
+'use strict';
+
+const assert = require('assert');
+const helper = require('./support/helper');
+
+describe('Read results', () => {
+    afterEach(() => helper.cleanUp());
+
+    /**
+    * Returns the config of a redis store and a file store registering the identifiers.
+    **/
+    function twoStoreConfig(identifierSet) {
+        let config = helper.redisConfig({identifierSet : identifierSet});
+        config.file = {path : helper.filePath(), serviceName : 'test-service', identifierSet : identifierSet};
+        return config;
+    }
+
+    it('merges the copies of the stores into the copy pushed last and reports the copies holding another value', () => {
+        let handler = helper.createHandler(twoStoreConfig(['logs']));
+        return handler.pushToQueue(helper.record('first', {message : 'one'}))
+            .then(() => helper.delay(5))
+            .then(() => handler.pushToQueue(Object.assign(helper.record('first', {message : 'two'}), {store : ['file']})))
+            .then(() => handler.pushToQueue(Object.assign(helper.record('second'), {store : ['redis']})))
+            .then(() => Promise.all([
+                handler.readFromQueue({identifier : 'logs', key : 'first'}),
+                handler.readKeysAndValuesFromQueue({identifier : 'logs'}),
+                handler.readKeysFromQueue({identifier : 'logs'})
+            ]))
+            .then((results) => {
+                assert.deepStrictEqual([results[0].record.store, results[0].record.value.message], ['file', 'two']);
+                assert.deepStrictEqual(results[0].conflicts.map((record) => [record.store, record.value.message]), [['redis', 'one']]);
+                assert.ok(results[0].conflicts[0].pushedAt < results[0].record.pushedAt);
+                assert.deepStrictEqual(results[1].records.map((record) => [record.key, record.store]).sort(), [['first', 'file'], ['second', 'redis']]);
+                assert.deepStrictEqual(results[1].conflicts.map((record) => [record.key, record.store]), [['first', 'redis']]);
+                assert.deepStrictEqual(results[2], {keys : ['first', 'second'], nextCursor : null});
+            });
+    });
+
+    it('merges the keys named after the properties of the objects', () => {
+        let handler = helper.createHandler(twoStoreConfig(['logs']));
+        let keys = ['constructor', 'toString', 'hasOwnProperty'];
+        return handler.pushManyToQueue(keys.map((key) => helper.record(key)))
+            .then(() => Promise.all([handler.readKeysAndValuesFromQueue({identifier : 'logs'}), handler.readKeysFromQueue({identifier : 'logs'})]))
+            .then((results) => {
+                assert.deepStrictEqual(results[0].records.map((record) => record.key).sort(), keys.slice().sort());
+                assert.deepStrictEqual(results[0].conflicts, []);
+                assert.deepStrictEqual(results[1].keys.sort(), keys.slice().sort());
+            });
+    });
+
+    it('returns the copies holding the same value as one record without any conflict', () => {
+        let handler = helper.createHandler(twoStoreConfig(['logs']));
+        return handler.pushToQueue(helper.record('first')).then(() => handler.readFromQueue({identifier : 'logs', key : 'first'})).then((result) => {
+            assert.deepStrictEqual(result.conflicts, []);
+            assert.deepStrictEqual(Object.assign({}, result.record, {pushedAt : null}), {
+                identifier : 'logs',
+                key : 'first',
+                value : {targetType : ['audit'], message : 'message of first'},
+                store : 'redis',
+                pushedAt : null,
+                producer : 'test-service',
+                version : 1
+            });
+            return handler.deleteKeyFromQueue({identifier : 'logs', key : 'first'});
+        }).then((result) => {
+            assert.deepStrictEqual(result, {deleted : 2, stores : {redis : 1, file : 1}});
+        });
+    });
+
+    it('merges the ordered records of the stores in the order they were pushed, each push once', () => {
+        let handler = helper.createHandler(twoStoreConfig([{name : 'logs', ordered : true}]));
+        return handler.pushToQueue(helper.record('first'))
+            .then(() => helper.delay(5))
+            .then(() => handler.pushToQueue(Object.assign(helper.record('second'), {store : ['file']})))
+            .then(() => helper.delay(5))
+            .then(() => handler.pushToQueue(helper.record('third')))
+            .then(() => handler.readKeysAndValuesFromQueue({identifier : 'logs'}))
+            .then((result) => {
+                assert.deepStrictEqual(result.records.map((record) => [record.key, record.store]), [['first', 'redis'], ['second', 'file'], ['third', 'redis']]);
+                assert.deepStrictEqual(result.conflicts, []);
+            });
+    });
+
+    it('records the service which pushed the record', () => {
+        let config = helper.redisConfig();
+        let producer = helper.createHandler(helper.redisConfig({queueConnector : config.redis.queueConnector, serviceName : 'billing-service'}));
+        let reader = helper.createHandler(config);
+        return producer.pushToQueue(helper.record('first')).then(() => reader.readKeysAndValuesFromQueue({identifier : 'logs'})).then((result) => {
+            assert.deepStrictEqual(result.records.map((record) => record.producer), ['billing-service']);
+        });
+    });
+});
@@ -0,0 +1,208 @@
+/* jshint node: true */
+/* jshint esnext: true */
+/* jshint mocha: true */
+'use strict';
+
+const assert = require('assert');
+const memoryRedis = require('../memory_redis');
+const helper = require('./support/helper');
+
+describe('Replication', () => {
+    afterEach(() => helper.cleanUp());
+
+    /**
+    * Creates a handler writing to three in-memory nodes with the consistency.
+    **/
+    function replicatedHandler(consistency) {
+        let config = helper.redisConfig({consistency : consistency}, 3);
+        let handler = helper.createHandler(config);
+        return {handler : handler, nodes : config.redis.queueConnector, address : (node) => `${node.host}:${node.port}`};
+    }
+
+    it('writes the records to every node', () => {
+        let setup = replicatedHandler('all');
+        return setup.handler.pushToQueue(helper.record('first')).then((result) => {
+            assert.deepStrictEqual(result.redis.succeeded.sort(), setup.nodes.map(setup.address).sort());
+            assert.deepStrictEqual(result.redis.failed, []);
+        });
+    });
+
+    it('fails the write which is not acknowledged by all the nodes', () => {
+        let setup = replicatedHandler('all');
+        return setup.handler.ready().then(() => {
+            memoryRedis.stopServer(setup.nodes[1].host, setup.nodes[1].port);
+            return helper.rejection(setup.handler.pushToQueue(helper.record('first')));
+        }).then((err) => {
+            assert.strictEqual(err.code, 'REPLICATION_FAILED');
+            assert.deepStrictEqual(err.report.failed.map((failure) => failure.node), [setup.address(setup.nodes[1])]);
+            assert.strictEqual(err.report.succeeded.length, 2);
+        });
+    });
+
+    it('accepts the write acknowledged by the majority for the quorum consistency', () => {
+        let setup = replicatedHandler('quorum');
+        return setup.handler.ready().then(() => {
+            memoryRedis.stopServer(setup.nodes[0].host, setup.nodes[0].port);
+            return setup.handler.pushToQueue(helper.record('first'));
+        }).then((result) => {
+            assert.strictEqual(result.redis.succeeded.length, 2);
+            assert.strictEqual(result.redis.failed[0].node, setup.address(setup.nodes[0]));
+            memoryRedis.stopServer(setup.nodes[1].host, setup.nodes[1].port);
+            return helper.rejection(setup.handler.pushToQueue(helper.record('second')));
+        }).then((err) => {
+            assert.strictEqual(err.code, 'REPLICATION_FAILED');
+        });
+    });
+
+    it('reads from the other nodes once a node is down', () => {
+        let setup = replicatedHandler('one');
+        let primary = setup.nodes[setup.nodes.length - 1];
+        return setup.handler.pushToQueue(helper.record('first')).then(() => {
+            memoryRedis.stopServer(primary.host, primary.port);
+            return setup.handler.readFromQueue({identifier : 'logs', key : 'first'});
+        }).then((result) => {
+            assert.strictEqual(result.record.value.message, 'message of first');
+        });
+    });
+
+    describe('consume', function () {
+        /**
+        * Stopping a consumer waits for its blocking claim to time out.
+        **/
+        this.timeout(5000);
+
+        /**
+        * Returns a promise of the values of the list on every node.
+        **/
+        function readList(nodes, listkey) {
+            return Promise.all(nodes.map((node) => new Promise((resolve, reject) => {
+                memoryRedis.createClient(node.port, node.host).lrange(listkey, 0, -1, (err, values) => err ? reject(err) : resolve(values));
+            })));
+        }
+
+        it('moves the claimed key to the in-flight list of every node', () => {
+            let setup = replicatedHandler('all');
+            let claimed = new Promise((resolve) => {
+                setup.handler.consume({identifier : 'logs', consumerName : 'worker'}, (record, ack) => resolve(ack));
+            });
+            return setup.handler.pushToQueue(helper.record('first')).then(() => claimed).then((ack) => {
+                return Promise.all([readList(setup.nodes, 'logs:pending'), readList(setup.nodes, 'logs:inflight:worker')]).then((lists) => {
+                    assert.deepStrictEqual(lists, [[[], [], []], [['first'], ['first'], ['first']]]);
+                    ack();
+                });
+            });
+        });
+
+        it('puts the claimed key back and reports the nodes which missed the claim once the consistency is not met', () => {
+            let config = helper.redisConfig({consistency : 'all', identifierSet : [{name : 'logs', ordered : true}]}, 3);
+            let setup = {handler : helper.createHandler(config), nodes : config.redis.queueConnector, address : (node) => `${node.host}:${node.port}`};
+            let node = setup.nodes[0];
+            let failed = new Promise((resolve) => setup.handler.on('error', (err) => {
+                if(err.code === 'REPLICATION_FAILED') {
+                    resolve(err);
+                }
+            }));
+            return setup.handler.pushToQueue(helper.record('first')).then(() => {
+                memoryRedis.stopServer(node.host, node.port);
+                return setup.handler.consume({identifier : 'logs', consumerName : 'worker'}, () => assert.fail('The key is handed over without being claimed'));
+            }).then((consumer) => failed.then((err) => {
+                assert.deepStrictEqual(err.report.failed.map((failure) => failure.node), [setup.address(node)]);
+                assert.strictEqual(err.identifier, 'logs');
+                return consumer.stop();
+            })).then(() => Promise.all([readList(setup.nodes.slice(1), 'logs:pending'), readList(setup.nodes.slice(1), 'logs:inflight:worker')])).then((lists) => {
+                assert.deepStrictEqual(lists, [[['first'], ['first']], [[], []]]);
+            });
+        });
+    });
+
+    describe('repair', () => {
+        it('copies the records missed by a node back to it', () => {
+            let setup = replicatedHandler('one');
+            let node = setup.nodes[0];
+            return setup.handler.ready().then(() => {
+                memoryRedis.stopServer(node.host, node.port);
+                return setup.handler.pushToQueue(helper.record('first'));
+            }).then((result) => {
+                assert.strictEqual(result.redis.failed.length, 1);
+                return new Promise((resolve) => {
+                    setup.handler.once('connect', resolve);
+                    memoryRedis.startServer(node.host, node.port);
+                });
+            }).then(() => setup.handler.repair()).then((result) => {
+                assert.ok(result.redis.repaired > 0);
+                assert.ok(result.redis.queues.indexOf('logs') !== -1);
+                return setup.handler.repair({identifier : 'logs'});
+            }).then((result) => {
+                assert.deepStrictEqual(result, {redis : {repaired : 0, queues : []}});
+            });
+        });
+
+        it('copies the counters and the bookkeeping of the queues missed by a node back to it', () => {
+            let config = helper.redisConfig({consistency : 'one', identifierSet : ['logs', {name : 'events', ordered : true}]}, 3);
+            let handler = helper.createHandler(config);
+            let nodes = config.redis.queueConnector;
+            let dump = (node) => new Promise((resolve, reject) => {
+                let client = memoryRedis.createClient(node.port, node.host);
+                client.keys('*', (err, keys) => {
+                    if(err) {
+                        return reject(err);
+                    }
+                    let dumped = {};
+                    let pending = keys.length;
+                    keys.forEach((key) => client.type(key, (err, type) => {
+                        let read = type === 'hash' ? client.hgetall.bind(client, key) : type === 'list' ? client.lrange.bind(client, key, 0, -1) : client.get.bind(client, key);
+                        read((err, value) => {
+                            dumped[key] = value;
+                            if(--pending === 0) {
+                                resolve(dumped);
+                            }
+                        });
+                    }));
+                });
+            });
+            return handler.ready().then(() => {
+                memoryRedis.stopServer(nodes[0].host, nodes[0].port);
+                return handler.pushToQueue(Object.assign(helper.record('first'), {ttl : 60000, priority : 2}));
+            }).then(() => handler.pushToQueue(Object.assign(helper.record('first'), {identifier : 'events'}))).then(() => {
+                return handler.pushToQueue(Object.assign(helper.record('first'), {identifier : 'events'}));
+            }).then(() => new Promise((resolve) => {
+                handler.once('connect', resolve);
+                memoryRedis.startServer(nodes[0].host, nodes[0].port);
+            })).then(() => handler.repair()).then((result) => {
+                ['logs', 'logs:pending:2', 'logs:expiry', 'logs:pushed', 'events:ordered', 'events:pending', 'events:sequence'].forEach((name) => {
+                    assert.ok(result.redis.queues.indexOf(name) !== -1, name);
+                });
+                return Promise.all([dump(nodes[0]), dump(nodes[1])]);
+            }).then((dumps) => {
+                assert.deepStrictEqual(dumps[0], dumps[1]);
+                assert.deepStrictEqual(dumps[0]['events:pending'], ['first', 'first']);
+                return handler.repair();
+            }).then((result) => {
+                assert.deepStrictEqual(result, {redis : {repaired : 0, queues : []}});
+            });
+        });
+
+        it('calls back with the report', (done) => {
+            let setup = replicatedHandler('all');
+            setup.handler.repair((err, result) => {
+                assert.strictEqual(err, null);
+                assert.deepStrictEqual(result, {redis : {repaired : 0, queues : []}});
+                done();
+            });
+        });
+
+        it('rejects the invalid repair data', () => {
+            let setup = replicatedHandler('all');
+            return Promise.all([
+                helper.rejection(setup.handler.repair('logs')),
+                helper.rejection(setup.handler.repair({identifier : ' '})),
+                helper.rejection(setup.handler.repair({store : 'redis'}))
+            ]).then((errors) => {
+                errors.forEach((err) => assert.strictEqual(err.code, 'VALIDATION'));
+                return helper.rejection(setup.handler.repair({identifier : 'metrics'}));
+            }).then((err) => {
+                assert.strictEqual(err.code, 'UNREGISTERED_IDENTIFIER');
+            });
+        });
+    });
+});
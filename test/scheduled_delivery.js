@@ -0,0 +1,151 @@
+/* jshint node: true */
+/* jshint esnext: true */
+/* jshint mocha: true */
+'use strict';
+
+const assert = require('assert');
+const helper = require('./support/helper');
+
+describe('Scheduled delivery', function () {
+    /**
+    * The consumers wait for the periodic promotion of the due records.
+    **/
+    this.timeout(5000);
+
+    afterEach(() => helper.cleanUp());
+
+    it('holds the delayed record out of the queue until it is due', () => {
+        let handler = helper.createHandler(helper.redisConfig());
+        return handler.pushToQueue(Object.assign(helper.record('first'), {delay : 50})).then(() => {
+            return Promise.all([
+                handler.readFromQueue({identifier : 'logs', key : 'first'}),
+                handler.readKeysFromQueue({identifier : 'logs'}),
+                handler.readKeysAndValuesFromQueue({identifier : 'logs'}),
+                handler.readKeysAndValuesFromQueue({identifier : 'logs', count : 10})
+            ]);
+        }).then((results) => {
+            assert.deepStrictEqual(results, [
+                {record : null, conflicts : []},
+                {keys : [], nextCursor : null},
+                {records : [], conflicts : [], nextCursor : null},
+                {records : [], conflicts : [], nextCursor : null}
+            ]);
+            return handler.readScheduledFromQueue({identifier : 'logs'});
+        }).then((result) => {
+            assert.deepStrictEqual(result.redis.map((record) => [record.identifier, record.key, record.value.message]), [['logs', 'first', 'message of first']]);
+            assert.ok(result.redis[0].deliverAt > Date.now());
+            return helper.delay(60);
+        }).then(() => handler.readFromQueue({identifier : 'logs', key : 'first'})).then((result) => {
+            assert.deepStrictEqual([result.record.value.message, result.record.producer], ['message of first', 'test-service']);
+            return handler.readScheduledFromQueue({identifier : 'logs'});
+        }).then((result) => {
+            assert.deepStrictEqual(result, {});
+        });
+    });
+
+    it('delivers the record at the requested time, right away if the time is past', () => {
+        let handler = helper.createHandler(helper.redisConfig());
+        return Promise.all([
+            handler.pushToQueue(Object.assign(helper.record('past'), {deliverAt : new Date(Date.now() - 1000)})),
+            handler.pushToQueue(Object.assign(helper.record('future'), {deliverAt : Date.now() + 50}))
+        ]).then(() => handler.readKeysFromQueue({identifier : 'logs'})).then((result) => {
+            assert.deepStrictEqual(result.keys, ['past']);
+            return helper.delay(60);
+        }).then(() => handler.readKeysFromQueue({identifier : 'logs'})).then((result) => {
+            assert.deepStrictEqual(result.keys.sort(), ['future', 'past']);
+        });
+    });
+
+    it('hands over the due record to the consumers', () => {
+        let handler = helper.createHandler(helper.redisConfig());
+        let pushedAt = Date.now();
+        let consumed = new Promise((resolve) => {
+            handler.consume({identifier : 'logs'}, (record, ack) => {
+                ack();
+                resolve(record);
+            });
+        });
+        return handler.pushToQueue(Object.assign(helper.record('first'), {delay : 100})).then(() => consumed).then((record) => {
+            assert.strictEqual(record.key, 'first');
+            assert.ok(Date.now() - pushedAt >= 100);
+        });
+    });
+
+    it('appends the due records of an ordered identifier after the records pushed before', () => {
+        let handler = helper.createHandler(helper.redisConfig({identifierSet : [{name : 'logs', ordered : true}]}));
+        return handler.pushToQueue(Object.assign(helper.record('first'), {delay : 30})).then(() => handler.pushToQueue(helper.record('second'))).then(() => {
+            return helper.delay(40);
+        }).then(() => handler.readKeysAndValuesFromQueue({identifier : 'logs'})).then((result) => {
+            assert.deepStrictEqual(result.records.map((record) => record.key), ['second', 'first']);
+        });
+    });
+
+    it('cancels the scheduled records', () => {
+        let handler = helper.createHandler(helper.redisConfig());
+        return handler.pushManyToQueue([
+            Object.assign(helper.record('first'), {delay : 30}),
+            Object.assign(helper.record('second'), {delay : 30}),
+            Object.assign(helper.record('third'), {delay : 30})
+        ]).then(() => handler.cancelScheduledFromQueue({identifier : 'logs', key : 'first'})).then((result) => {
+            assert.deepStrictEqual(result, {redis : 1});
+            return handler.readScheduledFromQueue({identifier : 'logs'});
+        }).then((result) => {
+            assert.deepStrictEqual(result.redis.map((record) => record.key).sort(), ['second', 'third']);
+            return handler.cancelScheduledFromQueue({identifier : 'logs'});
+        }).then((result) => {
+            assert.deepStrictEqual(result, {redis : 2});
+            return helper.delay(40);
+        }).then(() => handler.readKeysFromQueue({identifier : 'logs'})).then((result) => {
+            assert.deepStrictEqual(result.keys, []);
+        });
+    });
+
+    it('claims and cancels the scheduled records of every key in a single transaction', () => {
+        let config = Object.assign(helper.redisConfig(), {file : {path : helper.filePath(), serviceName : 'test-service', identifierSet : ['logs']}});
+        let handler = helper.createHandler(config);
+        let writes = [];
+        let schedule = (keys) => handler.pushManyToQueue(keys.map((key) => Object.assign(helper.record(key), {delay : 30})));
+        return handler.ready().then(() => {
+            ['redis', 'file'].forEach((store) => {
+                let connection = handler.connectionHandler[store].connection;
+                let runTransaction = connection.runTransaction;
+                let deleteHashKey = connection.deleteHashKey;
+                connection.runTransaction = (operations, watch, callback) => {
+                    if(operations[0][1] === 'logs:scheduled') {
+                        writes.push([store, operations.length]);
+                    }
+                    return runTransaction(operations, watch, callback);
+                };
+                connection.deleteHashKey = (hashsetkey, fieldname, callback) => {
+                    if(hashsetkey === 'logs:scheduled') {
+                        writes.push([store, fieldname]);
+                    }
+                    return deleteHashKey(hashsetkey, fieldname, callback);
+                };
+            });
+            return schedule(['first', 'second', 'third']);
+        }).then(() => helper.delay(40)).then(() => handler.readKeysFromQueue({identifier : 'logs'})).then((result) => {
+            assert.deepStrictEqual(result.keys.sort(), ['first', 'second', 'third']);
+            assert.deepStrictEqual(writes.sort(), [['file', 3], ['redis', 3]]);
+            writes = [];
+            return schedule(['fourth', 'fifth']);
+        }).then(() => handler.cancelScheduledFromQueue({identifier : 'logs'})).then((result) => {
+            assert.deepStrictEqual(result, {redis : 2, file : 2});
+            assert.deepStrictEqual(writes.sort(), [['file', 2], ['redis', 2]]);
+        });
+    });
+
+    it('rejects the invalid delivery times', () => {
+        let handler = helper.createHandler(helper.redisConfig());
+        return Promise.all([
+            helper.rejection(handler.pushToQueue(Object.assign(helper.record('first'), {delay : -1}))),
+            helper.rejection(handler.pushToQueue(Object.assign(helper.record('first'), {deliverAt : 'tomorrow'}))),
+            helper.rejection(handler.pushToQueue(Object.assign(helper.record('first'), {deliverAt : new Date('invalid')}))),
+            helper.rejection(handler.pushToQueue(Object.assign(helper.record('first'), {delay : 10, deliverAt : Date.now()}))),
+            helper.rejection(handler.cancelScheduledFromQueue({identifier : 'logs', key : ' '})),
+            helper.rejection(handler.readScheduledFromQueue({identifier : 'events'}))
+        ]).then((errors) => {
+            assert.deepStrictEqual(errors.map((err) => err.code), ['VALIDATION', 'VALIDATION', 'VALIDATION', 'VALIDATION', 'VALIDATION', 'UNREGISTERED_IDENTIFIER']);
+        });
+    });
+});
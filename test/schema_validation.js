@@ -0,0 +1,88 @@
+/* jshint node: true */
+/* jshint esnext: true */
+/* jshint mocha: true */
+'use strict';
+
+const assert = require('assert');
+const helper = require('./support/helper');
+const QueueHandler = require('../index');
+
+describe('Schema validation', () => {
+    let schema = {
+        type : 'object',
+        required : ['targetType', 'message', 'level'],
+        properties : {
+            targetType : {type : 'array', items : {type : 'string'}},
+            message : {type : 'string', minLength : 1},
+            level : {enum : ['info', 'warn', 'error']},
+            code : {type : 'integer', minimum : 100, maximum : 599},
+            tags : {type : 'array', items : {type : 'string', pattern : '^[a-z]+$'}, maxItems : 2}
+        },
+        additionalProperties : false
+    };
+
+    afterEach(() => helper.cleanUp());
+
+    it('rejects the malformed schemas and options when the handler is created', () => {
+        assert.throws(() => new QueueHandler(helper.redisConfig({identifierSet : [{name : 'logs', schema : []}]})), /'Schema' option of the 'logs' identifier is not in the specified format, 'schema' must be an object/);
+        assert.throws(() => new QueueHandler(helper.redisConfig({identifierSet : [{name : 'logs', schema : {properties : {level : {type : 'text'}}}}]})), /'schema.properties.level.type' must be one of/);
+        assert.throws(() => new QueueHandler(helper.redisConfig({identifierSet : [{name : 'logs', schema : {type : 'string', pattern : '('}}]})), /'schema.pattern' is not a valid regular expression/);
+        assert.throws(() => new QueueHandler(helper.redisConfig({identifierSet : [{name : 'logs', schema : {type : 'array', maxItems : -1}}]})), /'schema.maxItems' must be a non negative integer/);
+        assert.throws(() => new QueueHandler(helper.redisConfig({identifierSet : [{name : 'logs', validateReads : true}]})), /'Validate reads' option of the 'logs' identifier requires a schema/);
+    });
+
+    it('pushes the values conforming to the schema', () => {
+        let handler = helper.createHandler(helper.redisConfig({identifierSet : [{name : 'logs', schema : schema}]}));
+        return handler.pushToQueue(helper.record('first', {level : 'info', code : 200, tags : ['api']})).then((result) => {
+            assert.strictEqual(result.redis.succeeded.length, 1);
+        });
+    });
+
+    it('rejects the values failing the schema along with the errors of every field', () => {
+        let handler = helper.createHandler(helper.redisConfig({identifierSet : [{name : 'logs', schema : schema}]}));
+        let value = {targetType : ['audit'], message : '', level : 'debug', code : 99.5, tags : ['api', 'Web', 'db'], user : 'admin'};
+        return helper.rejection(handler.pushToQueue({identifier : 'logs', key : 'first', value : value})).then((err) => {
+            assert.strictEqual(err.code, 'VALIDATION');
+            assert.ok(/^The value does not conform to the schema of the 'logs' identifier/.test(err.message));
+            assert.deepStrictEqual(err.errors.map((error) => error.field), ['value.message', 'value.level', 'value.code', 'value.tags', 'value.tags[1]', 'value.user']);
+            assert.strictEqual(err.errors[2].message, `'value.code' must be of type 'integer'`);
+            return helper.rejection(handler.pushToQueue({identifier : 'logs', key : 'first', value : {targetType : ['audit']}}));
+        }).then((err) => {
+            assert.deepStrictEqual(err.errors.map((error) => error.message), [`'value.message' is required`, `'value.level' is required`]);
+            return handler.readKeysFromQueue({identifier : 'logs'});
+        }).then((result) => {
+            assert.deepStrictEqual(result.keys, []);
+        });
+    });
+
+    it('reports the errors of the records of a batch failing the schema', () => {
+        let handler = helper.createHandler(helper.redisConfig({identifierSet : [{name : 'logs', schema : schema}]}));
+        return handler.pushManyToQueue([helper.record('first', {level : 'warn'}), helper.record('second', {level : 'fatal'})]).then((results) => {
+            assert.ok(results[0].result);
+            assert.strictEqual(results[1].code, 'VALIDATION');
+            assert.deepStrictEqual(results[1].errors.map((error) => error.field), ['value.level']);
+        });
+    });
+
+    it('validates the values read from the identifier if configured to', () => {
+        let config = helper.redisConfig();
+        let producer = helper.createHandler(config);
+        let reader = helper.createHandler(helper.redisConfig({queueConnector : config.redis.queueConnector, identifierSet : [{name : 'logs', schema : schema, validateReads : true}]}));
+        return producer.pushToQueue(helper.record('first', {level : 'info'})).then(() => producer.pushToQueue(helper.record('second'))).then(() => {
+            return reader.readFromQueue({identifier : 'logs', key : 'first'});
+        }).then((result) => {
+            assert.strictEqual(result.record.value.level, 'info');
+            return helper.rejection(reader.readFromQueue({identifier : 'logs', key : 'second'}));
+        }).then((err) => {
+            assert.strictEqual(err.code, 'INVALID_RECORD');
+            assert.strictEqual(err.key, 'second');
+            assert.deepStrictEqual(err.errors.map((error) => error.field), ['value.level']);
+            return helper.rejection(reader.readKeysAndValuesFromQueue({identifier : 'logs'}));
+        }).then((err) => {
+            assert.strictEqual(err.code, 'INVALID_RECORD');
+            return producer.readKeysAndValuesFromQueue({identifier : 'logs'});
+        }).then((result) => {
+            assert.strictEqual(result.records.length, 2);
+        });
+    });
+});
@@ -0,0 +1,128 @@
+/* jshint node: true */
+/* jshint esnext: true */
+/* jshint mocha: true */
+'use strict';
+
+const assert = require('assert');
+const helper = require('./support/helper');
+const memoryRedis = require('../memory_redis');
+
+describe('Service registry', () => {
+    afterEach(() => helper.cleanUp());
+
+    it('lists the services registered for every identifier along with their activity', () => {
+        let config = helper.redisConfig({identifierSet : ['logs', 'events']});
+        let startedAt = Date.now();
+        let producer = helper.createHandler(config);
+        let consumer = helper.createHandler(helper.redisConfig({queueConnector : config.redis.queueConnector, serviceName : 'billing-service', targetTypes : ['audit']}));
+        return Promise.all([producer.ready(), consumer.ready()]).then(() => producer.pushToQueue(helper.record('first'))).then(() => {
+            return consumer.readKeysAndValuesFromQueue({identifier : 'logs'});
+        }).then(() => producer.listServices()).then((result) => {
+            assert.deepStrictEqual(result.redis.map((service) => service.serviceName), ['billing-service', 'test-service']);
+            let billing = result.redis[0].identifiers[0];
+            assert.deepStrictEqual([billing.identifier, billing.targetTypes, billing.lastWriteAt], ['logs', ['audit'], null]);
+            assert.ok(billing.registeredAt >= startedAt && billing.registeredAt <= Date.now());
+            assert.ok(billing.lastReadAt >= billing.registeredAt);
+            let identifiers = result.redis[1].identifiers;
+            assert.deepStrictEqual(identifiers.map((identifier) => identifier.identifier), ['events', 'logs']);
+            assert.strictEqual(identifiers[0].lastWriteAt, null);
+            assert.strictEqual(typeof identifiers[1].lastWriteAt, 'number');
+            assert.strictEqual(identifiers[1].lastReadAt, null);
+        });
+    });
+
+    it('records the write time once per identifier for a batch and the read time of the consumers', function () {
+        this.timeout(5000);
+        let handler = helper.createHandler(helper.redisConfig());
+        let consumed = new Promise((resolve) => {
+            handler.consume({identifier : 'logs'}, (record, ack) => {
+                ack();
+                resolve();
+            });
+        });
+        return handler.pushManyToQueue([helper.record('first'), helper.record('second')]).then(() => consumed).then(() => helper.delay(20)).then(() => {
+            return handler.getServiceInfo('test-service');
+        }).then((result) => {
+            assert.ok(result.redis.identifiers[0].lastWriteAt);
+            assert.ok(result.redis.identifiers[0].lastReadAt);
+        });
+    });
+
+    it('reads the registrations holding only a date and keeps their registration time', () => {
+        let config = helper.redisConfig({identifierSet : ['logs', 'audit_logs'], serviceName : 'legacy_service'});
+        let connector = config.redis.queueConnector[0];
+        let client = memoryRedis.createClient(connector.port, connector.host);
+        let registeredAt = new Date(2017, 0, 2, 3, 4, 5).getTime();
+        let lastReadAt = new Date(2017, 0, 3, 3, 4, 5).getTime();
+        return Promise.all([
+            new Promise((resolve) => client.hset('registeredServices', 'legacy_service_logs', '2017-01-02T03:04:05', resolve)),
+            new Promise((resolve) => client.hset('registeredServices', 'legacy_service_audit_logs', '2017-01-02T03:04:05', resolve)),
+            new Promise((resolve) => client.hset('registeredServices', 'other_service_metrics', '2017-01-02T03:04:05', resolve)),
+            new Promise((resolve) => client.hset('registeredServices:lastRead', 'legacy_service_audit_logs', '2017-01-03T03:04:05', resolve))
+        ]).then(() => {
+            client.end(true);
+            let reader = helper.createHandler(Object.assign({}, config, {redis : Object.assign({}, config.redis, {serviceName : 'reader_service'})}));
+            return reader.listServices();
+        }).then((result) => {
+            assert.deepStrictEqual(result.redis, [{
+                serviceName : 'legacy_service',
+                identifiers : [
+                    {identifier : 'audit_logs', targetTypes : [], registeredAt : registeredAt, lastReadAt : lastReadAt, lastWriteAt : null},
+                    {identifier : 'logs', targetTypes : [], registeredAt : registeredAt, lastReadAt : null, lastWriteAt : null}
+                ]
+            }, {
+                serviceName : 'other_service',
+                identifiers : [{identifier : 'metrics', targetTypes : [], registeredAt : registeredAt, lastReadAt : null, lastWriteAt : null}]
+            }, {
+                serviceName : 'reader_service',
+                identifiers : result.redis[2].identifiers
+            }]);
+            let handler = helper.createHandler(config);
+            return handler.getServiceInfo('legacy_service');
+        }).then((result) => {
+            assert.deepStrictEqual(result.redis.identifiers.map((identifier) => [identifier.identifier, identifier.registeredAt]), [['audit_logs', registeredAt], ['logs', registeredAt]]);
+        });
+    });
+
+    it('returns nothing for an unknown service', () => {
+        let handler = helper.createHandler(helper.redisConfig());
+        return handler.getServiceInfo('unknown-service').then((result) => {
+            assert.deepStrictEqual(result, {});
+        });
+    });
+
+    it('unregisters the service', () => {
+        let config = helper.redisConfig({identifierSet : ['logs', 'events']});
+        let handler = helper.createHandler(config);
+        let other = helper.createHandler(helper.redisConfig({queueConnector : config.redis.queueConnector, serviceName : 'billing-service'}));
+        return Promise.all([handler.ready(), other.ready()]).then(() => handler.pushToQueue(helper.record('first'))).then(() => {
+            return handler.unregisterService({identifier : 'events'});
+        }).then((result) => {
+            assert.deepStrictEqual(result, {redis : 1});
+            return handler.getServiceInfo('test-service');
+        }).then((result) => {
+            assert.deepStrictEqual(result.redis.identifiers.map((identifier) => identifier.identifier), ['logs']);
+            return handler.unregisterService();
+        }).then((result) => {
+            assert.deepStrictEqual(result, {redis : 1});
+            return handler.listServices();
+        }).then((result) => {
+            assert.deepStrictEqual(result.redis.map((service) => service.serviceName), ['billing-service']);
+            return handler.readKeysFromQueue({identifier : 'logs'});
+        }).then((result) => {
+            assert.deepStrictEqual(result.keys, ['first']);
+        });
+    });
+
+    it('rejects the invalid requests', () => {
+        let handler = helper.createHandler(helper.redisConfig());
+        return Promise.all([
+            helper.rejection(handler.getServiceInfo(' ')),
+            helper.rejection(handler.unregisterService({serviceName : 5})),
+            helper.rejection(handler.unregisterService({identifier : ''})),
+            helper.rejection(handler.unregisterService({store : []}))
+        ]).then((errors) => {
+            errors.forEach((err) => assert.strictEqual(err.code, 'VALIDATION'));
+        });
+    });
+});
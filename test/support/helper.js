@@ -0,0 +1,116 @@
+/* jshint node: true */
+/* jshint esnext: true */
+'use strict';
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const QueueHandler = require('../../index');
+const memoryRedis = require('../../memory_redis');
+
+/**
+* Every handler connects to its own in-memory servers so that the tests do not share any key.
+**/
+let servers = 0;
+let handlers = [];
+let directories = [];
+
+/**
+* Returns the in-memory connectors of new servers.
+* @param {Number} [nodes] The number of servers, defaults to one.
+**/
+function memoryConnectors(nodes) {
+    let connectors = [];
+    servers++;
+    for(let i = 0; i < (nodes || 1); i++) {
+        connectors.push({host : `memory-${servers}`, port : 6379 + i, inMemory : true});
+    }
+    return connectors;
+}
+
+/**
+* Returns the config of a redis store connected to new in-memory servers.
+* @param {Object} [options] The settings of the store overriding the defaults.
+* @param {Number} [nodes] The number of servers.
+**/
+function redisConfig(options, nodes) {
+    return {
+        redis : Object.assign({
+            queueConnector : memoryConnectors(nodes),
+            serviceName : 'test-service',
+            identifierSet : ['logs']
+        }, options)
+    };
+}
+
+/**
+* Returns the path of the file of a file store within a new temporary directory.
+**/
+function filePath() {
+    let directory = fs.mkdtempSync(path.join(os.tmpdir(), 'queue-service-'));
+    directories.push(directory);
+    return path.join(directory, 'queue.log');
+}
+
+/**
+* Creates the queue handler, which is closed after the test.
+* @param {Object} connectionConfig The connection config of the stores.
+**/
+function createHandler(connectionConfig) {
+    let handler = new QueueHandler(connectionConfig);
+    handlers.push(handler);
+    return handler;
+}
+
+/**
+* Closes the handlers created by the test and deletes its keys and files.
+**/
+function cleanUp() {
+    return Promise.all(handlers.splice(0).map((handler) => handler.close().catch(() => null))).then(() => {
+        memoryRedis.flushAll();
+        directories.splice(0).forEach((directory) => {
+            fs.readdirSync(directory).forEach((file) => fs.unlinkSync(path.join(directory, file)));
+            fs.rmdirSync(directory);
+        });
+    });
+}
+
+/**
+* Returns a promise resolved after the milliseconds.
+* @param {Number} milliseconds The time to wait.
+**/
+function delay(milliseconds) {
+    return new Promise((resolve) => setTimeout(resolve, milliseconds));
+}
+
+/**
+* Returns a promise of the error the promise is rejected with, it fails if the promise is resolved.
+* @param {Promise} promise The promise expected to be rejected.
+**/
+function rejection(promise) {
+    return promise.then((result) => {
+        throw new Error(`Expected the promise to be rejected, resolved with ${JSON.stringify(result)}`);
+    }, (err) => err);
+}
+
+/**
+* Returns a record to be pushed.
+* @param {String} key Unique identifier under the specific group.
+* @param {Object} [value] The data of the record, along with the target type.
+**/
+function record(key, value) {
+    return {
+        identifier : 'logs',
+        key : key,
+        value : Object.assign({targetType : ['audit'], message : `message of ${key}`}, value)
+    };
+}
+
+module.exports.memoryConnectors = memoryConnectors;
+module.exports.redisConfig = redisConfig;
+module.exports.filePath = filePath;
+module.exports.createHandler = createHandler;
+module.exports.cleanUp = cleanUp;
+module.exports.delay = delay;
+module.exports.rejection = rejection;
+module.exports.record = record;
@@ -0,0 +1,186 @@
+/* jshint node: true */
+/* jshint esnext: true */
+/* jshint mocha: true */
+'use strict';
+
+const fs = require('fs');
+const assert = require('assert');
+const helper = require('./support/helper');
+const memoryRedis = require('../memory_redis');
+const QueueError = require('../QueueError');
+const serviceRegistry = require('../service_registry');
+
+describe('Transactions', () => {
+    afterEach(() => helper.cleanUp());
+
+    /**
+    * Returns a promise of the keys of the identifier.
+    **/
+    function queuedKeys(handler, identifier) {
+        return handler.readKeysFromQueue({identifier : identifier}).then((result) => result.keys.sort());
+    }
+
+    it('writes the pushes and deletes across identifiers together and notifies the pushed records', () => {
+        let config = helper.redisConfig({identifierSet : ['logs', 'sharedData', {name : 'events', ordered : true}]});
+        let handler = helper.createHandler(config);
+        let notifications = [];
+        return handler.subscribe('sharedData', (notification) => notifications.push(notification.key))
+            .then(() => handler.pushToQueue(Object.assign(helper.record('stale'), {identifier : 'sharedData'})))
+            .then(() => {
+                return handler.transaction()
+                    .pushToQueue(helper.record('first'))
+                    .pushToQueue(Object.assign(helper.record('settings', {message : 'updated'}), {identifier : 'sharedData', priority : 3}))
+                    .pushToQueue(Object.assign(helper.record('started'), {identifier : 'events'}))
+                    .deleteKeyFromQueue({identifier : 'sharedData', key : 'stale'})
+                    .commit();
+            })
+            .then((result) => {
+                let node = config.redis.queueConnector[0];
+                assert.deepStrictEqual(result, {redis : {succeeded : [`${node.host}:${node.port}`], failed : []}});
+                return helper.delay(20).then(() => Promise.all([
+                    queuedKeys(handler, 'logs'),
+                    queuedKeys(handler, 'sharedData'),
+                    handler.readKeysAndValuesFromQueue({identifier : 'events'}),
+                    handler.readFromQueue({identifier : 'sharedData', key : 'settings'})
+                ]));
+            })
+            .then((results) => {
+                assert.deepStrictEqual(results.slice(0, 2), [['first'], ['settings']]);
+                assert.deepStrictEqual(results[2].records.map((record) => record.key), ['started']);
+                assert.deepStrictEqual([results[3].record.value.message, results[3].record.version], ['updated', 1]);
+                assert.deepStrictEqual(notifications, ['stale', 'settings']);
+            });
+    });
+
+    it('validates every operation before any of them is written', () => {
+        let handler = helper.createHandler(helper.redisConfig({identifierSet : ['logs', {name : 'sharedData', schema : {type : 'object', required : ['level']}}]}));
+        let commit = (transaction) => helper.rejection(transaction.pushToQueue(helper.record('first')).commit());
+        return Promise.all([
+            commit(handler.transaction().pushToQueue(Object.assign(helper.record('second'), {identifier : 'unknown'}))),
+            commit(handler.transaction().pushToQueue(Object.assign(helper.record('second'), {identifier : 'sharedData'}))),
+            commit(handler.transaction().deleteKeyFromQueue({identifier : 'logs', key : 'other', targetType : ['billing']})),
+            commit(handler.transaction().deleteKeyFromQueue({identifier : 'logs', key : 'first'})),
+            commit(handler.transaction().pushToQueue(Object.assign(helper.record('second'), {delay : 1000}))),
+            commit(handler.transaction().pushToQueue({identifier : 'logs', key : 'second'}))
+        ]).then((errors) => {
+            assert.deepStrictEqual(errors.map((err) => err.code), ['UNREGISTERED_IDENTIFIER', 'VALIDATION', 'UNREGISTERED_TARGET_TYPE', 'VALIDATION', 'VALIDATION', 'VALIDATION']);
+            assert.deepStrictEqual([errors[0].identifier, errors[0].key], ['unknown', 'second']);
+            assert.strictEqual(errors[3].message, `The key 'first' of the 'logs' identifier is written more than once by the transaction`);
+            assert.strictEqual(errors[4].message, `'Delay', 'Deliver at', 'Idempotency key', 'If not exists' and 'Version' are not supported by the transactions`);
+            return queuedKeys(handler, 'logs');
+        }).then((keys) => {
+            assert.deepStrictEqual(keys, []);
+        });
+    });
+
+    it('appends the transaction to the file store as a single line', () => {
+        let path = helper.filePath();
+        let handler = helper.createHandler({file : {path : path, serviceName : 'test-service', identifierSet : ['logs', 'sharedData']}});
+        return handler.transaction()
+            .pushToQueue(helper.record('first'))
+            .pushToQueue(Object.assign(helper.record('settings'), {identifier : 'sharedData'}))
+            .commit()
+            .then((result) => {
+                assert.deepStrictEqual(result, {file : {succeeded : [path], failed : []}});
+                return helper.delay(20);
+            })
+            .then(() => {
+                let lines = fs.readFileSync(path, 'utf8').split('\n').filter((line) => line).map((line) => JSON.parse(line));
+                assert.deepStrictEqual(lines.filter((line) => serviceRegistry.hashNames.indexOf(line[1]) === -1).map((line) => line[0]), ['multi']);
+                return Promise.all([queuedKeys(handler, 'logs'), queuedKeys(handler, 'sharedData')]);
+            })
+            .then((keys) => {
+                assert.deepStrictEqual(keys, [['first'], ['settings']]);
+            });
+    });
+
+    /**
+    * Makes the store write a record to the identifier right after the keys of each of the first transactions are watched, as another client would.
+    **/
+    function writeOnWatch(handler, serviceStore, identifier, times) {
+        let connection = handler.connectionHandler[serviceStore].connection;
+        let watchKeys = connection.watchKeys;
+        let watched = 0;
+        connection.watchKeys = (keys, callback) => watchKeys(keys, (err, watch) => {
+            watched++;
+            if(watched > times) {
+                return callback(err, watch);
+            }
+            handler.pushToQueue(Object.assign(helper.record(`other-${watched}`), {identifier : identifier, store : [serviceStore]})).then(() => callback(err, watch));
+        });
+        return () => watched;
+    }
+
+    it('stages and runs the transaction of a store again once the keys it read are written in the meantime', () => {
+        let identifierSet = ['logs', 'sharedData'];
+        let config = Object.assign(helper.redisConfig({identifierSet : identifierSet}), {
+            file : {path : helper.filePath(), serviceName : 'test-service', identifierSet : identifierSet}
+        });
+        let handler = helper.createHandler(config);
+        let watches;
+        return handler.pushToQueue(Object.assign(helper.record('stale'), {identifier : 'sharedData'})).then(() => {
+            watches = ['redis', 'file'].map((serviceStore) => writeOnWatch(handler, serviceStore, 'sharedData', 1));
+            return handler.transaction()
+                .pushToQueue(helper.record('first'))
+                .deleteKeyFromQueue({identifier : 'sharedData', key : 'stale'})
+                .commit();
+        }).then((result) => {
+            assert.deepStrictEqual(Object.keys(result), ['redis', 'file']);
+            assert.deepStrictEqual(watches.map((watched) => watched()), [2, 2]);
+            return handler.readKeysFromQueue({identifier : 'sharedData', store : ['redis']});
+        }).then((result) => {
+            assert.deepStrictEqual(result.keys, ['other-1']);
+            return handler.readKeysFromQueue({identifier : 'sharedData', store : ['file']});
+        }).then((result) => {
+            assert.deepStrictEqual(result.keys, ['other-1']);
+            return queuedKeys(handler, 'logs');
+        }).then((keys) => {
+            assert.deepStrictEqual(keys, ['first']);
+        });
+    });
+
+    it('fails with a conflict once the keys read by the transaction keep being written', () => {
+        let handler = helper.createHandler(helper.redisConfig({identifierSet : ['logs', 'sharedData']}));
+        return handler.pushToQueue(Object.assign(helper.record('stale'), {identifier : 'sharedData'})).then(() => {
+            writeOnWatch(handler, 'redis', 'sharedData', Infinity);
+            return helper.rejection(handler.transaction()
+                .pushToQueue(helper.record('first'))
+                .deleteKeyFromQueue({identifier : 'sharedData', key : 'stale'})
+                .commit());
+        }).then((err) => {
+            assert.ok(err instanceof QueueError.TransactionConflictError);
+            assert.deepStrictEqual([err.code, err.store, err.committedStores], ['TRANSACTION_CONFLICT', 'redis', []]);
+            return Promise.all([queuedKeys(handler, 'logs'), queuedKeys(handler, 'sharedData')]);
+        }).then((keys) => {
+            assert.deepStrictEqual(keys, [[], ['other-1', 'other-2', 'other-3', 'other-4', 'stale']]);
+        });
+    });
+
+    it('reports the operations failing within a transaction applied partially by the store', () => {
+        let config = helper.redisConfig();
+        let node = config.redis.queueConnector[0];
+        let handler = helper.createHandler(config);
+        return new Promise((resolve, reject) => {
+            memoryRedis.createClient(node.port, node.host).set('logs:pending:2', 'not a list', (err) => err ? reject(err) : resolve());
+        }).then(() => helper.rejection(handler.transaction().pushToQueue(Object.assign(helper.record('first'), {priority : 2})).commit())).then((err) => {
+            assert.deepStrictEqual([err.code, err.store, err.partial], ['REPLICATION_FAILED', 'redis', true]);
+            assert.deepStrictEqual(err.failedOperations.map((failed) => failed.operation.slice(0, 2)), [['pushListObject', 'logs:pending:2']]);
+            assert.ok(/WRONGTYPE/.test(err.failedOperations[0].error));
+            return queuedKeys(handler, 'logs');
+        }).then((keys) => {
+            assert.deepStrictEqual(keys, ['first']);
+        });
+    });
+
+    it('rejects the empty transactions and the transactions committed twice', () => {
+        let handler = helper.createHandler(helper.redisConfig());
+        let transaction = handler.transaction().pushToQueue(helper.record('first'));
+        return transaction.commit().then(() => Promise.all([
+            helper.rejection(transaction.commit()),
+            helper.rejection(handler.transaction().commit())
+        ])).then((errors) => {
+            assert.ok(errors[0] instanceof QueueError.ValidationError);
+            assert.deepStrictEqual(errors.map((err) => err.message), [`The transaction is already committed`, `The transaction holds no operation`]);
+        });
+    });
+});
@@ -0,0 +1,157 @@
+/* jshint node: true */
+/* jshint esnext: true */
+'use strict';
+
+const zlib = require('zlib');
+const crypto = require('crypto');
+const UndecodableRecordError = require('./QueueError').UndecodableRecordError;
+
+/**
+* The values of an identifier can be compressed and encrypted at rest by the codec registered with the identifier, the reads decoding them back to the JSON written by the pushes.
+* Every encoded value names the compression and the encryption key it was written with, so that the values written before the codec or the key was changed, as well as the plain values, are still read.
+* The values are encrypted with AES-256-GCM, each key being registered along with its id so that a new key can be used for the pushes while the values written with the previous keys are read with those.
+**/
+
+/**
+* The prefix of the encoded values, the plain values being JSON objects.
+**/
+const encodedPrefix = 'codec1';
+
+/**
+* The supported compressions along with the names of their zlib compress and decompress methods, brotli being only available from Node.js 10.16.
+**/
+const compressions = {
+    gzip : {compress : 'gzipSync', decompress : 'gunzipSync'},
+    brotli : {compress : 'brotliCompressSync', decompress : 'brotliDecompressSync'}
+};
+
+/**
+* Checks if the zlib of the running Node.js provides the compress and decompress methods of the compression.
+* @param {String} compression The name of the compression.
+**/
+function isAvailable(compression) {
+    return typeof zlib[compressions[compression].compress] === 'function' && typeof zlib[compressions[compression].decompress] === 'function';
+}
+
+/**
+* The encryption algorithm along with the length in bytes of its keys, initialization vectors and authentication tags.
+**/
+const cipher = {algorithm : 'aes-256-gcm', keyLength : 32, ivLength : 12, tagLength : 16};
+
+/**
+* Returns the encryption key as a buffer, the keys can be registered either as buffers or as base64 strings.
+* @param {Buffer|String} key The registered key.
+**/
+function keyBuffer(key) {
+    return Buffer.isBuffer(key) ? key : Buffer.from(key, 'base64');
+}
+
+/**
+* Checks the codec before it is registered, so that a malformed codec is reported when the handler is created instead of failing the pushes.
+* @param {Object} codec The codec to check.
+* @param {String} [codec.compression] Either 'gzip' or 'brotli'.
+* @param {Object} [codec.encryption] Holds the keys by id along with the id of the key the values are encrypted with.
+* @returns {String|Boolean} The message describing the malformed part of the codec, or false if the codec is valid.
+**/
+function checkCodec(codec) {
+    if(!codec || typeof codec !== 'object' || codec instanceof Array) {
+        return `'codec' must be an object`;
+    } else if (codec.compression !== undefined && !compressions.hasOwnProperty(codec.compression)) {
+        return `'compression' must be either ${Object.keys(compressions).map((compression) => `'${compression}'`).join(' or ')}`;
+    } else if (codec.compression !== undefined && !isAvailable(codec.compression)) {
+        return `'${codec.compression}' compression is not available in Node.js ${process.version}`;
+    } else if (codec.encryption === undefined) {
+        return false;
+    }
+    let encryption = codec.encryption;
+    if(!encryption || typeof encryption !== 'object' || !encryption.keys || typeof encryption.keys !== 'object' || Object.keys(encryption.keys).length === 0) {
+        return `'encryption' must hold the keys by id`;
+    }
+    for(let keyId of Object.keys(encryption.keys)) {
+        let key = encryption.keys[keyId];
+        if(!/^[\w.-]+$/.test(keyId)) {
+            return `'${keyId}' key id must only hold letters, digits, '_', '.' and '-'`;
+        } else if (!Buffer.isBuffer(key) && typeof key !== 'string') {
+            return `'${keyId}' key must be either a buffer or a base64 string`;
+        } else if (keyBuffer(key).length !== cipher.keyLength) {
+            return `'${keyId}' key must be ${cipher.keyLength} bytes long`;
+        }
+    }
+    if(!encryption.keys.hasOwnProperty(encryption.keyId)) {
+        return `'keyId' must name one of the keys`;
+    }
+    return false;
+}
+
+/**
+* Encodes the value with the codec, the value is returned as it is if there is no codec.
+* @param {Object} [codec] The codec of the identifier.
+* @param {Object|String} value The value to encode, the objects being written as JSON.
+* @returns {String} The encoded value.
+**/
+function encode(codec, value) {
+    let text = (typeof value === 'object') ? JSON.stringify(value) : value;
+    if(!codec || typeof text !== 'string') {
+        return text;
+    }
+    let payload = Buffer.from(text);
+    if(codec.compression) {
+        payload = zlib[compressions[codec.compression].compress](payload);
+    }
+    let keyId = '';
+    if(codec.encryption) {
+        keyId = codec.encryption.keyId;
+        let iv = crypto.randomBytes(cipher.ivLength);
+        let encipher = crypto.createCipheriv(cipher.algorithm, keyBuffer(codec.encryption.keys[keyId]), iv, {authTagLength : cipher.tagLength});
+        let encrypted = Buffer.concat([encipher.update(payload), encipher.final()]);
+        payload = Buffer.concat([iv, encipher.getAuthTag(), encrypted]);
+    }
+    return [encodedPrefix, codec.compression || '', keyId, payload.toString('base64')].join(':');
+}
+
+/**
+* Decodes the value written with any codec, the values which were not encoded are returned as they are.
+* @param {Object} [codec] The codec of the identifier, holding the keys of the encrypted values.
+* @param {String} stored The value as stored.
+* @returns {String} The value as pushed.
+* @throws {UndecodableRecordError} If the value cannot be decoded, like a value encrypted with a key which is no longer registered.
+**/
+function decode(codec, stored) {
+    if(typeof stored !== 'string' || stored.indexOf(`${encodedPrefix}:`) !== 0) {
+        return stored;
+    }
+    let parts = stored.split(':');
+    let compression = parts[1];
+    let keyId = parts[2];
+    let payload = Buffer.from(parts[3] || '', 'base64');
+    if(compression && !compressions.hasOwnProperty(compression)) {
+        throw new UndecodableRecordError(`The value is compressed with the unsupported '${compression}' compression`);
+    } else if (compression && !isAvailable(compression)) {
+        throw new UndecodableRecordError(`The value is compressed with the '${compression}' compression which is not available in Node.js ${process.version}`);
+    }
+    if(keyId) {
+        let keys = (codec && codec.encryption && codec.encryption.keys) || {};
+        if(!keys.hasOwnProperty(keyId)) {
+            throw new UndecodableRecordError(`The value is encrypted with the '${keyId}' key which is not registered`);
+        }
+        try {
+            let decipher = crypto.createDecipheriv(cipher.algorithm, keyBuffer(keys[keyId]), payload.slice(0, cipher.ivLength), {authTagLength : cipher.tagLength});
+            decipher.setAuthTag(payload.slice(cipher.ivLength, cipher.ivLength + cipher.tagLength));
+            payload = Buffer.concat([decipher.update(payload.slice(cipher.ivLength + cipher.tagLength)), decipher.final()]);
+        } catch (err) {
+            throw new UndecodableRecordError(`The value could not be decrypted with the '${keyId}' key`);
+        }
+    }
+    if(compression) {
+        try {
+            payload = zlib[compressions[compression].decompress](payload);
+        } catch (err) {
+            throw new UndecodableRecordError(`The value could not be decompressed with the '${compression}' compression`);
+        }
+    }
+    return payload.toString();
+}
+
+module.exports.checkCodec = checkCodec;
+module.exports.encode = encode;
+module.exports.decode = decode;
@@ -0,0 +1,171 @@
+/* jshint node: true */
+/* jshint esnext: true */
+'use strict';
+
+/**
+* The values of an identifier can be checked against a schema registered with the identifier, written as a subset of JSON Schema.
+* The supported keywords are type, enum, properties, required, additionalProperties, items, minLength, maxLength, pattern, minimum, maximum, minItems and maxItems.
+* Every value failing the schema is reported along with the path of the field, like 'value.tags[0]', and the reason.
+**/
+
+/**
+* The types which can be named by the type keyword.
+**/
+const schemaTypes = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+
+/**
+* The keywords holding a non negative integer.
+**/
+const lengthKeywords = ['minLength', 'maxLength', 'minItems', 'maxItems'];
+
+/**
+* Returns the type of the value as named by the type keyword, the integers being reported as numbers.
+* @param {*} value The value to check.
+**/
+function typeOf(value) {
+    if(value === null) {
+        return 'null';
+    } else if (value instanceof Array) {
+        return 'array';
+    }
+    return typeof value;
+}
+
+/**
+* Checks if the value is of the type named by the type keyword.
+* @param {*} value The value to check.
+* @param {String} type The name of the type.
+**/
+function isOfType(value, type) {
+    if(type === 'integer') {
+        return typeof value === 'number' && isFinite(value) && value % 1 === 0;
+    } else if (type === 'number') {
+        return typeof value === 'number' && isFinite(value);
+    }
+    return typeOf(value) === type;
+}
+
+/**
+* Checks the schema itself before it is registered, so that a malformed schema is reported when the handler is created instead of failing the pushes.
+* @param {Object} schema The schema to check.
+* @param {String} [path] The path of the schema within the root schema.
+* @returns {String|Boolean} The message describing the malformed part of the schema, or false if the schema is valid.
+**/
+function checkSchema(schema, path) {
+    path = path || 'schema';
+    if(!schema || typeof schema !== 'object' || schema instanceof Array) {
+        return `'${path}' must be an object`;
+    }
+    let types = schema.type instanceof Array ? schema.type : [schema.type];
+    if(schema.type !== undefined && (types.length === 0 || types.some((type) => schemaTypes.indexOf(type) === -1))) {
+        return `'${path}.type' must be one of '${schemaTypes.join("', '")}' or a list of them`;
+    } else if (schema.enum !== undefined && !(schema.enum instanceof Array && schema.enum.length !== 0)) {
+        return `'${path}.enum' must be a non empty list`;
+    } else if (schema.required !== undefined && !(schema.required instanceof Array && schema.required.every((name) => typeof name === 'string'))) {
+        return `'${path}.required' must be a list of field names`;
+    } else if (schema.pattern !== undefined && typeof schema.pattern !== 'string') {
+        return `'${path}.pattern' must be a string`;
+    } else if (schema.properties !== undefined && (!schema.properties || typeof schema.properties !== 'object' || schema.properties instanceof Array)) {
+        return `'${path}.properties' must be an object`;
+    } else if (schema.minimum !== undefined && !isOfType(schema.minimum, 'number')) {
+        return `'${path}.minimum' must be a number`;
+    } else if (schema.maximum !== undefined && !isOfType(schema.maximum, 'number')) {
+        return `'${path}.maximum' must be a number`;
+    }
+    let invalidLength = lengthKeywords.filter((keyword) => schema[keyword] !== undefined && !(isOfType(schema[keyword], 'integer') && schema[keyword] >= 0));
+    if(invalidLength.length) {
+        return `'${path}.${invalidLength[0]}' must be a non negative integer`;
+    }
+    if(schema.pattern !== undefined) {
+        try {
+            new RegExp(schema.pattern);
+        } catch (err) {
+            return `'${path}.pattern' is not a valid regular expression`;
+        }
+    }
+    let nested = [];
+    Object.keys(schema.properties || {}).forEach((name) => nested.push([schema.properties[name], `${path}.properties.${name}`]));
+    if(schema.items !== undefined) {
+        nested.push([schema.items, `${path}.items`]);
+    }
+    if(schema.additionalProperties !== undefined && typeof schema.additionalProperties !== 'boolean') {
+        nested.push([schema.additionalProperties, `${path}.additionalProperties`]);
+    }
+    for(let [nestedSchema, nestedPath] of nested) {
+        let invalidSchema = checkSchema(nestedSchema, nestedPath);
+        if(invalidSchema) {
+            return invalidSchema;
+        }
+    }
+    return false;
+}
+
+/**
+* Validates the value against the schema.
+* @param {Object} schema The schema checked by checkSchema.
+* @param {*} value The value to validate.
+* @param {String} [path] The path of the value within the root value.
+* @returns {Array} The errors of the fields failing the schema, each one holding the path of the field and the reason, empty if the value conforms to the schema.
+**/
+function validate(schema, value, path) {
+    path = path || 'value';
+    let types = schema.type instanceof Array ? schema.type : (schema.type === undefined ? [] : [schema.type]);
+    if(types.length && !types.some((type) => isOfType(value, type))) {
+        return [{field : path, message : `'${path}' must be of type '${types.join("' or '")}'`}];
+    }
+    if(schema.enum && !schema.enum.some((allowed) => JSON.stringify(allowed) === JSON.stringify(value))) {
+        return [{field : path, message : `'${path}' must be one of ${schema.enum.map((allowed) => JSON.stringify(allowed)).join(', ')}`}];
+    }
+    let errors = [];
+    let fail = (message) => errors.push({field : path, message : `'${path}' ${message}`});
+    if(typeof value === 'string') {
+        if(schema.minLength !== undefined && value.length < schema.minLength) {
+            fail(`must be at least ${schema.minLength} characters long`);
+        }
+        if(schema.maxLength !== undefined && value.length > schema.maxLength) {
+            fail(`must be at most ${schema.maxLength} characters long`);
+        }
+        if(schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+            fail(`must match the pattern '${schema.pattern}'`);
+        }
+    } else if (typeof value === 'number') {
+        if(schema.minimum !== undefined && value < schema.minimum) {
+            fail(`must be greater than or equal to ${schema.minimum}`);
+        }
+        if(schema.maximum !== undefined && value > schema.maximum) {
+            fail(`must be less than or equal to ${schema.maximum}`);
+        }
+    } else if (value instanceof Array) {
+        if(schema.minItems !== undefined && value.length < schema.minItems) {
+            fail(`must hold at least ${schema.minItems} items`);
+        }
+        if(schema.maxItems !== undefined && value.length > schema.maxItems) {
+            fail(`must hold at most ${schema.maxItems} items`);
+        }
+        if(schema.items) {
+            value.forEach((item, index) => {
+                errors = errors.concat(validate(schema.items, item, `${path}[${index}]`));
+            });
+        }
+    } else if (value && typeof value === 'object') {
+        let properties = schema.properties || {};
+        (schema.required || []).filter((name) => value[name] === undefined).forEach((name) => {
+            errors.push({field : `${path}.${name}`, message : `'${path}.${name}' is required`});
+        });
+        Object.keys(value).forEach((name) => {
+            if(value[name] === undefined) {
+                return;
+            } else if (properties.hasOwnProperty(name)) {
+                errors = errors.concat(validate(properties[name], value[name], `${path}.${name}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push({field : `${path}.${name}`, message : `'${path}.${name}' is not allowed`});
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                errors = errors.concat(validate(schema.additionalProperties, value[name], `${path}.${name}`));
+            }
+        });
+    }
+    return errors;
+}
+
+module.exports.checkSchema = checkSchema;
+module.exports.validate = validate;